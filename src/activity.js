@@ -0,0 +1,151 @@
+/**
+ * Activity feed: appends an activity_events row at each lifecycle transition, whichever code path caused it
+ * (routes, job watcher, indexer, tx-manager), and encodes the opaque page cursors of GET /dashboard/activity.
+ *
+ * Types and data:
+ *   job_started           { settlementName }                            a job was created
+ *   job_completed         { settlementName, participants, totalPayout } its result was recorded (totalPayout in
+ *                                                                       whole token units, a decimal string)
+ *   job_failed            { settlementName, status, error }             it became failed or timeout
+ *   job_retried           { settlementName, attempt, retryOfTaskId }    a job was resubmitted (taskId is the new task)
+ *   task_claimed          { refundNrlc }                                its timed-out task was claimed (txHash null when
+ *                                                                       someone else claimed it)
+ *   settlement_submitted  { attempt }                                   a settleBatch tx was broadcast; attempt counts a
+ *                                                                       job's settlement tries (null without a job)
+ *   settlement_executed   { settlementName?, participants?, totalPayout? }  a settleBatch was mined
+ *   settlement_failed     { error }                                     a settleBatch reverted or was dropped
+ *   faucet_mint           { to, amount }                                a faucet mint was mined
+ *   treasury_deposit      { amount }                                    a deposit was confirmed via
+ *                                                                       POST /settlement/deposit/confirm
+ */
+import * as db from "./db.js";
+import { txEvents } from "./tx-manager.js";
+import { createLogger } from "./logger.js";
+
+export const ACTIVITY_TYPES = [
+  "job_started",
+  "job_completed",
+  "job_failed",
+  "job_retried",
+  "task_claimed",
+  "settlement_submitted",
+  "settlement_executed",
+  "settlement_failed",
+  "faucet_mint",
+  "treasury_deposit",
+];
+
+const FAILED_JOB_STATUSES = ["failed", "timeout"];
+
+const log = createLogger("activity");
+
+/** Append an event (see db.insertActivityEvent). Never throws: a lost feed entry must not fail the caller. */
+export function recordActivity(type, fields = {}) {
+  if (!db.isDbConfigured()) return Promise.resolve(null);
+  return db.insertActivityEvent({ type, ...fields }).catch((e) => {
+    log.error(`could not record ${type}`, e, { taskId: fields.taskId });
+    return null;
+  });
+}
+
+/** Cursor for the page after this row. */
+export function encodeActivityCursor(row) {
+  return Buffer.from(JSON.stringify([new Date(row.occurred_at).getTime(), String(row.id)])).toString("base64url");
+}
+
+/** { occurredAt, id } from a cursor, or null when it isn't one of ours. */
+export function decodeActivityCursor(cursor) {
+  try {
+    const [ms, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isSafeInteger(ms) || !/^\d+$/.test(id)) return null;
+    return { occurredAt: new Date(ms), id };
+  } catch {
+    return null;
+  }
+}
+
+function payoutSummary(row) {
+  const payouts = Array.isArray(row.result?.payouts) ? row.result.payouts : [];
+  return {
+    participants: payouts.length,
+    // jobs.payout_total (NUMERIC) comes back as an exact decimal string; GET /dashboard/activity adds raw and formatted
+    totalPayout: row.payout_total ?? null,
+  };
+}
+
+function jobFields(row) {
+  return { wallet: row.wallet_address, taskId: row.task_id, chainId: row.chain_id ?? null };
+}
+
+db.jobEvents.on("created", (row) => {
+  recordActivity("job_started", {
+    ...jobFields(row),
+    data: { settlementName: row.settlement_name },
+    key: `job_started:${row.task_id}`,
+    occurredAt: row.submitted_at,
+  });
+});
+
+db.jobEvents.on("updated", (row, previous) => {
+  if (row.result != null && !previous.hasResult) {
+    recordActivity("job_completed", {
+      ...jobFields(row),
+      data: { settlementName: row.settlement_name, ...payoutSummary(row) },
+      occurredAt: row.completed_at,
+    });
+  }
+  const status = String(row.status ?? "").toLowerCase();
+  if (FAILED_JOB_STATUSES.includes(status) && String(previous.status ?? "").toLowerCase() !== status) {
+    recordActivity("job_failed", { ...jobFields(row), data: { settlementName: row.settlement_name, status, error: row.error ?? null } });
+  }
+  if (row.settled_tx_hash && !previous.settledTxHash) {
+    recordActivity("settlement_executed", {
+      ...jobFields(row),
+      txHash: row.settled_tx_hash,
+      data: { settlementName: row.settlement_name, ...payoutSummary(row) },
+      key: `settlement_executed:${row.settled_tx_hash.toLowerCase()}`,
+      occurredAt: row.settled_at,
+    });
+  }
+});
+
+// Settlements sent without a job row (POST /settlement/execute for a task nobody recorded) only show up here;
+// settlements of a job are recorded from the job update above, with its payouts.
+txEvents.on("confirmed", async (tx) => {
+  if (tx.kind === "faucet") {
+    recordActivity("faucet_mint", {
+      wallet: tx.meta?.to,
+      chainId: tx.chainId,
+      txHash: tx.hash,
+      data: { to: tx.meta?.to ?? null, amount: tx.meta?.amount ?? null },
+      key: `faucet_mint:${tx.hash.toLowerCase()}`,
+      occurredAt: tx.minedAt ? new Date(tx.minedAt) : null,
+    });
+    return;
+  }
+  if (tx.kind !== "settlement" || !db.isDbConfigured()) return;
+  const job = tx.meta?.taskId ? await db.getJobByTaskId(tx.meta.taskId).catch(() => null) : null;
+  if (job) return;
+  recordActivity("settlement_executed", {
+    wallet: tx.meta?.wallet,
+    taskId: tx.meta?.taskId ?? null,
+    chainId: tx.chainId,
+    txHash: tx.hash,
+    key: `settlement_executed:${tx.hash.toLowerCase()}`,
+    occurredAt: tx.minedAt ? new Date(tx.minedAt) : null,
+  });
+});
+
+for (const outcome of ["failed", "dropped"]) {
+  txEvents.on(outcome, (tx) => {
+    if (tx.kind !== "settlement") return;
+    recordActivity("settlement_failed", {
+      wallet: tx.meta?.wallet,
+      taskId: tx.meta?.taskId ?? null,
+      chainId: tx.chainId,
+      txHash: tx.hash,
+      data: { error: tx.error ?? (outcome === "failed" ? `Transaction ${tx.hash} reverted` : "Transaction dropped") },
+      key: `settlement_failed:${tx.hash.toLowerCase()}`,
+    });
+  });
+}
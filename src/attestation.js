@@ -0,0 +1,131 @@
+/**
+ * TEE attestation verification: checks that a settlement payload is exactly what the enclave signed.
+ *
+ * The enclave signs (EIP-191 personal_sign) the digest
+ *   keccak256(abi.encode(address[] recipients, uint256[] amounts))
+ * with amounts in token base units, and returns the 65-byte signature as result.tee_attestation.
+ * Allowed enclave signers come from TEE_SIGNER_ADDRESSES (comma-separated).
+ */
+import { ethers } from "ethers";
+import { AmountError, parseTokenAmount } from "./money.js";
+
+/** Verification failure with a stable code and HTTP status for a structured 4xx response. */
+export class AttestationError extends Error {
+  constructor(code, message, details = undefined, status = 422) {
+    super(message);
+    this.name = "AttestationError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, ...(this.details !== undefined && { details: this.details }) };
+  }
+}
+
+export function getAllowedSigners() {
+  return (process.env.TEE_SIGNER_ADDRESSES || "")
+    .split(",")
+    .map((a) => a.trim().toLowerCase())
+    .filter((a) => /^0x[0-9a-f]{40}$/.test(a));
+}
+
+/** Digest the enclave signs for a batch. recipients: checksummed addresses; amounts: bigint base units. */
+export function settlementDigest(recipients, amounts) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint256[]"], [recipients, amounts]);
+  return ethers.keccak256(encoded);
+}
+
+/** Recover the address that signed the batch digest. Throws AttestationError on malformed attestation. */
+export function recoverAttestationSigner(recipients, amounts, attestation) {
+  try {
+    const digest = settlementDigest(recipients, amounts);
+    return ethers.verifyMessage(ethers.getBytes(digest), attestation);
+  } catch (e) {
+    throw new AttestationError("ATTESTATION_MALFORMED", `Attestation is not a valid signature: ${e.shortMessage ?? e.message}`);
+  }
+}
+
+function toAddress(addr) {
+  const s = String(addr ?? "").trim();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(s)) throw new AttestationError("RESULT_MALFORMED", `Invalid payout address in task result: ${s}`);
+  return ethers.getAddress(s.toLowerCase());
+}
+
+function toBaseUnits(amount, decimals) {
+  try {
+    return parseTokenAmount(amount, decimals);
+  } catch (e) {
+    if (!(e instanceof AmountError)) throw e;
+    throw new AttestationError("RESULT_MALFORMED", `Invalid payout amount in task result: ${e.message.replace(/^Invalid amount: /, "")}`);
+  }
+}
+
+/**
+ * Turn a stored task result ({ payouts: [{ address, amount }], tee_attestation }) into the batch it commits to.
+ * Returns { recipients, amounts (bigint[]), attestation }.
+ */
+export function batchFromResult(result, decimals) {
+  if (!result || !Array.isArray(result.payouts) || result.payouts.length === 0) {
+    throw new AttestationError("RESULT_MALFORMED", "Task result has no payouts");
+  }
+  if (typeof result.tee_attestation !== "string" || !result.tee_attestation.startsWith("0x")) {
+    throw new AttestationError("RESULT_MALFORMED", "Task result has no tee_attestation");
+  }
+  return {
+    recipients: result.payouts.map((p) => toAddress(p.address)),
+    amounts: result.payouts.map((p) => toBaseUnits(p.amount, decimals)),
+    attestation: result.tee_attestation,
+  };
+}
+
+/**
+ * Verify a settlement batch against the enclave's stored task result.
+ * - The stored attestation must be signed by an allowlisted enclave key over the stored payouts.
+ * - When a client batch is given, its recipients, amounts and attestation must match the stored ones exactly.
+ * Returns { signer, digest, recipients, amounts, attestation } for the verified batch.
+ */
+export function verifySettlement({ result, decimals, recipients, amounts, attestation }) {
+  const allowed = getAllowedSigners();
+  if (allowed.length === 0) {
+    throw new AttestationError("SIGNERS_NOT_CONFIGURED", "No enclave signers configured. Set TEE_SIGNER_ADDRESSES.", undefined, 503);
+  }
+  const expected = batchFromResult(result, decimals);
+  const signer = recoverAttestationSigner(expected.recipients, expected.amounts, expected.attestation);
+  if (!allowed.includes(signer.toLowerCase())) {
+    throw new AttestationError("SIGNER_NOT_ALLOWED", "Attestation was not signed by an allowed enclave key", { signer });
+  }
+
+  if (recipients !== undefined || amounts !== undefined || attestation !== undefined) {
+    if (String(attestation ?? "").toLowerCase() !== expected.attestation.toLowerCase()) {
+      throw new AttestationError("ATTESTATION_MISMATCH", "Attestation does not match the task result");
+    }
+    if (!Array.isArray(recipients) || !Array.isArray(amounts) || recipients.length !== expected.recipients.length || amounts.length !== expected.amounts.length) {
+      throw new AttestationError("PAYOUT_COUNT_MISMATCH", "Number of payouts does not match the task result", {
+        expected: expected.recipients.length,
+        received: Array.isArray(recipients) ? recipients.length : null,
+      });
+    }
+    const mismatches = [];
+    expected.recipients.forEach((addr, i) => {
+      if (String(recipients[i]).toLowerCase() !== addr.toLowerCase()) {
+        mismatches.push({ index: i, field: "recipient", expected: addr, received: String(recipients[i]) });
+      }
+      if (BigInt(amounts[i]) !== expected.amounts[i]) {
+        mismatches.push({ index: i, field: "amount", expected: expected.amounts[i].toString(), received: String(amounts[i]) });
+      }
+    });
+    if (mismatches.length > 0) {
+      throw new AttestationError("PAYOUT_MISMATCH", "Recipients or amounts do not match the task result", { mismatches });
+    }
+  }
+
+  return {
+    signer,
+    digest: settlementDigest(expected.recipients, expected.amounts),
+    recipients: expected.recipients,
+    amounts: expected.amounts,
+    attestation: expected.attestation,
+  };
+}
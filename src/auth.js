@@ -0,0 +1,264 @@
+/**
+ * Sign-In With Ethereum (EIP-4361): nonces, message parsing, local signature verification
+ * with ethers, and HS256 session tokens. No outside service is contacted.
+ *
+ * Env: AUTH_SECRET (token signing key; random per process when unset),
+ * SIWE_DOMAIN (comma-separated allowed domains; default: hosts of CORS_ORIGIN; the message URI must be on one too),
+ * SIWE_CHAIN_IDS (comma-separated allowed Chain IDs; default: the configured networks), AUTH_TOKEN_TTL_SECONDS (default 24h),
+ * AUTH_NONCE_MAX (outstanding nonces kept; default 10000, the oldest are dropped beyond it).
+ */
+import crypto from "crypto";
+import { ethers } from "ethers";
+import { createLogger } from "./logger.js";
+import { listNetworks } from "./networks.js";
+
+const NONCE_TTL_MS = 10 * 60 * 1000; // 10 minutes to sign the message
+const MAX_MESSAGE_AGE_MS = 10 * 60 * 1000;
+const DEFAULT_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_NONCE_MAX = 10000;
+const DEFAULT_ORIGINS = "https://shadowsettle.0xo.in,http://localhost:3000,http://localhost:5173";
+
+const nonces = new Map(); // nonce -> expiresAt (ms), in issue order
+let generatedSecret = null;
+
+const log = createLogger("auth");
+
+function getSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+    log("AUTH_SECRET not set; using a random secret (sessions end on restart)");
+  }
+  return generatedSecret;
+}
+
+function getAllowedDomains() {
+  const raw = process.env.SIWE_DOMAIN || process.env.CORS_ORIGIN || DEFAULT_ORIGINS;
+  return raw
+    .split(",")
+    .map((d) => d.trim())
+    .filter(Boolean)
+    .map((d) => {
+      try {
+        return new URL(d).host;
+      } catch {
+        return d;
+      }
+    });
+}
+
+/** Chain IDs a SIWE message may name; empty when nothing is configured (then any is accepted). */
+function getAllowedChainIds() {
+  const raw = String(process.env.SIWE_CHAIN_IDS ?? "").trim();
+  if (raw) return raw.split(",").map((id) => Number(id.trim())).filter(Number.isInteger);
+  return listNetworks().map((n) => n.chainId);
+}
+
+function getNonceMax() {
+  return Number(process.env.AUTH_NONCE_MAX) || DEFAULT_NONCE_MAX;
+}
+
+function getTokenTtlSeconds() {
+  return Number(process.env.AUTH_TOKEN_TTL_SECONDS) || DEFAULT_TOKEN_TTL_SECONDS;
+}
+
+/** Error with an HTTP status, thrown by verification so routes can map it to a response. */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+// Every nonce gets the same TTL, so the Map's insertion order is expiry order: stop at the first live one.
+function pruneNonces(now = Date.now()) {
+  for (const [nonce, expiresAt] of nonces) {
+    if (expiresAt > now) break;
+    nonces.delete(nonce);
+  }
+}
+
+/**
+ * Issue a single-use nonce for a SIWE message. GET /auth/nonce is unauthenticated, so the store is capped at
+ * AUTH_NONCE_MAX: past it the oldest outstanding nonces are dropped (their sign-ins fail and must fetch a new one).
+ */
+export function createNonce() {
+  pruneNonces();
+  const max = getNonceMax();
+  for (const oldest of nonces.keys()) {
+    if (nonces.size < max) break;
+    nonces.delete(oldest);
+  }
+  const nonce = crypto.randomBytes(16).toString("hex");
+  nonces.set(nonce, Date.now() + NONCE_TTL_MS);
+  return nonce;
+}
+
+function consumeNonce(nonce) {
+  const expiresAt = nonces.get(nonce);
+  nonces.delete(nonce);
+  return expiresAt != null && expiresAt > Date.now();
+}
+
+/**
+ * Parse an EIP-4361 message into its fields. Throws AuthError when the layout is not SIWE.
+ */
+export function parseSiweMessage(message) {
+  if (typeof message !== "string") throw new AuthError("Missing SIWE message", 400);
+  const lines = message.split("\n");
+  const header = /^(?:([a-zA-Z][a-zA-Z0-9+.-]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] ?? "");
+  if (!header) throw new AuthError("Malformed SIWE message: bad header", 400);
+  const address = (lines[1] ?? "").trim();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) throw new AuthError("Malformed SIWE message: bad address", 400);
+
+  const fields = {};
+  let statement = null;
+  for (const line of lines.slice(2)) {
+    const m = /^([A-Za-z ]+): (.*)$/.exec(line);
+    if (m) fields[m[1]] = m[2];
+    else if (line.trim() && !line.startsWith("- ") && statement == null) statement = line;
+  }
+  for (const required of ["URI", "Version", "Chain ID", "Nonce", "Issued At"]) {
+    if (!fields[required]) throw new AuthError(`Malformed SIWE message: missing ${required}`, 400);
+  }
+  if (fields.Version !== "1") throw new AuthError("Unsupported SIWE version", 400);
+
+  return {
+    domain: header[2],
+    address,
+    statement,
+    uri: fields.URI,
+    version: fields.Version,
+    chainId: Number(fields["Chain ID"]),
+    nonce: fields.Nonce,
+    issuedAt: fields["Issued At"],
+    expirationTime: fields["Expiration Time"] ?? null,
+    notBefore: fields["Not Before"] ?? null,
+  };
+}
+
+/**
+ * Verify a signed SIWE message: domain, URI, chain id, nonce, time window and signer.
+ * Returns the checksummed wallet address.
+ */
+export function verifySiwe(message, signature) {
+  const fields = parseSiweMessage(message);
+  const domains = getAllowedDomains();
+  if (!domains.includes(fields.domain)) {
+    throw new AuthError(`SIWE domain not allowed: ${fields.domain}`);
+  }
+  let uriHost = null;
+  try {
+    uriHost = new URL(fields.uri).host;
+  } catch {
+    // reported below
+  }
+  if (!uriHost || !domains.includes(uriHost)) {
+    throw new AuthError(`SIWE URI not allowed: ${fields.uri}`);
+  }
+  const chainIds = getAllowedChainIds();
+  if (chainIds.length > 0 && !chainIds.includes(fields.chainId)) {
+    throw new AuthError(`SIWE chain id not allowed: ${fields.chainId} (expected ${chainIds.join(", ")})`);
+  }
+  const now = Date.now();
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (!Number.isFinite(issuedAt) || issuedAt > now + 60 * 1000 || now - issuedAt > MAX_MESSAGE_AGE_MS) {
+    throw new AuthError("SIWE message issued-at is out of range");
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    throw new AuthError("SIWE message expired");
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+    throw new AuthError("SIWE message not yet valid");
+  }
+  if (typeof signature !== "string" || !signature.startsWith("0x")) {
+    throw new AuthError("Missing or invalid signature", 400);
+  }
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(message, signature);
+  } catch {
+    throw new AuthError("Invalid signature");
+  }
+  if (recovered.toLowerCase() !== fields.address.toLowerCase()) {
+    throw new AuthError("Signature does not match SIWE address");
+  }
+  // Consume last so a bad signature cannot burn someone else's nonce.
+  if (!consumeNonce(fields.nonce)) {
+    throw new AuthError("Unknown or expired nonce");
+  }
+  return ethers.getAddress(recovered);
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", getSecret()).update(data).digest("base64url");
+}
+
+/** Issue an HS256 JWT binding the wallet. Returns { token, expiresAt } (expiresAt in ms). */
+export function issueToken(wallet) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + getTokenTtlSeconds();
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(JSON.stringify({ sub: wallet.toLowerCase(), iat, exp }));
+  const token = `${header}.${payload}.${hmac(`${header}.${payload}`)}`;
+  return { token, expiresAt: exp * 1000 };
+}
+
+/** Verify a token issued by issueToken. Returns the lowercase wallet or null. */
+export function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, sig] = parts;
+  const expected = Buffer.from(hmac(`${header}.${payload}`));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.sub || !claims.exp || claims.exp * 1000 <= Date.now()) return null;
+    return String(claims.sub).toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Middleware: bind req.wallet from an `Authorization: Bearer <token>` header when valid.
+ * Never rejects; use requireAuth on routes that need a caller.
+ */
+export function authenticate(req, res, next) {
+  const header = req.headers?.authorization;
+  const m = typeof header === "string" ? /^Bearer\s+(.+)$/i.exec(header.trim()) : null;
+  req.wallet = m ? verifyToken(m[1]) : null;
+  next();
+}
+
+/** Whether `wallet` is one of SETTLEMENT_OPERATOR_WALLETS (comma-separated), who may act on any job or transaction. */
+export function isSettlementOperator(wallet) {
+  if (!wallet) return false;
+  const operators = String(process.env.SETTLEMENT_OPERATOR_WALLETS ?? "").split(",").map((a) => a.trim().toLowerCase()).filter(Boolean);
+  return operators.includes(wallet.toLowerCase());
+}
+
+/**
+ * Middleware for Server-Sent Events routes: EventSource can't send headers, so also accept the token as
+ * `?token=`. Request logs only carry the path, so the token doesn't end up in them.
+ */
+export function authenticateQueryToken(req, res, next) {
+  if (!req.wallet && typeof req.query?.token === "string") req.wallet = verifyToken(req.query.token);
+  next();
+}
+
+/** Middleware: 401 unless authenticate bound a wallet. */
+export function requireAuth(req, res, next) {
+  if (!req.wallet) {
+    res.status(401).json({ error: "Authentication required. Sign in with Ethereum via POST /auth/verify." });
+    return;
+  }
+  next();
+}
@@ -0,0 +1,82 @@
+/**
+ * Dataset encryption for confidential delivery to the enclave. Pure functions (no network, no storage),
+ * so they can be exercised offline.
+ *
+ * A dataset is encrypted with a fresh AES-256-GCM key and packaged as a JSON envelope:
+ *   { "v": 1, "alg": "A256GCM", "iv": <base64, 12 bytes>, "tag": <base64, 16 bytes>, "ciphertext": <base64> }
+ * Only the envelope is hosted. The key (base64, 32 bytes) reaches the enclave as iExec requester secret 1,
+ * i.e. IEXEC_REQUESTER_SECRET_1, and the app decrypts the file it downloads from iexec_input_files.
+ */
+import crypto from "crypto";
+
+export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_ALG = "A256GCM";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/** Fresh random key, base64-encoded. */
+export function generateDatasetKey() {
+  return crypto.randomBytes(KEY_BYTES).toString("base64");
+}
+
+function decodeKey(key) {
+  const buf = Buffer.from(String(key ?? ""), "base64");
+  if (buf.length !== KEY_BYTES) throw new Error(`Dataset key must be ${KEY_BYTES} bytes (base64)`);
+  return buf;
+}
+
+/** Encrypt a plaintext string with a base64 key. Returns the envelope object. */
+export function encryptPayload(plaintext, key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", decodeKey(key), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return {
+    v: ENVELOPE_VERSION,
+    alg: ENVELOPE_ALG,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+/** True if value looks like an envelope produced by encryptPayload. */
+export function isEncryptedEnvelope(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    value.v === ENVELOPE_VERSION &&
+    value.alg === ENVELOPE_ALG &&
+    typeof value.iv === "string" &&
+    typeof value.tag === "string" &&
+    typeof value.ciphertext === "string"
+  );
+}
+
+/** Decrypt an envelope with its base64 key. Returns the plaintext string; throws if the key or data is wrong. */
+export function decryptPayload(envelope, key) {
+  if (!isEncryptedEnvelope(envelope)) throw new Error("Not an encrypted dataset envelope");
+  const iv = Buffer.from(envelope.iv, "base64");
+  const tag = Buffer.from(envelope.tag, "base64");
+  if (iv.length !== IV_BYTES || tag.length !== TAG_BYTES) throw new Error("Malformed dataset envelope");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", decodeKey(key), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, "base64")), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Encrypt a dataset object with a fresh key. Returns { key, envelope, secretName }:
+ * envelope is what gets hosted, key is pushed as the requester secret named secretName.
+ */
+export function packageDataset(dataset) {
+  const key = generateDatasetKey();
+  const envelope = encryptPayload(JSON.stringify(dataset), key);
+  // Requester secrets can't be overwritten, so every package gets its own name.
+  const secretName = `shadowsettle-dataset-${crypto.randomBytes(12).toString("hex")}`;
+  return { key, envelope, secretName };
+}
+
+/** Inverse of packageDataset: the dataset object from an envelope and its key. */
+export function unpackDataset(envelope, key) {
+  return JSON.parse(decryptPayload(envelope, key));
+}
@@ -0,0 +1,122 @@
+/**
+ * How the settlement dataset reaches the enclave.
+ *
+ * DATASET_DELIVERY=plain (default): the dataset URL is handed to iExec as-is. DATASET_DELIVERY=encrypted
+ * (opt-in, needs an app that decrypts its input): POST /settlement/run encrypts the dataset with a fresh key
+ * (dataset-crypto.js), hosts only the ciphertext envelope in the dataset store and passes the key to the task
+ * as an iExec requester secret.
+ * DATASET_PUBLIC_UPLOAD=true (opt-in) also uploads to a public file host (0x0.st, transfer.sh), for a backend
+ * that iExec workers can't reach: the ciphertext in encrypted mode, the plaintext dataset in plain mode.
+ */
+import { packageDataset, isEncryptedEnvelope } from "./dataset-crypto.js";
+import { saveDataset, getDatasetBaseUrl } from "./dataset-store.js";
+import { createLogger, redactUrl } from "./logger.js";
+
+const PUBLIC_UPLOAD_0X0 = "https://0x0.st";
+const PUBLIC_UPLOAD_TRANSFER = "https://transfer.sh";
+
+const log = createLogger("dataset-delivery");
+
+/** Delivery failure with a stable code and HTTP status. */
+export class DatasetDeliveryError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "DatasetDeliveryError";
+    this.code = code;
+    this.status = status;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+export function getDeliveryConfig() {
+  const mode = (process.env.DATASET_DELIVERY || "plain").toLowerCase();
+  if (mode !== "encrypted" && mode !== "plain") {
+    throw new Error(`Unknown DATASET_DELIVERY "${mode}" (use "encrypted" or "plain")`);
+  }
+  return {
+    mode,
+    publicUpload: ["1", "true", "yes"].includes(String(process.env.DATASET_PUBLIC_UPLOAD ?? "").toLowerCase()),
+  };
+}
+
+/**
+ * Upload JSON to a public file host so iExec workers (on the internet) can fetch it.
+ * Tries 0x0.st first, then transfer.sh. Returns the public URL or null on failure.
+ */
+export async function uploadToPublicHost(jsonObject) {
+  const body = JSON.stringify(jsonObject);
+
+  // Try 0x0.st (multipart)
+  try {
+    const form = new FormData();
+    form.append("file", new Blob([body], { type: "application/json" }), "dataset.json");
+    const response = await fetch(PUBLIC_UPLOAD_0X0, {
+      method: "POST",
+      body: form,
+      headers: { "User-Agent": "ShadowSettle-Backend/1.0" },
+    });
+    const text = (await response.text()).trim();
+    if (!response.ok) {
+      log("0x0.st response", response.status, "body:", text.slice(0, 100));
+    } else if (text.startsWith("http")) {
+      return text;
+    } else if (text.startsWith("/")) {
+      return PUBLIC_UPLOAD_0X0.replace(/\/$/, "") + text;
+    } else {
+      log("0x0.st body (no URL):", text.slice(0, 100));
+    }
+  } catch (e) {
+    log.warn("0x0.st error:", e);
+  }
+
+  // Fallback: transfer.sh (PUT)
+  try {
+    const response = await fetch(`${PUBLIC_UPLOAD_TRANSFER}/dataset.json`, {
+      method: "PUT",
+      body,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "ShadowSettle-Backend/1.0",
+      },
+    });
+    const text = (await response.text()).trim();
+    if (response.ok && text.startsWith("http")) return text;
+    log("transfer.sh response", response.status, "body:", text.slice(0, 100));
+  } catch (e) {
+    log.warn("transfer.sh error:", e);
+  }
+
+  return null;
+}
+
+/**
+ * Prepare what runSettlementTask gets for a dataset. dataset is the parsed JSON behind url
+ * (only needed in encrypted mode). Returns { mode, inputUrl, requesterSecret? } where inputUrl goes into
+ * iexec_input_files and requesterSecret { name, value } carries the decryption key.
+ */
+export async function prepareDelivery(url, dataset) {
+  const { mode, publicUpload } = getDeliveryConfig();
+  if (mode === "plain") return { mode, inputUrl: url };
+
+  if (isEncryptedEnvelope(dataset)) {
+    throw new DatasetDeliveryError("DATASET_ALREADY_ENCRYPTED", "Dataset is already encrypted; submit the plaintext dataset URL");
+  }
+  const { key, envelope, secretName } = packageDataset(dataset);
+  const { id } = await saveDataset(envelope);
+  let inputUrl = `${getDatasetBaseUrl()}/datasets/${id}.json`;
+  log("encrypted dataset stored, id:", id, "| secret:", secretName);
+  if (publicUpload) {
+    const publicUrl = await uploadToPublicHost(envelope).catch((e) => {
+      log.warn("public upload failed:", e);
+      return null;
+    });
+    if (publicUrl) {
+      log("ciphertext publicUrl:", redactUrl(publicUrl));
+      inputUrl = publicUrl;
+    }
+  }
+  return { mode, inputUrl, requesterSecret: { name: secretName, value: key } };
+}
@@ -0,0 +1,150 @@
+/**
+ * ShadowSettle dataset format: the JSON the frontend uploads and the TEE app reads.
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "March payroll",
+ *     "decimals": 6,
+ *     "participants": [{ "address": "0x…", "amount": "1250.5", "label": "alice" }],
+ *     "rules": { "mode": "fixed", "total": "1250.5", "minAmount": "1", "maxAmount": "5000" }
+ *   }
+ *
+ * Amounts are decimal strings (or JSON numbers) in whole token units, with at most `decimals` fraction digits.
+ * validateDataset() applies the JSON Schema below plus the checks a schema can't express
+ * (duplicate addresses, fraction digits, totals and per-participant bounds).
+ */
+import { validateSchema, joinPath } from "./json-schema.js";
+import { parseTokenAmount } from "./money.js";
+
+export const DEFAULT_DATASET_DECIMALS = 6;
+export const MAX_PARTICIPANTS = 1000;
+
+export const DATASET_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: "https://shadowsettle.0xo.in/schemas/dataset-v1.json",
+  title: "ShadowSettle dataset",
+  type: "object",
+  required: ["participants"],
+  properties: {
+    version: { const: 1, description: "Dataset format version" },
+    name: { type: "string", maxLength: 200 },
+    decimals: {
+      type: "integer",
+      minimum: 0,
+      maximum: 18,
+      description: `Token decimals amounts are expressed against (default ${DEFAULT_DATASET_DECIMALS})`,
+    },
+    participants: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_PARTICIPANTS,
+      items: { $ref: "#/$defs/participant" },
+    },
+    rules: { $ref: "#/$defs/rules" },
+  },
+  $defs: {
+    address: {
+      type: "string",
+      pattern: "^0x[0-9a-fA-F]{40}$",
+      errorMessage: "must be a 0x-prefixed 20-byte hex address",
+    },
+    amount: {
+      anyOf: [
+        { type: "string", pattern: "^\\d+(\\.\\d+)?$", errorMessage: "must be a non-negative decimal string" },
+        { type: "number", minimum: 0, maximum: 1e15 },
+      ],
+    },
+    participant: {
+      type: "object",
+      required: ["address", "amount"],
+      properties: {
+        address: { $ref: "#/$defs/address" },
+        amount: { $ref: "#/$defs/amount" },
+        label: { type: "string", maxLength: 100 },
+      },
+      additionalProperties: false,
+    },
+    rules: {
+      type: "object",
+      properties: {
+        mode: {
+          enum: ["fixed", "pro_rata", "equal_split"],
+          description: "fixed: pay amounts as given; pro_rata: scale amounts to total; equal_split: total shared equally",
+        },
+        total: { $ref: "#/$defs/amount" },
+        minAmount: { $ref: "#/$defs/amount" },
+        maxAmount: { $ref: "#/$defs/amount" },
+      },
+      additionalProperties: false,
+    },
+  },
+};
+
+/** Decimal amount (string or number) to base units, or null if it has more than `decimals` fraction digits. */
+function toUnits(amount, decimals) {
+  try {
+    return parseTokenAmount(amount, decimals);
+  } catch {
+    return null;
+  }
+}
+
+/** Checks beyond the schema; only run once the schema passes. */
+function semanticErrors(dataset) {
+  const errors = [];
+  const decimals = dataset.decimals ?? DEFAULT_DATASET_DECIMALS;
+  const units = (amount, path) => {
+    const v = toUnits(amount, decimals);
+    if (v === null) errors.push({ path, message: `has more than ${decimals} decimal places` });
+    return v;
+  };
+
+  const seen = new Map();
+  let sum = 0n;
+  const amounts = dataset.participants.map((p, i) => {
+    const path = joinPath("participants", i);
+    const addr = p.address.toLowerCase();
+    if (seen.has(addr)) {
+      errors.push({ path: joinPath(path, "address"), message: `duplicates participants[${seen.get(addr)}].address` });
+    } else {
+      seen.set(addr, i);
+    }
+    const v = units(p.amount, joinPath(path, "amount"));
+    if (v !== null) sum += v;
+    return v;
+  });
+
+  const rules = dataset.rules ?? {};
+  const total = rules.total !== undefined ? units(rules.total, "rules.total") : null;
+  const min = rules.minAmount !== undefined ? units(rules.minAmount, "rules.minAmount") : null;
+  const max = rules.maxAmount !== undefined ? units(rules.maxAmount, "rules.maxAmount") : null;
+  const mode = rules.mode ?? "fixed";
+
+  if (min !== null && max !== null && min > max) {
+    errors.push({ path: "rules.minAmount", message: "must not exceed rules.maxAmount" });
+  }
+  if (mode !== "fixed" && total === null) {
+    errors.push({ path: "rules.total", message: `is required when rules.mode is "${mode}"` });
+  }
+  if (mode === "fixed" && total !== null && amounts.every((v) => v !== null) && sum !== total) {
+    errors.push({ path: "rules.total", message: "must equal the sum of participant amounts" });
+  }
+  if (mode === "pro_rata" && amounts.every((v) => v !== null) && sum === 0n) {
+    errors.push({ path: "participants", message: "amounts must not all be zero when rules.mode is \"pro_rata\"" });
+  }
+  if (mode === "fixed") {
+    amounts.forEach((v, i) => {
+      if (v === null) return;
+      const path = joinPath(joinPath("participants", i), "amount");
+      if (min !== null && v < min) errors.push({ path, message: "is below rules.minAmount" });
+      if (max !== null && v > max) errors.push({ path, message: "is above rules.maxAmount" });
+    });
+  }
+  return errors;
+}
+
+/** Validate a dataset. Returns [{ path, message }] (empty when valid), e.g. { path: "participants[2].address", ... }. */
+export function validateDataset(dataset) {
+  const errors = validateSchema(DATASET_SCHEMA, dataset);
+  return errors.length > 0 ? errors : semanticErrors(dataset);
+}
@@ -0,0 +1,245 @@
+/**
+ * Content-addressed storage for uploaded datasets. A dataset's id is the SHA-256 of its canonical JSON
+ * (object keys sorted, no whitespace), so identical uploads share one entry and the URL handed to iExec
+ * always serves the same bytes. Each entry expires DATASET_TTL_SECONDS after its latest upload and is
+ * removed by a periodic sweep.
+ *
+ * Backends: "postgres" (datasets table) or "fs" (DATASET_DIR). DATASET_STORE picks one; by default
+ * Postgres is used when configured, the filesystem otherwise.
+ *
+ * Env: DATASET_STORE, DATASET_DIR (default ./data/datasets), DATASET_TTL_SECONDS (default 7 days),
+ * DATASET_CLEANUP_INTERVAL_MS (default 1h), DATASET_FETCH_TIMEOUT_MS, DATASET_FETCH_MAX_BYTES.
+ */
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as db from "./db.js";
+import { createLogger } from "./logger.js";
+import { fetchPublicUrl } from "./outbound-url.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.resolve(__dirname, "..", "data", "datasets");
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f]{64}$/;
+
+let store = null;
+let cleanupTimer = null;
+
+const log = createLogger("dataset-store");
+
+export function getDatasetStoreConfig() {
+  const backend = (process.env.DATASET_STORE || (db.isDbConfigured() ? "postgres" : "fs")).toLowerCase();
+  return {
+    backend,
+    dir: process.env.DATASET_DIR ? path.resolve(process.env.DATASET_DIR) : DEFAULT_DIR,
+    ttlSeconds: Number(process.env.DATASET_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+    cleanupIntervalMs: Number(process.env.DATASET_CLEANUP_INTERVAL_MS) || DEFAULT_CLEANUP_INTERVAL_MS,
+  };
+}
+
+/** JSON with object keys sorted recursively and no whitespace. */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map((v) => canonicalJson(v ?? null)).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined && typeof value[k] !== "function")
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+export function isDatasetId(id) {
+  return ID_PATTERN.test(String(id ?? ""));
+}
+
+/** Datasets as files: <id>.json holds the body, <id>.meta.json its timestamps. */
+export class FileDatasetStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  bodyPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  metaPath(id) {
+    return path.join(this.dir, `${id}.meta.json`);
+  }
+
+  async readMeta(id) {
+    try {
+      const meta = JSON.parse(await fs.readFile(this.metaPath(id), "utf8"));
+      return { ...meta, createdAt: new Date(meta.createdAt), expiresAt: new Date(meta.expiresAt) };
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  /** Write via a temp file and rename, so readers never see a partial file. */
+  async writeAtomic(file, contents) {
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.writeFile(tmp, contents);
+    await fs.rename(tmp, file);
+  }
+
+  async put({ id, body, expiresAt }) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const existing = await this.readMeta(id);
+    const size = Buffer.byteLength(body);
+    if (!existing) await this.writeAtomic(this.bodyPath(id), body);
+    const meta = {
+      id,
+      size,
+      createdAt: existing?.createdAt ?? new Date(),
+      expiresAt: existing && existing.expiresAt > expiresAt ? existing.expiresAt : expiresAt,
+    };
+    await this.writeAtomic(this.metaPath(id), JSON.stringify(meta));
+    return { ...meta, created: !existing };
+  }
+
+  async get(id) {
+    const meta = await this.readMeta(id);
+    if (!meta || meta.expiresAt <= new Date()) return null;
+    try {
+      return { ...meta, body: await fs.readFile(this.bodyPath(id), "utf8") };
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async deleteExpired() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (e) {
+      if (e.code === "ENOENT") return 0;
+      throw e;
+    }
+    const now = new Date();
+    let removed = 0;
+    for (const file of files) {
+      const match = /^([0-9a-f]{64})\.meta\.json$/.exec(file);
+      if (!match) continue;
+      const meta = await this.readMeta(match[1]).catch(() => null);
+      if (meta && meta.expiresAt > now) continue;
+      await fs.rm(this.bodyPath(match[1]), { force: true });
+      await fs.rm(this.metaPath(match[1]), { force: true });
+      removed++;
+    }
+    return removed;
+  }
+}
+
+/** Datasets in the Postgres datasets table (see db.js). */
+export class PostgresDatasetStore {
+  put(entry) {
+    return db.putDataset(entry);
+  }
+
+  get(id) {
+    return db.getDataset(id);
+  }
+
+  deleteExpired() {
+    return db.deleteExpiredDatasets();
+  }
+}
+
+export function getDatasetStore() {
+  if (store) return store;
+  const { backend, dir } = getDatasetStoreConfig();
+  if (backend === "postgres") {
+    if (!db.isDbConfigured()) throw new Error("DATASET_STORE=postgres requires DATABASE_URL (or PGHOST / PGDATABASE)");
+    store = new PostgresDatasetStore();
+  } else if (backend === "fs") {
+    store = new FileDatasetStore(dir);
+  } else {
+    throw new Error(`Unknown DATASET_STORE "${backend}" (use "fs" or "postgres")`);
+  }
+  return store;
+}
+
+/**
+ * Store a dataset object. Returns { id, body, size, createdAt, expiresAt, created }, where body is the
+ * canonical JSON served back and created is false when the same content was already stored.
+ */
+export async function saveDataset(value) {
+  const body = canonicalJson(value);
+  const id = crypto.createHash("sha256").update(body).digest("hex");
+  const expiresAt = new Date(Date.now() + getDatasetStoreConfig().ttlSeconds * 1000);
+  const saved = await getDatasetStore().put({ id, body, expiresAt });
+  return { ...saved, body };
+}
+
+/** Unexpired dataset by id ({ id, body, size, createdAt, expiresAt }) or null. */
+export async function loadDataset(id) {
+  if (!isDatasetId(id)) return null;
+  return getDatasetStore().get(id);
+}
+
+/** Base URL dataset links are built on (BACKEND_PUBLIC_URL, else localhost:PORT). */
+export function getDatasetBaseUrl() {
+  return (process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, "");
+}
+
+/**
+ * Fetch the dataset JSON behind a URL. URLs this backend handed out are read from the store directly;
+ * anything else is fetched over HTTP(S) (DATASET_FETCH_TIMEOUT_MS, max DATASET_FETCH_MAX_BYTES), only from public
+ * addresses, redirects included (see outbound-url.js). Returns the parsed JSON; throws with a readable message when it can't be loaded.
+ */
+export async function fetchDatasetJson(url) {
+  const ownPrefix = `${getDatasetBaseUrl()}/datasets/`;
+  const own = url.startsWith(ownPrefix) ? /^([0-9a-f]{64})\.json$/.exec(url.slice(ownPrefix.length)) : null;
+  if (own) {
+    const dataset = await loadDataset(own[1]);
+    if (!dataset) throw new Error("Dataset not found or expired");
+    return JSON.parse(dataset.body);
+  }
+  const timeoutMs = Number(process.env.DATASET_FETCH_TIMEOUT_MS) || 10_000;
+  const maxBytes = Number(process.env.DATASET_FETCH_MAX_BYTES) || 5 * 1024 * 1024;
+  const response = await fetchPublicUrl(url, { signal: AbortSignal.timeout(timeoutMs), headers: { Accept: "application/json" } });
+  if (!response.ok) throw new Error(`Dataset URL returned HTTP ${response.status}`);
+  if (Number(response.headers.get("content-length")) > maxBytes) throw new Error(`Dataset is larger than ${maxBytes} bytes`);
+  const text = await response.text();
+  if (Buffer.byteLength(text) > maxBytes) throw new Error(`Dataset is larger than ${maxBytes} bytes`);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error("Dataset URL did not return valid JSON");
+  }
+}
+
+/** Remove expired datasets now. Returns the number removed. */
+export function sweepExpiredDatasets() {
+  return getDatasetStore().deleteExpired();
+}
+
+/** Sweep expired datasets every DATASET_CLEANUP_INTERVAL_MS (first sweep right away). */
+export function startDatasetCleanup() {
+  if (cleanupTimer) return false;
+  const { backend, cleanupIntervalMs, ttlSeconds } = getDatasetStoreConfig();
+  const tick = async () => {
+    try {
+      const removed = await sweepExpiredDatasets();
+      if (removed > 0) log("removed", removed, "expired dataset(s)");
+    } catch (e) {
+      log.error("cleanup error:", e);
+    } finally {
+      if (cleanupTimer) cleanupTimer = setTimeout(tick, cleanupIntervalMs).unref();
+    }
+  };
+  cleanupTimer = setTimeout(tick, 0).unref();
+  log("backend:", backend, "| ttl:", ttlSeconds, "s | sweep every", cleanupIntervalMs, "ms");
+  return true;
+}
+
+export function stopDatasetCleanup() {
+  if (cleanupTimer) clearTimeout(cleanupTimer);
+  cleanupTimer = null;
+}
@@ -2,13 +2,15 @@
  * Postgres connection and treasury balance persistence.
  * Set DATABASE_URL (or PGHOST, PGPORT, PGDATABASE, PGUSER, PGPASSWORD) to enable.
  */
+import { EventEmitter } from "events";
 import pg from "pg";
 
 const { Pool } = pg;
 
 let pool = null;
 
-function getPool() {
+/** Shared pool, or null when no database is configured. */
+export function getPool() {
   if (pool) return pool;
   const url = process.env.DATABASE_URL;
   if (!url && !process.env.PGHOST && !process.env.PGDATABASE) return null;
@@ -28,52 +30,37 @@ function getPool() {
 
 const TABLE_TREASURY = "treasury_balance";
 const TABLE_JOBS = "jobs";
+const TABLE_TRANSACTIONS = "transactions";
+const TABLE_SETTLEMENT_EVENTS = "settlement_events";
+const TABLE_TREASURY_TRANSFERS = "treasury_transfers";
+const TABLE_INDEXER_CHECKPOINTS = "indexer_checkpoints";
+const TABLE_DATASETS = "datasets";
+const TABLE_WEBHOOK_SUBSCRIPTIONS = "webhook_subscriptions";
+const TABLE_WEBHOOK_DELIVERIES = "webhook_deliveries";
+const TABLE_ACTIVITY_EVENTS = "activity_events";
+const TABLE_FAUCET_CLAIMS = "faucet_claims";
+const TABLE_TREASURY_DEPOSITS = "treasury_deposits";
 
-export async function initDb() {
-  const p = getPool();
-  if (!p) return;
-  await p.query(`
-    CREATE TABLE IF NOT EXISTS ${TABLE_TREASURY} (
-      settlement_address TEXT PRIMARY KEY,
-      balance_raw TEXT NOT NULL,
-      balance_formatted TEXT NOT NULL,
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `);
-  await p.query(`
-    CREATE TABLE IF NOT EXISTS ${TABLE_JOBS} (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      wallet_address TEXT,
-      task_id TEXT UNIQUE NOT NULL,
-      deal_id TEXT,
-      settlement_name TEXT NOT NULL DEFAULT 'Settlement',
-      status TEXT NOT NULL DEFAULT 'submitted',
-      result JSONB,
-      error TEXT,
-      dataset_url_override TEXT,
-      submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      settled_tx_hash TEXT,
-      settled_at TIMESTAMPTZ,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `);
-  await p.query(`CREATE INDEX IF NOT EXISTS idx_jobs_wallet ON ${TABLE_JOBS}(wallet_address)`);
-  await p.query(`CREATE INDEX IF NOT EXISTS idx_jobs_submitted_at ON ${TABLE_JOBS}(submitted_at DESC)`);
-  // Add settled columns if table already existed without them (Postgres 9.5+)
-  await p.query(`ALTER TABLE ${TABLE_JOBS} ADD COLUMN IF NOT EXISTS settled_tx_hash TEXT`).catch(() => {});
-  await p.query(`ALTER TABLE ${TABLE_JOBS} ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ`).catch(() => {});
-}
+/** Retry and claim columns (010_job_retries.sql), selected with every job row. */
+const JOB_ATTEMPT_COLUMNS =
+  "original_job_id, attempt, retry_of_task_id, retried_by_task_id, claim_tx_hash, claimed_at, claim_refund_nrlc, claim_error";
 
 /**
- * Get stored treasury balance for a settlement address. Returns null if not in DB.
+ * Job state changes, whoever makes them (routes, job watcher, tx-manager events):
+ * "created" (row) when createJob inserts a new job, "updated" (row, previous) after updateJobByTaskId, where
+ * previous is { status, hasResult, settledTxHash } as they were before the update.
  */
-export async function getTreasuryBalance(settlementAddress) {
+export const jobEvents = new EventEmitter();
+
+/**
+ * Get stored treasury balance for a settlement address on a network. Returns null if not in DB.
+ */
+export async function getTreasuryBalance(chainId, settlementAddress) {
   const p = getPool();
   if (!p) return null;
   const r = await p.query(
-    `SELECT balance_formatted, balance_raw, updated_at FROM ${TABLE_TREASURY} WHERE settlement_address = $1`,
-    [settlementAddress.toLowerCase()]
+    `SELECT balance_formatted, balance_raw, updated_at FROM ${TABLE_TREASURY} WHERE chain_id = $1 AND settlement_address = $2`,
+    [chainId, settlementAddress.toLowerCase()]
   );
   if (r.rows.length === 0) return null;
   const row = r.rows[0];
@@ -85,25 +72,30 @@ export async function getTreasuryBalance(settlementAddress) {
 }
 
 /**
- * Upsert treasury balance for a settlement address.
+ * Upsert treasury balance for a settlement address on a network.
  */
-export async function setTreasuryBalance(settlementAddress, balanceRaw, balanceFormatted) {
+export async function setTreasuryBalance(chainId, settlementAddress, balanceRaw, balanceFormatted) {
   const p = getPool();
   if (!p) return;
   const addr = settlementAddress.toLowerCase();
   await p.query(
-    `INSERT INTO ${TABLE_TREASURY} (settlement_address, balance_raw, balance_formatted, updated_at)
-     VALUES ($1, $2, $3, NOW())
-     ON CONFLICT (settlement_address) DO UPDATE SET
+    `INSERT INTO ${TABLE_TREASURY} (chain_id, settlement_address, balance_raw, balance_formatted, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (chain_id, settlement_address) DO UPDATE SET
        balance_raw = EXCLUDED.balance_raw,
        balance_formatted = EXCLUDED.balance_formatted,
        updated_at = NOW()`,
-    [addr, String(balanceRaw), balanceFormatted]
+    [chainId, addr, String(balanceRaw), balanceFormatted]
   );
 }
 
 // --- Jobs ---
 
+/**
+ * Insert a job, or update the existing one with the same task_id when wallet_address owns it (a row without an
+ * owner, from before sign-in, is claimed by it) and chain_id does not contradict it. Returns the row, or null when
+ * the existing job belongs to another wallet or network (checked in the same statement, so nothing can slip in).
+ */
 export async function createJob(data) {
   const p = getPool();
   if (!p) return null;
@@ -117,18 +109,25 @@ export async function createJob(data) {
     error = null,
     dataset_url_override = null,
     submitted_at = new Date(),
+    chain_id = null,
   } = data;
   const r = await p.query(
-    `INSERT INTO ${TABLE_JOBS} (wallet_address, task_id, deal_id, settlement_name, status, result, error, dataset_url_override, submitted_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `INSERT INTO ${TABLE_JOBS} (wallet_address, task_id, deal_id, settlement_name, status, result, error, dataset_url_override, submitted_at, chain_id, completed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CASE WHEN $6::jsonb IS NOT NULL THEN NOW() END)
      ON CONFLICT (task_id) DO UPDATE SET
        deal_id = COALESCE(EXCLUDED.deal_id, ${TABLE_JOBS}.deal_id),
+       chain_id = COALESCE(EXCLUDED.chain_id, ${TABLE_JOBS}.chain_id),
        settlement_name = COALESCE(EXCLUDED.settlement_name, ${TABLE_JOBS}.settlement_name),
        status = EXCLUDED.status,
        result = COALESCE(EXCLUDED.result, ${TABLE_JOBS}.result),
        error = EXCLUDED.error,
+       completed_at = COALESCE(${TABLE_JOBS}.completed_at, EXCLUDED.completed_at),
+       wallet_address = COALESCE(${TABLE_JOBS}.wallet_address, EXCLUDED.wallet_address),
        updated_at = NOW()
-     RETURNING id, task_id, deal_id, settlement_name, status, result, error, submitted_at, created_at, updated_at`,
+     WHERE (${TABLE_JOBS}.wallet_address IS NULL OR ${TABLE_JOBS}.wallet_address = EXCLUDED.wallet_address)
+       AND (EXCLUDED.chain_id IS NULL OR ${TABLE_JOBS}.chain_id IS NULL OR ${TABLE_JOBS}.chain_id = EXCLUDED.chain_id)
+     RETURNING id, wallet_address, task_id, deal_id, settlement_name, status, result, error, dataset_url_override, submitted_at, chain_id, completed_at, payout_total,
+       ${JOB_ATTEMPT_COLUMNS}, created_at, updated_at, (xmax = 0) AS inserted`,
     [
       wallet_address ? String(wallet_address).toLowerCase() : null,
       task_id,
@@ -139,30 +138,186 @@ export async function createJob(data) {
       error || null,
       dataset_url_override || null,
       submitted_at instanceof Date ? submitted_at : new Date(submitted_at),
+      chain_id,
     ]
   );
-  return r.rows[0];
+  if (r.rows.length === 0) return null;
+  const { inserted, ...row } = r.rows[0];
+  if (inserted) jobEvents.emit("created", row);
+  return row;
 }
 
-/** List jobs for a single wallet only. walletAddress is required. */
-export async function listJobs(walletAddress) {
+/** List jobs for a single wallet only. walletAddress is required; chainId optionally narrows to one network. */
+export async function listJobs(walletAddress, chainId = null) {
   const p = getPool();
   if (!p) return [];
   if (walletAddress == null || String(walletAddress).trim() === "") return [];
   const r = await p.query(
-    `SELECT id, task_id, deal_id, settlement_name, status, result, error, dataset_url_override, submitted_at, settled_tx_hash, settled_at, created_at, updated_at FROM ${TABLE_JOBS} WHERE wallet_address = $1 ORDER BY submitted_at DESC`,
-    [String(walletAddress).toLowerCase()]
+    `SELECT id, task_id, deal_id, settlement_name, status, result, error, dataset_url_override, submitted_at, settled_tx_hash, settled_at, settle_pending_tx_hash, settle_error, settle_attempts, chain_id, ${JOB_ATTEMPT_COLUMNS}, created_at, updated_at FROM ${TABLE_JOBS} WHERE wallet_address = $1 AND ($2::int IS NULL OR chain_id = $2) ORDER BY submitted_at DESC`,
+    [String(walletAddress).toLowerCase(), chainId]
+  );
+  return r.rows;
+}
+
+/** Get a single job by task ID, including its owner wallet. Returns null if not found. */
+export async function getJobByTaskId(taskId) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `SELECT id, wallet_address, task_id, deal_id, settlement_name, status, result, error, dataset_url_override, submitted_at, settled_tx_hash, settled_at, settle_pending_tx_hash, settle_error, settle_attempts, chain_id, ${JOB_ATTEMPT_COLUMNS}, created_at, updated_at FROM ${TABLE_JOBS} WHERE task_id = $1`,
+    [taskId]
+  );
+  return r.rows.length > 0 ? r.rows[0] : null;
+}
+
+/** Job counts by status: [{ status, count }]. */
+export async function countJobsByStatus() {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(`SELECT status, COUNT(*)::int AS count FROM ${TABLE_JOBS} GROUP BY status ORDER BY status`);
+  return r.rows;
+}
+
+/**
+ * SQL condition: the job is on the network whose chain id is parameter `chainParam` (jobs without a chain_id are on
+ * the default network when boolean parameter `defaultParam` is true); always true when the chain id is NULL.
+ */
+function onNetwork(chainParam, defaultParam) {
+  return `(${chainParam}::int IS NULL OR chain_id = ${chainParam}::int OR (chain_id IS NULL AND ${defaultParam}::boolean))`;
+}
+
+/**
+ * SQL condition: the job's payout is owed and not yet paid. The dashboard's active pools and the treasury's
+ * liabilities (listUnsettledPayouts) are both this set, so they always agree.
+ */
+const UNSETTLED_PAYOUT = "result IS NOT NULL AND settled_tx_hash IS NULL AND retried_by_task_id IS NULL";
+
+/**
+ * Dashboard totals over jobs submitted in [from, to) (either bound optional), optionally for one wallet. Running,
+ * completed and active counts leave out retried jobs, whose latest attempt is counted instead.
+ * payout_volume is the sum of settled jobs' payouts in whole token units, as a decimal string; payout_volume_raw the
+ * same in base units of a token with `decimals` (each job rounded up, as in listUnsettledPayouts), null without decimals.
+ * With chainId, both only count jobs on that network (jobs without a chain_id count on the default network), since
+ * amounts on different tokens can't be added up.
+ */
+export async function getJobStats({ wallet = null, from = null, to = null, decimals = null, chainId = null, isDefaultNetwork = false } = {}) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `SELECT
+       COUNT(*)::int AS jobs_total,
+       COUNT(*) FILTER (WHERE result IS NULL AND error IS NULL AND retried_by_task_id IS NULL)::int AS jobs_running,
+       COUNT(*) FILTER (WHERE result IS NULL AND error IS NOT NULL)::int AS jobs_failed,
+       COUNT(*) FILTER (WHERE result IS NOT NULL AND retried_by_task_id IS NULL)::int AS settlements_completed,
+       COUNT(*) FILTER (WHERE settled_tx_hash IS NOT NULL)::int AS settlements_settled,
+       COUNT(*) FILTER (WHERE ${UNSETTLED_PAYOUT})::int AS active_pools,
+       COALESCE(SUM(payout_total) FILTER (WHERE settled_tx_hash IS NOT NULL AND ${onNetwork("$5", "$6")}), 0)::text AS payout_volume,
+       CASE WHEN $4::int IS NOT NULL THEN
+         COALESCE(SUM(CEIL(payout_total * power(10::numeric, $4::int))) FILTER (WHERE settled_tx_hash IS NOT NULL AND ${onNetwork("$5", "$6")}), 0)::text
+       END AS payout_volume_raw
+     FROM ${TABLE_JOBS}
+     WHERE ($1::text IS NULL OR wallet_address = $1)
+       AND ($2::timestamptz IS NULL OR submitted_at >= $2)
+       AND ($3::timestamptz IS NULL OR submitted_at < $3)`,
+    [wallet ? String(wallet).toLowerCase() : null, from, to, decimals, chainId, isDefaultNetwork]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Completed but unsettled jobs on a network (jobs without a chain_id count on the default network), oldest result
+ * first, as the treasury's outstanding liabilities. payout_raw is the job's payout_total in token base units
+ * (rounded up), cumulative_raw the running total in that order. total and totalRaw cover every such job, not only
+ * the page. Jobs whose settlement tx is pending still count: nothing has left the treasury yet.
+ * Retried jobs don't count: only their latest attempt can be settled.
+ */
+export async function listUnsettledPayouts({ chainId, isDefaultNetwork, decimals, limit = 50, offset = 0 }) {
+  const p = getPool();
+  if (!p) return { rows: [], total: 0, totalRaw: "0" };
+  const unsettled = `
+    SELECT task_id, wallet_address, settlement_name, completed_at, settle_pending_tx_hash,
+           CEIL(COALESCE(payout_total, 0) * power(10::numeric, $3)) AS payout_raw
+    FROM ${TABLE_JOBS}
+    WHERE ${UNSETTLED_PAYOUT} AND (chain_id = $1 OR (chain_id IS NULL AND $2::boolean))`;
+  const params = [chainId, isDefaultNetwork, decimals];
+  const [page, totals] = await Promise.all([
+    p.query(
+      `SELECT task_id, wallet_address, settlement_name, completed_at, settle_pending_tx_hash, payout_raw::text AS payout_raw,
+              SUM(payout_raw) OVER (ORDER BY completed_at NULLS LAST, task_id)::text AS cumulative_raw
+       FROM (${unsettled}) u
+       ORDER BY completed_at NULLS LAST, task_id
+       LIMIT $4 OFFSET $5`,
+      [...params, limit, offset]
+    ),
+    p.query(`SELECT COUNT(*)::int AS total, COALESCE(SUM(payout_raw), 0)::text AS total_raw FROM (${unsettled}) u`, params),
+  ]);
+  return { rows: page.rows, total: totals.rows[0].total, totalRaw: totals.rows[0].total_raw };
+}
+
+/**
+ * Per-bucket counts between from (inclusive, a bucket boundary) and to (exclusive), bucketMs apart:
+ * jobs submitted, jobs completed (result recorded), settlements executed and their payout volume, each counted
+ * in the bucket of its own timestamp. Empty buckets are included. Returns [{ bucket, jobs_submitted, ... }];
+ * payout_volume_raw is in base units of a token with `decimals` (null without decimals). With chainId, the
+ * payout volume only counts jobs on that network, as in getJobStats.
+ */
+export async function getJobTimeseries({ from, to, bucketMs, wallet = null, decimals = null, chainId = null, isDefaultNetwork = false }) {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(
+    `WITH buckets AS (
+       SELECT generate_series($1::timestamptz, $2::timestamptz - $3::interval, $3::interval) AS bucket
+     ),
+     submitted AS (
+       SELECT date_bin($3::interval, submitted_at, $1::timestamptz) AS bucket, COUNT(*) AS n
+       FROM ${TABLE_JOBS} WHERE submitted_at >= $1 AND submitted_at < $2 AND ($4::text IS NULL OR wallet_address = $4) GROUP BY 1
+     ),
+     completed AS (
+       SELECT date_bin($3::interval, completed_at, $1::timestamptz) AS bucket, COUNT(*) AS n
+       FROM ${TABLE_JOBS} WHERE completed_at >= $1 AND completed_at < $2 AND ($4::text IS NULL OR wallet_address = $4) GROUP BY 1
+     ),
+     settled AS (
+       SELECT date_bin($3::interval, settled_at, $1::timestamptz) AS bucket, COUNT(*) AS n,
+         SUM(payout_total) FILTER (WHERE ${onNetwork("$6", "$7")}) AS volume,
+         SUM(CEIL(payout_total * power(10::numeric, $5::int))) FILTER (WHERE ${onNetwork("$6", "$7")}) AS volume_raw
+       FROM ${TABLE_JOBS}
+       WHERE settled_tx_hash IS NOT NULL AND settled_at >= $1 AND settled_at < $2 AND ($4::text IS NULL OR wallet_address = $4)
+       GROUP BY 1
+     )
+     SELECT b.bucket,
+       COALESCE(s.n, 0)::int AS jobs_submitted,
+       COALESCE(c.n, 0)::int AS jobs_completed,
+       COALESCE(st.n, 0)::int AS settlements_executed,
+       COALESCE(st.volume, 0)::text AS payout_volume,
+       CASE WHEN $5::int IS NOT NULL THEN COALESCE(st.volume_raw, 0)::text END AS payout_volume_raw
+     FROM buckets b
+     LEFT JOIN submitted s ON s.bucket = b.bucket
+     LEFT JOIN completed c ON c.bucket = b.bucket
+     LEFT JOIN settled st ON st.bucket = b.bucket
+     ORDER BY b.bucket`,
+    [from, to, `${bucketMs} milliseconds`, wallet ? String(wallet).toLowerCase() : null, decimals, chainId, isDefaultNetwork]
   );
   return r.rows;
 }
 
-/** List all jobs (for dashboard). Optional limit; default 500. */
-export async function listAllJobs(limit = 500) {
+/**
+ * One page of jobs the watcher still has to reconcile: no result or error yet, not retried, status not in
+ * `terminalStatuses`. Oldest submission first, keyset-paged: pass the last row as `after`. page_key is
+ * submitted_at as text, since a JS Date drops the microseconds Postgres keeps.
+ */
+export async function listPendingJobs({ terminalStatuses, after = null, limit = 200 }) {
   const p = getPool();
   if (!p) return [];
   const r = await p.query(
-    `SELECT id, task_id, deal_id, settlement_name, status, result, error, dataset_url_override, submitted_at, settled_tx_hash, settled_at, created_at, updated_at FROM ${TABLE_JOBS} ORDER BY submitted_at DESC LIMIT $1`,
-    [Math.min(Number(limit) || 500, 1000)]
+    `SELECT id, task_id, deal_id, status, result, error, submitted_at, submitted_at::text AS page_key, chain_id, wallet_address,
+            ${JOB_ATTEMPT_COLUMNS}
+     FROM ${TABLE_JOBS}
+     WHERE result IS NULL AND error IS NULL AND retried_by_task_id IS NULL
+       AND NOT (LOWER(COALESCE(status, '')) = ANY($1::text[]))
+       AND ($2::timestamptz IS NULL OR (submitted_at, id) > ($2::timestamptz, $3::uuid))
+     ORDER BY submitted_at ASC, id ASC
+     LIMIT $4`,
+    [terminalStatuses, after?.page_key ?? null, after?.id ?? null, limit]
   );
   return r.rows;
 }
@@ -170,7 +325,7 @@ export async function listAllJobs(limit = 500) {
 export async function updateJobByTaskId(taskId, updates) {
   const p = getPool();
   if (!p) return null;
-  const { status, result, error, settledTxHash, settledAt } = updates;
+  const { status, result, error, settledTxHash, settledAt, settlePendingTxHash, settleError, chainId } = updates;
   const setClauses = [];
   const values = [];
   let i = 1;
@@ -179,8 +334,9 @@ export async function updateJobByTaskId(taskId, updates) {
     values.push(status);
   }
   if (result !== undefined) {
-    setClauses.push(`result = $${i++}`);
-    values.push(JSON.stringify(result));
+    setClauses.push(`result = $${i}`, `completed_at = CASE WHEN $${i}::jsonb IS NULL THEN NULL ELSE COALESCE(j.completed_at, NOW()) END`);
+    i += 1;
+    values.push(result != null ? JSON.stringify(result) : null);
   }
   if (error !== undefined) {
     setClauses.push(`error = $${i++}`);
@@ -194,16 +350,730 @@ export async function updateJobByTaskId(taskId, updates) {
     setClauses.push(`settled_at = $${i++}`);
     values.push(settledAt);
   }
+  if (settlePendingTxHash !== undefined) {
+    setClauses.push(`settle_pending_tx_hash = $${i++}`);
+    values.push(settlePendingTxHash);
+  }
+  if (settleError !== undefined) {
+    setClauses.push(`settle_error = $${i++}`);
+    values.push(settleError);
+  }
+  if (chainId !== undefined) {
+    setClauses.push(`chain_id = $${i++}`);
+    values.push(chainId);
+  }
   if (setClauses.length === 0) return null;
   setClauses.push("updated_at = NOW()");
   values.push(taskId);
   const r = await p.query(
-    `UPDATE ${TABLE_JOBS} SET ${setClauses.join(", ")} WHERE task_id = $${i} RETURNING id, task_id, deal_id, settlement_name, status, result, error, submitted_at, settled_tx_hash, settled_at, updated_at`,
+    `WITH prev AS (SELECT task_id, status, result IS NOT NULL AS has_result, settled_tx_hash FROM ${TABLE_JOBS} WHERE task_id = $${i} FOR UPDATE)
+     UPDATE ${TABLE_JOBS} j SET ${setClauses.join(", ")} FROM prev WHERE j.task_id = prev.task_id
+     RETURNING j.id, j.wallet_address, j.task_id, j.deal_id, j.settlement_name, j.status, j.result, j.error, j.submitted_at, j.settled_tx_hash, j.settled_at,
+       j.settle_pending_tx_hash, j.settle_error, j.settle_attempts, j.chain_id, j.dataset_url_override, j.completed_at, j.payout_total, ${JOB_ATTEMPT_COLUMNS}, j.created_at, j.updated_at,
+       prev.status AS previous_status, prev.has_result AS previous_has_result, prev.settled_tx_hash AS previous_settled_tx_hash`,
     values
   );
+  if (r.rows.length === 0) return null;
+  const { previous_status, previous_has_result, previous_settled_tx_hash, ...row } = r.rows[0];
+  jobEvents.emit("updated", row, { status: previous_status, hasResult: previous_has_result, settledTxHash: previous_settled_tx_hash });
+  return row;
+}
+
+/**
+ * Claim a job for on-chain settlement: sets status 'settling' and counts the attempt, but only
+ * if it is not settled and no other attempt is in flight. Returns the row, or null if refused.
+ * A 'settling' claim with no tx sent for staleMs is considered abandoned and can be re-claimed.
+ */
+export async function claimJobSettlement(taskId, staleMs = 10 * 60 * 1000) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `UPDATE ${TABLE_JOBS}
+     SET status = 'settling', settle_attempts = settle_attempts + 1, settle_error = NULL, updated_at = NOW()
+     WHERE task_id = $1 AND settled_tx_hash IS NULL AND retried_by_task_id IS NULL
+       AND (status <> 'settling' OR (settle_pending_tx_hash IS NULL AND updated_at < NOW() - ($2 || ' milliseconds')::interval))
+     RETURNING id, wallet_address, task_id, status, result, settle_attempts`,
+    [taskId, String(staleMs)]
+  );
+  return r.rows.length > 0 ? r.rows[0] : null;
+}
+
+/**
+ * Reserve a job for a retry: succeeds once per job, unless an earlier reservation is older than staleMs
+ * (the request died while submitting). Returns the row, or null if the job was already retried or is being retried.
+ */
+export async function beginJobRetry(taskId, staleMs = 10 * 60 * 1000) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `UPDATE ${TABLE_JOBS} SET retry_started_at = NOW()
+     WHERE task_id = $1 AND retried_by_task_id IS NULL
+       AND (retry_started_at IS NULL OR retry_started_at < NOW() - ($2 || ' milliseconds')::interval)
+     RETURNING id, task_id`,
+    [taskId, String(staleMs)]
+  );
   return r.rows.length > 0 ? r.rows[0] : null;
 }
 
+/** Drop a retry reservation after the resubmission failed. */
+export async function releaseJobRetry(taskId) {
+  const p = getPool();
+  if (!p) return;
+  await p.query(`UPDATE ${TABLE_JOBS} SET retry_started_at = NULL WHERE task_id = $1 AND retried_by_task_id IS NULL`, [taskId]);
+}
+
+/**
+ * Record the resubmitted task of a job as its next attempt: inserts the new job (same wallet, name, dataset
+ * URL and network) and links both rows, in one transaction. Returns the new row; emits jobEvents "created".
+ */
+export async function createJobRetry(original, { taskId, dealId }) {
+  const p = getPool();
+  if (!p) return null;
+  const client = await p.connect();
+  let row;
+  try {
+    await client.query("BEGIN");
+    const r = await client.query(
+      `INSERT INTO ${TABLE_JOBS} (wallet_address, task_id, deal_id, settlement_name, status, dataset_url_override, chain_id, original_job_id, attempt, retry_of_task_id)
+       SELECT wallet_address, $2, $3, settlement_name, 'submitted', dataset_url_override, chain_id, COALESCE(original_job_id, id), attempt + 1, task_id
+       FROM ${TABLE_JOBS} WHERE task_id = $1
+       RETURNING id, wallet_address, task_id, deal_id, settlement_name, status, result, error, dataset_url_override, submitted_at, chain_id, completed_at,
+         payout_total, ${JOB_ATTEMPT_COLUMNS}, created_at, updated_at`,
+      [original.task_id, taskId, dealId || null]
+    );
+    row = r.rows[0];
+    await client.query(
+      `UPDATE ${TABLE_JOBS} SET retried_by_task_id = $2, retry_started_at = NULL, updated_at = NOW() WHERE task_id = $1`,
+      [original.task_id, taskId]
+    );
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+  jobEvents.emit("created", row);
+  return row;
+}
+
+/** Timed-out jobs whose task has not been claimed yet and has failed fewer than maxAttempts claims, oldest first. */
+export async function listUnclaimedTimedOutJobs({ maxAttempts = 3, limit = 100 } = {}) {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(
+    `SELECT id, wallet_address, task_id, deal_id, chain_id, claim_attempts FROM ${TABLE_JOBS}
+     WHERE status = 'timeout' AND claimed_at IS NULL AND deal_id IS NOT NULL AND claim_attempts < $1
+     ORDER BY updated_at LIMIT $2`,
+    [maxAttempts, limit]
+  );
+  return r.rows;
+}
+
+/**
+ * Count a claim attempt, but only if no one else started one since the job was read (claim_attempts unchanged).
+ * Returns true when this caller may claim.
+ */
+export async function startJobClaim(taskId, seenAttempts) {
+  const p = getPool();
+  if (!p) return false;
+  const r = await p.query(
+    `UPDATE ${TABLE_JOBS} SET claim_attempts = claim_attempts + 1
+     WHERE task_id = $1 AND claim_attempts = $2 AND claimed_at IS NULL`,
+    [taskId, seenAttempts]
+  );
+  return r.rowCount > 0;
+}
+
+/** Store a claim's outcome: { txHash, refundNrlc } once claimed, or { error } when the attempt failed. */
+export async function recordJobClaim(taskId, { txHash = null, refundNrlc = null, error = null }) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    error
+      ? `UPDATE ${TABLE_JOBS} SET claim_error = $2, updated_at = NOW() WHERE task_id = $1 RETURNING id, task_id`
+      : `UPDATE ${TABLE_JOBS} SET claim_tx_hash = $2, claim_refund_nrlc = $3, claimed_at = NOW(), claim_error = NULL, updated_at = NOW()
+         WHERE task_id = $1 RETURNING id, task_id`,
+    error ? [taskId, error] : [taskId, txHash, refundNrlc]
+  );
+  return r.rows[0] ?? null;
+}
+
+// --- Transactions (tx-manager) ---
+
+const TX_COLUMNS = {
+  id: "id",
+  kind: "kind",
+  chainId: "chain_id",
+  from: "from_address",
+  to: "to_address",
+  nonce: "nonce",
+  data: "data",
+  value: "value",
+  gasLimit: "gas_limit",
+  maxFeePerGas: "max_fee_per_gas",
+  maxPriorityFeePerGas: "max_priority_fee_per_gas",
+  hash: "tx_hash",
+  previousHashes: "previous_hashes",
+  replacements: "replacements",
+  status: "status",
+  meta: "meta",
+  error: "error",
+  revertData: "revert_data",
+  blockNumber: "block_number",
+  sentAt: "sent_at",
+  minedAt: "mined_at",
+};
+const TX_JSON_FIELDS = ["previousHashes", "meta"];
+
+function txToDbValue(field, value) {
+  if (value == null) return null;
+  if (TX_JSON_FIELDS.includes(field)) return JSON.stringify(value);
+  if (field === "sentAt" || field === "minedAt") return new Date(value);
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+function txRowToRecord(row) {
+  const record = {};
+  for (const [field, column] of Object.entries(TX_COLUMNS)) record[field] = row[column] ?? null;
+  record.sentAt = row.sent_at ? new Date(row.sent_at).getTime() : null;
+  record.minedAt = row.mined_at ? new Date(row.mined_at).getTime() : null;
+  record.createdAt = row.created_at ? new Date(row.created_at).getTime() : null;
+  record.updatedAt = row.updated_at ? new Date(row.updated_at).getTime() : null;
+  return record;
+}
+
+/** Insert a transaction record (fields as in TX_COLUMNS; sentAt/minedAt as ms timestamps). */
+export async function insertTx(record) {
+  const p = getPool();
+  if (!p) return;
+  const fields = Object.keys(TX_COLUMNS).filter((f) => record[f] !== undefined);
+  const values = fields.map((f) => txToDbValue(f, record[f]));
+  await p.query(
+    `INSERT INTO ${TABLE_TRANSACTIONS} (${fields.map((f) => TX_COLUMNS[f]).join(", ")})
+     VALUES (${fields.map((_, i) => `$${i + 1}`).join(", ")})`,
+    values
+  );
+}
+
+/** Update a transaction record by id with the given fields. */
+export async function updateTx(id, updates) {
+  const p = getPool();
+  if (!p) return;
+  const fields = Object.keys(updates).filter((f) => TX_COLUMNS[f] && f !== "id");
+  if (fields.length === 0) return;
+  const setClauses = fields.map((f, i) => `${TX_COLUMNS[f]} = $${i + 1}`);
+  const values = fields.map((f) => txToDbValue(f, updates[f]));
+  setClauses.push("updated_at = NOW()");
+  values.push(id);
+  await p.query(`UPDATE ${TABLE_TRANSACTIONS} SET ${setClauses.join(", ")} WHERE id = $${values.length}`, values);
+}
+
+export async function getTx(id) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(`SELECT * FROM ${TABLE_TRANSACTIONS} WHERE id = $1`, [id]);
+  return r.rows.length > 0 ? txRowToRecord(r.rows[0]) : null;
+}
+
+/** Pending transactions sent from the given address on the given chain, oldest nonce first. */
+export async function listPendingTxs(fromAddress, chainId) {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(
+    `SELECT * FROM ${TABLE_TRANSACTIONS} WHERE status = 'pending' AND from_address = $1 AND chain_id = $2 ORDER BY nonce ASC`,
+    [fromAddress.toLowerCase(), chainId]
+  );
+  return r.rows.map(txRowToRecord);
+}
+
+// --- Chain indexer ---
+
+/** Last indexed block for an indexer: { blockNumber, blockHash } or null. */
+export async function getIndexerCheckpoint(name) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(`SELECT block_number, block_hash FROM ${TABLE_INDEXER_CHECKPOINTS} WHERE name = $1`, [name]);
+  if (r.rows.length === 0) return null;
+  return { blockNumber: Number(r.rows[0].block_number), blockHash: r.rows[0].block_hash };
+}
+
+/**
+ * Store one indexed block range atomically: optionally drop everything from rollbackFrom (reorg) and put
+ * jobs settled by the dropped txs back to 'settling' with that tx pending, insert the range's events and
+ * transfers, move the checkpoint, and mark jobs whose pending settlement tx was seen on-chain as settled.
+ */
+export async function applyIndexedRange({ name, chainId, rollbackFrom = null, toBlock, toBlockHash, events, transfers }) {
+  const p = getPool();
+  if (!p) return;
+  const client = await p.connect();
+  try {
+    await client.query("BEGIN");
+    // task_id -> settled_tx_hash of jobs whose settlement was in the rolled-back blocks.
+    const unsettled = new Map();
+    if (rollbackFrom != null) {
+      const removedEvents = await client.query(
+        `DELETE FROM ${TABLE_SETTLEMENT_EVENTS} WHERE chain_id = $1 AND block_number >= $2 RETURNING tx_hash`,
+        [chainId, rollbackFrom]
+      );
+      const removedTransfers = await client.query(
+        `DELETE FROM ${TABLE_TREASURY_TRANSFERS} WHERE chain_id = $1 AND block_number >= $2 RETURNING tx_hash`,
+        [chainId, rollbackFrom]
+      );
+      const removedHashes = [...new Set([...removedEvents.rows, ...removedTransfers.rows].map((row) => row.tx_hash))];
+      if (removedHashes.length > 0) {
+        // Back to 'settling' with the tx pending again; the re-scan below settles it again if it is still on-chain.
+        const r = await client.query(
+          `UPDATE ${TABLE_JOBS} SET status = 'settling', settle_pending_tx_hash = settled_tx_hash, settled_tx_hash = NULL, settled_at = NULL,
+             updated_at = NOW()
+           WHERE settled_tx_hash = ANY($1)
+           RETURNING task_id, settle_pending_tx_hash`,
+          [removedHashes]
+        );
+        for (const row of r.rows) unsettled.set(row.task_id, row.settle_pending_tx_hash);
+      }
+    }
+    for (const e of events) {
+      await client.query(
+        `INSERT INTO ${TABLE_SETTLEMENT_EVENTS} (chain_id, block_number, block_hash, block_time, tx_hash, log_index, contract_address, event_name, args)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) ON CONFLICT DO NOTHING`,
+        [chainId, e.blockNumber, e.blockHash, e.blockTime, e.txHash, e.logIndex, e.contractAddress, e.eventName, e.args != null ? JSON.stringify(e.args) : null]
+      );
+    }
+    for (const t of transfers) {
+      await client.query(
+        `INSERT INTO ${TABLE_TREASURY_TRANSFERS} (chain_id, block_number, block_hash, block_time, tx_hash, log_index, token_address, from_address, to_address, amount_raw, direction)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) ON CONFLICT DO NOTHING`,
+        [chainId, t.blockNumber, t.blockHash, t.blockTime, t.txHash, t.logIndex, t.tokenAddress, t.from, t.to, t.amountRaw, t.direction]
+      );
+    }
+    const txHashes = [...new Set([...events, ...transfers].map((x) => x.txHash))];
+    let settledJobs = [];
+    if (txHashes.length > 0) {
+      const r = await client.query(
+        `UPDATE ${TABLE_JOBS} j SET status = 'settled', settled_tx_hash = j.settle_pending_tx_hash, settled_at = COALESCE(j.settled_at, NOW()),
+           settle_pending_tx_hash = NULL, settle_error = NULL, updated_at = NOW()
+         FROM (SELECT task_id, status FROM ${TABLE_JOBS} WHERE settled_tx_hash IS NULL AND settle_pending_tx_hash = ANY($1) FOR UPDATE) prev
+         WHERE j.task_id = prev.task_id
+         RETURNING j.id, j.wallet_address, j.task_id, j.deal_id, j.settlement_name, j.status, j.result, j.error, j.submitted_at, j.settled_tx_hash,
+           j.settled_at, j.settle_pending_tx_hash, j.settle_error, j.settle_attempts, j.chain_id, j.dataset_url_override, j.completed_at,
+           j.payout_total, ${JOB_ATTEMPT_COLUMNS}, j.created_at, j.updated_at, prev.status AS previous_status`,
+        [txHashes]
+      );
+      settledJobs = r.rows;
+    }
+    await client.query(
+      `INSERT INTO ${TABLE_INDEXER_CHECKPOINTS} (name, block_number, block_hash, updated_at) VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (name) DO UPDATE SET block_number = EXCLUDED.block_number, block_hash = EXCLUDED.block_hash, updated_at = NOW()`,
+      [name, toBlock, toBlockHash]
+    );
+    await client.query("COMMIT");
+    for (const { previous_status, ...row } of settledJobs) {
+      // A job settled again by the same tx after a rollback did not change as far as listeners are concerned.
+      const previousTxHash = unsettled.get(row.task_id) ?? null;
+      const status = previousTxHash ? "settled" : previous_status;
+      jobEvents.emit("updated", row, { status, hasResult: row.result != null, settledTxHash: previousTxHash });
+    }
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Settlement batches from the chain: treasury outflows grouped by tx, with the Settlement event name
+ * and the job linked by settled_tx_hash. Optional address filter matches a recipient or the job's wallet.
+ * Returns { rows, total }.
+ */
+export async function listSettlementHistory({ chainId, address = null, limit = 50, offset = 0 }) {
+  const p = getPool();
+  if (!p) return { rows: [], total: 0 };
+  const addr = address ? String(address).toLowerCase() : null;
+  const matching = `
+    WITH batches AS (
+      SELECT t.tx_hash, MIN(t.block_number) AS block_number, MIN(t.block_time) AS block_time,
+             COUNT(*) AS recipient_count, SUM(t.amount_raw) AS total_raw,
+             json_agg(json_build_object('address', t.to_address, 'amountRaw', t.amount_raw::text) ORDER BY t.log_index) AS payouts,
+             bool_or(t.to_address = $2) AS has_recipient
+      FROM ${TABLE_TREASURY_TRANSFERS} t
+      WHERE t.chain_id = $1 AND t.direction = 'out'
+      GROUP BY t.tx_hash
+    )
+    SELECT b.*, j.task_id, j.wallet_address, j.settlement_name
+    FROM batches b
+    LEFT JOIN ${TABLE_JOBS} j ON j.settled_tx_hash = b.tx_hash
+    WHERE $2::text IS NULL OR b.has_recipient OR j.wallet_address = $2`;
+  const params = [chainId, addr];
+  // Counted separately: a window count over the page is empty (0) once offset is past the last row.
+  const [page, count] = await Promise.all([
+    p.query(
+      `SELECT m.*,
+              (SELECT e.event_name FROM ${TABLE_SETTLEMENT_EVENTS} e WHERE e.chain_id = $1 AND e.tx_hash = m.tx_hash AND e.event_name IS NOT NULL LIMIT 1) AS event_name
+       FROM (${matching}) m
+       ORDER BY m.block_number DESC
+       LIMIT $3 OFFSET $4`,
+      [...params, limit, offset]
+    ),
+    p.query(`SELECT COUNT(*)::int AS total FROM (${matching}) m`, params),
+  ]);
+  return { rows: page.rows, total: count.rows[0].total };
+}
+
+/** Deposits into the treasury (token transfers in). Optional filter by depositor. Returns { rows, total }. */
+export async function listDeposits({ chainId, address = null, limit = 50, offset = 0 }) {
+  const p = getPool();
+  if (!p) return { rows: [], total: 0 };
+  const addr = address ? String(address).toLowerCase() : null;
+  const where = `t.chain_id = $1 AND t.direction = 'in' AND ($2::text IS NULL OR t.from_address = $2)`;
+  const params = [chainId, addr];
+  const [page, count] = await Promise.all([
+    p.query(
+      `SELECT t.tx_hash, t.log_index, t.block_number, t.block_time, t.token_address, t.from_address, t.amount_raw::text AS amount_raw,
+              (SELECT e.event_name FROM ${TABLE_SETTLEMENT_EVENTS} e WHERE e.chain_id = $1 AND e.tx_hash = t.tx_hash AND e.event_name IS NOT NULL LIMIT 1) AS event_name
+       FROM ${TABLE_TREASURY_TRANSFERS} t
+       WHERE ${where}
+       ORDER BY t.block_number DESC, t.log_index DESC
+       LIMIT $3 OFFSET $4`,
+      [...params, limit, offset]
+    ),
+    p.query(`SELECT COUNT(*)::int AS total FROM ${TABLE_TREASURY_TRANSFERS} t WHERE ${where}`, params),
+  ]);
+  return { rows: page.rows, total: count.rows[0].total };
+}
+
+/**
+ * Record a deposit confirmed on-chain. Confirming the same tx again keeps the row (refreshing its block after a
+ * reorg). Returns the row with `created` (false when it was already recorded).
+ */
+export async function recordTreasuryDeposit({ chainId, txHash, depositor, tokenAddress, amountRaw, blockNumber, blockTime }) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `INSERT INTO ${TABLE_TREASURY_DEPOSITS} (chain_id, tx_hash, depositor, token_address, amount_raw, block_number, block_time)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (chain_id, tx_hash) DO UPDATE SET block_number = EXCLUDED.block_number, block_time = EXCLUDED.block_time
+     RETURNING chain_id, tx_hash, depositor, token_address, amount_raw::text AS amount_raw, block_number, block_time, created_at,
+       (xmax = 0) AS created`,
+    [chainId, txHash.toLowerCase(), depositor.toLowerCase(), tokenAddress.toLowerCase(), String(amountRaw), blockNumber, blockTime]
+  );
+  return r.rows[0];
+}
+
+/** A wallet's confirmed deposits on a network: { count, totalRaw } (totalRaw a base-unit string). */
+export async function getDepositorTotals(chainId, depositor) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `SELECT COUNT(*)::int AS count, COALESCE(SUM(amount_raw), 0)::text AS total_raw
+     FROM ${TABLE_TREASURY_DEPOSITS} WHERE chain_id = $1 AND depositor = $2`,
+    [chainId, depositor.toLowerCase()]
+  );
+  return { count: r.rows[0].count, totalRaw: r.rows[0].total_raw };
+}
+
+// --- Datasets ---
+
+/**
+ * Store a dataset body under its content id. A re-upload keeps the row and only extends its expiry.
+ * Returns { id, size, createdAt, expiresAt, created }.
+ */
+export async function putDataset({ id, body, expiresAt }) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `INSERT INTO ${TABLE_DATASETS} (id, body, size, expires_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (id) DO UPDATE SET expires_at = GREATEST(${TABLE_DATASETS}.expires_at, EXCLUDED.expires_at)
+     RETURNING id, size, created_at, expires_at, (xmax = 0) AS created`,
+    [id, body, Buffer.byteLength(body), expiresAt]
+  );
+  const row = r.rows[0];
+  return { id: row.id, size: row.size, createdAt: row.created_at, expiresAt: row.expires_at, created: row.created };
+}
+
+/** Unexpired dataset by id: { id, body, size, createdAt, expiresAt } or null. */
+export async function getDataset(id) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `SELECT id, body, size, created_at, expires_at FROM ${TABLE_DATASETS} WHERE id = $1 AND expires_at > NOW()`,
+    [id]
+  );
+  const row = r.rows[0];
+  return row ? { id: row.id, body: row.body, size: row.size, createdAt: row.created_at, expiresAt: row.expires_at } : null;
+}
+
+/** Delete datasets whose expiry has passed. Returns the number removed. */
+export async function deleteExpiredDatasets() {
+  const p = getPool();
+  if (!p) return 0;
+  const r = await p.query(`DELETE FROM ${TABLE_DATASETS} WHERE expires_at <= NOW()`);
+  return r.rowCount;
+}
+
+// --- Activity feed ---
+
+/**
+ * Append an activity event: { type, wallet, taskId, chainId, txHash, data, key, occurredAt }. An event whose key
+ * was already recorded is skipped. Returns the row, or null when skipped (or without a DB).
+ * occurred_at is kept at millisecond precision so a JS Date in a page cursor matches it exactly.
+ */
+export async function insertActivityEvent({ type, wallet = null, taskId = null, chainId = null, txHash = null, data = {}, key = null, occurredAt = null }) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `INSERT INTO ${TABLE_ACTIVITY_EVENTS} (type, wallet_address, task_id, chain_id, tx_hash, data, event_key, occurred_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, date_trunc('milliseconds', COALESCE($8, NOW())))
+     ON CONFLICT (event_key) DO NOTHING
+     RETURNING *`,
+    [type, wallet ? String(wallet).toLowerCase() : null, taskId, chainId, txHash, JSON.stringify(data ?? {}), key, occurredAt]
+  );
+  return r.rows[0] ?? null;
+}
+
+/**
+ * Activity events, newest first, optionally filtered by types (array), wallet and taskId. after is the
+ * { occurredAt, id } of the last event of the previous page (keyset pagination). Returns up to limit rows.
+ */
+export async function listActivityEvents({ types = null, wallet = null, taskId = null, after = null, limit = 30 } = {}) {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(
+    `SELECT * FROM ${TABLE_ACTIVITY_EVENTS}
+     WHERE ($1::text[] IS NULL OR type = ANY($1))
+       AND ($2::text IS NULL OR wallet_address = $2)
+       AND ($3::text IS NULL OR task_id = $3)
+       AND ($4::timestamptz IS NULL OR (occurred_at, id) < ($4, $5))
+     ORDER BY occurred_at DESC, id DESC
+     LIMIT $6`,
+    [types?.length ? types : null, wallet ? String(wallet).toLowerCase() : null, taskId, after?.occurredAt ?? null, after?.id ?? null, limit]
+  );
+  return r.rows;
+}
+
+// --- Faucet claims ---
+
+const FAUCET_CLAIM_COLUMNS = "id, chain_id, address, ip, amount_raw, eth_raw, status, created_at";
+
+/** Counted claims (failed ones excluded) of a network since a time, oldest first. */
+export async function listFaucetClaims(chainId, since) {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(
+    `SELECT ${FAUCET_CLAIM_COLUMNS} FROM ${TABLE_FAUCET_CLAIMS}
+     WHERE chain_id = $1 AND created_at > $2 AND status <> 'failed' ORDER BY created_at, id`,
+    [chainId, since]
+  );
+  return r.rows;
+}
+
+/**
+ * Record a claim if decide() allows it, serialised per network so concurrent claims can't overspend a limit.
+ * decide(claims) gets the network's counted claims since `since` (oldest first) and returns { denial } to refuse,
+ * or { ethRaw } to record the claim with that gas drip (wei). Returns { row } or { denial }.
+ */
+export async function reserveFaucetClaim({ chainId, address, ip, amountRaw, since }, decide) {
+  const p = getPool();
+  if (!p) return null;
+  const client = await p.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`${TABLE_FAUCET_CLAIMS}:${chainId}`]);
+    const claims = await client.query(
+      `SELECT ${FAUCET_CLAIM_COLUMNS} FROM ${TABLE_FAUCET_CLAIMS}
+       WHERE chain_id = $1 AND created_at > $2 AND status <> 'failed' ORDER BY created_at, id`,
+      [chainId, since]
+    );
+    const { denial, ethRaw = 0n } = decide(claims.rows);
+    if (denial) {
+      await client.query("ROLLBACK");
+      return { denial };
+    }
+    const r = await client.query(
+      `INSERT INTO ${TABLE_FAUCET_CLAIMS} (chain_id, address, ip, amount_raw, eth_raw) VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${FAUCET_CLAIM_COLUMNS}`,
+      [chainId, String(address).toLowerCase(), ip, String(amountRaw), String(ethRaw)]
+    );
+    await client.query("COMMIT");
+    return { row: r.rows[0] };
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/** Update a claim: { status?, txId?, ethTxId?, ethRaw? }. */
+export async function updateFaucetClaim(id, { status, txId, ethTxId, ethRaw }) {
+  const p = getPool();
+  if (!p) return;
+  await p.query(
+    `UPDATE ${TABLE_FAUCET_CLAIMS} SET
+       status = COALESCE($2, status), tx_id = COALESCE($3, tx_id), eth_tx_id = COALESCE($4, eth_tx_id),
+       eth_raw = COALESCE($5::numeric, eth_raw), updated_at = NOW()
+     WHERE id = $1`,
+    [id, status ?? null, txId ?? null, ethTxId ?? null, ethRaw != null ? String(ethRaw) : null]
+  );
+}
+
+// --- Webhooks ---
+
+/** Create a webhook subscription. events is an array of event names. Returns the row. */
+export async function createWebhookSubscription({ id, walletAddress, url, events, secret, scope = "wallet", description = null }) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `INSERT INTO ${TABLE_WEBHOOK_SUBSCRIPTIONS} (id, wallet_address, url, events, secret, scope, description)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [id, String(walletAddress).toLowerCase(), url, JSON.stringify(events), secret, scope, description]
+  );
+  return r.rows[0];
+}
+
+/** Subscriptions owned by a wallet, newest first. */
+export async function listWebhookSubscriptions(walletAddress) {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(
+    `SELECT * FROM ${TABLE_WEBHOOK_SUBSCRIPTIONS} WHERE wallet_address = $1 ORDER BY created_at DESC`,
+    [String(walletAddress).toLowerCase()]
+  );
+  return r.rows;
+}
+
+export async function getWebhookSubscription(id) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(`SELECT * FROM ${TABLE_WEBHOOK_SUBSCRIPTIONS} WHERE id = $1`, [id]);
+  return r.rows[0] ?? null;
+}
+
+/** Update url, events, description, active and/or secret. Returns the row, or null when not found. */
+export async function updateWebhookSubscription(id, updates) {
+  const p = getPool();
+  if (!p) return null;
+  const columns = { url: "url", events: "events", description: "description", active: "active", secret: "secret" };
+  const setClauses = [];
+  const values = [];
+  for (const [field, column] of Object.entries(columns)) {
+    if (updates[field] === undefined) continue;
+    values.push(field === "events" ? JSON.stringify(updates[field]) : updates[field]);
+    setClauses.push(`${column} = $${values.length}`);
+  }
+  if (setClauses.length === 0) return getWebhookSubscription(id);
+  values.push(id);
+  const r = await p.query(
+    `UPDATE ${TABLE_WEBHOOK_SUBSCRIPTIONS} SET ${setClauses.join(", ")}, updated_at = NOW() WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+  return r.rows[0] ?? null;
+}
+
+/** Delete a subscription and its delivery log. Returns true when it existed. */
+export async function deleteWebhookSubscription(id) {
+  const p = getPool();
+  if (!p) return false;
+  const r = await p.query(`DELETE FROM ${TABLE_WEBHOOK_SUBSCRIPTIONS} WHERE id = $1`, [id]);
+  return r.rowCount > 0;
+}
+
+/**
+ * Active subscriptions that want an event: scope 'all' ones, plus the wallet's own when wallet is given.
+ */
+export async function listWebhookSubscribers(event, wallet = null) {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(
+    `SELECT * FROM ${TABLE_WEBHOOK_SUBSCRIPTIONS}
+     WHERE active AND events ? $1 AND (scope = 'all' OR ($2::text IS NOT NULL AND wallet_address = $2))`,
+    [event, wallet ? String(wallet).toLowerCase() : null]
+  );
+  return r.rows;
+}
+
+/**
+ * Queue deliveries ([{ id, subscriptionId, event, eventKey, payload, replayOf? }]). A delivery whose
+ * (subscription, eventKey) already exists is skipped. Returns the rows inserted.
+ */
+export async function insertWebhookDeliveries(deliveries) {
+  const p = getPool();
+  if (!p || deliveries.length === 0) return [];
+  const inserted = [];
+  for (const d of deliveries) {
+    const r = await p.query(
+      `INSERT INTO ${TABLE_WEBHOOK_DELIVERIES} (id, subscription_id, event, event_key, payload, replay_of)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (subscription_id, event_key) DO NOTHING
+       RETURNING *`,
+      [d.id, d.subscriptionId, d.event, d.eventKey ?? null, JSON.stringify(d.payload), d.replayOf ?? null]
+    );
+    if (r.rows[0]) inserted.push(r.rows[0]);
+  }
+  return inserted;
+}
+
+/**
+ * Claim up to `limit` due pending deliveries, with their subscription's url and secret, by pushing their
+ * next_attempt_at leaseMs ahead so another pass (or instance) doesn't send them at the same time.
+ */
+export async function claimDueWebhookDeliveries(limit, leaseMs) {
+  const p = getPool();
+  if (!p) return [];
+  const r = await p.query(
+    `WITH due AS (
+       SELECT id FROM ${TABLE_WEBHOOK_DELIVERIES}
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at LIMIT $1 FOR UPDATE SKIP LOCKED
+     )
+     UPDATE ${TABLE_WEBHOOK_DELIVERIES} d SET next_attempt_at = NOW() + ($2 || ' milliseconds')::interval
+     FROM due, ${TABLE_WEBHOOK_SUBSCRIPTIONS} s
+     WHERE d.id = due.id AND s.id = d.subscription_id
+     RETURNING d.*, s.url, s.secret, s.active`,
+    [limit, String(leaseMs)]
+  );
+  return r.rows;
+}
+
+/** Record a delivery attempt: { status, attempts, nextAttemptAt?, lastStatusCode, lastError, deliveredAt? }. */
+export async function recordWebhookAttempt(id, { status, attempts, nextAttemptAt = null, lastStatusCode = null, lastError = null, deliveredAt = null }) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(
+    `UPDATE ${TABLE_WEBHOOK_DELIVERIES}
+     SET status = $2, attempts = $3, next_attempt_at = COALESCE($4, next_attempt_at), last_status_code = $5, last_error = $6,
+         delivered_at = $7, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [id, status, attempts, nextAttemptAt, lastStatusCode, lastError, deliveredAt]
+  );
+  return r.rows[0] ?? null;
+}
+
+/** A subscription's delivery log, newest first; status optionally filters. Returns { rows, total }. */
+export async function listWebhookDeliveries(subscriptionId, { status = null, limit = 50, offset = 0 } = {}) {
+  const p = getPool();
+  if (!p) return { rows: [], total: 0 };
+  const where = `WHERE subscription_id = $1 AND ($2::text IS NULL OR status = $2)`;
+  const [rows, count] = await Promise.all([
+    p.query(
+      `SELECT * FROM ${TABLE_WEBHOOK_DELIVERIES} ${where} ORDER BY created_at DESC LIMIT $3 OFFSET $4`,
+      [subscriptionId, status, limit, offset]
+    ),
+    p.query(`SELECT COUNT(*)::int AS total FROM ${TABLE_WEBHOOK_DELIVERIES} ${where}`, [subscriptionId, status]),
+  ]);
+  return { rows: rows.rows, total: count.rows[0].total };
+}
+
+export async function getWebhookDelivery(id) {
+  const p = getPool();
+  if (!p) return null;
+  const r = await p.query(`SELECT * FROM ${TABLE_WEBHOOK_DELIVERIES} WHERE id = $1`, [id]);
+  return r.rows[0] ?? null;
+}
+
 export function isDbConfigured() {
   return !!(process.env.DATABASE_URL || process.env.PGHOST || process.env.PGDATABASE);
 }
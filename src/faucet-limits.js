@@ -0,0 +1,149 @@
+/**
+ * Faucet allowances. Within a rolling 24 hours a network's faucet hands out at most FAUCET_ADDRESS_DAILY_CAP to an
+ * address, FAUCET_IP_DAILY_CAP to a client IP and FAUCET_DAILY_BUDGET in total, and an address waits
+ * FAUCET_COOLDOWN_MS between claims. Claims live in the faucet_claims table, or in memory without Postgres
+ * (then a restart resets them).
+ *
+ * Env: FAUCET_AMOUNT (whole test tokens per claim, default 10000; caps are in whole tokens too), FAUCET_COOLDOWN_MS (default 60s),
+ * FAUCET_ADDRESS_DAILY_CAP (default 30000), FAUCET_IP_DAILY_CAP (default 100000), FAUCET_DAILY_BUDGET (default
+ * 1000000); caps of 0 disable that cap. FAUCET_ETH_DRIP (default 0, off): native ETH sent along with a claim to
+ * an address holding less than that, at most once per address per 24 hours.
+ */
+import * as db from "./db.js";
+import { parseTokenAmount } from "./money.js";
+
+export const FAUCET_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULTS = {
+  amount: "10000",
+  cooldownMs: 60 * 1000,
+  addressCap: "30000",
+  ipCap: "100000",
+  dailyBudget: "1000000",
+  ethDrip: "0",
+};
+
+const memoryClaims = []; // without Postgres: { id, chain_id, address, ip, amount_raw, eth_raw, status, created_at }
+let nextMemoryId = 1;
+
+function parseAmount(value, fallback, decimals) {
+  try {
+    return parseTokenAmount(String(value ?? fallback).trim() || fallback, decimals);
+  } catch {
+    return parseTokenAmount(fallback, decimals);
+  }
+}
+
+/** Limits in base units of a token with `decimals` (BigInt, 0n = no cap); the ETH drip in wei. */
+export function getFaucetLimits(decimals) {
+  const amountRaw = parseAmount(process.env.FAUCET_AMOUNT, DEFAULTS.amount, decimals);
+  return {
+    amountRaw: amountRaw > 0n ? amountRaw : parseTokenAmount(DEFAULTS.amount, decimals),
+    cooldownMs: Math.max(0, Number(process.env.FAUCET_COOLDOWN_MS ?? DEFAULTS.cooldownMs) || 0),
+    addressCapRaw: parseAmount(process.env.FAUCET_ADDRESS_DAILY_CAP, DEFAULTS.addressCap, decimals),
+    ipCapRaw: parseAmount(process.env.FAUCET_IP_DAILY_CAP, DEFAULTS.ipCap, decimals),
+    dailyBudgetRaw: parseAmount(process.env.FAUCET_DAILY_BUDGET, DEFAULTS.dailyBudget, decimals),
+    ethDripWei: parseAmount(process.env.FAUCET_ETH_DRIP, DEFAULTS.ethDrip, 18),
+  };
+}
+
+/**
+ * When a scope (claims already filtered to it, oldest first) can take another `amountRaw` under `capRaw`:
+ * { usedRaw, remainingRaw (null without a cap), availableAt (ms; now when it fits, null when it never will) }.
+ */
+function scopeAllowance(claims, capRaw, amountRaw, now) {
+  let usedRaw = claims.reduce((sum, c) => sum + BigInt(c.amount_raw), 0n);
+  const result = { usedRaw, remainingRaw: capRaw > 0n ? (capRaw > usedRaw ? capRaw - usedRaw : 0n) : null, availableAt: now };
+  if (capRaw === 0n || usedRaw + amountRaw <= capRaw) return result;
+  if (amountRaw > capRaw) return { ...result, availableAt: null };
+  for (const c of claims) {
+    usedRaw -= BigInt(c.amount_raw);
+    if (usedRaw + amountRaw <= capRaw) return { ...result, availableAt: new Date(c.created_at).getTime() + FAUCET_WINDOW_MS };
+  }
+  return result;
+}
+
+/**
+ * Evaluate a claim of `address` from `ip` against a network's counted claims of the last 24 hours.
+ * Returns { eligible, denial: { code, message } | null, nextEligibleAt (ms, null when eligible or never),
+ * remaining: { address, ip, budget } (base units, null = no cap), ethDripAvailable }.
+ */
+export function evaluateFaucetClaim(claims, { address, ip, limits, now = Date.now() }) {
+  const addr = String(address).toLowerCase();
+  const own = claims.filter((c) => c.address === addr);
+  const fromIp = ip ? claims.filter((c) => c.ip === ip) : [];
+  const lastOwn = own.length > 0 ? new Date(own[own.length - 1].created_at).getTime() : null;
+  const checks = [
+    {
+      code: "FAUCET_COOLDOWN",
+      message: `Rate limited: one claim per address every ${Math.ceil(limits.cooldownMs / 1000)} seconds`,
+      availableAt: lastOwn != null ? Math.max(now, lastOwn + limits.cooldownMs) : now,
+    },
+    { code: "FAUCET_ADDRESS_CAP", message: "Daily limit reached for this address", ...scopeAllowance(own, limits.addressCapRaw, limits.amountRaw, now) },
+    { code: "FAUCET_IP_CAP", message: "Daily limit reached for this IP address", ...scopeAllowance(fromIp, limits.ipCapRaw, limits.amountRaw, now) },
+    { code: "FAUCET_BUDGET_EXHAUSTED", message: "The faucet's daily budget is used up", ...scopeAllowance(claims, limits.dailyBudgetRaw, limits.amountRaw, now) },
+  ];
+  const blocked = checks.filter((c) => c.availableAt == null || c.availableAt > now);
+  const never = blocked.find((c) => c.availableAt == null);
+  const latest = blocked.reduce((a, b) => (a == null || b.availableAt > a.availableAt ? b : a), null);
+  const denial = never ?? latest;
+  return {
+    eligible: denial == null,
+    denial: denial ? { code: denial.code, message: denial.message } : null,
+    nextEligibleAt: never ? null : latest?.availableAt ?? null,
+    remaining: { address: checks[1].remainingRaw, ip: ip ? checks[2].remainingRaw : null, budget: checks[3].remainingRaw },
+    ethDripAvailable: limits.ethDripWei > 0n && !own.some((c) => BigInt(c.eth_raw) > 0n),
+  };
+}
+
+function recentMemoryClaims(chainId, since) {
+  while (memoryClaims.length > 0 && new Date(memoryClaims[0].created_at) <= new Date(Date.now() - FAUCET_WINDOW_MS)) memoryClaims.shift();
+  return memoryClaims.filter((c) => c.chain_id === chainId && c.status !== "failed" && new Date(c.created_at) > since);
+}
+
+/** A network's counted claims of the last 24 hours, oldest first. */
+export async function listRecentFaucetClaims(chainId) {
+  const since = new Date(Date.now() - FAUCET_WINDOW_MS);
+  return db.isDbConfigured() ? db.listFaucetClaims(chainId, since) : recentMemoryClaims(chainId, since);
+}
+
+/**
+ * Check and record a claim atomically. wantsGas: the recipient holds less than the drip amount.
+ * Returns { claim, ethRaw } (ethRaw 0n when no drip is due) or { denial, nextEligibleAt }.
+ */
+export async function reserveFaucetClaim({ chainId, address, ip, limits, wantsGas }) {
+  const since = new Date(Date.now() - FAUCET_WINDOW_MS);
+  let verdict;
+  const decide = (claims) => {
+    verdict = evaluateFaucetClaim(claims, { address, ip, limits });
+    if (!verdict.eligible) return { denial: verdict.denial };
+    return { ethRaw: wantsGas && verdict.ethDripAvailable ? limits.ethDripWei : 0n };
+  };
+  if (db.isDbConfigured()) {
+    const { row, denial } = await db.reserveFaucetClaim({ chainId, address, ip, amountRaw: limits.amountRaw, since }, decide);
+    if (denial) return { denial, nextEligibleAt: verdict.nextEligibleAt };
+    return { claim: row, ethRaw: BigInt(row.eth_raw) };
+  }
+  const { denial, ethRaw } = decide(recentMemoryClaims(chainId, since));
+  if (denial) return { denial, nextEligibleAt: verdict.nextEligibleAt };
+  const claim = {
+    id: nextMemoryId++,
+    chain_id: chainId,
+    address: String(address).toLowerCase(),
+    ip,
+    amount_raw: limits.amountRaw.toString(),
+    eth_raw: ethRaw.toString(),
+    status: "pending",
+    created_at: new Date(),
+  };
+  memoryClaims.push(claim);
+  return { claim, ethRaw };
+}
+
+/** Update a claim recorded by reserveFaucetClaim: { status?, txId?, ethTxId?, ethRaw? }. */
+export async function updateFaucetClaim(id, updates) {
+  if (db.isDbConfigured()) return db.updateFaucetClaim(id, updates);
+  const claim = memoryClaims.find((c) => c.id === id);
+  if (!claim) return;
+  if (updates.status) claim.status = updates.status;
+  if (updates.ethRaw != null) claim.eth_raw = String(updates.ethRaw);
+}
@@ -5,13 +5,18 @@ import { ethers } from "ethers";
 import { IExec } from "iexec";
 import AdmZip from "adm-zip";
 import { getConfig } from "./config.js";
+import { createRpcProvider } from "./networks.js";
+import { iexecTaskSubmissions, iexecTaskSubmitDuration, iexecTaskOutcomes, iexecTaskDuration, iexecTaskClaims } from "./metrics.js";
+import { createLogger, redactUrl } from "./logger.js";
 
-function log(...args) {
-  console.log(`[${new Date().toISOString()}] [iexec]`, ...args);
-}
+const MAX_TRACKED_TASKS = 10_000;
+const submittedAt = new Map(); // taskId -> ms, for tasks submitted by this process
+const finishedTasks = new Set(); // taskIds whose outcome was already counted
+
+const log = createLogger("iexec");
 
 function getIExec(signer, chain) {
-  const provider = new ethers.JsonRpcProvider(chain.rpcHostUrl);
+  const provider = createRpcProvider(chain.rpcHostUrl);
   const connectedSigner = signer.connect(provider);
   return new IExec(
     { ethProvider: connectedSigner },
@@ -19,12 +24,55 @@ function getIExec(signer, chain) {
   );
 }
 
+/** Drop the oldest entries of a Map/Set used as a bounded cache. */
+function trim(collection) {
+  for (const key of collection.keys()) {
+    if (collection.size <= MAX_TRACKED_TASKS) break;
+    collection.delete(key);
+  }
+}
+
+/**
+ * Count a task's final state (completed, failed, timeout) once, however many observers or polls see it.
+ * Duration is observed for tasks submitted by this process.
+ */
+function recordTaskOutcome(taskId, outcome) {
+  const key = String(taskId).toLowerCase();
+  if (finishedTasks.has(key)) return;
+  finishedTasks.add(key);
+  trim(finishedTasks);
+  iexecTaskOutcomes.inc({ outcome });
+  if (submittedAt.has(key)) {
+    iexecTaskDuration.observe({ outcome }, (Date.now() - submittedAt.get(key)) / 1000);
+    submittedAt.delete(key);
+  }
+}
+
 /**
  * Run the settlement app on iExec with a public dataset URL.
+ * Options: requesterSecret { name, value } — pushed to the SMS and passed as requester secret 1
+ * (IEXEC_REQUESTER_SECRET_1 in the enclave), e.g. the key of an encrypted dataset.
  * Returns { dealId, taskId }.
  */
-export async function runSettlementTask(datasetUrl) {
-  log("runSettlementTask datasetUrl:", datasetUrl?.slice(0, 50) + (datasetUrl?.length > 50 ? "..." : ""));
+export async function runSettlementTask(datasetUrl, options = {}) {
+  const end = iexecTaskSubmitDuration.startTimer();
+  try {
+    const submitted = await submitSettlementTask(datasetUrl, options);
+    const seconds = end({ result: "ok" });
+    log("task submitted", { taskId: submitted.taskId, durationMs: Math.round(seconds * 1000) });
+    iexecTaskSubmissions.inc({ result: "ok" });
+    submittedAt.set(submitted.taskId.toLowerCase(), Date.now());
+    trim(submittedAt);
+    return submitted;
+  } catch (e) {
+    end({ result: "error" });
+    iexecTaskSubmissions.inc({ result: "error" });
+    throw e;
+  }
+}
+
+async function submitSettlementTask(datasetUrl, { requesterSecret } = {}) {
+  log("runSettlementTask datasetUrl:", redactUrl(datasetUrl));
   const { privateKey, chain, appAddress, SCONE_TAG } = getConfig();
   const wallet = new ethers.Wallet(privateKey);
   const iexec = getIExec(wallet, chain);
@@ -57,6 +105,12 @@ export async function runSettlementTask(datasetUrl) {
   }
   log("workerpool order found");
 
+  if (requesterSecret) {
+    log("pushing requester secret", requesterSecret.name);
+    const { isPushed } = await iexec.secrets.pushRequesterSecret(requesterSecret.name, requesterSecret.value);
+    if (!isPushed) throw new Error(`Failed to push requester secret ${requesterSecret.name}`);
+  }
+
   log("creating request order (iexec_input_files: [datasetUrl])...");
   const requestorderToSign = await iexec.order.createRequestorder({
     app: appAddress,
@@ -69,6 +123,7 @@ export async function runSettlementTask(datasetUrl) {
     volume: 1,
     params: {
       iexec_input_files: [datasetUrl],
+      ...(requesterSecret && { iexec_secrets: { 1: requesterSecret.name } }),
     },
   });
   const requestorder = await iexec.order.signRequestorder(requestorderToSign);
@@ -81,60 +136,88 @@ export async function runSettlementTask(datasetUrl) {
     requestorder,
   });
   const taskid = await iexec.deal.computeTaskId(dealid, 0);
-  log("deal matched — dealId (full):", dealid);
-  log("taskId (full):", taskid);
+  log("deal matched", { dealId: dealid, taskId: taskid });
   return { dealId: dealid, taskId: taskid };
 }
 
 /**
- * Wait for task to complete (observable completes when finalized).
+ * Subscribe to a task's state changes. observer: { next({ message, task }), error(e), complete() }, where message
+ * is TASK_UPDATED | TASK_COMPLETED | TASK_FAILED | TASK_TIMEDOUT and task.status 0 (deal matched, task not
+ * initialized yet) | 1 ACTIVE | 2 REVEALING | 3 COMPLETED | 4 FAILED. dealId lets a not-yet-initialized task be
+ * observed. Resolves to an unsubscribe function.
  */
-export async function waitForTask(taskId, dealId) {
-  log("waitForTask: observing task (timeout 10min)...");
-  const { privateKey, chain, TASK_OBSERVATION_TIMEOUT_MS } = getConfig();
+export async function observeTask(taskId, dealId, observer) {
+  const { privateKey, chain } = getConfig();
   const wallet = new ethers.Wallet(privateKey);
   const iexec = getIExec(wallet, chain);
+  const obs = await iexec.task.obsTask(taskId, dealId ? { dealid: dealId } : {});
+  return obs.subscribe({
+    ...observer,
+    next: (notification) => {
+      const outcome = { TASK_COMPLETED: "completed", TASK_FAILED: "failed", TASK_TIMEDOUT: "timeout" }[notification.message];
+      if (outcome) recordTaskOutcome(taskId, outcome);
+      observer.next?.(notification);
+    },
+  });
+}
+
+/**
+ * Wait for task to complete (observable completes when finalized).
+ */
+export async function waitForTask(taskId, dealId) {
+  const { TASK_OBSERVATION_TIMEOUT_MS } = getConfig();
+  log("waitForTask: observing task", { taskId, timeoutMs: TASK_OBSERVATION_TIMEOUT_MS });
+  const start = Date.now();
 
   return new Promise((resolve, reject) => {
+    let unsubscribe = null;
     const timeout = setTimeout(() => {
-      log("waitForTask: timeout");
+      log.warn("waitForTask: timeout", { taskId, durationMs: Date.now() - start });
+      unsubscribe?.();
       reject(new Error("Task observation timeout"));
     }, TASK_OBSERVATION_TIMEOUT_MS);
 
-    iexec.task.obsTask(taskId, { dealid: dealId }).then((obs) => {
-      obs.subscribe({
-        next: () => {},
-        error: (e) => {
-          clearTimeout(timeout);
-          log("waitForTask: error", e?.message ?? e);
-          reject(e);
-        },
-        complete: () => {
-          clearTimeout(timeout);
-          log("waitForTask: task finalized");
-          resolve();
-        },
-      });
-    }).catch(reject);
+    observeTask(taskId, dealId, {
+      next: ({ message, task }) => log("waitForTask:", message, task?.statusName ?? "", { taskId }),
+      error: (e) => {
+        clearTimeout(timeout);
+        log.error("waitForTask: error", e, { taskId, durationMs: Date.now() - start });
+        reject(e);
+      },
+      complete: () => {
+        clearTimeout(timeout);
+        log("waitForTask: task finalized", { taskId, durationMs: Date.now() - start });
+        resolve();
+      },
+    }).then((unsub) => {
+      unsubscribe = unsub;
+    }).catch((e) => {
+      clearTimeout(timeout);
+      reject(e);
+    });
   });
 }
 
 /**
  * Fetch task result zip and parse result.json.
- * Returns { payouts, tee_attestation }.
+ * Returns { status, statusName, result } where result is { payouts, tee_attestation } once COMPLETED.
+ * statusName is the SDK's name for the state (ACTIVE, REVEALING, FAILED, TIMEOUT...).
  */
 export async function fetchTaskResult(taskId) {
-  log("fetchTaskResult taskId:", taskId?.slice(0, 18) + "...");
+  log("fetchTaskResult", { taskId });
   const { privateKey, chain } = getConfig();
   const wallet = new ethers.Wallet(privateKey);
   const iexec = getIExec(wallet, chain);
 
   const task = await iexec.task.show(taskId);
   const status = task?.status;
+  const statusName = task?.statusName ?? null;
   const isCompleted = status === 3 || status === "COMPLETED"; // iExec SDK returns numeric 3 for COMPLETED
-  log("task status:", status, isCompleted ? "(COMPLETED)" : "");
+  log("task status:", status, statusName ? `(${statusName})` : "");
+  if (status === 4 || statusName === "FAILED") recordTaskOutcome(taskId, "failed");
+  else if (statusName === "TIMEOUT") recordTaskOutcome(taskId, "timeout");
   if (!isCompleted) {
-    return { status: status ?? "UNKNOWN", result: null };
+    return { status: status ?? "UNKNOWN", statusName, result: null };
   }
 
   log("fetching result zip...");
@@ -147,14 +230,58 @@ export async function fetchTaskResult(taskId) {
   }
   const result = JSON.parse(resultEntry.getData().toString("utf8"));
   log("result parsed, payouts:", result?.payouts?.length ?? 0);
-  return { status: "COMPLETED", result };
+  recordTaskOutcome(taskId, "completed");
+  return { status: "COMPLETED", statusName: "COMPLETED", result };
+}
+
+/**
+ * A deal's final deadline: { finalTime (ms since epoch), deadlineReached }. Tasks not completed by then can be claimed.
+ */
+export async function fetchDealDeadline(dealId) {
+  const { privateKey, chain } = getConfig();
+  const iexec = getIExec(new ethers.Wallet(privateKey), chain);
+  const deal = await iexec.deal.show(dealId);
+  return { finalTime: Number(deal.finalTime.toString()) * 1000, deadlineReached: deal.deadlineReached };
+}
+
+/**
+ * Claim the task of a deal that passed its final deadline (initializing it first when a worker never did),
+ * which refunds the requester the deal price. Returns { txHash, refundNrlc } where refundNrlc is the app, dataset
+ * and workerpool price in nRLC (a string); txHash is null when the task had already been claimed by someone else.
+ * Throws before the deadline or when the task completed.
+ */
+export async function claimTimedOutTask(dealId) {
+  const { privateKey, chain } = getConfig();
+  const iexec = getIExec(new ethers.Wallet(privateKey), chain);
+  const deal = await iexec.deal.show(dealId);
+  const refundNrlc = [deal.app.price, deal.dataset.price, deal.workerpool.price]
+    .reduce((sum, price) => sum + BigInt(price.toString()), 0n)
+    .toString();
+  try {
+    const { transactions } = await iexec.deal.claim(dealId);
+    const txHash = transactions.at(-1)?.txHash ?? null;
+    iexecTaskClaims.inc({ result: "claimed" });
+    log("deal claimed", { dealId, txHash, refundNrlc });
+    return { txHash, refundNrlc };
+  } catch (e) {
+    if (/Nothing to claim/.test(e.message ?? "")) {
+      const taskId = Object.values(deal.tasks)[0];
+      const task = taskId ? await iexec.task.show(taskId).catch(() => null) : null;
+      if (task?.status === 4) {
+        iexecTaskClaims.inc({ result: "already_claimed" });
+        return { txHash: null, refundNrlc };
+      }
+    }
+    iexecTaskClaims.inc({ result: "error" });
+    throw e;
+  }
 }
 
 /**
  * Run settlement and wait for result, then return parsed result.
  */
-export async function runSettlementAndWait(datasetUrl) {
-  const { dealId, taskId } = await runSettlementTask(datasetUrl);
+export async function runSettlementAndWait(datasetUrl, options) {
+  const { dealId, taskId } = await runSettlementTask(datasetUrl, options);
   await waitForTask(taskId, dealId);
   log("fetching result...");
   const { result } = await fetchTaskResult(taskId);
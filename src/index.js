@@ -10,10 +10,33 @@ import * as faucet from "./routes/faucet.js";
 import * as jobs from "./routes/jobs.js";
 import * as dashboard from "./routes/dashboard.js";
 import * as health from "./routes/health.js";
+import * as auth from "./routes/auth.js";
+import * as tx from "./routes/tx.js";
+import * as metrics from "./routes/metrics.js";
+import * as openapi from "./routes/openapi.js";
+import * as webhooks from "./routes/webhooks.js";
+import { authenticate, authenticateQueryToken, requireAuth } from "./auth.js";
 import * as db from "./db.js";
+import { startJobWatcher } from "./job-watcher.js";
+import { startTxMonitor } from "./tx-manager.js";
+import { startIndexer } from "./indexer.js";
+import { startWebhookDispatcher } from "./webhooks.js";
+import { migrate } from "./migrate.js";
+import { startDatasetCleanup } from "./dataset-store.js";
+import { listNetworks } from "./networks.js";
+import { httpRequestsTotal, httpRequestDuration } from "./metrics.js";
+import { createLogger, requestLogger, getLogConfig } from "./logger.js";
+import { validateRequests, undocumentedRoutes } from "./request-validation.js";
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (Express "trust proxy": true, a hop count or a list of addresses) makes req.ip
+// the client's address, which the faucet's per-IP limit relies on.
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY.trim();
+  app.set("trust proxy", value === "true" ? true : /^\d+$/.test(value) ? Number(value) : value);
+}
+
 // Allow frontend origin(s). Comma-separated list; default includes production and localhost.
 const allowedOrigins = (process.env.CORS_ORIGIN || "https://shadowsettle.0xo.in,http://localhost:3000,http://localhost:5173")
   .split(",")
@@ -41,69 +64,161 @@ app.use(express.json({ limit: "1mb" }));
 
 const PORT = process.env.PORT || 3001;
 
-function log(...args) {
-  const ts = new Date().toISOString();
-  console.log(`[${ts}]`, ...args);
-}
+const log = createLogger("server");
+
+// Request id (X-Request-Id in and out) and one log line per request. Registered after the body parser so the
+// handlers below run inside its log context.
+app.use(requestLogger());
 
+// Request count and latency per route pattern (not raw path, so task ids don't blow up the label set).
 app.use((req, res, next) => {
-  let bodySummary = "";
-  if (["POST", "PUT", "PATCH"].includes(req.method) && req.body && typeof req.body === "object") {
-    bodySummary = req.body.datasetUrl !== undefined
-      ? `datasetUrl=${req.body.datasetUrl?.slice?.(0, 50)}..., wait=${req.body.wait}`
-      : `keys=${Object.keys(req.body).join(", ")}`;
-  }
-  log(`${req.method} ${req.path}`, bodySummary ? `— ${bodySummary}` : "");
+  const end = httpRequestDuration.startTimer({ method: req.method });
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+      status: String(res.statusCode),
+    };
+    end(labels);
+    httpRequestsTotal.inc(labels);
+  });
   next();
 });
 
+// Bind req.wallet from a SIWE session token when present; routes opt in to requiring it.
+app.use(authenticate);
+
+// Check params, query and body against the OpenAPI document (openapi.js) before the handlers run.
+app.use(validateRequests());
+
 app.get("/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
+app.get("/auth/nonce", auth.getNonce);
+app.post("/auth/verify", auth.postVerify);
+app.get("/auth/me", requireAuth, auth.getMe);
+
 app.post("/datasets", datasets.postDataset);
+app.get("/datasets/schema", datasets.getDatasetSchema);
 app.get("/datasets/:id.json", datasets.getDataset);
 
 app.get("/settlement/config", settlement.getConfig);
 app.get("/settlement/network-info", settlement.getNetworkInfoRoute);
 app.get("/settlement/treasury-balance", settlement.getTreasuryBalanceRoute);
+app.get("/settlement/treasury/solvency", settlement.getTreasurySolvency);
+app.get("/settlement/history", settlement.getHistory);
+app.get("/settlement/deposits", settlement.getDeposits);
+app.post("/settlement/deposit/prepare", settlement.postDepositPrepare);
+app.post("/settlement/deposit/confirm", settlement.postDepositConfirm);
 app.post("/settlement/run", settlement.postRun);
 app.get("/settlement/result/:taskId", settlement.getResult);
 app.post("/settlement/wait/:taskId", settlement.postWait);
-app.post("/settlement/execute", settlement.postExecute);
+app.get("/settlement/stream/:taskId", authenticateQueryToken, requireAuth, settlement.getStream);
+app.post("/settlement/verify", settlement.postVerify);
+app.post("/settlement/simulate", settlement.postSimulate);
+app.post("/settlement/execute", requireAuth, settlement.postExecute);
+app.post("/settlement/execute/:taskId", requireAuth, settlement.postExecuteTask);
 
 app.post("/faucet", faucet.postFaucet);
+app.get("/faucet/status", faucet.getFaucetStatus);
 
-app.get("/jobs", jobs.getJobs);
-app.post("/jobs", jobs.postJob);
-app.patch("/jobs/by-task/:taskId", jobs.patchJobByTaskId);
+app.get("/tx/:id", requireAuth, tx.getTx);
+
+app.get("/jobs", requireAuth, jobs.getJobs);
+app.post("/jobs", requireAuth, jobs.postJob);
+app.patch("/jobs/by-task/:taskId", requireAuth, jobs.patchJobByTaskId);
+app.post("/jobs/by-task/:taskId/retry", requireAuth, jobs.postRetryJob);
+
+app.get("/webhooks", requireAuth, webhooks.getWebhooks);
+app.post("/webhooks", requireAuth, webhooks.postWebhook);
+app.get("/webhooks/:id", requireAuth, webhooks.getWebhook);
+app.patch("/webhooks/:id", requireAuth, webhooks.patchWebhook);
+app.delete("/webhooks/:id", requireAuth, webhooks.deleteWebhook);
+app.get("/webhooks/:id/deliveries", requireAuth, webhooks.getWebhookDeliveries);
+app.post("/webhooks/:id/deliveries/:deliveryId/replay", requireAuth, webhooks.postReplayWebhookDelivery);
 
 app.get("/dashboard/stats", dashboard.getStats);
+app.get("/dashboard/timeseries", dashboard.getTimeseries);
 app.get("/dashboard/activity", dashboard.getActivity);
 
 app.get("/health/checks", health.getHealthChecks);
 
+app.get("/metrics", metrics.getMetrics);
+
+app.get("/openapi.json", openapi.getOpenApi);
+app.get("/docs", openapi.getDocs);
+
+const undocumented = undocumentedRoutes(app);
+if (undocumented.length > 0) log.warn("routes missing from the OpenAPI document:", undocumented.join(", "));
+
 try {
   getConfig();
 } catch (e) {
-  console.error("Startup config error:", e.message);
-  console.error("Set IEXEC_PRIVATE_KEY (or PRIVATE_KEY), IEXEC_APP_ADDRESS, and optionally IEXEC_CHAIN=bellecour");
+  log.error("Startup config error:", e.message);
+  log.error("Set IEXEC_PRIVATE_KEY (or PRIVATE_KEY), IEXEC_APP_ADDRESS, and optionally IEXEC_CHAIN=bellecour");
   process.exit(1);
 }
 
+// Apply pending schema migrations before anything touches the database, and before requests are served.
 if (db.isDbConfigured()) {
-  db.initDb().then(() => log("Postgres treasury_balance table ready")).catch((e) => log("Postgres init:", e.message));
+  try {
+    const { applied, current } = await migrate();
+    log(`Postgres schema at version ${current}` + (applied.length ? ` (applied ${applied.join(", ")})` : ""));
+  } catch (e) {
+    log.error("Postgres migrations failed:", e.message);
+    log.error("Fix the database or run `npm run migrate:status`, then restart.");
+    process.exit(1);
+  }
+  startJobWatcher();
+  startIndexer();
+  startWebhookDispatcher();
 }
+startDatasetCleanup();
+// Resume and watch executor/faucet transactions on every network (confirmations, stuck-tx replacement).
+startTxMonitor(
+  listNetworks().flatMap((n) => [
+    { network: n, privateKey: n.executorPrivateKey },
+    { network: n, privateKey: n.faucetPrivateKey },
+  ])
+).catch((e) => log.error("tx monitor:", e));
 
 app.listen(PORT, () => {
+  // The route banner is for humans; with JSON logs a single structured line is enough.
+  if (getLogConfig().format !== "pretty") {
+    log("ShadowSettle backend listening", { port: Number(PORT), networks: listNetworks().map((n) => n.chainId) });
+    return;
+  }
   console.log(`ShadowSettle backend listening on http://localhost:${PORT}`);
-  console.log("  POST /datasets         — upload dataset JSON, get URL (body: <dataset object>)");
-  console.log("  POST /settlement/run   — run TEE settlement (body: { datasetUrl [, wait: true] })");
+  console.log("  Networks:", listNetworks().map((n) => `${n.name} (${n.chainId})`).join(", ") || "none configured");
+  console.log("  GET  /auth/nonce        — SIWE nonce; POST /auth/verify (body: { message, signature }) returns a Bearer token");
+  console.log("  POST /datasets         — upload dataset JSON, get URL (body: <dataset object>; validated, see GET /datasets/schema)");
+  console.log("  GET  /datasets/:id.json — stored dataset (id = SHA-256 of canonical JSON; ETag, expires after DATASET_TTL_SECONDS)");
+  console.log("  GET  /settlement/config        — settlement/token addresses and configured networks (query: ?chainId=)");
+  console.log("  GET  /settlement/network-info  — block height and gas price (query: ?chainId=)");
+  console.log("  GET  /settlement/treasury/solvency — treasury balance vs. payouts owed to unsettled jobs (query: ?chainId=&limit=&offset=)");
+  console.log("  GET  /settlement/history       — indexed on-chain settlements (query: ?chainId=&address=&limit=&offset=)");
+  console.log("  GET  /settlement/deposits      — indexed treasury deposits (query: ?chainId=&address=&limit=&offset=)");
+  console.log("  POST /settlement/deposit/prepare — unsigned approve + deposit txs with gas estimates (body: { address, amount [, chainId] })");
+  console.log("  POST /settlement/deposit/confirm — verify a deposit tx, refresh the treasury balance, record it (body: { txHash [, chainId] })");
+  console.log("  POST /settlement/run   — run TEE settlement (body: { datasetUrl [, wait: true] [, validateDataset: true] })");
   console.log("  GET  /settlement/result/:taskId — get result for a task");
   console.log("  POST /settlement/wait/:taskId   — wait for task then get result (body: { dealId })");
-  console.log("  POST /settlement/execute        — execute settlement on-chain (body: { recipients, amounts, attestation })");
-  console.log("  POST /faucet          — mint test USDC on Arbitrum Sepolia (body: { address })");
-  console.log("  GET  /jobs             — list jobs (query: ?wallet=0x...)");
-  console.log("  POST /jobs             — create/upsert job (body: { taskId, dealId, settlementName, ... })");
+  console.log("  GET  /settlement/stream/:taskId — live task progress over Server-Sent Events for the job's wallet (query: ?token=, ?dealId=; Last-Event-ID resume)");
+  console.log("  POST /settlement/verify         — verify TEE attestation and payouts (body: { taskId [, recipients, amounts, attestation] })");
+  console.log("  POST /settlement/simulate       — dry-run settleBatch: gas, fee, decoded revert, treasury check (same body as execute)");
+  console.log("  POST /settlement/execute        — execute settlement on-chain as the job's wallet or an operator (body: { taskId, recipients, amounts, attestation [, chainId] })");
+  console.log("  POST /settlement/execute/:taskId — settle a job from its stored TEE result on the job's network and record it");
+  console.log("  POST /faucet          — mint test tokens on a test network (body: { address [, chainId] })");
+  console.log("  GET  /faucet/status   — faucet allowance left and next eligible time (query: address [, chainId])");
+  console.log("  GET  /tx/:id          — status of a settlement/faucet transaction (pending, confirmed, failed, dropped; sender, recipient or operator)");
+  console.log("  GET  /jobs             — list the signed-in wallet's jobs (Bearer token required; query: ?chainId=)");
+  console.log("  POST /jobs             — create/upsert job (body: { taskId, dealId, settlementName, chainId, ... })");
   console.log("  PATCH /jobs/by-task/:taskId — update job result/error");
+  console.log("  POST /jobs/by-task/:taskId/retry — resubmit a failed or timed-out job as a new attempt");
+  console.log("  GET  /webhooks         — the signed-in wallet's webhook subscriptions; POST creates one (body: { url, events [, scope] })");
+  console.log("  GET|PATCH|DELETE /webhooks/:id — read, update (url, events, active, rotateSecret) or delete a subscription");
+  console.log("  GET  /webhooks/:id/deliveries — delivery log (query: ?status=&limit=&offset=); POST .../:deliveryId/replay re-sends one");
+  console.log("  GET  /metrics          — Prometheus metrics (HTTP, iExec tasks, settlements, faucet, RPC, treasury, jobs)");
+  console.log("  GET  /openapi.json     — OpenAPI 3.1 document (requests are validated against it); GET /docs renders it");
 });
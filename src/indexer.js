@@ -0,0 +1,218 @@
+/**
+ * Chain indexer for the Settlement contract: scans its logs and the token Transfers into/out of the
+ * treasury from INDEXER_START_BLOCK and stores them in Postgres (settlement_events, treasury_transfers).
+ * Every registered network with a Settlement address is indexed, each with its own checkpoint. Logs are decoded
+ * with the contract ABI (settlement-abi.js, SETTLEMENT_ABI_PATH).
+ * Only blocks INDEXER_CONFIRMATIONS deep are indexed; the checkpoint keeps the last block's hash and,
+ * if the chain no longer has it, the last INDEXER_REORG_DEPTH blocks are dropped and re-scanned.
+ *
+ * Env: INDEXER_ENABLED (default true), INDEXER_START_BLOCK (or NETWORK_<chainId>_INDEXER_START_BLOCK),
+ * INDEXER_CONFIRMATIONS (default 5), INDEXER_BATCH_BLOCKS (default 2000), INDEXER_INTERVAL_MS (default 15s),
+ * INDEXER_REORG_DEPTH (default 64).
+ */
+import { ethers } from "ethers";
+import * as db from "./db.js";
+import { listNetworks, getDefaultNetwork, getProvider } from "./networks.js";
+import { settlementInterface } from "./settlement-abi.js";
+import { createLogger } from "./logger.js";
+
+const CHECKPOINT_NAME = "settlement";
+const DEFAULT_CONFIRMATIONS = 5;
+const DEFAULT_BATCH_BLOCKS = 2000;
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+const DEFAULT_REORG_DEPTH = 64;
+
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+let timer = null;
+
+const log = createLogger("indexer");
+
+/** Indexer settings for a network (default network when omitted), or null when it has no Settlement contract. */
+export function getIndexerConfig(network = getDefaultNetwork()) {
+  if (!network?.rpc || !network.settlementAddress) return null;
+  return {
+    network,
+    chainId: network.chainId,
+    settlementAddress: network.settlementAddress,
+    tokenAddress: network.tokenAddress,
+    enabled: !["0", "false", "no"].includes(String(process.env.INDEXER_ENABLED ?? "").toLowerCase()),
+    startBlock: Number(process.env[`NETWORK_${network.chainId}_INDEXER_START_BLOCK`] ?? process.env.INDEXER_START_BLOCK) || 0,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS ?? DEFAULT_CONFIRMATIONS),
+    batchBlocks: Number(process.env.INDEXER_BATCH_BLOCKS) || DEFAULT_BATCH_BLOCKS,
+    intervalMs: Number(process.env.INDEXER_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+    reorgDepth: Number(process.env.INDEXER_REORG_DEPTH) || DEFAULT_REORG_DEPTH,
+  };
+}
+
+function jsonArgs(parsed) {
+  return Object.fromEntries(
+    parsed.fragment.inputs.map((input, i) => {
+      const v = parsed.args[i];
+      return [input.name || String(i), typeof v === "bigint" ? v.toString() : v];
+    })
+  );
+}
+
+/** Fetch and decode one block range. Returns { events, transfers }. */
+async function scanRange(provider, { settlementAddress, tokenAddress }, fromBlock, toBlock) {
+  const treasuryTopic = ethers.zeroPadValue(settlementAddress, 32);
+  const [contractLogs, outLogs, inLogs] = await Promise.all([
+    provider.getLogs({ address: settlementAddress, fromBlock, toBlock }),
+    provider.getLogs({ address: tokenAddress, topics: [TRANSFER_TOPIC, treasuryTopic], fromBlock, toBlock }),
+    provider.getLogs({ address: tokenAddress, topics: [TRANSFER_TOPIC, null, treasuryTopic], fromBlock, toBlock }),
+  ]);
+
+  const blockTimes = new Map();
+  const blockTime = async (blockNumber) => {
+    if (!blockTimes.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimes.set(blockNumber, block ? new Date(block.timestamp * 1000) : null);
+    }
+    return blockTimes.get(blockNumber);
+  };
+
+  const events = [];
+  for (const l of contractLogs) {
+    let parsed = null;
+    try {
+      parsed = settlementInterface.parseLog(l);
+    } catch {
+      // not in the contract ABI: stored without a name
+    }
+    events.push({
+      blockNumber: l.blockNumber,
+      blockHash: l.blockHash,
+      blockTime: await blockTime(l.blockNumber),
+      txHash: l.transactionHash,
+      logIndex: l.index,
+      contractAddress: l.address.toLowerCase(),
+      eventName: parsed?.name ?? null,
+      args: parsed ? jsonArgs(parsed) : { topics: l.topics, data: l.data },
+    });
+  }
+
+  const transfers = [];
+  const seen = new Set();
+  for (const l of [...outLogs, ...inLogs]) {
+    const key = `${l.transactionHash}:${l.index}`;
+    if (seen.has(key) || l.topics.length < 3) continue;
+    seen.add(key);
+    const from = ethers.getAddress(ethers.dataSlice(l.topics[1], 12)).toLowerCase();
+    const to = ethers.getAddress(ethers.dataSlice(l.topics[2], 12)).toLowerCase();
+    const [amount] = abiCoder.decode(["uint256"], l.data);
+    transfers.push({
+      blockNumber: l.blockNumber,
+      blockHash: l.blockHash,
+      blockTime: await blockTime(l.blockNumber),
+      txHash: l.transactionHash,
+      logIndex: l.index,
+      tokenAddress: l.address.toLowerCase(),
+      from,
+      to,
+      amountRaw: amount.toString(),
+      direction: from === settlementAddress.toLowerCase() ? "out" : "in",
+    });
+  }
+  return { events, transfers };
+}
+
+/** Networks the indexer covers: every registered network with a Settlement contract. */
+export function listIndexedNetworks() {
+  return listNetworks().filter((n) => getIndexerConfig(n) != null);
+}
+
+/**
+ * Index a network (default network when omitted) up to the confirmed head in batches of INDEXER_BATCH_BLOCKS.
+ * Returns { chainId, fromBlock, toBlock, events, transfers } for the work done (toBlock null when already caught up).
+ */
+export async function indexOnce(network = getDefaultNetwork()) {
+  const config = getIndexerConfig(network);
+  if (!config || !db.isDbConfigured()) return null;
+  const provider = getProvider(config.network);
+  const { chainId } = config;
+  const tokenAddress = config.tokenAddress
+    || (await new ethers.Contract(config.settlementAddress, settlementInterface, provider).token());
+
+  let checkpoint = await db.getIndexerCheckpoint(`${CHECKPOINT_NAME}:${chainId}`);
+  let rollbackFrom = null;
+  if (checkpoint) {
+    const block = await provider.getBlock(checkpoint.blockNumber);
+    if (!block || block.hash !== checkpoint.blockHash) {
+      rollbackFrom = Math.max(config.startBlock, checkpoint.blockNumber - config.reorgDepth + 1);
+      log("reorg detected at block", checkpoint.blockNumber, "— re-scanning from", rollbackFrom);
+      checkpoint = { blockNumber: rollbackFrom - 1 };
+    }
+  }
+
+  const head = await provider.getBlockNumber();
+  const confirmedHead = head - config.confirmations;
+  let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : config.startBlock;
+  const firstBlock = fromBlock;
+  let totals = { events: 0, transfers: 0 };
+  while (fromBlock <= confirmedHead) {
+    const toBlock = Math.min(fromBlock + config.batchBlocks - 1, confirmedHead);
+    const { events, transfers } = await scanRange(provider, { settlementAddress: config.settlementAddress, tokenAddress }, fromBlock, toBlock);
+    const toBlockHash = (await provider.getBlock(toBlock)).hash;
+    await db.applyIndexedRange({
+      name: `${CHECKPOINT_NAME}:${chainId}`,
+      chainId,
+      rollbackFrom,
+      toBlock,
+      toBlockHash,
+      events,
+      transfers,
+    });
+    rollbackFrom = null;
+    totals = { events: totals.events + events.length, transfers: totals.transfers + transfers.length };
+    fromBlock = toBlock + 1;
+  }
+  if (fromBlock === firstBlock && rollbackFrom != null) {
+    // Reorg deeper than the confirmed head: nothing to re-scan yet, but stale rows must still go.
+    await db.applyIndexedRange({
+      name: `${CHECKPOINT_NAME}:${chainId}`,
+      chainId,
+      rollbackFrom,
+      toBlock: rollbackFrom - 1,
+      toBlockHash: (await provider.getBlock(rollbackFrom - 1))?.hash ?? ethers.ZeroHash,
+      events: [],
+      transfers: [],
+    });
+  }
+  return { chainId, fromBlock: firstBlock, toBlock: fromBlock > firstBlock ? fromBlock - 1 : null, ...totals };
+}
+
+/**
+ * Start indexing every network in the background; each pass covers all networks in turn and is
+ * scheduled after the previous one finishes. A failing network doesn't hold up the others.
+ */
+export function startIndexer() {
+  const networks = listIndexedNetworks();
+  const config = networks.length > 0 ? getIndexerConfig(networks[0]) : null;
+  if (!config || !config.enabled || timer || !db.isDbConfigured()) return false;
+  const tick = async () => {
+    for (const network of listIndexedNetworks()) {
+      try {
+        const r = await indexOnce(network);
+        if (r?.toBlock != null) {
+          log(`[${r.chainId}] indexed blocks`, r.fromBlock, "-", r.toBlock, "| events:", r.events, "| transfers:", r.transfers);
+        }
+      } catch (e) {
+        log.error(`[${network.chainId}] pass error:`, e);
+      }
+    }
+    if (timer) timer = setTimeout(tick, config.intervalMs).unref();
+  };
+  timer = setTimeout(tick, 0).unref();
+  for (const network of networks) {
+    log(`[${network.chainId}] started from block`, getIndexerConfig(network).startBlock, "| confirmations:", config.confirmations);
+  }
+  return true;
+}
+
+export function stopIndexer() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
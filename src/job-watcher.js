@@ -0,0 +1,195 @@
+/**
+ * Background job watcher: reconciles iExec task state into the jobs table so a job
+ * reaches a terminal state even when no browser is open to PATCH it.
+ *
+ * It also claims timed-out tasks (iexec deal claim), which refunds the deal price to the requester; the claim
+ * tx and refund are stored on the job.
+ *
+ * Env: JOB_WATCHER_ENABLED (default true), JOB_WATCHER_INTERVAL_MS (default 30s),
+ * JOB_WATCHER_CONCURRENCY (default 3), JOB_AUTO_CLAIM (default true), JOB_CLAIM_MAX_ATTEMPTS (default 3).
+ */
+import { fetchTaskResult, fetchDealDeadline, claimTimedOutTask } from "./iexec-client.js";
+import { getConfig } from "./config.js";
+import * as db from "./db.js";
+import { recordActivity } from "./activity.js";
+import { createLogger, runWithLogContext } from "./logger.js";
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_CLAIM_MAX_ATTEMPTS = 3;
+const PENDING_PAGE_SIZE = 200;
+const MAX_CLAIMS_PER_TICK = 20;
+
+/** Job statuses that the watcher never touches again. */
+export const TERMINAL_STATUSES = ["completed", "failed", "timeout", "settled"];
+
+let timer = null;
+
+const log = createLogger("job-watcher");
+
+export function getWatcherConfig() {
+  const enabled = !["0", "false", "no"].includes(String(process.env.JOB_WATCHER_ENABLED ?? "").toLowerCase());
+  const intervalMs = Number(process.env.JOB_WATCHER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  const concurrency = Math.max(1, Math.floor(Number(process.env.JOB_WATCHER_CONCURRENCY) || DEFAULT_CONCURRENCY));
+  const autoClaim = !["0", "false", "no"].includes(String(process.env.JOB_AUTO_CLAIM ?? "").toLowerCase());
+  const claimMaxAttempts = Math.max(1, Math.floor(Number(process.env.JOB_CLAIM_MAX_ATTEMPTS) || DEFAULT_CLAIM_MAX_ATTEMPTS));
+  return { enabled, intervalMs, concurrency, autoClaim, claimMaxAttempts };
+}
+
+export function isPending(job) {
+  // A retried job was replaced by its newer attempt; its own task may still finish, but can't be settled.
+  if (job.result != null || job.error || job.retried_by_task_id) return false;
+  return !TERMINAL_STATUSES.includes(String(job.status || "").toLowerCase());
+}
+
+/**
+ * Job update for an iExec task state ({ status, statusName, result } as from fetchTaskResult):
+ * { status, result?, error } for a finished task, null while it is still running.
+ */
+export function nextJobState({ status, statusName, result }) {
+  if (result != null) return { status: "completed", result, error: null };
+  if (statusName === "FAILED" || status === 4) return { status: "failed", error: "iExec task failed (FAILED)" };
+  if (statusName === "TIMEOUT") return { status: "timeout", error: "iExec task exceeded its deadline (TIMEOUT)" };
+  return null;
+}
+
+/**
+ * Query iExec for one job's task and write any state change back to the DB.
+ * Returns the new status, or null when the task is still running.
+ */
+async function reconcileJob(job) {
+  let task;
+  try {
+    task = await fetchTaskResult(job.task_id);
+  } catch (e) {
+    // Task not initialized on-chain yet (deal matched but not started): keep waiting, unless its deal expired.
+    if (e?.name === "ObjectNotFoundError") return (await reconcileUnstartedJob(job)) ? "timeout" : null;
+    throw e;
+  }
+  const update = nextJobState(task);
+  if (!update) return null;
+  await db.updateJobByTaskId(job.task_id, update);
+  return update.status;
+}
+
+/**
+ * A job whose task was never initialized times out with its deal. The deal is only looked up once the job is
+ * older than the task observation timeout, to spare the RPC for tasks that are just slow to start.
+ */
+async function reconcileUnstartedJob(job) {
+  if (!job.deal_id) return false;
+  if (Date.now() - new Date(job.submitted_at).getTime() < getConfig().TASK_OBSERVATION_TIMEOUT_MS) return false;
+  const { deadlineReached } = await fetchDealDeadline(job.deal_id);
+  if (!deadlineReached) return false;
+  await db.updateJobByTaskId(job.task_id, { status: "timeout", error: "iExec deal passed its deadline before the task started (TIMEOUT)" });
+  return true;
+}
+
+/**
+ * Claim the tasks of timed-out jobs, one at a time (they are sent from the same wallet). A failed claim is retried
+ * on later passes, up to maxAttempts per job. Returns { claimed, failed }.
+ */
+export async function claimTimedOutJobs({ maxAttempts = DEFAULT_CLAIM_MAX_ATTEMPTS } = {}) {
+  if (!db.isDbConfigured()) return { claimed: 0, failed: 0 };
+  const jobs = await db.listUnclaimedTimedOutJobs({ maxAttempts, limit: MAX_CLAIMS_PER_TICK });
+  let claimed = 0;
+  let failed = 0;
+  for (const job of jobs) {
+    await runWithLogContext({ taskId: job.task_id }, async () => {
+      if (!(await db.startJobClaim(job.task_id, job.claim_attempts))) return;
+      try {
+        const { txHash, refundNrlc } = await claimTimedOutTask(job.deal_id);
+        await db.recordJobClaim(job.task_id, { txHash, refundNrlc });
+        recordActivity("task_claimed", {
+          wallet: job.wallet_address,
+          taskId: job.task_id,
+          chainId: job.chain_id ?? null,
+          txHash,
+          data: { refundNrlc },
+          key: `task_claimed:${job.task_id}`,
+        });
+        claimed += 1;
+        log("task claimed", { txHash, refundNrlc });
+      } catch (e) {
+        failed += 1;
+        await db.recordJobClaim(job.task_id, { error: e.message || String(e) });
+        log.warn("claim failed:", e.message, { attempt: job.claim_attempts + 1, maxAttempts });
+      }
+    });
+  }
+  return { claimed, failed };
+}
+
+/**
+ * One reconciliation pass over all non-terminal jobs, oldest first and a page at a time, at most `concurrency`
+ * tasks in flight.
+ */
+export async function reconcileJobs({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+  if (!db.isDbConfigured()) return { checked: 0, updated: 0 };
+  let checked = 0;
+  let updated = 0;
+  let after = null;
+  for (;;) {
+    const page = await db.listPendingJobs({ terminalStatuses: TERMINAL_STATUSES, after, limit: PENDING_PAGE_SIZE });
+    updated += await reconcilePage(page.filter(isPending), concurrency);
+    checked += page.length;
+    if (page.length < PENDING_PAGE_SIZE) break;
+    after = page[page.length - 1];
+  }
+  return { checked, updated };
+}
+
+/** Reconcile a list of jobs, at most `concurrency` at a time. Returns how many changed state. */
+async function reconcilePage(jobs, concurrency) {
+  let updated = 0;
+  let next = 0;
+  async function worker() {
+    while (next < jobs.length) {
+      const job = jobs[next++];
+      await runWithLogContext({ taskId: job.task_id }, async () => {
+        try {
+          const newStatus = await reconcileJob(job);
+          if (newStatus) {
+            updated += 1;
+            log("task ->", newStatus);
+          }
+        } catch (e) {
+          log.warn("task check failed:", e.message);
+        }
+      });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+  return updated;
+}
+
+/**
+ * Start polling. Each pass is scheduled after the previous one finishes, so passes never overlap.
+ */
+export function startJobWatcher() {
+  const { enabled, intervalMs, concurrency, autoClaim, claimMaxAttempts } = getWatcherConfig();
+  if (!enabled || timer || !db.isDbConfigured()) return false;
+
+  const tick = async () => {
+    try {
+      const { checked, updated } = await reconcileJobs({ concurrency });
+      if (checked > 0) log("pass done, checked:", checked, "| updated:", updated);
+      if (autoClaim) {
+        const { claimed, failed } = await claimTimedOutJobs({ maxAttempts: claimMaxAttempts });
+        if (claimed + failed > 0) log("claims done, claimed:", claimed, "| failed:", failed);
+      }
+    } catch (e) {
+      log.error("pass error:", e);
+    } finally {
+      if (timer) timer = setTimeout(tick, intervalMs).unref();
+    }
+  };
+  timer = setTimeout(tick, intervalMs).unref();
+  log("started, interval:", intervalMs, "ms | concurrency:", concurrency, "| auto-claim:", autoClaim);
+  return true;
+}
+
+export function stopJobWatcher() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
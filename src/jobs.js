@@ -0,0 +1,34 @@
+/**
+ * Job representation shared by the jobs API and the services that publish jobs (webhook payloads).
+ */
+
+/** API shape of a jobs row (also the `job` in webhook payloads). */
+export function jobRowToJson(row) {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    dealId: row.deal_id,
+    settlementName: row.settlement_name,
+    status: row.status,
+    result: row.result,
+    error: row.error,
+    datasetUrlOverride: row.dataset_url_override,
+    chainId: row.chain_id ?? null,
+    submittedAt: row.submitted_at ? new Date(row.submitted_at).getTime() : null,
+    settledTxHash: row.settled_tx_hash ?? null,
+    settledAt: row.settled_at ? new Date(row.settled_at).getTime() : null,
+    settlePendingTxHash: row.settle_pending_tx_hash ?? null,
+    settleError: row.settle_error ?? null,
+    settleAttempts: row.settle_attempts ?? 0,
+    attempt: row.attempt ?? 1,
+    originalJobId: row.original_job_id ?? null,
+    retryOfTaskId: row.retry_of_task_id ?? null,
+    retriedByTaskId: row.retried_by_task_id ?? null,
+    claimTxHash: row.claim_tx_hash ?? null,
+    claimedAt: row.claimed_at ? new Date(row.claimed_at).getTime() : null,
+    claimRefundNrlc: row.claim_refund_nrlc ?? null,
+    claimError: row.claim_error ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Minimal JSON Schema validator for the schemas this backend publishes.
+ * Supports: type (incl. arrays of types and "integer"), enum, const, properties, required,
+ * additionalProperties (boolean or schema), items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, exclusiveMinimum, allOf, anyOf, and local $ref ("#/$defs/...", "#/components/...").
+ * Keywords it doesn't know are ignored.
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/** Append a property or index to a path: "participants" + 2 -> "participants[2]", + "address" -> "participants[2].address". */
+export function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, part) => node?.[part.replace(/~1/g, "/").replace(/~0/g, "~")], root);
+}
+
+function check(schema, value, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: "is not allowed" });
+    return;
+  }
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, path, root, errors);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path, message: `must be ${types.join(" or ")}` });
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: schema.errorMessage ?? `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, joinPath(path, i), root, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: "is required" });
+    }
+    const properties = schema.properties ?? {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key in properties) check(properties[key], v, joinPath(path, key), root, errors);
+      else if (schema.additionalProperties !== undefined) check(schema.additionalProperties, v, joinPath(path, key), root, errors);
+    }
+  }
+
+  for (const sub of schema.allOf ?? []) check(sub, value, path, root, errors);
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((s) => {
+      const e = [];
+      check(s, value, path, root, e);
+      return e;
+    });
+    if (!branches.some((e) => e.length === 0)) {
+      // Report the branch that got furthest (fewest errors) rather than all of them.
+      errors.push(...branches.reduce((best, e) => (e.length < best.length ? e : best)));
+    }
+  }
+}
+
+/**
+ * Validate value against schema. Returns [{ path, message }] (empty when valid); path "" is the value itself.
+ * root is the document local $refs resolve against (the schema itself by default, the OpenAPI document for its schemas).
+ */
+export function validateSchema(schema, value, root = schema) {
+  const errors = [];
+  check(schema, value, "", root, errors);
+  return errors;
+}
+
+/** Follow a schema's local $ref (if any) against root. */
+export function derefSchema(schema, root) {
+  let node = schema;
+  while (node?.$ref) node = resolveRef(root, node.$ref);
+  return node;
+}
@@ -0,0 +1,225 @@
+/**
+ * Shared structured logger. Every line carries a level, the module, and the current request context
+ * (requestId, taskId) from AsyncLocalStorage, so one request can be followed across settlement, iexec and db.
+ *
+ *   const log = createLogger("settlement");
+ *   log("run: deal matched", { taskId, durationMs });  // info
+ *   log.error("execute error:", err);                  // err becomes { name, message, code, stack }
+ *
+ * Arguments are joined into `msg` like console.log; a trailing plain object is merged into the line as
+ * fields instead. Before anything is written, secrets and personal data are redacted:
+ * - values of configured secrets (env vars ending in PRIVATE_KEY, SECRET, PASSWORD, TOKEN) and fields named like them;
+ * - byte strings of 65 bytes or more (attestations, signatures) and fields named attestation/signature;
+ * - Ethereum addresses, except the ones in our own configuration (contracts, app, executor, signers), which
+ *   become a short stable hash so lines about the same participant still correlate.
+ * URLs are not recognised in free text; pass dataset and other capability URLs through redactUrl().
+ *
+ * Env: LOG_LEVEL (debug | info | warn | error, default info), LOG_FORMAT (json | pretty; default json,
+ * pretty when NODE_ENV=development), LOG_REDACT_ADDRESSES (default true).
+ */
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { ethers } from "ethers";
+import "./config.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const ADDRESS_PATTERN = /\b0x[0-9a-fA-F]{40}\b/g;
+const LONG_HEX_PATTERN = /\b0x[0-9a-fA-F]{130,}\b/g;
+const SECRET_ENV_PATTERN = /(PRIVATE_KEY|SECRET|PASSWORD|TOKEN)$/;
+const SECRET_FIELD_PATTERN = /private.?key|secret|password|authorization|token|attestation|signature/i;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+let redaction = null;
+
+export function getLogConfig() {
+  const level = String(process.env.LOG_LEVEL || "info").toLowerCase();
+  const format = String(process.env.LOG_FORMAT || (process.env.NODE_ENV === "development" ? "pretty" : "json")).toLowerCase();
+  return {
+    level: LEVELS[level] ? level : "info",
+    format: format === "pretty" ? "pretty" : "json",
+    redactAddresses: !["0", "false", "no"].includes(String(process.env.LOG_REDACT_ADDRESSES ?? "").toLowerCase()),
+  };
+}
+
+/** Secret values and our own addresses from env (.env included, via config.js); read once, on the first line logged. */
+function redactionConfig() {
+  if (redaction) return redaction;
+  const entries = Object.entries(process.env).filter(([, v]) => typeof v === "string" && v.length > 0);
+  const secrets = new Set();
+  const ownAddresses = new Set();
+  for (const [name, value] of entries) {
+    if (SECRET_ENV_PATTERN.test(name) && value.length >= 8) {
+      secrets.add(value);
+      if (value.startsWith("0x")) secrets.add(value.slice(2));
+      if (/^(0x)?[0-9a-fA-F]{64}$/.test(value)) {
+        try {
+          ownAddresses.add(ethers.computeAddress(value.startsWith("0x") ? value : `0x${value}`).toLowerCase());
+        } catch {
+          // not a valid key: nothing to allow
+        }
+      }
+    }
+    if (name === "DATABASE_URL") {
+      try {
+        const password = new URL(value).password;
+        if (password) secrets.add(decodeURIComponent(password));
+      } catch {
+        // not a URL
+      }
+    }
+    for (const match of value.match(ADDRESS_PATTERN) ?? []) ownAddresses.add(match.toLowerCase());
+  }
+  redaction = { secrets: [...secrets].sort((a, b) => b.length - a.length), ownAddresses };
+  return redaction;
+}
+
+function addressTag(address) {
+  return `[addr:${crypto.createHash("sha256").update(address.toLowerCase()).digest("hex").slice(0, 8)}]`;
+}
+
+/**
+ * A URL as it may be logged: its origin and a short hash of the whole URL. Dataset URLs grant access to the
+ * payroll they point at, so their path and query stay out of the logs; the hash still correlates lines.
+ */
+export function redactUrl(url) {
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch {
+    origin = "[invalid url]";
+  }
+  return `${origin} [url:${crypto.createHash("sha256").update(String(url)).digest("hex").slice(0, 8)}]`;
+}
+
+/** Redact secrets, long byte strings and participant addresses from a string. */
+export function redactString(text) {
+  const { secrets, ownAddresses } = redactionConfig();
+  let out = String(text);
+  for (const secret of secrets) {
+    if (out.includes(secret)) out = out.split(secret).join("[REDACTED]");
+  }
+  out = out.replace(LONG_HEX_PATTERN, (hex) => `[REDACTED_BYTES:${(hex.length - 2) / 2}]`);
+  if (getLogConfig().redactAddresses) {
+    out = out.replace(ADDRESS_PATTERN, (addr) => (ownAddresses.has(addr.toLowerCase()) ? addr : addressTag(addr)));
+  }
+  return out;
+}
+
+/** Redact a value for logging: strings as in redactString, fields with secret-looking names entirely. */
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (value == null || typeof value !== "object") return typeof value === "bigint" ? value.toString() : value;
+  if (depth >= MAX_DEPTH) return "[Object]";
+  if (value instanceof Error) return redact(errorFields(value), depth);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, SECRET_FIELD_PATTERN.test(k) && v != null ? "[REDACTED]" : redact(v, depth + 1)])
+  );
+}
+
+function errorFields(err) {
+  return {
+    name: err.name,
+    message: err.shortMessage ?? err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    ...(err.stack && { stack: err.stack }),
+  };
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function formatArg(arg) {
+  if (typeof arg === "string") return arg;
+  if (arg instanceof Error) return arg.shortMessage ?? arg.message;
+  if (typeof arg === "bigint") return arg.toString();
+  if (arg == null || typeof arg !== "object") return String(arg);
+  try {
+    return JSON.stringify(arg, (k, v) => (typeof v === "bigint" ? v.toString() : v));
+  } catch {
+    return String(arg);
+  }
+}
+
+function write(level, module, args) {
+  const config = getLogConfig();
+  if (LEVELS[level] < LEVELS[config.level]) return;
+  let fields = {};
+  if (args.length > 1 && isPlainObject(args[args.length - 1])) {
+    fields = args[args.length - 1];
+    args = args.slice(0, -1);
+  }
+  const err = args.find((a) => a instanceof Error);
+  const line = redact({
+    ts: new Date().toISOString(),
+    level,
+    module,
+    ...context.getStore(),
+    msg: args.map(formatArg).join(" "),
+    ...fields,
+    ...(err && { err: errorFields(err) }),
+  });
+  if (config.format === "json") {
+    process.stdout.write(`${JSON.stringify(line)}\n`);
+    return;
+  }
+  const { ts, msg, requestId, taskId, err: errLine, level: _l, module: _m, ...rest } = line;
+  const tags = [requestId && `req=${requestId}`, taskId && `task=${String(taskId).slice(0, 18)}...`].filter(Boolean).join(" ");
+  const extra = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`).join(" ");
+  process.stdout.write(
+    `[${ts}] ${level.toUpperCase().padEnd(5)} [${module}]${tags ? ` (${tags})` : ""} ${msg}${extra ? ` ${extra}` : ""}\n` +
+      (errLine?.stack && level === "error" ? `${errLine.stack}\n` : "")
+  );
+}
+
+/** Logger for a module: log(...) is info; log.debug / log.info / log.warn / log.error pick the level. */
+export function createLogger(module) {
+  const log = (...args) => write("info", module, args);
+  for (const level of Object.keys(LEVELS)) log[level] = (...args) => write(level, module, args);
+  return log;
+}
+
+/** Run fn with extra context fields (e.g. { taskId }) on every line logged inside it. */
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/** Add fields to the current context (e.g. the taskId once a route knows it). No-op outside a context. */
+export function setLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Express middleware: takes X-Request-Id from the request (or generates one), echoes it back, runs the rest
+ * of the request in its log context, and logs one line per request with status and durationMs.
+ */
+export function requestLogger(log = createLogger("http")) {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set("X-Request-Id", requestId);
+    req.id = requestId;
+    const start = process.hrtime.bigint();
+    context.run({ requestId }, () => {
+      res.on("finish", () => {
+        const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+        const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+        log[level](`${req.method} ${req.path} ${res.statusCode}`, {
+          method: req.method,
+          path: req.path,
+          ...(route && { route }),
+          status: res.statusCode,
+          durationMs,
+          ...(["POST", "PUT", "PATCH"].includes(req.method) && isPlainObject(req.body) && { bodyKeys: Object.keys(req.body) }),
+        });
+      });
+      next();
+    });
+  };
+}
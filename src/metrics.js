@@ -0,0 +1,223 @@
+/**
+ * Prometheus metrics in the text exposition format (v0.0.4), without a client library.
+ * Counters, gauges and histograms are registered here once and updated by the modules they describe;
+ * gauges that are cheaper to read on demand (treasury balance, jobs by status) use collect callbacks
+ * run at scrape time. GET /metrics renders everything (see routes/metrics.js).
+ */
+import { createLogger } from "./logger.js";
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const TASK_BUCKETS = [30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+const registry = new Map(); // name -> metric
+
+const log = createLogger("metrics");
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (registry.has(name)) throw new Error(`Metric ${name} is already registered`);
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ... }
+    registry.set(name, this);
+  }
+
+  /** Labels restricted to the declared names, in declaration order; missing ones are "". */
+  labelsFor(labels = {}) {
+    return Object.fromEntries(this.labelNames.map((n) => [n, labels[n] ?? ""]));
+  }
+
+  seriesFor(labels, init) {
+    const normalized = this.labelsFor(labels);
+    const key = JSON.stringify(Object.values(normalized));
+    if (!this.series.has(key)) this.series.set(key, { labels: normalized, ...init() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}\n`).join("");
+  }
+}
+
+export class Gauge extends Metric {
+  /** collect: optional async () => void, run before each render to refresh the gauge (e.g. from Postgres). */
+  constructor(name, help, labelNames, collect = null) {
+    super("gauge", name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = Number(value);
+  }
+
+  /** Drop all series, e.g. before a collect callback re-reads them. */
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [...this.series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}\n`).join("");
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const s = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i] += 1;
+    });
+    s.sum += value;
+    s.count += 1;
+  }
+
+  /** Start timing; call the returned function (optionally with more labels) to observe the elapsed seconds. */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (more = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...more }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    let out = "";
+    for (const s of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        out += `${this.name}_bucket${formatLabels({ ...s.labels, le: formatValue(le) })} ${s.counts[i]}\n`;
+      });
+      out += `${this.name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}\n`;
+      out += `${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}\n`;
+      out += `${this.name}_count${formatLabels(s.labels)} ${s.count}\n`;
+    }
+    return out;
+  }
+}
+
+/**
+ * Render every registered metric. Collect callbacks run one at a time; one that fails is skipped
+ * (the gauge keeps its last value).
+ */
+export async function renderMetrics() {
+  const metrics = [...registry.values()];
+  for (const m of metrics) {
+    if (!m.collect) continue;
+    await m.collect().catch((e) => {
+      log.warn(`collect ${m.name} failed:`, e.message);
+    });
+  }
+  return metrics.map((m) => m.header() + m.render()).join("");
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// --- Metrics ---
+
+export const httpRequestsTotal = new Counter(
+  "shadowsettle_http_requests_total",
+  "HTTP requests by method, route pattern and status code.",
+  ["method", "route", "status"]
+);
+export const httpRequestDuration = new Histogram(
+  "shadowsettle_http_request_duration_seconds",
+  "HTTP request latency by method, route pattern and status code.",
+  ["method", "route", "status"]
+);
+
+export const iexecTaskSubmissions = new Counter(
+  "shadowsettle_iexec_task_submissions_total",
+  "iExec settlement task submissions (result: ok or error).",
+  ["result"]
+);
+export const iexecTaskSubmitDuration = new Histogram(
+  "shadowsettle_iexec_task_submit_duration_seconds",
+  "Time to match orders and create an iExec deal.",
+  ["result"]
+);
+export const iexecTaskOutcomes = new Counter(
+  "shadowsettle_iexec_task_outcomes_total",
+  "iExec tasks that reached a final state (completed, failed, timeout), counted once per task.",
+  ["outcome"]
+);
+export const iexecTaskClaims = new Counter(
+  "shadowsettle_iexec_task_claims_total",
+  "Claims of iExec tasks past their deadline (result: claimed, already_claimed or error).",
+  ["result"]
+);
+export const iexecTaskDuration = new Histogram(
+  "shadowsettle_iexec_task_duration_seconds",
+  "Time from submission to final state for tasks submitted by this process.",
+  ["outcome"],
+  TASK_BUCKETS
+);
+
+export const settlementsTotal = new Counter(
+  "shadowsettle_settlements_total",
+  "settleBatch outcomes by network: confirmed, or reverted with the decoded Settlement error (reason).",
+  ["chain_id", "outcome", "reason"]
+);
+
+export const faucetMintsTotal = new Counter(
+  "shadowsettle_faucet_mints_total",
+  "Faucet mints by network and result (submitted, confirmed, failed, rate_limited, cap_reached, budget_exhausted, error).",
+  ["chain_id", "result"]
+);
+export const faucetDripsTotal = new Counter(
+  "shadowsettle_faucet_drips_total",
+  "Faucet native-gas drips by network and result (submitted, confirmed, failed, error).",
+  ["chain_id", "result"]
+);
+
+export const webhookDeliveriesTotal = new Counter(
+  "shadowsettle_webhook_deliveries_total",
+  "Webhook delivery attempts by event and outcome (delivered, retry, failed).",
+  ["event", "outcome"]
+);
+
+export const rpcRequestDuration = new Histogram(
+  "shadowsettle_rpc_request_duration_seconds",
+  "JSON-RPC latency by RPC host and method (a batch of mixed methods counts as one request, method \"batch\").",
+  ["host", "method"]
+);
+export const rpcErrorsTotal = new Counter(
+  "shadowsettle_rpc_errors_total",
+  "JSON-RPC requests that failed at the transport or returned an error, by RPC host and method.",
+  ["host", "method"]
+);
@@ -0,0 +1,180 @@
+/**
+ * Versioned schema migrations. Each file in src/migrations is named NNN_description.sql and applied once,
+ * in order, inside its own transaction; applied versions are recorded in schema_migrations.
+ * A Postgres advisory lock is held for the whole run so concurrent instances don't race. A migration edited after
+ * it was applied stops the run before anything is applied: the schema would no longer match the files.
+ * Migrations that backfill per-network data read the default network's chain id (DEFAULT_CHAIN_ID /
+ * SETTLEMENT_CHAIN_ID, see networks.js) as current_setting('shadowsettle.default_chain_id'), '' when none is set up.
+ *
+ * CLI: npm run migrate (apply pending) | npm run migrate:status
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import "./config.js";
+import * as db from "./db.js";
+import { getDefaultNetwork } from "./networks.js";
+import { createLogger } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+/** Advisory lock key shared by every instance running migrations against the same database. */
+const MIGRATION_LOCK_KEY = 728_341_905;
+
+const log = createLogger("migrate");
+
+/** Migration files on disk, sorted by version: [{ version, name, file, sql, checksum }]. */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const sql = fs.readFileSync(path.join(dir, file), "utf8");
+      return {
+        version: Number(match[1]),
+        name: match[2],
+        file,
+        sql,
+        checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const r = await client.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+  return new Map(r.rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Apply all pending migrations. Returns { applied: [file], current: version | null };
+ * null when no database is configured. Throws if an applied migration's file changed (nothing is applied then)
+ * or if a migration fails (that migration is rolled back).
+ */
+export async function migrate() {
+  const pool = db.getPool();
+  if (!pool) return null;
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      const done = await appliedMigrations(client);
+      const changed = migrations.filter((m) => done.has(m.version) && done.get(m.version).checksum !== m.checksum);
+      if (changed.length > 0) {
+        throw new Error(
+          `${changed.map((m) => m.file).join(", ")} changed after being applied; restore the applied version and put the change in a new migration`
+        );
+      }
+      const applied = [];
+      const defaultChainId = String(getDefaultNetwork()?.chainId ?? "");
+      for (const m of migrations) {
+        if (done.has(m.version)) continue;
+        await client.query("BEGIN");
+        try {
+          await client.query("SELECT set_config('shadowsettle.default_chain_id', $1, true)", [defaultChainId]);
+          await client.query(m.sql);
+          await client.query("INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)", [
+            m.version,
+            m.name,
+            m.checksum,
+          ]);
+          await client.query("COMMIT");
+        } catch (e) {
+          await client.query("ROLLBACK").catch(() => {});
+          throw new Error(`Migration ${m.file} failed: ${e.message}`);
+        }
+        log("applied", m.file);
+        applied.push(m.file);
+      }
+      const current = migrations.length ? Math.max(...migrations.map((m) => m.version), ...done.keys()) : null;
+      return { applied, current };
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Applied and pending migrations: [{ version, name, file, status: "applied" | "pending" | "changed" | "missing", appliedAt }].
+ * "changed" = file edited after it was applied; "missing" = recorded in the database but no longer on disk.
+ */
+export async function migrationStatus() {
+  const pool = db.getPool();
+  if (!pool) return null;
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const done = await appliedMigrations(client);
+    const status = migrations.map((m) => {
+      const prev = done.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        file: m.file,
+        status: !prev ? "pending" : prev.checksum === m.checksum ? "applied" : "changed",
+        appliedAt: prev?.applied_at?.toISOString?.() ?? null,
+      };
+    });
+    for (const [version, row] of done) {
+      if (!migrations.some((m) => m.version === version)) {
+        status.push({ version, name: row.name, file: null, status: "missing", appliedAt: row.applied_at?.toISOString?.() ?? null });
+      }
+    }
+    return status.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+async function main(command = "up") {
+  if (!db.isDbConfigured()) {
+    console.error("No database configured. Set DATABASE_URL (or PGHOST / PGDATABASE).");
+    process.exitCode = 1;
+    return;
+  }
+  if (command === "up") {
+    const { applied, current } = await migrate();
+    console.log(applied.length ? `Applied ${applied.length} migration(s); schema at version ${current}` : `Schema up to date (version ${current})`);
+  } else if (command === "status") {
+    for (const m of await migrationStatus()) {
+      console.log(`${String(m.version).padStart(3, "0")}  ${m.status.padEnd(8)} ${m.name}${m.appliedAt ? `  (${m.appliedAt})` : ""}`);
+    }
+  } else {
+    console.error(`Unknown command "${command}". Usage: node src/migrate.js [up|status]`);
+    process.exitCode = 1;
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv[2])
+    .catch((e) => {
+      console.error(e.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.getPool()?.end());
+}
@@ -0,0 +1,29 @@
+-- Treasury balance cache and jobs, as created by the original initDb().
+-- IF NOT EXISTS so databases created before migrations adopt this version unchanged.
+CREATE TABLE IF NOT EXISTS treasury_balance (
+  settlement_address TEXT PRIMARY KEY,
+  balance_raw TEXT NOT NULL,
+  balance_formatted TEXT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_address TEXT,
+  task_id TEXT UNIQUE NOT NULL,
+  deal_id TEXT,
+  settlement_name TEXT NOT NULL DEFAULT 'Settlement',
+  status TEXT NOT NULL DEFAULT 'submitted',
+  result JSONB,
+  error TEXT,
+  dataset_url_override TEXT,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  settled_tx_hash TEXT,
+  settled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_jobs_wallet ON jobs(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_jobs_submitted_at ON jobs(submitted_at DESC);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS settled_tx_hash TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ;
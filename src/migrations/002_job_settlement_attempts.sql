@@ -0,0 +1,4 @@
+-- Server-side settlement attempts (POST /settlement/execute/:taskId).
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS settle_pending_tx_hash TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS settle_error TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS settle_attempts INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,27 @@
+-- Executor/faucet transactions tracked by the tx-manager.
+CREATE TABLE IF NOT EXISTS transactions (
+  id UUID PRIMARY KEY,
+  kind TEXT NOT NULL,
+  chain_id INTEGER NOT NULL,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  nonce INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  value TEXT NOT NULL DEFAULT '0',
+  gas_limit TEXT NOT NULL,
+  max_fee_per_gas TEXT NOT NULL,
+  max_priority_fee_per_gas TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  previous_hashes JSONB NOT NULL DEFAULT '[]',
+  replacements INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending',
+  meta JSONB,
+  error TEXT,
+  revert_data TEXT,
+  block_number INTEGER,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  mined_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_transactions_pending ON transactions(from_address) WHERE status = 'pending';
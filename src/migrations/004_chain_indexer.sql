@@ -0,0 +1,41 @@
+-- Settlement contract logs and treasury token transfers (src/indexer.js).
+CREATE TABLE IF NOT EXISTS settlement_events (
+  chain_id INTEGER NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  block_time TIMESTAMPTZ,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  contract_address TEXT NOT NULL,
+  event_name TEXT,
+  args JSONB,
+  PRIMARY KEY (chain_id, tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS idx_settlement_events_block ON settlement_events(chain_id, block_number);
+
+CREATE TABLE IF NOT EXISTS treasury_transfers (
+  chain_id INTEGER NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  block_time TIMESTAMPTZ,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  token_address TEXT NOT NULL,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  amount_raw NUMERIC(78, 0) NOT NULL,
+  direction TEXT NOT NULL,
+  PRIMARY KEY (chain_id, tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS idx_treasury_transfers_block ON treasury_transfers(chain_id, block_number);
+CREATE INDEX IF NOT EXISTS idx_treasury_transfers_from ON treasury_transfers(from_address);
+CREATE INDEX IF NOT EXISTS idx_treasury_transfers_to ON treasury_transfers(to_address);
+
+CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+  name TEXT PRIMARY KEY,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_settled_tx ON jobs(settled_tx_hash);
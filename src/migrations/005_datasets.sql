@@ -0,0 +1,9 @@
+-- Uploaded datasets (POST /datasets), keyed by the SHA-256 of their canonical JSON.
+CREATE TABLE IF NOT EXISTS datasets (
+  id TEXT PRIMARY KEY,
+  body TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_datasets_expires_at ON datasets(expires_at);
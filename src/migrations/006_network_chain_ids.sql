@@ -0,0 +1,13 @@
+-- Multi-network support: jobs record their settlement network; treasury balances are cached per network.
+-- Existing jobs keep chain_id NULL, meaning the default network.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+CREATE INDEX IF NOT EXISTS idx_jobs_chain_id ON jobs(chain_id);
+
+-- Balances cached before this migration were read from the single network configured then, i.e. today's default
+-- network (set by the migration runner). Without a configured network they are dropped; the cache refills from chain.
+ALTER TABLE treasury_balance ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+UPDATE treasury_balance SET chain_id = NULLIF(current_setting('shadowsettle.default_chain_id', true), '')::int WHERE chain_id IS NULL;
+DELETE FROM treasury_balance WHERE chain_id IS NULL;
+ALTER TABLE treasury_balance ALTER COLUMN chain_id SET NOT NULL;
+ALTER TABLE treasury_balance DROP CONSTRAINT IF EXISTS treasury_balance_pkey;
+ALTER TABLE treasury_balance ADD PRIMARY KEY (chain_id, settlement_address);
@@ -0,0 +1,24 @@
+-- Columns for SQL-side dashboard aggregation (GET /dashboard/stats, GET /dashboard/timeseries), so counts and
+-- payout volume never have to load result JSON into Node.
+
+-- Sum of result.payouts[].amount (whole token units), kept in step with result by Postgres itself.
+-- Amounts that aren't plain decimals are skipped rather than failing the write.
+CREATE OR REPLACE FUNCTION job_payout_total(result JSONB) RETURNS NUMERIC
+LANGUAGE SQL IMMUTABLE AS $$
+  SELECT SUM((p ->> 'amount')::numeric)
+  FROM jsonb_array_elements(CASE WHEN jsonb_typeof(result -> 'payouts') = 'array' THEN result -> 'payouts' ELSE '[]'::jsonb END) AS p
+  WHERE p ->> 'amount' ~ '^\d+(\.\d+)?$'
+$$;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS payout_total NUMERIC GENERATED ALWAYS AS (job_payout_total(result)) STORED;
+
+-- PATCH { result: null } used to store a JSON null; make "no result" a SQL NULL everywhere.
+UPDATE jobs SET result = NULL WHERE result = 'null'::jsonb;
+
+-- When the result was first recorded. Jobs completed before this migration only have updated_at, the closest
+-- value we have.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+UPDATE jobs SET completed_at = updated_at WHERE result IS NOT NULL AND completed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_wallet_submitted_at ON jobs(wallet_address, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_completed_at ON jobs(completed_at) WHERE completed_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_jobs_settled_at ON jobs(settled_at) WHERE settled_tx_hash IS NOT NULL;
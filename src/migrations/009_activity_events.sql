@@ -0,0 +1,54 @@
+-- Append-only activity feed (GET /dashboard/activity), written at each job, settlement and faucet transition.
+-- event_key makes events that can be reported twice (e.g. a settlement seen by the tx monitor and the indexer)
+-- idempotent; it is NULL for events that only happen once per transition.
+CREATE TABLE IF NOT EXISTS activity_events (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  wallet_address TEXT,
+  task_id TEXT,
+  chain_id INTEGER,
+  tx_hash TEXT,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  event_key TEXT UNIQUE,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_activity_events_occurred ON activity_events(occurred_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_events_wallet ON activity_events(wallet_address, occurred_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_events_task ON activity_events(task_id, occurred_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_events_type ON activity_events(type, occurred_at DESC, id DESC);
+
+-- Timestamps are stored at millisecond precision (see insertActivityEvent in db.js).
+-- One-time backfill from existing jobs, with the timestamps the old feed derived (completion from completed_at,
+-- see 008). Failures only have updated_at. Settlement attempts and faucet mints before this point are not known.
+INSERT INTO activity_events (type, wallet_address, task_id, chain_id, data, event_key, occurred_at)
+SELECT 'job_started', wallet_address, task_id, chain_id, jsonb_build_object('settlementName', settlement_name),
+  'job_started:' || task_id, date_trunc('milliseconds', submitted_at)
+FROM jobs
+ON CONFLICT (event_key) DO NOTHING;
+
+INSERT INTO activity_events (type, wallet_address, task_id, chain_id, data, occurred_at)
+SELECT 'job_completed', wallet_address, task_id, chain_id,
+  jsonb_build_object(
+    'settlementName', settlement_name,
+    'participants', CASE WHEN jsonb_typeof(result -> 'payouts') = 'array' THEN jsonb_array_length(result -> 'payouts') ELSE 0 END,
+    'totalPayout', payout_total
+  ),
+  date_trunc('milliseconds', completed_at)
+FROM jobs WHERE result IS NOT NULL AND completed_at IS NOT NULL;
+
+INSERT INTO activity_events (type, wallet_address, task_id, chain_id, data, occurred_at)
+SELECT 'job_failed', wallet_address, task_id, chain_id,
+  jsonb_build_object('settlementName', settlement_name, 'status', lower(status), 'error', error), date_trunc('milliseconds', updated_at)
+FROM jobs WHERE lower(status) IN ('failed', 'timeout');
+
+INSERT INTO activity_events (type, wallet_address, task_id, chain_id, tx_hash, data, event_key, occurred_at)
+SELECT 'settlement_executed', wallet_address, task_id, chain_id, settled_tx_hash,
+  jsonb_build_object(
+    'settlementName', settlement_name,
+    'participants', CASE WHEN jsonb_typeof(result -> 'payouts') = 'array' THEN jsonb_array_length(result -> 'payouts') ELSE 0 END,
+    'totalPayout', payout_total
+  ),
+  'settlement_executed:' || lower(settled_tx_hash), date_trunc('milliseconds', COALESCE(settled_at, updated_at))
+FROM jobs WHERE settled_tx_hash IS NOT NULL
+ON CONFLICT (event_key) DO NOTHING;
@@ -0,0 +1,19 @@
+-- Job retries (POST /jobs/by-task/:taskId/retry) and claims of tasks that missed their deadline (job watcher).
+-- A retry is a new jobs row for the new task: original_job_id points at the first attempt's row (NULL on the
+-- first attempt itself), attempt counts from 1, and retry_of_task_id / retried_by_task_id link neighbouring attempts.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS original_job_id UUID REFERENCES jobs(id) ON DELETE SET NULL;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS retry_of_task_id TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS retried_by_task_id TEXT;
+-- Set while a retry is being submitted to iExec, so two requests can't both pay for a new deal.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS retry_started_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_jobs_original_job_id ON jobs(original_job_id) WHERE original_job_id IS NOT NULL;
+
+-- iexec claim of a timed-out task: the tx (NULL when someone else claimed it first), when it was recorded,
+-- and the requester refund in nRLC (app + dataset + workerpool price of the deal).
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claim_tx_hash TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claim_refund_nrlc TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claim_error TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claim_attempts INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_jobs_unclaimed_timeout ON jobs(updated_at) WHERE status = 'timeout' AND claimed_at IS NULL;
@@ -0,0 +1,19 @@
+-- Faucet claims (POST /faucet), kept for the rolling 24h limits per address, per client IP and per network.
+-- amount_raw is in token base units and eth_raw in wei (0 without a gas drip). A claim whose mint could not be
+-- sent, reverted or was dropped is marked failed and no longer counts.
+CREATE TABLE IF NOT EXISTS faucet_claims (
+  id BIGSERIAL PRIMARY KEY,
+  chain_id INTEGER NOT NULL,
+  address TEXT NOT NULL,
+  ip TEXT,
+  amount_raw NUMERIC(78, 0) NOT NULL,
+  eth_raw NUMERIC(78, 0) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending',
+  tx_id TEXT,
+  eth_tx_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_faucet_claims_chain_created ON faucet_claims(chain_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_faucet_claims_address ON faucet_claims(chain_id, address, created_at);
+CREATE INDEX IF NOT EXISTS idx_faucet_claims_ip ON faucet_claims(chain_id, ip, created_at);
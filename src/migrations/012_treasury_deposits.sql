@@ -0,0 +1,14 @@
+-- Treasury deposits confirmed through POST /settlement/deposit/confirm, one row per deposit tx. depositor is the
+-- wallet the tokens came from and amount_raw the total transferred into the treasury (token base units).
+CREATE TABLE IF NOT EXISTS treasury_deposits (
+  chain_id INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  depositor TEXT NOT NULL,
+  token_address TEXT NOT NULL,
+  amount_raw NUMERIC(78, 0) NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_time TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (chain_id, tx_hash)
+);
+CREATE INDEX IF NOT EXISTS idx_treasury_deposits_depositor ON treasury_deposits(chain_id, depositor);
@@ -0,0 +1,11 @@
+-- job_payout_total skipped amounts in exponent notation ("1.25e0"), which the API accepts and settles like any other
+-- amount (see src/money.js), so payout volumes and treasury liabilities undercounted those jobs.
+CREATE OR REPLACE FUNCTION job_payout_total(result JSONB) RETURNS NUMERIC
+LANGUAGE SQL IMMUTABLE AS $$
+  SELECT SUM((p ->> 'amount')::numeric)
+  FROM jsonb_array_elements(CASE WHEN jsonb_typeof(result -> 'payouts') = 'array' THEN result -> 'payouts' ELSE '[]'::jsonb END) AS p
+  WHERE p ->> 'amount' ~ '^\d+(\.\d+)?([eE][+-]?\d{1,3})?$'
+$$;
+
+-- Stored generated columns are only recomputed when their row is written.
+UPDATE jobs SET result = result WHERE result IS NOT NULL AND result::text ~ '\d[eE][+-]?\d';
@@ -0,0 +1,3 @@
+-- The job watcher pages through unfinished jobs oldest first (listPendingJobs); keep that scan off the full table.
+CREATE INDEX IF NOT EXISTS idx_jobs_pending ON jobs(submitted_at, id)
+  WHERE result IS NULL AND error IS NULL AND retried_by_task_id IS NULL;
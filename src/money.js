@@ -0,0 +1,78 @@
+/**
+ * Token amounts. Amounts come in either as whole token units (decimal strings or JSON numbers, e.g. "12.5", 12.5,
+ * "1e-7") or as integer base units ("12500000"), are checked against the token's decimals and kept as BigInt base
+ * units from then on; sums and comparisons never go through floating point. Formatting back to whole units is exact
+ * (formatTokenUnits) or rounded down to cents for display (formatTokenAmount).
+ */
+import { ethers } from "ethers";
+
+// Exponents beyond this are rejected rather than expanded into huge BigInts.
+const MAX_EXPONENT = 80;
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/;
+
+export class AmountError extends Error {
+  constructor(message, code = "INVALID_AMOUNT", status = 400) {
+    super(message);
+    this.name = "AmountError";
+    this.code = code;
+    this.status = status;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+/**
+ * Whole-unit amount to base units of a token with `decimals`. Accepts non-negative decimal strings and finite
+ * numbers, both also in exponent notation. Throws AmountError on anything else or on more fraction digits than
+ * the token has (trailing zeros don't count).
+ */
+export function parseTokenAmount(amount, decimals) {
+  const text = typeof amount === "number" && Number.isFinite(amount) ? String(amount) : typeof amount === "string" ? amount.trim() : "";
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) throw new AmountError(`Invalid amount: ${amount}`);
+  const [, whole, fraction = "", exponentText = "0"] = match;
+  const exponent = Number(exponentText);
+  if (Math.abs(exponent) > MAX_EXPONENT) throw new AmountError(`Invalid amount: ${amount} is out of range`);
+  // value = digits * 10^(exponent - fraction.length), so raw = digits * 10^shift
+  const digits = BigInt(whole + fraction);
+  const shift = decimals + exponent - fraction.length;
+  if (shift >= 0) return digits * 10n ** BigInt(shift);
+  const divisor = 10n ** BigInt(-shift);
+  if (digits % divisor !== 0n) throw new AmountError(`Invalid amount: ${amount} has more than ${decimals} decimals`);
+  return digits / divisor;
+}
+
+/** Integer base units (digit string, bigint or safe integer) as a BigInt. Throws AmountError otherwise. */
+export function parseRawAmount(amount) {
+  if (typeof amount === "bigint" && amount >= 0n) return amount;
+  if (typeof amount === "number" && Number.isSafeInteger(amount) && amount >= 0) return BigInt(amount);
+  if (typeof amount === "string" && /^\d+$/.test(amount.trim())) return BigInt(amount.trim());
+  throw new AmountError(`Invalid raw amount: ${amount} (expected an integer number of base units)`);
+}
+
+/** Sum of base-unit amounts (anything parseRawAmount accepts). */
+export function sumAmounts(amounts) {
+  return amounts.reduce((sum, a) => sum + parseRawAmount(a), 0n);
+}
+
+/** Base units as a display string with thousands separators and (at most) two decimals, e.g. "1,234.56". */
+export function formatTokenAmount(raw, decimals) {
+  const value = parseRawAmount(raw);
+  const unit = 10n ** BigInt(decimals);
+  const whole = (value / unit).toLocaleString("en-US");
+  if (decimals === 0) return whole;
+  const frac = String(value % unit).padStart(decimals, "0").slice(0, Math.min(decimals, 2)).padEnd(2, "0");
+  return `${whole}.${frac}`;
+}
+
+/** Base units as an exact decimal string without a trailing ".0", e.g. "10000" or "12.5". */
+export function formatTokenUnits(raw, decimals) {
+  return ethers.formatUnits(parseRawAmount(raw), decimals).replace(/\.0$/, "");
+}
+
+/** Base units as a JS number of whole tokens, for charts and other display only (may round). */
+export function tokenAmountToNumber(raw, decimals) {
+  return Number(formatTokenUnits(raw, decimals));
+}
@@ -0,0 +1,206 @@
+/**
+ * Settlement network registry, keyed by chain ID. Each network has its RPC URLs, explorer, Settlement
+ * contract, token, executor key and (optional) faucet key; the faucet only runs on testnets.
+ *
+ * Networks are configured per chain ID with NETWORK_<chainId>_* env vars:
+ *   RPC_URL (comma-separated for fallbacks), SETTLEMENT_ADDRESS, TOKEN_ADDRESS, EXECUTOR_PRIVATE_KEY,
+ *   FAUCET_PRIVATE_KEY, EXPLORER_URL, NAME
+ * Known chains (Arbitrum One, Arbitrum Sepolia, local anvil) come with a name and explorer; any other chain ID
+ * works too. The legacy ARBITRUM_SEPOLIA_RPC_URL / SETTLEMENT_CONTRACT_ADDRESS / TEST_USDC_ADDRESS /
+ * SETTLEMENT_EXECUTOR_PRIVATE_KEY / FAUCET_PRIVATE_KEY vars still define the network SETTLEMENT_CHAIN_ID
+ * (default 421614). DEFAULT_CHAIN_ID picks the network used when a request doesn't name one.
+ */
+import { ethers } from "ethers";
+import { rpcRequestDuration, rpcErrorsTotal } from "./metrics.js";
+
+export const ARBITRUM_ONE = 42161;
+export const ARBITRUM_SEPOLIA = 421614;
+export const LOCAL_ANVIL = 31337;
+
+/** Defaults for chains we know; env overrides any field. */
+const KNOWN_CHAINS = {
+  [ARBITRUM_ONE]: { name: "Arbitrum One", explorerUrl: "https://arbiscan.io", testnet: false },
+  [ARBITRUM_SEPOLIA]: { name: "Arbitrum Sepolia", explorerUrl: "https://sepolia.arbiscan.io", testnet: true },
+  [LOCAL_ANVIL]: { name: "Local (anvil)", explorerUrl: null, testnet: true },
+};
+
+const providers = new Map();
+
+function splitUrls(value) {
+  return String(value ?? "")
+    .split(",")
+    .map((u) => u.trim())
+    .filter(Boolean);
+}
+
+function legacyNetworkEnv() {
+  return {
+    rpcUrls: splitUrls(process.env.ARBITRUM_SEPOLIA_RPC_URL),
+    settlementAddress: process.env.SETTLEMENT_CONTRACT_ADDRESS || null,
+    tokenAddress: process.env.TEST_USDC_ADDRESS || null,
+    executorPrivateKey: process.env.SETTLEMENT_EXECUTOR_PRIVATE_KEY || process.env.FAUCET_PRIVATE_KEY || null,
+    faucetPrivateKey: process.env.FAUCET_PRIVATE_KEY || null,
+  };
+}
+
+function networkEnv(chainId) {
+  const get = (name) => process.env[`NETWORK_${chainId}_${name}`] || null;
+  const executorPrivateKey = get("EXECUTOR_PRIVATE_KEY");
+  const faucetPrivateKey = get("FAUCET_PRIVATE_KEY");
+  return {
+    rpcUrls: splitUrls(get("RPC_URL")),
+    settlementAddress: get("SETTLEMENT_ADDRESS"),
+    tokenAddress: get("TOKEN_ADDRESS"),
+    executorPrivateKey: executorPrivateKey || faucetPrivateKey,
+    faucetPrivateKey,
+    explorerUrl: get("EXPLORER_URL"),
+    name: get("NAME"),
+  };
+}
+
+function buildNetwork(chainId, env) {
+  const known = KNOWN_CHAINS[chainId] ?? { name: `Chain ${chainId}`, explorerUrl: null, testnet: true };
+  return {
+    chainId,
+    name: env.name || known.name,
+    testnet: known.testnet,
+    rpcUrls: env.rpcUrls,
+    rpc: env.rpcUrls[0] ?? null,
+    explorerUrl: (env.explorerUrl || known.explorerUrl || "").replace(/\/$/, "") || null,
+    settlementAddress: env.settlementAddress,
+    tokenAddress: env.tokenAddress,
+    executorPrivateKey: env.executorPrivateKey,
+    faucetPrivateKey: env.faucetPrivateKey,
+    faucetEnabled: !!(env.rpcUrls.length && env.tokenAddress && env.faucetPrivateKey) && known.testnet,
+  };
+}
+
+/** All networks with at least an RPC URL, sorted by chain ID. Read from env on every call. */
+export function listNetworks() {
+  const byChain = new Map();
+  const legacy = legacyNetworkEnv();
+  if (legacy.rpcUrls.length) {
+    const chainId = Number(process.env.SETTLEMENT_CHAIN_ID) || ARBITRUM_SEPOLIA;
+    byChain.set(chainId, buildNetwork(chainId, legacy));
+  }
+  for (const key of Object.keys(process.env)) {
+    const match = /^NETWORK_(\d+)_RPC_URL$/.exec(key);
+    if (!match) continue;
+    const chainId = Number(match[1]);
+    const env = networkEnv(chainId);
+    if (!env.rpcUrls.length) continue;
+    // NETWORK_<id>_* wins over the legacy vars field by field.
+    const base = byChain.get(chainId);
+    const merged = base
+      ? Object.fromEntries(Object.entries(env).map(([k, v]) => [k, (Array.isArray(v) ? v.length : v) ? v : legacy[k] ?? null]))
+      : env;
+    byChain.set(chainId, buildNetwork(chainId, merged));
+  }
+  return [...byChain.values()].sort((a, b) => a.chainId - b.chainId);
+}
+
+/** Network used when a request doesn't name one: DEFAULT_CHAIN_ID, else the legacy network, else the first. */
+export function getDefaultNetwork() {
+  const networks = listNetworks();
+  const preferred = Number(process.env.DEFAULT_CHAIN_ID) || Number(process.env.SETTLEMENT_CHAIN_ID) || ARBITRUM_SEPOLIA;
+  return networks.find((n) => n.chainId === preferred) ?? networks[0] ?? null;
+}
+
+/** Network by chain ID (number or numeric string); the default network when chainId is null/undefined/"". */
+export function getNetwork(chainId) {
+  if (chainId == null || chainId === "") return getDefaultNetwork();
+  return listNetworks().find((n) => n.chainId === Number(chainId)) ?? null;
+}
+
+/**
+ * Resolve the network a request targets from a chainId value (query or body).
+ * Returns { network } or { error, status } (400 for a malformed id, 404 for an unknown one, 503 when none is configured).
+ */
+export function resolveNetwork(chainId) {
+  if (chainId != null && chainId !== "" && !/^\d+$/.test(String(chainId))) {
+    return { error: "Invalid chainId", status: 400 };
+  }
+  const network = getNetwork(chainId);
+  if (network) return { network };
+  if (chainId == null || chainId === "") {
+    return { error: "No settlement network configured. Set NETWORK_<chainId>_RPC_URL (or ARBITRUM_SEPOLIA_RPC_URL).", status: 503 };
+  }
+  return { error: `Unknown network ${chainId}. Configured: ${listNetworks().map((n) => n.chainId).join(", ") || "none"}`, status: 404 };
+}
+
+/** JsonRpcProvider that records request latency and errors per RPC host and method. */
+class InstrumentedJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(url, network, options) {
+    super(url, network, options);
+    try {
+      this.metricsHost = new URL(url).host;
+    } catch {
+      this.metricsHost = "unknown";
+    }
+  }
+
+  async _send(payload) {
+    const methods = new Set((Array.isArray(payload) ? payload : [payload]).map((p) => p.method));
+    const labels = { host: this.metricsHost, method: methods.size === 1 ? [...methods][0] : "batch" };
+    const end = rpcRequestDuration.startTimer(labels);
+    try {
+      const results = await super._send(payload);
+      if (results.some((r) => r.error)) rpcErrorsTotal.inc(labels);
+      return results;
+    } catch (e) {
+      rpcErrorsTotal.inc(labels);
+      throw e;
+    } finally {
+      end();
+    }
+  }
+}
+
+/** JsonRpcProvider for a URL with RPC metrics; chainId (optional) skips network detection. */
+export function createRpcProvider(url, chainId = null) {
+  if (chainId == null) return new InstrumentedJsonRpcProvider(url);
+  const staticNetwork = ethers.Network.from(chainId);
+  return new InstrumentedJsonRpcProvider(url, staticNetwork, { staticNetwork });
+}
+
+/** Cached read provider for a network; several RPC URLs become a FallbackProvider. */
+export function getProvider(network) {
+  const key = `${network.chainId}|${network.rpcUrls.join(",")}`;
+  if (providers.has(key)) return providers.get(key);
+  const staticNetwork = ethers.Network.from(network.chainId);
+  const provider = network.rpcUrls.length > 1
+    ? new ethers.FallbackProvider(
+        network.rpcUrls.map((url, i) => ({
+          provider: createRpcProvider(url, network.chainId),
+          priority: i + 1,
+          stallTimeout: 2000,
+        })),
+        staticNetwork,
+        { quorum: 1 }
+      )
+    : createRpcProvider(network.rpc, network.chainId);
+  providers.set(key, provider);
+  return provider;
+}
+
+export function explorerTxUrl(network, txHash) {
+  return network?.explorerUrl && txHash ? `${network.explorerUrl}/tx/${txHash}` : null;
+}
+
+export function explorerAddressUrl(network, address) {
+  return network?.explorerUrl && address ? `${network.explorerUrl}/address/${address}` : null;
+}
+
+/** Public description of a network (no keys or RPC URLs). */
+export function networkToJson(network) {
+  return {
+    chainId: network.chainId,
+    name: network.name,
+    testnet: network.testnet,
+    explorerUrl: network.explorerUrl,
+    settlementAddress: network.settlementAddress,
+    tokenAddress: network.tokenAddress,
+    executorConfigured: !!(network.settlementAddress && network.executorPrivateKey),
+    faucetEnabled: network.faucetEnabled,
+  };
+}
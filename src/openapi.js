@@ -0,0 +1,1509 @@
+/**
+ * OpenAPI 3.1 description of every route registered in index.js, served at GET /openapi.json (docs page at
+ * GET /docs). It is also what request-validation.js checks requests (and, in dev/test, responses) against, so a
+ * route's contract lives here rather than in each handler.
+ *
+ * Schemas use the JSON Schema subset json-schema.js understands (type arrays instead of `nullable`, local $refs).
+ * When adding a route to index.js, add its operation here; startup logs any route the document is missing.
+ */
+import { DATASET_SCHEMA } from "./dataset-schema.js";
+import { WEBHOOK_EVENTS } from "./webhooks.js";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+function json(description, schema) {
+  return { description, content: { "application/json": { schema } } };
+}
+
+function body(schema, description) {
+  return { required: true, ...(description && { description }), content: { "application/json": { schema } } };
+}
+
+const error = (description) => json(description, ref("Error"));
+const invalidRequest = json("The request does not match this document (code INVALID_REQUEST).", ref("ValidationError"));
+const unknownNetwork = error("Unknown or unconfigured chainId (code UNKNOWN_NETWORK).");
+const unauthorized = error("No valid SIWE session. Sign in via POST /auth/verify.");
+const serverError = error("Unexpected error.");
+const dbNotConfigured = error("Postgres is not configured.");
+const walletFilterUnauthorized = error("wallet given without a SIWE session");
+const walletFilterForbidden = error("wallet is not the signed-in wallet");
+const invalidWebhook = json(
+  "The request does not match this document (code INVALID_REQUEST), or the url is not allowed (code WEBHOOK_URL_INVALID).",
+  { anyOf: [ref("ValidationError"), ref("Error")] }
+);
+
+/** The dataset JSON Schema with its $defs hoisted into components (Dataset, DatasetParticipant, ...). */
+function datasetComponents() {
+  const name = (def) => `Dataset${def[0].toUpperCase()}${def.slice(1)}`;
+  const rebase = (node) => {
+    if (Array.isArray(node)) return node.map(rebase);
+    if (node == null || typeof node !== "object") return node;
+    return Object.fromEntries(
+      Object.entries(node).map(([k, v]) => [k, k === "$ref" ? v.replace(/^#\/\$defs\/(.+)$/, (_, d) => `#/components/schemas/${name(d)}`) : rebase(v)])
+    );
+  };
+  const { $schema, $id, $defs = {}, ...dataset } = DATASET_SCHEMA;
+  return {
+    Dataset: rebase({ ...dataset, description: `Dataset format, also published as JSON Schema at GET /datasets/schema (${$id}).` }),
+    ...Object.fromEntries(Object.entries($defs).map(([def, schema]) => [name(def), rebase(schema)])),
+  };
+}
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string", description: "Human-readable message" },
+      code: { type: "string", description: "Stable machine-readable code, when the route defines one" },
+      details: { description: "Code-specific details" },
+    },
+  },
+  ValidationError: {
+    type: "object",
+    required: ["error", "code", "errors"],
+    properties: {
+      error: { type: "string", description: "The first problem, e.g. \"Invalid request: body.taskId is required\"" },
+      code: { const: "INVALID_REQUEST" },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["in", "path", "message"],
+          properties: {
+            in: { enum: ["body", "query", "path", "header"] },
+            path: { type: "string", description: "Field path within that part of the request (\"\" for the whole body)" },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  Address: { type: "string", pattern: "^0x[0-9a-fA-F]{40}$", errorMessage: "must be a 0x-prefixed 20-byte address" },
+  Bytes32: { type: "string", pattern: "^0x[0-9a-fA-F]{64}$", errorMessage: "must be a 0x-prefixed 32-byte hex string" },
+  HexBytes: { type: "string", pattern: "^0x([0-9a-fA-F]{2})*$", errorMessage: "must be a 0x-prefixed hex string" },
+  ChainId: {
+    type: ["integer", "string"],
+    minimum: 1,
+    pattern: "^[1-9]\\d*$",
+    errorMessage: "must be a chain id",
+    description: "EVM chain id of a configured network (see GET /settlement/config); the default network when omitted",
+  },
+  Timestamp: {
+    type: "string",
+    pattern: "^(\\d+|\\d{4}-\\d{2}-\\d{2}([T ][0-9:.]+(Z|[+-]\\d{2}:?\\d{2})?)?)$",
+    errorMessage: "must be an ISO date or ms since epoch",
+    description: "ISO 8601 date/time or ms since epoch",
+  },
+  TokenAmount: {
+    type: ["number", "string"],
+    minimum: 0,
+    pattern: "^\\d+(\\.\\d+)?([eE][+-]?\\d+)?$",
+    errorMessage: "must be a non-negative decimal amount",
+    description: "Amount in whole token units (e.g. 12.5 USDC or \"1e-6\"), with at most the token's decimals",
+  },
+  RawAmount: {
+    type: ["integer", "string"],
+    minimum: 0,
+    pattern: "^\\d+$",
+    errorMessage: "must be a non-negative integer number of base units",
+    description: "Amount in token base units (e.g. \"12500000\" for 12.5 USDC); pass large values as strings",
+  },
+  Token: {
+    type: "object",
+    required: ["address", "decimals", "symbol", "name"],
+    description: "ERC-20 metadata read from the token contract; symbol and name are null when it doesn't implement them",
+    properties: {
+      address: { type: "string" },
+      decimals: { type: "integer" },
+      symbol: { type: ["string", "null"] },
+      name: { type: ["string", "null"] },
+    },
+  },
+  Network: {
+    type: "object",
+    required: ["chainId", "name"],
+    properties: {
+      chainId: { type: "integer" },
+      name: { type: "string" },
+      testnet: { type: "boolean" },
+      explorerUrl: { type: ["string", "null"] },
+      settlementAddress: { type: ["string", "null"] },
+      tokenAddress: { type: ["string", "null"] },
+      executorConfigured: { type: "boolean" },
+      faucetEnabled: { type: "boolean" },
+    },
+  },
+  SettlementResult: {
+    type: "object",
+    description: "result.json of the TEE task",
+    properties: {
+      payouts: {
+        type: "array",
+        items: { type: "object", properties: { address: { type: "string" }, amount: { type: ["number", "string"] } } },
+      },
+      tee_attestation: { type: "string", description: "65-byte enclave signature over the payouts (0x-prefixed hex)" },
+    },
+  },
+  SettlementBatch: {
+    type: "object",
+    required: ["recipients", "attestation"],
+    anyOf: [{ required: ["amounts"] }, { required: ["amountsRaw"] }],
+    properties: {
+      taskId: ref("Bytes32"),
+      recipients: { type: "array", minItems: 1, items: ref("Address") },
+      amounts: { type: "array", minItems: 1, items: ref("TokenAmount"), description: "One per recipient, same order" },
+      amountsRaw: { type: "array", minItems: 1, items: ref("RawAmount"), description: "Instead of amounts: base units" },
+      attestation: ref("HexBytes"),
+      chainId: ref("ChainId"),
+    },
+  },
+  TxSubmitted: {
+    type: "object",
+    required: ["txId", "txHash", "chainId", "statusUrl"],
+    properties: {
+      txId: { type: "string", format: "uuid" },
+      txHash: ref("Bytes32"),
+      chainId: { type: "integer" },
+      explorerUrl: { type: ["string", "null"] },
+      statusUrl: { type: "string", description: "GET this path (GET /tx/{id}) to follow the transaction" },
+    },
+  },
+  Tx: {
+    type: "object",
+    required: ["id", "kind", "status"],
+    properties: {
+      id: { type: "string", format: "uuid" },
+      kind: { type: "string", description: "settlement, faucet or faucet_drip" },
+      status: { enum: ["pending", "confirmed", "failed", "dropped"] },
+      chainId: { type: ["integer", "null"] },
+      from: { type: ["string", "null"] },
+      to: { type: ["string", "null"] },
+      nonce: { type: ["integer", "null"] },
+      txHash: { type: ["string", "null"] },
+      explorerUrl: { type: ["string", "null"] },
+      previousHashes: { type: "array", items: { type: "string" }, description: "Hashes of replaced (fee-bumped) attempts" },
+      replacements: { type: "integer" },
+      maxFeePerGas: { type: ["string", "null"] },
+      maxPriorityFeePerGas: { type: ["string", "null"] },
+      blockNumber: { type: ["integer", "null"] },
+      error: { type: ["string", "null"] },
+      meta: { type: ["object", "null"] },
+      sentAt: { type: ["string", "integer", "null"] },
+      minedAt: { type: ["string", "integer", "null"] },
+      createdAt: { type: ["string", "integer", "null"] },
+      updatedAt: { type: ["string", "integer", "null"] },
+    },
+  },
+  Job: {
+    type: "object",
+    required: ["id", "taskId", "status"],
+    properties: {
+      id: { type: ["integer", "string"] },
+      taskId: { type: "string" },
+      dealId: { type: ["string", "null"] },
+      settlementName: { type: ["string", "null"] },
+      status: { type: "string", description: "submitted, completed, failed, timeout, settling or settled" },
+      result: { anyOf: [ref("SettlementResult"), { type: "null" }] },
+      error: { type: ["string", "null"] },
+      datasetUrlOverride: { type: ["string", "null"] },
+      chainId: { type: ["integer", "null"] },
+      submittedAt: { type: ["integer", "null"], description: "ms since epoch" },
+      settledTxHash: { type: ["string", "null"] },
+      settledAt: { type: ["integer", "null"], description: "ms since epoch" },
+      settlePendingTxHash: { type: ["string", "null"] },
+      settleError: { type: ["string", "null"] },
+      settleAttempts: { type: "integer" },
+      attempt: { type: "integer", description: "1 for the original job, then +1 per retry" },
+      originalJobId: { type: ["string", "null"], description: "id of the first attempt (null on the first attempt)" },
+      retryOfTaskId: { type: ["string", "null"], description: "Task of the previous attempt" },
+      retriedByTaskId: { type: ["string", "null"], description: "Task of the next attempt" },
+      claimTxHash: { type: ["string", "null"], description: "Claim of the timed-out task (null if claimed by someone else)" },
+      claimedAt: { type: ["integer", "null"], description: "ms since epoch" },
+      claimRefundNrlc: { type: ["string", "null"], description: "Deal price refunded by the claim, in nRLC" },
+      claimError: { type: ["string", "null"], description: "Last failed claim attempt" },
+      createdAt: { type: ["string", "null"] },
+      updatedAt: { type: ["string", "null"] },
+    },
+  },
+  JobAttempt: {
+    type: "object",
+    required: ["attempt", "taskId", "status"],
+    properties: {
+      attempt: { type: "integer" },
+      taskId: { type: "string" },
+      dealId: { type: ["string", "null"] },
+      status: { type: "string" },
+      error: { type: ["string", "null"] },
+      submittedAt: { type: ["integer", "null"], description: "ms since epoch" },
+      claimTxHash: { type: ["string", "null"] },
+      claimRefundNrlc: { type: ["string", "null"] },
+    },
+  },
+  WebhookEvent: { enum: WEBHOOK_EVENTS },
+  Webhook: {
+    type: "object",
+    required: ["id", "url", "events", "scope", "active"],
+    properties: {
+      id: { type: "string", format: "uuid" },
+      url: { type: "string" },
+      events: { type: "array", items: ref("WebhookEvent") },
+      scope: { enum: ["wallet", "all"], description: "wallet: events about the owner's jobs; all: every event (admin wallets only)" },
+      description: { type: ["string", "null"] },
+      active: { type: "boolean" },
+      secret: { type: "string", description: "HMAC signing secret; only returned on create and when rotated" },
+      createdAt: { type: ["string", "null"] },
+      updatedAt: { type: ["string", "null"] },
+    },
+  },
+  WebhookDelivery: {
+    type: "object",
+    required: ["id", "event", "status", "attempts", "payload"],
+    properties: {
+      id: { type: "string", format: "uuid", description: "Also the X-ShadowSettle-Delivery header and payload.id" },
+      event: ref("WebhookEvent"),
+      status: { enum: ["pending", "delivered", "failed"] },
+      attempts: { type: "integer" },
+      nextAttemptAt: { type: ["string", "null"] },
+      lastStatusCode: { type: ["integer", "null"] },
+      lastError: { type: ["string", "null"] },
+      replayOf: { type: ["string", "null"], description: "Delivery this one replays" },
+      payload: {
+        type: "object",
+        required: ["id", "event", "createdAt", "data"],
+        properties: { id: { type: "string" }, event: ref("WebhookEvent"), createdAt: { type: "string" }, data: { type: "object" } },
+      },
+      deliveredAt: { type: ["string", "null"] },
+      createdAt: { type: ["string", "null"] },
+      updatedAt: { type: ["string", "null"] },
+    },
+  },
+  ActivityType: {
+    enum: ["job_started", "job_completed", "job_failed", "job_retried", "task_claimed", "settlement_submitted", "settlement_executed", "settlement_failed", "faucet_mint", "treasury_deposit"],
+  },
+  ActivityEvent: {
+    type: "object",
+    required: ["id", "type", "timestamp", "data"],
+    properties: {
+      id: { type: "string" },
+      type: ref("ActivityType"),
+      timestamp: { type: "integer", description: "ms since epoch" },
+      taskId: { type: ["string", "null"] },
+      walletAddress: { type: ["string", "null"] },
+      chainId: { type: ["integer", "null"] },
+      txHash: { type: ["string", "null"] },
+      settlementName: { type: ["string", "null"] },
+      participants: { type: ["integer", "null"] },
+      totalPayout: { type: ["string", "null"], description: "Payout total in whole token units, exact decimal" },
+      totalPayoutRaw: { type: ["string", "null"], description: "Payout total in base units of the event network's token; null when its decimals can't be read" },
+      totalPayoutFormatted: { type: ["string", "null"], description: "Payout total for display, e.g. \"1,234.56\"" },
+      data: { type: "object", description: "Type-specific details (settlementName, payouts, attempt, error, amount...)" },
+    },
+  },
+  ...datasetComponents(),
+};
+
+const parameters = {
+  ChainIdQuery: { name: "chainId", in: "query", required: false, schema: { type: "integer", minimum: 1 }, description: "Network (default network when omitted)" },
+  TaskIdPath: { name: "taskId", in: "path", required: true, schema: ref("Bytes32"), description: "iExec task id" },
+  AddressQuery: { name: "address", in: "query", required: false, schema: ref("Address") },
+  LimitQuery: { name: "limit", in: "query", required: false, schema: { type: "integer", minimum: 1 }, description: "Page size (default 50, capped at 200)" },
+  OffsetQuery: { name: "offset", in: "query", required: false, schema: { type: "integer", minimum: 0 } },
+  WalletQuery: { name: "wallet", in: "query", required: false, schema: ref("Address"), description: "Only this wallet's jobs (all wallets when omitted); needs a SIWE session of that wallet or an operator" },
+  FromQuery: { name: "from", in: "query", required: false, schema: ref("Timestamp"), description: "Range start, inclusive" },
+  ToQuery: { name: "to", in: "query", required: false, schema: ref("Timestamp"), description: "Range end, exclusive" },
+  WebhookIdPath: { name: "id", in: "path", required: true, schema: { type: "string", format: "uuid" }, description: "Webhook subscription id" },
+};
+
+const paginated = (key, item) => ({
+  type: "object",
+  required: [key, "chainId", "total", "limit", "offset"],
+  properties: {
+    [key]: { type: "array", items: item },
+    chainId: { type: "integer" },
+    total: { type: "integer" },
+    limit: { type: "integer" },
+    offset: { type: "integer" },
+  },
+});
+
+const auth = [{ siwe: [] }];
+
+const paths = {
+  "/health": {
+    get: {
+      operationId: "getHealth",
+      tags: ["system"],
+      summary: "Liveness check",
+      responses: { 200: json("Process is up", { type: "object", required: ["status"], properties: { status: { const: "ok" } } }) },
+    },
+  },
+  "/health/checks": {
+    get: {
+      operationId: "getHealthChecks",
+      tags: ["system"],
+      summary: "Backend, iExec config and per-network RPC checks",
+      responses: {
+        200: json("Check results", {
+          type: "object",
+          required: ["backend", "iexec", "chain", "networks", "checkedAt"],
+          properties: {
+            backend: { type: "boolean" },
+            iexec: { type: "boolean" },
+            chain: { type: "boolean", description: "Default network's RPC" },
+            networks: { type: "object", additionalProperties: { type: "boolean" }, description: "chainId -> RPC reachable" },
+            checkedAt: { type: "integer" },
+          },
+        }),
+      },
+    },
+  },
+  "/metrics": {
+    get: {
+      operationId: "getMetrics",
+      tags: ["system"],
+      summary: "Prometheus metrics",
+      responses: {
+        200: { description: "Prometheus text exposition format 0.0.4", content: { "text/plain": { schema: { type: "string" } } } },
+        500: serverError,
+      },
+    },
+  },
+  "/openapi.json": {
+    get: {
+      operationId: "getOpenApi",
+      tags: ["system"],
+      summary: "This document",
+      responses: { 200: json("OpenAPI 3.1 document", { type: "object" }) },
+    },
+  },
+  "/docs": {
+    get: {
+      operationId: "getDocs",
+      tags: ["system"],
+      summary: "API reference page rendered from this document",
+      responses: { 200: { description: "HTML page", content: { "text/html": { schema: { type: "string" } } } } },
+    },
+  },
+
+  "/auth/nonce": {
+    get: {
+      operationId: "getNonce",
+      tags: ["auth"],
+      summary: "SIWE nonce (single use, valid 10 minutes)",
+      responses: { 200: json("Nonce to embed in the EIP-4361 message", { type: "object", required: ["nonce"], properties: { nonce: { type: "string" } } }) },
+    },
+  },
+  "/auth/verify": {
+    post: {
+      operationId: "verifySignIn",
+      tags: ["auth"],
+      summary: "Exchange a signed SIWE message for a session token",
+      requestBody: body({
+        type: "object",
+        required: ["message", "signature"],
+        properties: { message: { type: "string", minLength: 1, description: "EIP-4361 message" }, signature: ref("HexBytes") },
+      }),
+      responses: {
+        200: json("Session; send the token as `Authorization: Bearer <token>`", {
+          type: "object",
+          required: ["token", "wallet", "expiresAt"],
+          properties: { token: { type: "string" }, wallet: { type: "string" }, expiresAt: { type: "integer" } },
+        }),
+        400: invalidRequest,
+        401: error("Invalid message, nonce or signature, or a domain, URI or chain id the server doesn't accept"),
+        500: serverError,
+      },
+    },
+  },
+  "/auth/me": {
+    get: {
+      operationId: "getMe",
+      tags: ["auth"],
+      summary: "Wallet of the current session",
+      security: auth,
+      responses: {
+        200: json("Signed-in wallet", { type: "object", required: ["wallet"], properties: { wallet: { type: "string" } } }),
+        401: unauthorized,
+      },
+    },
+  },
+
+  "/datasets": {
+    post: {
+      operationId: "uploadDataset",
+      tags: ["datasets"],
+      summary: "Store a dataset and get the URL to run it with",
+      description: "The body is checked by the handler (not the generic validator) so schema failures keep their own code, DATASET_INVALID.",
+      "x-validate-body": false,
+      requestBody: body(ref("Dataset")),
+      responses: {
+        201: json("Stored (or already stored: deduplicated)", {
+          type: "object",
+          required: ["id", "url", "size", "expiresAt", "deduplicated", "delivery"],
+          properties: {
+            id: { type: "string", description: "SHA-256 of the canonical JSON" },
+            url: { type: "string" },
+            size: { type: "integer" },
+            expiresAt: { type: "string" },
+            deduplicated: { type: "boolean" },
+            delivery: { enum: ["encrypted", "plain"] },
+            publicUrl: { type: "string" },
+          },
+        }),
+        400: json("Not a dataset (code DATASET_INVALID, with errors)", ref("Error")),
+        500: serverError,
+      },
+    },
+  },
+  "/datasets/schema": {
+    get: {
+      operationId: "getDatasetSchema",
+      tags: ["datasets"],
+      summary: "Dataset JSON Schema",
+      responses: { 200: { description: "JSON Schema (draft 2020-12)", content: { "application/schema+json": { schema: { type: "object" } } } } },
+    },
+  },
+  "/datasets/{id}.json": {
+    get: {
+      operationId: "getDataset",
+      tags: ["datasets"],
+      summary: "Stored dataset (encrypted envelope in encrypted delivery mode)",
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string", pattern: "^[0-9a-f]{64}$", errorMessage: "must be a dataset id" } },
+        { name: "If-None-Match", in: "header", required: false, schema: { type: "string" } },
+      ],
+      responses: {
+        200: { description: "Dataset body as uploaded; ETag is the id", content: { "application/json": { schema: { type: "object" } } } },
+        304: { description: "Not modified" },
+        400: invalidRequest,
+        404: error("Unknown or expired dataset"),
+        500: serverError,
+      },
+    },
+  },
+
+  "/settlement/config": {
+    get: {
+      operationId: "getSettlementConfig",
+      tags: ["settlement"],
+      summary: "Contract addresses of a network and the list of configured networks",
+      parameters: [param("ChainIdQuery")],
+      responses: {
+        200: json("Settlement config", {
+          type: "object",
+          required: ["settlementAddress", "chainId", "networkName", "networks"],
+          properties: {
+            settlementAddress: { type: "string" },
+            tokenAddress: { type: ["string", "null"] },
+            token: { anyOf: [ref("Token"), { type: "null" }], description: "Settlement token; null when it can't be read" },
+            chainId: { type: "integer" },
+            networkName: { type: "string" },
+            explorerUrl: { type: ["string", "null"] },
+            networks: { type: "array", items: ref("Network") },
+          },
+        }),
+        400: invalidRequest,
+        404: unknownNetwork,
+        503: error("Settlement contract not configured on that network"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/network-info": {
+    get: {
+      operationId: "getNetworkInfo",
+      tags: ["settlement"],
+      summary: "Block height and gas price",
+      parameters: [param("ChainIdQuery")],
+      responses: {
+        200: json("Network info", {
+          type: "object",
+          required: ["network", "chainId", "blockHeight", "gasPriceGwei"],
+          properties: { network: { type: "string" }, chainId: { type: "integer" }, blockHeight: { type: "integer" }, gasPriceGwei: { type: "number" } },
+        }),
+        400: invalidRequest,
+        404: unknownNetwork,
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/treasury-balance": {
+    get: {
+      operationId: "getTreasuryBalance",
+      tags: ["settlement"],
+      summary: "Token balance of the Settlement contract",
+      parameters: [
+        param("ChainIdQuery"),
+        { name: "refresh", in: "query", required: false, schema: { enum: ["0", "1", "true", "false"] }, description: "Read from chain even when a stored value exists" },
+      ],
+      responses: {
+        200: json("Balance", {
+          type: "object",
+          required: ["balanceFormatted", "balanceRaw", "settlementAddress", "chainId", "source"],
+          properties: {
+            balanceFormatted: { type: "string" },
+            balanceRaw: { type: "string", description: "Base units" },
+            settlementAddress: { type: "string" },
+            chainId: { type: "integer" },
+            source: { enum: ["database", "chain"] },
+          },
+        }),
+        400: invalidRequest,
+        404: unknownNetwork,
+        503: error("Settlement or token not configured"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/treasury/solvency": {
+    get: {
+      operationId: "getTreasurySolvency",
+      tags: ["settlement"],
+      summary: "Treasury balance against the payouts of completed, unsettled jobs",
+      description:
+        "Liabilities are the payout totals of jobs with a result and no settlement tx mined (dashboard activePools), " +
+        "including jobs whose settlement is pending. Jobs come oldest result first; a job's shortfallRaw is the part of " +
+        "its payout left uncovered after every earlier job is paid. Totals cover all jobs, not only the page.",
+      parameters: [param("ChainIdQuery"), param("LimitQuery"), param("OffsetQuery")],
+      responses: {
+        200: json("Solvency report", {
+          type: "object",
+          required: ["chainId", "settlementAddress", "balanceRaw", "liabilitiesRaw", "shortfallRaw", "solvent", "jobCount", "jobs", "limit", "offset"],
+          properties: {
+            chainId: { type: "integer" },
+            settlementAddress: { type: "string" },
+            tokenAddress: { type: "string" },
+            balanceRaw: { type: "string", description: "Live on-chain balance, base units" },
+            balanceFormatted: { type: "string" },
+            liabilitiesRaw: { type: "string" },
+            liabilitiesFormatted: { type: "string" },
+            shortfallRaw: { type: "string", description: "liabilitiesRaw minus balanceRaw, 0 when covered" },
+            shortfallFormatted: { type: "string" },
+            solvent: { type: "boolean" },
+            jobCount: { type: "integer" },
+            jobs: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["taskId", "payoutRaw", "cumulativeRaw", "shortfallRaw", "covered"],
+                properties: {
+                  taskId: { type: "string" },
+                  walletAddress: { type: ["string", "null"] },
+                  settlementName: { type: ["string", "null"] },
+                  completedAt: { type: ["string", "null"] },
+                  settling: { type: "boolean", description: "A settlement tx is pending" },
+                  payoutRaw: { type: "string" },
+                  payoutFormatted: { type: "string" },
+                  cumulativeRaw: { type: "string", description: "Payouts of this and every earlier job" },
+                  shortfallRaw: { type: "string" },
+                  covered: { type: "boolean" },
+                },
+              },
+            },
+            limit: { type: "integer" },
+            offset: { type: "integer" },
+          },
+        }),
+        400: invalidRequest,
+        404: unknownNetwork,
+        503: error("Postgres or settlement not configured"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/history": {
+    get: {
+      operationId: "getSettlementHistory",
+      tags: ["settlement"],
+      summary: "Indexed on-chain settlement batches, newest first",
+      parameters: [param("ChainIdQuery"), param("AddressQuery"), param("LimitQuery"), param("OffsetQuery")],
+      responses: {
+        200: json(
+          "Page of settlements",
+          paginated("settlements", {
+            type: "object",
+            required: ["txHash", "blockNumber", "recipientCount", "totalRaw"],
+            properties: {
+              txHash: { type: "string" },
+              explorerUrl: { type: ["string", "null"] },
+              blockNumber: { type: "integer" },
+              timestamp: { type: ["integer", "null"] },
+              eventName: { type: ["string", "null"] },
+              recipientCount: { type: "integer" },
+              totalRaw: { type: "string" },
+              totalFormatted: { type: "string" },
+              payouts: { type: ["array", "null"] },
+              taskId: { type: ["string", "null"] },
+              walletAddress: { type: ["string", "null"] },
+              settlementName: { type: ["string", "null"] },
+            },
+          })
+        ),
+        400: invalidRequest,
+        404: unknownNetwork,
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/deposits": {
+    get: {
+      operationId: "getDeposits",
+      tags: ["settlement"],
+      summary: "Indexed token transfers into the treasury, newest first",
+      parameters: [param("ChainIdQuery"), { ...parameters.AddressQuery, description: "Depositor" }, param("LimitQuery"), param("OffsetQuery")],
+      responses: {
+        200: json(
+          "Page of deposits",
+          paginated("deposits", {
+            type: "object",
+            required: ["txHash", "logIndex", "blockNumber", "from", "amountRaw"],
+            properties: {
+              txHash: { type: "string" },
+              logIndex: { type: "integer" },
+              explorerUrl: { type: ["string", "null"] },
+              blockNumber: { type: "integer" },
+              timestamp: { type: ["integer", "null"] },
+              eventName: { type: ["string", "null"] },
+              from: { type: "string" },
+              tokenAddress: { type: "string" },
+              amountRaw: { type: "string" },
+              amountFormatted: { type: "string" },
+            },
+          })
+        ),
+        400: invalidRequest,
+        404: unknownNetwork,
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/deposit/prepare": {
+    post: {
+      operationId: "prepareDeposit",
+      tags: ["settlement"],
+      summary: "Unsigned approve + deposit transactions for funding the treasury",
+      description:
+        "Checks the depositor's token balance and allowance, then lists the transactions to sign and send in order: " +
+        "approve (only when the allowance is short) and deposit. deposit can't be estimated until the approve is mined, " +
+        "so it then carries a fixed gasLimit with gasEstimated false.",
+      requestBody: body({
+        type: "object",
+        required: ["address"],
+        anyOf: [{ required: ["amount"] }, { required: ["amountRaw"] }],
+        properties: { address: ref("Address"), amount: ref("TokenAmount"), amountRaw: ref("RawAmount"), chainId: ref("ChainId") },
+      }),
+      responses: {
+        200: json("Transactions to send, in order", {
+          type: "object",
+          required: ["chainId", "depositor", "settlementAddress", "tokenAddress", "amountRaw", "balanceRaw", "allowanceRaw", "needsApproval", "transactions", "fee"],
+          properties: {
+            chainId: { type: "integer" },
+            depositor: { type: "string" },
+            settlementAddress: { type: "string" },
+            tokenAddress: { type: "string" },
+            amountRaw: { type: "string", description: "Base units" },
+            amountFormatted: { type: "string" },
+            balanceRaw: { type: "string", description: "Depositor's token balance" },
+            allowanceRaw: { type: "string", description: "Depositor's current allowance for the Settlement contract" },
+            needsApproval: { type: "boolean" },
+            transactions: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["step", "from", "to", "data", "value", "chainId", "gasLimit", "gasEstimated"],
+                properties: {
+                  step: { enum: ["approve", "deposit"] },
+                  from: { type: "string" },
+                  to: { type: "string" },
+                  data: { type: "string" },
+                  value: { type: "string" },
+                  chainId: { type: "integer" },
+                  gasLimit: { type: "string" },
+                  gasEstimated: { type: "boolean", description: "false when gasLimit is a fixed allowance rather than an estimate" },
+                },
+              },
+            },
+            fee: {
+              type: "object",
+              properties: {
+                gasPriceWei: { type: "string" },
+                maxFeePerGasWei: { type: "string" },
+                maxCostWei: { type: "string" },
+                maxCostEth: { type: "string" },
+              },
+            },
+            ethBalanceWei: { type: "string" },
+            sufficientEth: { type: "boolean", description: "The depositor holds enough ETH for maxCostWei" },
+          },
+        }),
+        400: json("Invalid request (code INVALID_REQUEST) or amount (code INVALID_AMOUNT)", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        404: unknownNetwork,
+        422: error("Balance below amount (code INSUFFICIENT_TOKEN_BALANCE, details), or a step would revert (code DEPOSIT_WOULD_REVERT)"),
+        503: error("Settlement not configured on that network"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/deposit/confirm": {
+    post: {
+      operationId: "confirmDeposit",
+      tags: ["settlement"],
+      summary: "Verify a deposit tx on-chain, refresh the treasury balance and record the deposit",
+      description:
+        "Idempotent per tx: confirming again returns the same deposit with alreadyRecorded true. " +
+        "The deposit is recorded for the wallet the tokens came from; without Postgres it is only verified.",
+      requestBody: body({ type: "object", required: ["txHash"], properties: { txHash: ref("Bytes32"), chainId: ref("ChainId") } }),
+      responses: {
+        200: json("Confirmed deposit", {
+          type: "object",
+          required: ["txHash", "chainId", "depositor", "amountRaw", "blockNumber", "recorded", "alreadyRecorded", "treasury", "depositorTotals"],
+          properties: {
+            txHash: { type: "string" },
+            chainId: { type: "integer" },
+            explorerUrl: { type: ["string", "null"] },
+            depositor: { type: "string" },
+            tokenAddress: { type: "string" },
+            amountRaw: { type: "string" },
+            amountFormatted: { type: "string" },
+            blockNumber: { type: "integer" },
+            confirmations: { type: "integer" },
+            recorded: { type: "boolean", description: "Stored in Postgres" },
+            alreadyRecorded: { type: "boolean" },
+            treasury: {
+              type: "object",
+              required: ["balanceRaw", "balanceFormatted"],
+              properties: { balanceRaw: { type: "string" }, balanceFormatted: { type: "string" } },
+            },
+            depositorTotals: {
+              type: ["object", "null"],
+              description: "The depositor's confirmed deposits on this network (null without Postgres)",
+              properties: { count: { type: "integer" }, totalRaw: { type: "string" }, totalFormatted: { type: "string" } },
+            },
+          },
+        }),
+        400: json("Invalid request (code INVALID_REQUEST)", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        404: error("Transaction not found (code TX_NOT_FOUND), or unknown network (code UNKNOWN_NETWORK)"),
+        409: error("Transaction not mined yet (code DEPOSIT_PENDING)"),
+        422: error("Transaction reverted (code DEPOSIT_REVERTED) or moved no tokens into the treasury (code NOT_A_DEPOSIT)"),
+        503: error("Settlement not configured on that network"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/run": {
+    post: {
+      operationId: "runSettlement",
+      tags: ["settlement"],
+      summary: "Run the settlement TEE app on a dataset",
+      requestBody: body({
+        type: "object",
+        required: ["datasetUrl"],
+        properties: {
+          datasetUrl: { type: "string", pattern: "^\\s*https?://", errorMessage: "must be an HTTP(S) URL" },
+          wait: { type: "boolean", description: "Wait for the task and return its result" },
+          validateDataset: { type: "boolean", description: "Fetch and validate the dataset first (default DATASET_VALIDATE_ON_RUN)" },
+        },
+      }),
+      responses: {
+        200: json("Task submitted (result included when wait is true)", {
+          type: "object",
+          required: ["dealId", "taskId", "delivery"],
+          properties: {
+            dealId: ref("Bytes32"),
+            taskId: ref("Bytes32"),
+            result: ref("SettlementResult"),
+            delivery: { enum: ["encrypted", "plain"] },
+            message: { type: "string" },
+          },
+        }),
+        400: json("Invalid request, or the dataset is not valid (code DATASET_INVALID)", ref("Error")),
+        422: error("Dataset could not be fetched (code DATASET_UNREACHABLE)"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/result/{taskId}": {
+    get: {
+      operationId: "getTaskResult",
+      tags: ["settlement"],
+      summary: "Task status, and result once completed",
+      parameters: [param("TaskIdPath")],
+      responses: {
+        200: json("Status and result (null until COMPLETED)", {
+          type: "object",
+          required: ["taskId", "status", "result"],
+          properties: {
+            taskId: { type: "string" },
+            status: { type: ["string", "integer"] },
+            result: { anyOf: [ref("SettlementResult"), { type: "null" }] },
+          },
+        }),
+        400: invalidRequest,
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/wait/{taskId}": {
+    post: {
+      operationId: "waitForTask",
+      tags: ["settlement"],
+      summary: "Wait for a task to finish, then return its result",
+      parameters: [param("TaskIdPath")],
+      requestBody: body({ type: "object", required: ["dealId"], properties: { dealId: ref("Bytes32") } }),
+      responses: {
+        200: json("Final status and result", {
+          type: "object",
+          required: ["taskId", "status", "result"],
+          properties: {
+            taskId: { type: "string" },
+            status: { type: ["string", "integer"] },
+            result: { anyOf: [ref("SettlementResult"), { type: "null" }] },
+          },
+        }),
+        400: invalidRequest,
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/stream/{taskId}": {
+    get: {
+      operationId: "streamTask",
+      tags: ["settlement"],
+      summary: "Live task progress (Server-Sent Events)",
+      description:
+        "Events: deal_matched, active, revealing, completed | failed | timeout, result, error, end; data is JSON. " +
+        "Ids follow the task's progress, so reconnecting with Last-Event-ID only replays unseen states. " +
+        "Only the job's wallet or a settlement operator may watch a task; the token may be passed as ?token= since EventSource can't set headers.",
+      security: auth,
+      parameters: [
+        param("TaskIdPath"),
+        { name: "dealId", in: "query", required: false, schema: ref("Bytes32"), description: "Needed before the task is initialized, unless a job records it" },
+        { name: "token", in: "query", required: false, schema: { type: "string" }, description: "Session token, instead of the Authorization header" },
+        { name: "Last-Event-ID", in: "header", required: false, schema: { type: "string", pattern: "^\\d+$" } },
+      ],
+      responses: {
+        200: { description: "Event stream", content: { "text/event-stream": { schema: { type: "string" } } } },
+        400: invalidRequest,
+        401: unauthorized,
+        403: error("Neither the job's wallet nor a settlement operator (code FORBIDDEN)"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/verify": {
+    post: {
+      operationId: "verifySettlement",
+      tags: ["settlement"],
+      summary: "Check a task's attestation and, optionally, that a batch matches it",
+      requestBody: body({
+        type: "object",
+        required: ["taskId"],
+        properties: {
+          taskId: ref("Bytes32"),
+          recipients: { type: "array", items: ref("Address") },
+          amounts: { type: "array", items: ref("TokenAmount") },
+          amountsRaw: { type: "array", items: ref("RawAmount"), description: "Instead of amounts: base units" },
+          attestation: ref("HexBytes"),
+          chainId: ref("ChainId"),
+        },
+      }),
+      responses: {
+        200: json("Attested batch", {
+          type: "object",
+          required: ["valid", "signer", "digest", "recipients", "amounts"],
+          properties: {
+            valid: { const: true },
+            signer: { type: "string" },
+            digest: { type: "string" },
+            recipients: { type: "array", items: { type: "string" } },
+            amounts: { type: "array", items: { type: "string" }, description: "Base units" },
+          },
+        }),
+        400: json("Invalid request, or an amount with more decimals than the token (code INVALID_AMOUNT / INVALID_REQUEST)", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        404: unknownNetwork,
+        409: error("Task has no result yet (code RESULT_NOT_READY)"),
+        422: error("Attestation or batch does not verify (code, details)"),
+        503: error("No enclave signers configured (TEE_SIGNER_ADDRESSES), or no settlement token on the network"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/simulate": {
+    post: {
+      operationId: "simulateSettlement",
+      tags: ["settlement"],
+      summary: "Dry-run settleBatch: gas, fee, decoded revert, treasury and executor checks",
+      requestBody: body(ref("SettlementBatch")),
+      responses: {
+        200: json("Simulation", {
+          type: "object",
+          required: ["ok", "gasEstimate", "fee", "revert", "treasury", "executor", "verification", "chainId"],
+          properties: {
+            ok: { type: "boolean" },
+            gasEstimate: { type: ["string", "null"] },
+            fee: { type: "object" },
+            revert: {
+              type: ["object", "null"],
+              properties: { selector: { type: ["string", "null"] }, name: { type: ["string", "null"] }, args: {}, message: { type: ["string", "null"] } },
+            },
+            treasury: { type: "object" },
+            executor: { type: "object" },
+            verification: { type: ["object", "null"] },
+            chainId: { type: "integer" },
+          },
+        }),
+        400: json("Invalid request, or an amount with more decimals than the token (code INVALID_AMOUNT / INVALID_REQUEST)", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        404: unknownNetwork,
+        503: error("Settlement not configured on that network"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/execute": {
+    post: {
+      operationId: "executeSettlement",
+      tags: ["settlement"],
+      summary: "Verify a batch against its task and send settleBatch",
+      description: "Only the job's wallet, or a wallet in SETTLEMENT_OPERATOR_WALLETS, may execute; batches with no job on record need an operator.",
+      security: auth,
+      requestBody: body({ allOf: [ref("SettlementBatch")], required: ["taskId"] }),
+      responses: {
+        202: json("Broadcast; follow statusUrl", ref("TxSubmitted")),
+        400: json("Invalid request, or an amount with more decimals than the token (code INVALID_AMOUNT / INVALID_REQUEST)", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        401: unauthorized,
+        403: error("Neither the job's wallet nor a settlement operator (code FORBIDDEN)"),
+        404: unknownNetwork,
+        409: error("Job already settled (code ALREADY_SETTLED) or a settlement of it in progress (code SETTLEMENT_IN_PROGRESS), task has no result yet (code RESULT_NOT_READY), the job was retried (code JOB_RETRIED), or the treasury balance less pending settlements is below the batch total (code TREASURY_INSUFFICIENT, details)"),
+        422: error("Batch does not match the attested result"),
+        503: error("Settlement or enclave signers (TEE_SIGNER_ADDRESSES) not configured"),
+        500: serverError,
+      },
+    },
+  },
+  "/settlement/execute/{taskId}": {
+    post: {
+      operationId: "executeJobSettlement",
+      tags: ["settlement"],
+      summary: "Settle a job from its stored TEE result",
+      security: auth,
+      parameters: [param("TaskIdPath")],
+      requestBody: { required: false, content: { "application/json": { schema: { type: "object", properties: { chainId: ref("ChainId") } } } } },
+      responses: {
+        202: json("Broadcast; follow statusUrl", {
+          allOf: [ref("TxSubmitted")],
+          type: "object",
+          required: ["taskId"],
+          properties: { taskId: { type: "string" } },
+        }),
+        400: invalidRequest,
+        401: unauthorized,
+        403: error("Neither the job's wallet nor a settlement operator (code FORBIDDEN)"),
+        404: error("Job not found, or unknown network"),
+        409: error("Already settled, in progress, no result yet, network mismatch, retried (JOB_RETRIED), or the treasury balance less pending settlements is below the payout total (TREASURY_INSUFFICIENT); see code"),
+        422: error("Stored result does not verify"),
+        503: error("Database, settlement or enclave signers not configured"),
+        500: serverError,
+      },
+    },
+  },
+
+  "/faucet": {
+    post: {
+      operationId: "requestFaucetMint",
+      tags: ["faucet"],
+      summary: "Mint test tokens on a test network",
+      description: "Limited per address, per client IP and per network over a rolling 24 hours (see GET /faucet/status).",
+      requestBody: body({ type: "object", required: ["address"], properties: { address: ref("Address"), chainId: ref("ChainId") } }),
+      responses: {
+        202: json("Mint broadcast", {
+          allOf: [ref("TxSubmitted")],
+          type: "object",
+          properties: {
+            amount: { type: "string" },
+            symbol: { type: ["string", "null"] },
+            ethDrip: {
+              type: ["object", "null"],
+              description: "Native gas sent along (FAUCET_ETH_DRIP), when the address had less than that",
+              properties: { txId: { type: "string" }, txHash: { type: "string" }, amount: { type: "string" }, statusUrl: { type: "string" } },
+            },
+            message: { type: "string" },
+          },
+        }),
+        400: invalidRequest,
+        404: unknownNetwork,
+        429: json("A limit is reached (code FAUCET_COOLDOWN, FAUCET_ADDRESS_CAP, FAUCET_IP_CAP or FAUCET_BUDGET_EXHAUSTED); also a Retry-After header", {
+          allOf: [ref("Error")],
+          type: "object",
+          properties: { nextEligibleAt: { type: ["integer", "null"], description: "ms since epoch; null when the amount exceeds a cap" } },
+        }),
+        503: error("No faucet on that network"),
+        500: serverError,
+      },
+    },
+  },
+
+  "/faucet/status": {
+    get: {
+      operationId: "getFaucetStatus",
+      tags: ["faucet"],
+      summary: "Faucet limits and the allowance left for an address",
+      parameters: [{ name: "address", in: "query", required: true, schema: ref("Address") }, param("ChainIdQuery")],
+      responses: {
+        200: json("Allowance over the last 24 hours; amounts are decimal strings, null = no cap", {
+          type: "object",
+          required: ["chainId", "address", "enabled", "eligible", "nextEligibleAt", "amount", "limits", "remaining"],
+          properties: {
+            chainId: { type: "integer" },
+            address: { type: "string" },
+            enabled: { type: "boolean", description: "The network has a faucet" },
+            eligible: { type: "boolean" },
+            reason: { type: ["string", "null"], description: "Why not eligible: FAUCET_UNAVAILABLE or a POST /faucet 429 code" },
+            nextEligibleAt: { type: ["integer", "null"], description: "ms since epoch; null when eligible now or never" },
+            amount: { type: "string", description: "Test tokens per claim" },
+            symbol: { type: ["string", "null"] },
+            ethDrip: { type: ["string", "null"], description: "ETH sent along to addresses holding less (null when off)" },
+            ethDripAvailable: { type: "boolean", description: "No drip to this address in the last 24 hours" },
+            cooldownMs: { type: "integer" },
+            limits: {
+              type: "object",
+              properties: { address: { type: ["string", "null"] }, ip: { type: ["string", "null"] }, budget: { type: ["string", "null"] } },
+            },
+            remaining: {
+              type: "object",
+              properties: { address: { type: ["string", "null"] }, ip: { type: ["string", "null"] }, budget: { type: ["string", "null"] } },
+            },
+          },
+        }),
+        400: json("Invalid query", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        404: unknownNetwork,
+        503: error("Neither a token nor a Settlement contract configured on that network"),
+        500: serverError,
+      },
+    },
+  },
+
+  "/tx/{id}": {
+    get: {
+      operationId: "getTx",
+      tags: ["tx"],
+      summary: "Status of a settlement or faucet transaction",
+      description: "Visible to the wallet that had it sent, the faucet recipient, the owner of the settled job, and settlement operators.",
+      security: auth,
+      parameters: [{ name: "id", in: "path", required: true, schema: { type: "string", pattern: "^[0-9a-fA-F-]{36}$", errorMessage: "must be a transaction id" } }],
+      responses: {
+        200: json("Transaction", ref("Tx")),
+        400: invalidRequest,
+        401: unauthorized,
+        403: error("Transaction belongs to another wallet"),
+        404: error("Unknown transaction"),
+        500: serverError,
+      },
+    },
+  },
+
+  "/jobs": {
+    get: {
+      operationId: "listJobs",
+      tags: ["jobs"],
+      summary: "Jobs of the signed-in wallet",
+      security: auth,
+      parameters: [{ name: "wallet", in: "query", required: false, schema: ref("Address"), description: "Must be the signed-in wallet" }, param("ChainIdQuery")],
+      responses: {
+        200: json("Jobs, newest first ([] without Postgres)", {
+          type: "array",
+          items: {
+            allOf: [
+              ref("Job"),
+              {
+                type: "object",
+                required: ["attempts"],
+                properties: { attempts: { type: "array", items: ref("JobAttempt"), description: "Every attempt of the same original job, oldest first" } },
+              },
+            ],
+          },
+        }),
+        400: invalidRequest,
+        401: unauthorized,
+        403: error("wallet is not the signed-in wallet"),
+        500: serverError,
+      },
+    },
+    post: {
+      operationId: "createJob",
+      tags: ["jobs"],
+      summary: "Create or update a job for the signed-in wallet (claims a job recorded without a wallet)",
+      security: auth,
+      requestBody: body({
+        type: "object",
+        required: ["taskId"],
+        properties: {
+          walletAddress: ref("Address"),
+          taskId: { type: "string", minLength: 1 },
+          dealId: { type: ["string", "null"] },
+          settlementName: { type: ["string", "null"] },
+          status: { type: ["string", "null"] },
+          result: { anyOf: [ref("SettlementResult"), { type: "null" }] },
+          error: { type: ["string", "null"] },
+          datasetUrlOverride: { type: ["string", "null"] },
+          submittedAt: { type: ["integer", "string", "null"], description: "ms since epoch or ISO date" },
+          chainId: { anyOf: [ref("ChainId"), { type: "null" }] },
+        },
+      }),
+      responses: {
+        201: json("Job", ref("Job")),
+        400: invalidRequest,
+        401: unauthorized,
+        403: error("Job or walletAddress belongs to another wallet"),
+        409: error("Job already targets another network (code NETWORK_MISMATCH)"),
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+  },
+  "/jobs/by-task/{taskId}": {
+    patch: {
+      operationId: "updateJob",
+      tags: ["jobs"],
+      summary: "Update a job's status, result or settlement",
+      security: auth,
+      parameters: [{ name: "taskId", in: "path", required: true, schema: { type: "string", minLength: 1 } }],
+      requestBody: body({
+        type: "object",
+        properties: {
+          status: { type: "string" },
+          result: { anyOf: [ref("SettlementResult"), { type: "null" }] },
+          error: { type: ["string", "null"] },
+          settledTxHash: { type: ["string", "null"] },
+          settledAt: { type: ["integer", "string", "null"] },
+        },
+      }),
+      responses: {
+        200: json("Updated job", ref("Job")),
+        400: invalidRequest,
+        401: unauthorized,
+        403: error("Job belongs to another wallet"),
+        404: error("Job not found"),
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+  },
+  "/jobs/by-task/{taskId}/retry": {
+    post: {
+      operationId: "retryJob",
+      tags: ["jobs"],
+      summary: "Resubmit a failed or timed-out job as a new attempt",
+      description:
+        "Runs the job's datasetUrlOverride again on iExec and records the new task as a job with attempt + 1, linked to the original. " +
+        "Jobs still waiting for a result can be retried once the task observation timeout (10 minutes) has passed.",
+      security: auth,
+      parameters: [{ name: "taskId", in: "path", required: true, schema: { type: "string", minLength: 1 } }],
+      responses: {
+        201: json("The new attempt", ref("Job")),
+        400: error("The dataset can't be delivered (e.g. code DATASET_ALREADY_ENCRYPTED)"),
+        401: unauthorized,
+        403: error("Job belongs to another wallet"),
+        404: error("Job not found"),
+        409: error("Job has a result or is still running (JOB_NOT_RETRYABLE), was already retried (JOB_ALREADY_RETRIED) or is being retried (JOB_RETRY_IN_PROGRESS)"),
+        422: error("No dataset URL to resubmit (JOB_NO_DATASET_URL) or the dataset can't be fetched (DATASET_UNREACHABLE)"),
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+  },
+
+  "/webhooks": {
+    get: {
+      operationId: "listWebhooks",
+      tags: ["webhooks"],
+      summary: "Webhook subscriptions of the signed-in wallet",
+      security: auth,
+      responses: {
+        200: json("Subscriptions (without secrets), newest first", { type: "array", items: ref("Webhook") }),
+        401: unauthorized,
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+    post: {
+      operationId: "createWebhook",
+      tags: ["webhooks"],
+      summary: "Subscribe a URL to events",
+      description: "The response carries the signing secret; it is not shown again (rotate it with PATCH rotateSecret).",
+      security: auth,
+      requestBody: body({
+        type: "object",
+        required: ["url", "events"],
+        properties: {
+          url: { type: "string", minLength: 1, description: "https URL (http only with WEBHOOK_ALLOW_HTTP=true)" },
+          events: { type: "array", minItems: 1, items: ref("WebhookEvent") },
+          description: { type: ["string", "null"], maxLength: 200 },
+          scope: { enum: ["wallet", "all"] },
+        },
+      }),
+      responses: {
+        201: json("Subscription, with its secret", ref("Webhook")),
+        400: invalidWebhook,
+        401: unauthorized,
+        403: error('scope "all" is limited to WEBHOOK_ADMIN_WALLETS'),
+        409: error("Too many subscriptions for this wallet (code WEBHOOK_LIMIT)"),
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+  },
+  "/webhooks/{id}": {
+    get: {
+      operationId: "getWebhook",
+      tags: ["webhooks"],
+      summary: "One subscription",
+      security: auth,
+      parameters: [param("WebhookIdPath")],
+      responses: { 200: json("Subscription", ref("Webhook")), 400: invalidRequest, 401: unauthorized, 404: error("Webhook not found"), 503: dbNotConfigured, 500: serverError },
+    },
+    patch: {
+      operationId: "updateWebhook",
+      tags: ["webhooks"],
+      summary: "Change the URL, events or description, pause/resume, or rotate the secret",
+      security: auth,
+      parameters: [param("WebhookIdPath")],
+      requestBody: body({
+        type: "object",
+        properties: {
+          url: { type: "string", minLength: 1 },
+          events: { type: "array", minItems: 1, items: ref("WebhookEvent") },
+          description: { type: ["string", "null"], maxLength: 200 },
+          active: { type: "boolean" },
+          rotateSecret: { type: "boolean", description: "Issue a new secret, returned once in the response" },
+        },
+      }),
+      responses: {
+        200: json("Updated subscription (with secret when rotated)", ref("Webhook")),
+        400: invalidWebhook,
+        401: unauthorized,
+        404: error("Webhook not found"),
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+    delete: {
+      operationId: "deleteWebhook",
+      tags: ["webhooks"],
+      summary: "Delete a subscription and its delivery log",
+      security: auth,
+      parameters: [param("WebhookIdPath")],
+      responses: { 204: { description: "Deleted" }, 400: invalidRequest, 401: unauthorized, 404: error("Webhook not found"), 503: dbNotConfigured, 500: serverError },
+    },
+  },
+  "/webhooks/{id}/deliveries": {
+    get: {
+      operationId: "listWebhookDeliveries",
+      tags: ["webhooks"],
+      summary: "Delivery log of a subscription",
+      security: auth,
+      parameters: [
+        param("WebhookIdPath"),
+        { name: "status", in: "query", required: false, schema: { enum: ["pending", "delivered", "failed"] } },
+        param("LimitQuery"),
+        param("OffsetQuery"),
+      ],
+      responses: {
+        200: json("Deliveries, newest first", {
+          type: "object",
+          required: ["deliveries", "total", "limit", "offset"],
+          properties: {
+            deliveries: { type: "array", items: ref("WebhookDelivery") },
+            total: { type: "integer" },
+            limit: { type: "integer" },
+            offset: { type: "integer" },
+          },
+        }),
+        400: invalidRequest,
+        401: unauthorized,
+        404: error("Webhook not found"),
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+  },
+  "/webhooks/{id}/deliveries/{deliveryId}/replay": {
+    post: {
+      operationId: "replayWebhookDelivery",
+      tags: ["webhooks"],
+      summary: "Send a past delivery's payload again",
+      description: "Queues a new delivery (new id, replayOf set) with the same event and data.",
+      security: auth,
+      parameters: [
+        param("WebhookIdPath"),
+        { name: "deliveryId", in: "path", required: true, schema: { type: "string", format: "uuid" } },
+      ],
+      responses: {
+        202: json("Queued delivery", ref("WebhookDelivery")),
+        400: invalidRequest,
+        401: unauthorized,
+        404: error("Webhook or delivery not found"),
+        409: error("Webhook is disabled (code WEBHOOK_DISABLED)"),
+        503: dbNotConfigured,
+        500: serverError,
+      },
+    },
+  },
+
+  "/dashboard/stats": {
+    get: {
+      operationId: "getDashboardStats",
+      tags: ["dashboard"],
+      summary: "Treasury balance and job counts",
+      description:
+        "Job counts cover jobs submitted in [from, to), for every wallet unless wallet is given. " +
+        "Payout volume only counts jobs on the chainId network (default network when omitted).",
+      parameters: [param("ChainIdQuery"), param("WalletQuery"), param("FromQuery"), param("ToQuery")],
+      responses: {
+        200: json("Stats", {
+          type: "object",
+          required: ["totalFundsDeposited", "totalFundsDepositedNum", "activePools", "jobsRunning", "settlementsCompleted", "settlementsSettled"],
+          properties: {
+            totalFundsDeposited: { type: "string" },
+            totalFundsDepositedRaw: { type: "string", description: "Treasury balance in base units" },
+            totalFundsDepositedNum: { type: "number" },
+            activePools: { type: "integer", description: "Jobs with a result that are not settled yet" },
+            jobsRunning: { type: "integer" },
+            settlementsCompleted: { type: "integer", description: "Jobs with a result" },
+            settlementsSettled: { type: "integer" },
+            jobsTotal: { type: "integer" },
+            jobsFailed: { type: "integer" },
+            payoutVolume: { type: "string", description: "Sum of settled jobs' payouts on the network, whole token units" },
+            payoutVolumeRaw: { type: ["string", "null"], description: "The same in base units; null when the token can't be read (\"0\" without Postgres)" },
+            payoutVolumeFormatted: { type: ["string", "null"] },
+            wallet: { type: ["string", "null"] },
+            from: { type: ["string", "null"] },
+            to: { type: ["string", "null"] },
+          },
+        }),
+        400: json("Invalid filter", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        401: walletFilterUnauthorized,
+        403: walletFilterForbidden,
+        500: serverError,
+      },
+    },
+  },
+  "/dashboard/timeseries": {
+    get: {
+      operationId: "getDashboardTimeseries",
+      tags: ["dashboard"],
+      summary: "Jobs and settlements per hour or day",
+      description:
+        "UTC buckets from `from` (rounded down) to `to` (rounded up), at most 2000; defaults to the last 48 hours or 30 days. " +
+        "Each job counts in the bucket of its submission, completion and settlement time respectively. " +
+        "Payout volume only counts jobs on the chainId network (default network when omitted).",
+      parameters: [
+        { name: "interval", in: "query", required: false, schema: { enum: ["hour", "day"] }, description: "Default day" },
+        param("FromQuery"),
+        param("ToQuery"),
+        param("WalletQuery"),
+        param("ChainIdQuery"),
+      ],
+      responses: {
+        200: json("Buckets, oldest first (empty buckets included; none without Postgres)", {
+          type: "object",
+          required: ["interval", "from", "to", "buckets"],
+          properties: {
+            interval: { enum: ["hour", "day"] },
+            from: { type: "string" },
+            to: { type: "string" },
+            wallet: { type: ["string", "null"] },
+            buckets: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["start", "jobsSubmitted", "jobsCompleted", "settlementsExecuted", "payoutVolume"],
+                properties: {
+                  start: { type: "string" },
+                  jobsSubmitted: { type: "integer" },
+                  jobsCompleted: { type: "integer" },
+                  settlementsExecuted: { type: "integer" },
+                  payoutVolume: { type: "string", description: "Payouts settled in the bucket, whole token units" },
+                  payoutVolumeRaw: { type: ["string", "null"], description: "The same in base units; null when the token can't be read" },
+                  payoutVolumeFormatted: { type: ["string", "null"] },
+                },
+              },
+            },
+          },
+        }),
+        400: json("Invalid interval or range", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        401: walletFilterUnauthorized,
+        403: walletFilterForbidden,
+        500: serverError,
+      },
+    },
+  },
+  "/dashboard/activity": {
+    get: {
+      operationId: "getDashboardActivity",
+      tags: ["dashboard"],
+      summary: "Activity feed",
+      description: "Lifecycle events recorded as they happen, newest first. Pass nextCursor back as cursor for the next page.",
+      parameters: [
+        { name: "cursor", in: "query", required: false, schema: { type: "string" }, description: "nextCursor of the previous page" },
+        { name: "limit", in: "query", required: false, schema: { type: "integer", minimum: 1 }, description: "Page size, default 30, capped at 100" },
+        { name: "type", in: "query", required: false, schema: { type: "string" }, description: "Comma-separated activity types (see ActivityType)" },
+        { ...parameters.WalletQuery, description: "Only this wallet's activity; needs a SIWE session of that wallet or an operator" },
+        { name: "taskId", in: "query", required: false, schema: { type: "string" } },
+      ],
+      responses: {
+        200: json("A page of activity", {
+          type: "object",
+          required: ["activity", "nextCursor"],
+          properties: {
+            activity: { type: "array", items: ref("ActivityEvent") },
+            nextCursor: { type: ["string", "null"], description: "null on the last page" },
+          },
+        }),
+        400: json("Invalid query (an invalid cursor has code INVALID_CURSOR).", { anyOf: [ref("ValidationError"), ref("Error")] }),
+        401: walletFilterUnauthorized,
+        403: walletFilterForbidden,
+        500: serverError,
+      },
+    },
+  },
+};
+
+export const OPENAPI_DOCUMENT = {
+  openapi: "3.1.0",
+  info: {
+    title: "ShadowSettle backend",
+    version: "1.0.0",
+    description:
+      "iExec TEE settlement API. Errors are `{ error, code?, details? }`; requests that don't match this document " +
+      "get 400 `{ error, code: \"INVALID_REQUEST\", errors: [{ in, path, message }] }`.",
+  },
+  tags: [
+    { name: "settlement", description: "Run TEE settlements, verify attestations, settle on-chain" },
+    { name: "datasets", description: "Dataset upload and storage" },
+    { name: "jobs", description: "Per-wallet job records (SIWE session required)" },
+    { name: "webhooks", description: "Signed event callbacks for jobs, settlements and the treasury (SIWE session required)" },
+    { name: "auth", description: "Sign-In With Ethereum" },
+    { name: "tx", description: "Transaction tracking" },
+    { name: "faucet", description: "Test token faucet" },
+    { name: "dashboard", description: "Aggregated stats" },
+    { name: "system", description: "Health, metrics and this document" },
+  ],
+  paths,
+  components: {
+    schemas,
+    parameters,
+    securitySchemes: {
+      siwe: { type: "http", scheme: "bearer", description: "Session token from POST /auth/verify (Sign-In With Ethereum)" },
+    },
+  },
+};
+
+/** The document with `servers` set to BACKEND_PUBLIC_URL (or the serving origin, "/"). */
+export function getOpenApiDocument() {
+  const url = (process.env.BACKEND_PUBLIC_URL || "").replace(/\/+$/, "");
+  return { ...OPENAPI_DOCUMENT, servers: [{ url: url || "/" }] };
+}
@@ -0,0 +1,134 @@
+/**
+ * Guard for requests to user-supplied URLs (dataset fetches, webhook deliveries). A URL may only point at
+ * public addresses: the host is resolved and every address it resolves to must lie outside loopback, private,
+ * link-local (incl. cloud metadata at 169.254.169.254), CGNAT, multicast and other reserved ranges. Redirects
+ * are followed by hand so each hop is checked the same way.
+ *
+ * Env: OUTBOUND_ALLOWED_HOSTS — comma-separated host names (or IPs) exempt from the check, e.g. a dataset host
+ * on the internal network.
+ */
+import dns from "dns/promises";
+import net from "net";
+
+const MAX_REDIRECTS = 5;
+
+const blocked = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blocked.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+]) {
+  blocked.addSubnet(prefix, bits, "ipv6");
+}
+
+export class OutboundUrlError extends Error {
+  constructor(message, code = "URL_NOT_ALLOWED", status = 400) {
+    super(message);
+    this.name = "OutboundUrlError";
+    this.code = code;
+    this.status = status;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+function allowedHosts() {
+  return (process.env.OUTBOUND_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/** IPv4 address embedded in an IPv4-mapped (::ffff:a.b.c.d) or NAT64 (64:ff9b::a.b.c.d) IPv6 address, or null. */
+function embeddedIpv4(ip) {
+  const match = /^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(ip);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const hi = parseInt(match[2], 16);
+  const lo = parseInt(match[3], 16);
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+}
+
+/** True when an IP literal is a public unicast address. */
+export function isPublicAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return !blocked.check(ip, "ipv4");
+  if (family !== 6) return false;
+  const v4 = embeddedIpv4(ip.toLowerCase());
+  if (v4) return isPublicAddress(v4);
+  return !blocked.check(ip, "ipv6");
+}
+
+/**
+ * Check that `url` uses one of `protocols` and that its host only resolves to public addresses
+ * (hosts in OUTBOUND_ALLOWED_HOSTS skip the address check). Returns the parsed URL; throws OutboundUrlError.
+ */
+export async function assertPublicUrl(url, { protocols = ["https:", "http:"] } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new OutboundUrlError("Invalid url");
+  }
+  if (!protocols.includes(parsed.protocol)) {
+    throw new OutboundUrlError(`url must use ${protocols.map((p) => p.replace(/:$/, "")).join(" or ")}`);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (allowedHosts().includes(host)) return parsed;
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+    } catch {
+      throw new OutboundUrlError(`Could not resolve host ${host}`, "URL_UNRESOLVABLE");
+    }
+  }
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new OutboundUrlError(`url host ${host} resolves to a private or reserved address`);
+  }
+  return parsed;
+}
+
+/**
+ * fetch() for a user-supplied URL: the URL and every redirect target (up to 5) must pass assertPublicUrl.
+ * `init` is passed to fetch as is, except that redirects are always handled here.
+ */
+export async function fetchPublicUrl(url, init = {}, options = {}) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(current, options);
+    const response = await fetch(current, { ...init, redirect: "manual" });
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+    await response.body?.cancel().catch(() => {});
+    if (hop >= MAX_REDIRECTS) throw new OutboundUrlError(`More than ${MAX_REDIRECTS} redirects`, "TOO_MANY_REDIRECTS");
+    current = new URL(location, current).toString();
+  }
+}
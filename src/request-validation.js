@@ -0,0 +1,183 @@
+/**
+ * Request (and optionally response) validation against the OpenAPI document (openapi.js).
+ *
+ * validateRequests() is one app-level middleware: it finds the operation for the method and path, checks path
+ * and query parameters, headers and the JSON body, and answers 400
+ *   { error: "Invalid request: body.taskId is required", code: "INVALID_REQUEST", errors: [{ in, path, message }] }
+ * before the handler runs. Handlers still parse their own input; the copies validated here are coerced
+ * (query "5" -> 5) and req is left untouched. Operations that need a SIWE session are skipped when there is none,
+ * so requireAuth answers 401 first; paths the document doesn't know pass through (404 as before).
+ *
+ * Env: OPENAPI_VALIDATE_RESPONSES = off | warn (log mismatches) | strict (replace the response with a 500
+ * RESPONSE_INVALID). Default warn when NODE_ENV is development or test, off otherwise.
+ */
+import { OPENAPI_DOCUMENT } from "./openapi.js";
+import { validateSchema, derefSchema, joinPath } from "./json-schema.js";
+import { createLogger } from "./logger.js";
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+const log = createLogger("openapi");
+
+export function getValidationConfig() {
+  const mode = String(
+    process.env.OPENAPI_VALIDATE_RESPONSES || (["development", "test"].includes(process.env.NODE_ENV) ? "warn" : "off")
+  ).toLowerCase();
+  return { responses: ["warn", "strict"].includes(mode) ? mode : "off" };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** One matcher per documented operation; literal paths before templated ones so /a/b wins over /a/{id}. */
+function compileOperations(document) {
+  const operations = [];
+  for (const [path, item] of Object.entries(document.paths)) {
+    const names = [];
+    const source = path
+      .split(/(\{[^}]+\})/)
+      .map((part) => {
+        const m = part.match(/^\{(.+)\}$/);
+        if (!m) return escapeRegExp(part);
+        names.push(m[1]);
+        return "([^/]+?)";
+      })
+      .join("");
+    for (const method of METHODS) {
+      if (!item[method]) continue;
+      const operation = item[method];
+      const parameters = [...(item.parameters ?? []), ...(operation.parameters ?? [])].map((p) => derefParameter(document, p));
+      operations.push({ method, path, names, pattern: new RegExp(`^${source}/?$`), operation, parameters });
+    }
+  }
+  return operations.sort((a, b) => a.names.length - b.names.length);
+}
+
+function derefParameter(document, parameter) {
+  if (!parameter.$ref) return parameter;
+  return parameter.$ref.slice(2).split("/").reduce((node, part) => node?.[part], document);
+}
+
+let compiled = null;
+
+/** The documented operation for a request, with its path parameters, or null. */
+export function findOperation(method, path) {
+  compiled ??= compileOperations(OPENAPI_DOCUMENT);
+  const wanted = method.toLowerCase() === "head" ? "get" : method.toLowerCase();
+  for (const entry of compiled) {
+    if (entry.method !== wanted) continue;
+    const m = entry.pattern.exec(path);
+    if (!m) continue;
+    let params;
+    try {
+      params = Object.fromEntries(entry.names.map((name, i) => [name, decodeURIComponent(m[i + 1])]));
+    } catch {
+      continue;
+    }
+    return { ...entry, params };
+  }
+  return null;
+}
+
+/** Parameters arrive as strings; turn them into the number or boolean their schema asks for. */
+function coerce(raw, schema) {
+  if (typeof raw !== "string") return raw;
+  const resolved = derefSchema(schema, OPENAPI_DOCUMENT) ?? {};
+  const types = Array.isArray(resolved.type) ? resolved.type : [resolved.type];
+  if (types.includes("integer") && /^-?\d+$/.test(raw)) return Number(raw);
+  if (types.includes("number") && raw.trim() !== "" && Number.isFinite(Number(raw))) return Number(raw);
+  if (types.includes("boolean") && (raw === "true" || raw === "false")) return raw === "true";
+  return raw;
+}
+
+/** Errors ([{ in, path, message }]) for a request against its operation. */
+export function validateRequest(match, req) {
+  const errors = [];
+  const add = (location, list) => errors.push(...list.map((e) => ({ in: location, ...e })));
+
+  for (const parameter of match.parameters) {
+    let raw = parameter.in === "header" ? req.get(parameter.name) : parameter.in === "path" ? match.params[parameter.name] : req.query?.[parameter.name];
+    if (raw === "" && parameter.in === "query") raw = undefined;
+    if (raw === undefined) {
+      if (parameter.required) errors.push({ in: parameter.in, path: parameter.name, message: "is required" });
+      continue;
+    }
+    const value = coerce(raw, parameter.schema);
+    const found = validateSchema(parameter.schema, value, OPENAPI_DOCUMENT);
+    add(parameter.in, found.map((e) => ({ ...e, path: e.path ? joinPath(parameter.name, e.path) : parameter.name })));
+  }
+
+  const { requestBody } = match.operation;
+  const schema = requestBody?.content?.["application/json"]?.schema;
+  if (schema && match.operation["x-validate-body"] !== false) {
+    const hasBody = req.body != null && !(typeof req.body === "object" && !Array.isArray(req.body) && Object.keys(req.body).length === 0);
+    if (hasBody || requestBody.required) {
+      add("body", validateSchema(schema, req.body ?? {}, OPENAPI_DOCUMENT));
+    }
+  }
+  return errors;
+}
+
+function describe(e) {
+  return `${e.in}${e.path ? `.${e.path}` : ""} ${e.message}`;
+}
+
+/** Validate res.json bodies against the operation's response schema for the status sent. */
+function checkResponses(match, res, mode) {
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    const responses = match.operation.responses ?? {};
+    const response = responses[String(res.statusCode)] ?? responses[`${String(res.statusCode)[0]}XX`] ?? responses.default;
+    const schema = response?.content?.["application/json"]?.schema;
+    const errors = schema
+      ? validateSchema(schema, JSON.parse(JSON.stringify(payload)), OPENAPI_DOCUMENT)
+      : [{ path: "", message: `status ${res.statusCode} is not documented` }];
+    if (errors.length === 0) return json(payload);
+    log.warn(`response does not match the document: ${match.operation.operationId} ${res.statusCode}`, {
+      errors: errors.slice(0, 10),
+    });
+    if (mode !== "strict") return json(payload);
+    res.status(500);
+    return json({
+      error: `Response does not match the OpenAPI document: ${errors[0].path || "body"} ${errors[0].message}`,
+      code: "RESPONSE_INVALID",
+      errors,
+    });
+  };
+}
+
+/**
+ * Express middleware validating every documented request. Register after the body parser and authenticate,
+ * before the routes.
+ */
+export function validateRequests() {
+  return (req, res, next) => {
+    const match = findOperation(req.method, req.path);
+    if (!match) return next();
+    const { responses } = getValidationConfig();
+    if (responses !== "off") checkResponses(match, res, responses);
+    if (match.operation.security?.length && !req.wallet) return next();
+    const errors = validateRequest(match, req);
+    if (errors.length === 0) return next();
+    log("rejected:", match.operation.operationId, describe(errors[0]), { errorCount: errors.length });
+    res.status(400).json({ error: `Invalid request: ${describe(errors[0])}`, code: "INVALID_REQUEST", errors });
+  };
+}
+
+/**
+ * Routes registered on an Express app that the document does not describe, as "METHOD /path" strings.
+ * Express 4 keeps them on app._router.stack; ":param" becomes "{param}".
+ */
+export function undocumentedRoutes(app) {
+  const missing = [];
+  for (const layer of app._router?.stack ?? []) {
+    const route = layer.route;
+    if (!route || typeof route.path !== "string") continue;
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    for (const method of Object.keys(route.methods)) {
+      if (!OPENAPI_DOCUMENT.paths[path]?.[method]) missing.push(`${method.toUpperCase()} ${route.path}`);
+    }
+  }
+  return missing;
+}
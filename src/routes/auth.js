@@ -0,0 +1,46 @@
+/**
+ * Auth routes: Sign-In With Ethereum (EIP-4361) nonce and verify, session lookup.
+ */
+import { createNonce, verifySiwe, issueToken, AuthError } from "../auth.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("auth");
+
+/**
+ * GET /auth/nonce
+ * Returns { nonce } to embed in the SIWE message. Single use, valid 10 minutes.
+ */
+export function getNonce(req, res) {
+  res.json({ nonce: createNonce() });
+}
+
+/**
+ * POST /auth/verify
+ * Body: { message: string (EIP-4361), signature: string (0x-prefixed) }
+ * Returns { token, wallet, expiresAt }. Send the token as `Authorization: Bearer <token>`.
+ */
+export async function postVerify(req, res) {
+  try {
+    const { message, signature } = req.body || {};
+    const wallet = verifySiwe(message, signature);
+    const { token, expiresAt } = issueToken(wallet);
+    log("signed in:", wallet);
+    res.json({ token, wallet, expiresAt });
+  } catch (err) {
+    if (err instanceof AuthError) {
+      log("verify rejected:", err.message);
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    log.error("verify error:", err);
+    res.status(500).json({ error: err.message || "Failed to verify sign-in" });
+  }
+}
+
+/**
+ * GET /auth/me
+ * Returns { wallet } for the current session, or 401.
+ */
+export function getMe(req, res) {
+  res.json({ wallet: req.wallet });
+}
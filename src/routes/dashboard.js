@@ -1,113 +1,264 @@
 /**
- * Dashboard API: aggregated stats (all wallets) and recent activity feed.
+ * Dashboard API: aggregated stats and time series (computed in Postgres) and recent activity feed.
  */
+import { ethers } from "ethers";
 import * as db from "../db.js";
 import { getTreasuryBalanceFormatted } from "./settlement.js";
+import { resolveNetwork, getDefaultNetwork } from "../networks.js";
+import { isSettlementOperator } from "../auth.js";
+import { getTokenMetadata } from "../token-metadata.js";
+import { AmountError, formatTokenAmount, formatTokenUnits, parseTokenAmount } from "../money.js";
+import { ACTIVITY_TYPES, encodeActivityCursor, decodeActivityCursor } from "../activity.js";
+import { createLogger } from "../logger.js";
 
-function log(...args) {
-  console.log(`[${new Date().toISOString()}] [dashboard]`, ...args);
+const log = createLogger("dashboard");
+
+const HOUR_MS = 60 * 60 * 1000;
+const INTERVALS = { hour: HOUR_MS, day: 24 * HOUR_MS };
+const DEFAULT_RANGE_BUCKETS = { hour: 48, day: 30 };
+const MAX_BUCKETS = 2000;
+const MAX_ACTIVITY_PAGE = 100;
+
+/** A from/to query value (ISO date or ms since epoch) as a Date; undefined when absent, null when invalid. */
+function parseTime(value) {
+  if (value == null || String(value).trim() === "") return undefined;
+  const text = String(value).trim();
+  const date = /^\d+$/.test(text) ? new Date(Number(text)) : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Shared filters of the stats and timeseries routes: { wallet, from, to } or { error }.
+ * wallet is lowercased; from/to are Dates or undefined.
+ */
+function parseFilters(query) {
+  const from = parseTime(query?.from);
+  const to = parseTime(query?.to);
+  if (from === null || to === null) return { error: "from and to must be ISO dates or ms since epoch" };
+  if (from && to && from >= to) return { error: "from must be before to" };
+  const wallet = query?.wallet != null && String(query.wallet).trim() !== "" ? String(query.wallet).trim() : null;
+  if (wallet && !ethers.isAddress(wallet)) return { error: "Invalid wallet address" };
+  return { wallet: wallet?.toLowerCase() ?? null, from, to };
+}
+
+/**
+ * Network whose payouts the volume figures add up (default network without chainId): { chainId, isDefaultNetwork,
+ * decimals }. decimals is null when the network has no token or it can't be read; everything is null without a network.
+ */
+async function payoutNetwork(chainId) {
+  const { network } = resolveNetwork(chainId);
+  if (!network) return { chainId: null, isDefaultNetwork: false, decimals: null };
+  const scope = { chainId: network.chainId, isDefaultNetwork: getDefaultNetwork()?.chainId === network.chainId, decimals: null };
+  if (!network.tokenAddress && !network.settlementAddress) return scope;
+  try {
+    return { ...scope, decimals: (await getTokenMetadata(network)).decimals };
+  } catch (e) {
+    log.warn("could not read token decimals:", e.message);
+    return scope;
+  }
+}
+
+/**
+ * A ?wallet= filter narrows results to one wallet's jobs and activity, so only that wallet's own session (or a
+ * settlement operator) may use it. Sends 401/403 and returns false otherwise.
+ */
+function checkWalletFilter(req, res, wallet) {
+  if (!wallet) return true;
+  if (!req.wallet) {
+    res.status(401).json({ error: "Authentication required to filter by wallet. Sign in with Ethereum via POST /auth/verify." });
+    return false;
+  }
+  if (req.wallet !== wallet.toLowerCase() && !isSettlementOperator(req.wallet)) {
+    res.status(403).json({ error: "Cannot filter by another wallet" });
+    return false;
+  }
+  return true;
 }
 
 /**
  * GET /dashboard/stats
- * Returns totals for all wallets: treasury balance, job counts.
+ * Query: chainId? (treasury network), wallet?, from?, to? (ISO date or ms; jobs submitted in [from, to)).
+ * Returns the treasury balance and job counts, for all wallets unless wallet is given (the signed-in wallet only).
+ * Token amounts come as a decimal string plus raw base units and a display string, in the decimals of the
+ * network's token; payout volume only counts jobs on that network.
  */
 export async function getStats(req, res) {
   try {
-    const balance = await getTreasuryBalanceFormatted();
+    const filters = parseFilters(req.query);
+    if (filters.error) {
+      res.status(400).json({ error: filters.error });
+      return;
+    }
+    if (!checkWalletFilter(req, res, filters.wallet)) return;
+    const [balance, scope] = await Promise.all([getTreasuryBalanceFormatted(req.query?.chainId), payoutNetwork(req.query?.chainId)]);
+    const { decimals } = scope;
     const totalFundsDeposited = balance != null ? balance.formatted : "0";
     const totalFundsDepositedNum = balance != null ? balance.numeric : 0;
-    let jobsRunning = 0;
-    let settlementsCompleted = 0;
-    let settlementsSettled = 0;
-    let activePools = 0;
-
-    if (db.isDbConfigured()) {
-      await db.initDb();
-      const jobs = await db.listAllJobs(2000);
-      for (const j of jobs) {
-        const hasResult = j.result != null;
-        const hasSettled = j.settled_tx_hash != null;
-        if (hasResult) settlementsCompleted += 1;
-        if (hasSettled) settlementsSettled += 1;
-        if (hasResult && !hasSettled) activePools += 1;
-        if (!hasResult && !j.error) jobsRunning += 1;
-      }
-    }
+    const stats = db.isDbConfigured() ? await db.getJobStats({ ...filters, ...scope }) : null;
+    // Without Postgres there is no volume at all, which is 0 whatever the token's decimals.
+    const volumeRaw = !stats ? "0" : decimals != null ? stats.payout_volume_raw : null;
 
     res.json({
       totalFundsDeposited,
+      totalFundsDepositedRaw: balance?.raw ?? "0",
       totalFundsDepositedNum,
-      activePools,
-      jobsRunning,
-      settlementsCompleted,
-      settlementsSettled,
+      activePools: stats?.active_pools ?? 0,
+      jobsRunning: stats?.jobs_running ?? 0,
+      settlementsCompleted: stats?.settlements_completed ?? 0,
+      settlementsSettled: stats?.settlements_settled ?? 0,
+      jobsTotal: stats?.jobs_total ?? 0,
+      jobsFailed: stats?.jobs_failed ?? 0,
+      payoutVolume: stats?.payout_volume ?? "0",
+      payoutVolumeRaw: volumeRaw,
+      payoutVolumeFormatted: volumeRaw != null ? formatTokenAmount(volumeRaw, decimals ?? 0) : null,
+      wallet: filters.wallet,
+      from: filters.from?.toISOString() ?? null,
+      to: filters.to?.toISOString() ?? null,
     });
   } catch (err) {
-    log("getStats error:", err.message);
+    log.error("getStats error:", err);
     res.status(500).json({ error: err.message || "Failed to get dashboard stats" });
   }
 }
 
+/**
+ * GET /dashboard/timeseries
+ * Query: interval? (hour | day, default day), from?, to? (default the last 48 hours / 30 days up to now), wallet?
+ * (the signed-in wallet only), chainId? (the network whose payouts the volume counts, in its token's decimals)
+ * Buckets are UTC hours or days; from is rounded down and to up to a bucket boundary, at most 2000 buckets.
+ * Returns { interval, from, to, wallet, buckets: [{ start, jobsSubmitted, jobsCompleted, settlementsExecuted, payoutVolume,
+ *   payoutVolumeRaw, payoutVolumeFormatted }] }.
+ */
+export async function getTimeseries(req, res) {
+  try {
+    const interval = req.query?.interval != null ? String(req.query.interval) : "day";
+    const bucketMs = INTERVALS[interval];
+    if (!bucketMs) {
+      res.status(400).json({ error: `interval must be one of ${Object.keys(INTERVALS).join(", ")}` });
+      return;
+    }
+    const filters = parseFilters(req.query);
+    if (filters.error) {
+      res.status(400).json({ error: filters.error });
+      return;
+    }
+    if (!checkWalletFilter(req, res, filters.wallet)) return;
+    const toMs = Math.ceil((filters.to ?? new Date()).getTime() / bucketMs) * bucketMs;
+    const fromMs = Math.floor((filters.from?.getTime() ?? toMs - DEFAULT_RANGE_BUCKETS[interval] * bucketMs) / bucketMs) * bucketMs;
+    if (fromMs >= toMs) {
+      res.status(400).json({ error: "from must be before to" });
+      return;
+    }
+    if ((toMs - fromMs) / bucketMs > MAX_BUCKETS) {
+      res.status(400).json({ error: `Range too large: at most ${MAX_BUCKETS} ${interval} buckets` });
+      return;
+    }
+    const from = new Date(fromMs);
+    const to = new Date(toMs);
+    const scope = await payoutNetwork(req.query?.chainId);
+    const { decimals } = scope;
+    const rows = db.isDbConfigured() ? await db.getJobTimeseries({ from, to, bucketMs, wallet: filters.wallet, ...scope }) : [];
+    res.json({
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      wallet: filters.wallet,
+      buckets: rows.map((r) => ({
+        start: new Date(r.bucket).toISOString(),
+        jobsSubmitted: r.jobs_submitted,
+        jobsCompleted: r.jobs_completed,
+        settlementsExecuted: r.settlements_executed,
+        payoutVolume: r.payout_volume,
+        payoutVolumeRaw: r.payout_volume_raw,
+        payoutVolumeFormatted: r.payout_volume_raw != null ? formatTokenAmount(r.payout_volume_raw, decimals) : null,
+      })),
+    });
+  } catch (err) {
+    log.error("getTimeseries error:", err);
+    res.status(500).json({ error: err.message || "Failed to get dashboard time series" });
+  }
+}
+
 /**
  * GET /dashboard/activity
- * Query: limit (optional), wallet (optional). When wallet is provided, returns only activity for that wallet.
- * Returns recent activity items derived from jobs: job_started, job_completed, settlement_executed.
+ * Query: cursor? (nextCursor of the previous page), limit? (page size, default 30, max 100),
+ * type? (comma-separated activity types), wallet? (the signed-in wallet only), taskId?
+ * Returns { activity: [...], nextCursor }, newest first from the activity_events table; nextCursor is null on the last page.
  */
 export async function getActivity(req, res) {
   try {
-    const limit = Math.min(Number(req.query?.limit) || 30, 100);
-    const wallet = req.query?.wallet != null ? String(req.query.wallet).trim() : null;
-    const events = [];
-
-    if (db.isDbConfigured()) {
-      await db.initDb();
-      const jobs = wallet
-        ? await db.listJobs(wallet)
-        : await db.listAllJobs(500);
-      for (const j of jobs) {
-        const settlementName = j.settlement_name || "Settlement";
-        const participants = j.result?.payouts?.length ?? 0;
-        const totalPayout = (j.result?.payouts ?? []).reduce((s, p) => s + (Number(p.amount) || 0), 0);
-
-        if (j.submitted_at) {
-          events.push({
-            type: "job_started",
-            taskId: j.task_id,
-            settlementName,
-            timestamp: new Date(j.submitted_at).getTime(),
-            participants: null,
-            totalPayout: null,
-          });
-        }
-        if (j.result != null && j.updated_at) {
-          events.push({
-            type: "job_completed",
-            taskId: j.task_id,
-            settlementName,
-            timestamp: new Date(j.updated_at).getTime(),
-            participants,
-            totalPayout: totalPayout > 0 ? totalPayout : null,
-          });
-        }
-        if (j.settled_tx_hash != null && j.settled_at) {
-          events.push({
-            type: "settlement_executed",
-            taskId: j.task_id,
-            settlementName,
-            timestamp: new Date(j.settled_at).getTime(),
-            participants,
-            totalPayout: totalPayout > 0 ? totalPayout : null,
-          });
-        }
+    const limit = Math.min(Math.max(Number(req.query?.limit) || 30, 1), MAX_ACTIVITY_PAGE);
+    const types = req.query?.type != null && String(req.query.type).trim() !== ""
+      ? [...new Set(String(req.query.type).split(",").map((t) => t.trim()).filter(Boolean))]
+      : null;
+    const unknown = (types ?? []).filter((t) => !ACTIVITY_TYPES.includes(t));
+    if (unknown.length > 0) {
+      res.status(400).json({ error: `Unknown type(s): ${unknown.join(", ")}. Known: ${ACTIVITY_TYPES.join(", ")}` });
+      return;
+    }
+    const wallet = req.query?.wallet != null && String(req.query.wallet).trim() !== "" ? String(req.query.wallet).trim() : null;
+    if (wallet && !ethers.isAddress(wallet)) {
+      res.status(400).json({ error: "Invalid wallet address" });
+      return;
+    }
+    if (!checkWalletFilter(req, res, wallet)) return;
+    const taskId = req.query?.taskId != null && String(req.query.taskId).trim() !== "" ? String(req.query.taskId).trim() : null;
+    let after = null;
+    if (req.query?.cursor != null && String(req.query.cursor) !== "") {
+      after = decodeActivityCursor(req.query.cursor);
+      if (!after) {
+        res.status(400).json({ error: "Invalid cursor", code: "INVALID_CURSOR" });
+        return;
       }
     }
 
-    events.sort((a, b) => b.timestamp - a.timestamp);
-    const slice = events.slice(0, limit);
-    res.json({ activity: slice });
+    const rows = db.isDbConfigured()
+      ? await db.listActivityEvents({ types, wallet, taskId, after, limit: limit + 1 })
+      : [];
+    const page = rows.slice(0, limit);
+    // Token decimals per network, for the pages' payout totals only
+    const decimals = new Map();
+    for (const row of page) {
+      const chainId = row.chain_id ?? null;
+      if (row.data?.totalPayout != null && !decimals.has(chainId)) decimals.set(chainId, (await payoutNetwork(chainId)).decimals);
+    }
+    res.json({
+      activity: page.map((row) => activityToJson(row, decimals.get(row.chain_id ?? null) ?? null)),
+      nextCursor: rows.length > limit ? encodeActivityCursor(page[page.length - 1]) : null,
+    });
   } catch (err) {
-    log("getActivity error:", err.message);
+    log.error("getActivity error:", err);
     res.status(500).json({ error: err.message || "Failed to get activity" });
   }
 }
+
+/** A stored whole-unit total in base units of a token with `decimals`; null when it doesn't fit them. */
+function payoutRaw(total, decimals) {
+  try {
+    return parseTokenAmount(String(total), decimals);
+  } catch (e) {
+    if (!(e instanceof AmountError)) throw e;
+    return null;
+  }
+}
+
+/** decimals: of the row's network token (null when unknown), to give totalPayout as raw and formatted amounts. */
+function activityToJson(row, decimals) {
+  const data = row.data ?? {};
+  const raw = data.totalPayout != null && decimals != null ? payoutRaw(data.totalPayout, decimals) : null;
+  return {
+    id: String(row.id),
+    type: row.type,
+    timestamp: new Date(row.occurred_at).getTime(),
+    taskId: row.task_id ?? null,
+    walletAddress: row.wallet_address ?? null,
+    chainId: row.chain_id ?? null,
+    txHash: row.tx_hash ?? null,
+    settlementName: data.settlementName ?? null,
+    participants: data.participants ?? null,
+    totalPayout: raw != null ? formatTokenUnits(raw, decimals) : data.totalPayout != null ? String(data.totalPayout) : null,
+    totalPayoutRaw: raw?.toString() ?? null,
+    totalPayoutFormatted: raw != null ? formatTokenAmount(raw, decimals) : null,
+    data,
+  };
+}
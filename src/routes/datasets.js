@@ -1,65 +1,16 @@
 /**
- * Temporary dataset storage so frontend can upload JSON and get a URL for iExec.
- * When backend is local, we also upload to a public file host so iExec workers can fetch the dataset.
+ * Dataset storage so frontend can upload JSON and get a URL for iExec (see dataset-store.js).
+ * In plain delivery mode with DATASET_PUBLIC_UPLOAD=true, we also upload to a public file host so iExec
+ * workers can fetch the dataset when the backend is local. In encrypted mode (opt-in) plaintext is never
+ * served or uploaded; POST /settlement/run hands the enclave an encrypted copy (see dataset-delivery.js).
  */
-const store = new Map();
+import { saveDataset, loadDataset, getDatasetBaseUrl } from "../dataset-store.js";
+import { DATASET_SCHEMA, validateDataset } from "../dataset-schema.js";
+import { getDeliveryConfig, uploadToPublicHost } from "../dataset-delivery.js";
+import { isEncryptedEnvelope } from "../dataset-crypto.js";
+import { createLogger, redactUrl } from "../logger.js";
 
-const PUBLIC_UPLOAD_0X0 = "https://0x0.st";
-const PUBLIC_UPLOAD_TRANSFER = "https://transfer.sh";
-
-/**
- * Upload JSON to a public file host so iExec workers (on the internet) can fetch it.
- * Tries 0x0.st first, then transfer.sh. Returns the public URL or null on failure.
- */
-async function uploadToPublicHost(jsonObject) {
-  const body = JSON.stringify(jsonObject);
-
-  // Try 0x0.st (multipart)
-  try {
-    const form = new FormData();
-    form.append("file", new Blob([body], { type: "application/json" }), "dataset.json");
-    const response = await fetch(PUBLIC_UPLOAD_0X0, {
-      method: "POST",
-      body: form,
-      headers: { "User-Agent": "ShadowSettle-Backend/1.0" },
-    });
-    const text = (await response.text()).trim();
-    if (!response.ok) {
-      log("0x0.st response", response.status, "body:", text.slice(0, 100));
-    } else if (text.startsWith("http")) {
-      return text;
-    } else if (text.startsWith("/")) {
-      return PUBLIC_UPLOAD_0X0.replace(/\/$/, "") + text;
-    } else {
-      log("0x0.st body (no URL):", text.slice(0, 100));
-    }
-  } catch (e) {
-    log("0x0.st error:", e.message);
-  }
-
-  // Fallback: transfer.sh (PUT)
-  try {
-    const response = await fetch(`${PUBLIC_UPLOAD_TRANSFER}/dataset.json`, {
-      method: "PUT",
-      body,
-      headers: {
-        "Content-Type": "application/json",
-        "User-Agent": "ShadowSettle-Backend/1.0",
-      },
-    });
-    const text = (await response.text()).trim();
-    if (response.ok && text.startsWith("http")) return text;
-    log("transfer.sh response", response.status, "body:", text.slice(0, 100));
-  } catch (e) {
-    log("transfer.sh error:", e.message);
-  }
-
-  return null;
-}
-
-function log(...args) {
-  console.log(`[${new Date().toISOString()}] [datasets]`, ...args);
-}
+const log = createLogger("datasets");
 
 export async function postDataset(req, res) {
   try {
@@ -71,48 +22,91 @@ export async function postDataset(req, res) {
     }
     const keys = Object.keys(body);
     log("received dataset, keys:", keys.join(", "));
+    const errors = validateDataset(body);
+    if (errors.length > 0) {
+      log.warn("rejected: invalid dataset,", errors.length, "error(s), first:", errors[0].path, errors[0].message);
+      res.status(400).json({ error: "Dataset does not match the ShadowSettle dataset schema", code: "DATASET_INVALID", errors });
+      return;
+    }
 
-    const id = Math.random().toString(36).slice(2, 12);
-    store.set(id, body);
-    const baseUrl = process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
-    const url = `${baseUrl.replace(/\/$/, "")}/datasets/${id}.json`;
-    log("stored id:", id, "| local url:", url);
+    const { id, size, expiresAt, created } = await saveDataset(body);
+    const url = `${getDatasetBaseUrl()}/datasets/${id}.json`;
+    log(created ? "stored" : "already stored", "| size:", size, "| local url:", redactUrl(url));
 
+    const { mode, publicUpload } = getDeliveryConfig();
     let publicUrl = null;
-    try {
-      log("uploading to public host (0x0.st)...");
-      publicUrl = await uploadToPublicHost(body);
-      if (publicUrl) {
-        log("publicUrl:", publicUrl);
-      } else {
-        log("public upload returned no URL");
+    if (mode === "plain" && publicUpload) {
+      try {
+        log("uploading to public host (0x0.st)...");
+        publicUrl = await uploadToPublicHost(body);
+        if (publicUrl) {
+          log("publicUrl:", redactUrl(publicUrl));
+        } else {
+          log("public upload returned no URL");
+        }
+      } catch (e) {
+        log.warn("public upload failed:", e);
       }
-    } catch (e) {
-      log("public upload failed:", e.message);
     }
 
-    res.status(201).json({ id, url, ...(publicUrl && { publicUrl }) });
+    res.status(201).json({
+      id,
+      url,
+      size,
+      expiresAt: expiresAt.toISOString(),
+      deduplicated: !created,
+      delivery: mode,
+      ...(publicUrl && { publicUrl }),
+    });
     log("response 201, id:", id);
   } catch (err) {
-    log("error:", err.message);
-    console.error("POST /datasets error:", err);
+    log.error("error:", err);
     res.status(500).json({ error: err.message || "Failed to store dataset" });
   }
 }
 
-export function getDataset(req, res) {
-  const id = req.params.id?.replace(/\.json$/, "");
-  if (!id) {
-    res.status(400).json({ error: "Missing dataset id" });
-    return;
-  }
-  const data = store.get(id);
-  if (!data) {
-    console.log(`[${new Date().toISOString()}] [datasets] GET ${id}.json — not found`);
-    res.status(404).json({ error: "Dataset not found" });
-    return;
+/** GET /datasets/schema — JSON Schema for datasets, so the frontend can validate before uploading. */
+export function getDatasetSchema(req, res) {
+  res.setHeader("Content-Type", "application/schema+json");
+  res.send(JSON.stringify(DATASET_SCHEMA));
+}
+
+export async function getDataset(req, res) {
+  try {
+    const id = req.params.id?.replace(/\.json$/, "");
+    if (!id) {
+      res.status(400).json({ error: "Missing dataset id" });
+      return;
+    }
+    const dataset = await loadDataset(id);
+    if (!dataset) {
+      log(`GET ${id}.json — not found`);
+      res.status(404).json({ error: "Dataset not found" });
+      return;
+    }
+    if (getDeliveryConfig().mode === "encrypted" && !isEncryptedEnvelope(JSON.parse(dataset.body))) {
+      // Plaintext stays private; the enclave gets the encrypted copy made by POST /settlement/run.
+      log(`GET ${id}.json — plaintext withheld (encrypted delivery)`);
+      res.status(404).json({ error: "Dataset not found" });
+      return;
+    }
+    // The id is the SHA-256 of the body, so it doubles as a strong ETag.
+    const etag = `"${dataset.id}"`;
+    res.setHeader("ETag", etag);
+    res.setHeader("Cache-Control", "public, max-age=0, must-revalidate");
+    res.setHeader("Expires", dataset.expiresAt.toUTCString());
+    const ifNoneMatch = req.headers["if-none-match"];
+    if (ifNoneMatch && ifNoneMatch.split(",").some((t) => t.trim().replace(/^W\//, "") === etag || t.trim() === "*")) {
+      log(`GET ${id}.json — 304`);
+      res.status(304).end();
+      return;
+    }
+    log(`GET ${id}.json — 200`);
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Content-Length", Buffer.byteLength(dataset.body));
+    res.status(200).end(dataset.body);
+  } catch (err) {
+    log.error("error:", err);
+    res.status(500).json({ error: err.message || "Failed to load dataset" });
   }
-  console.log(`[${new Date().toISOString()}] [datasets] GET ${id}.json — 200`);
-  res.setHeader("Content-Type", "application/json");
-  res.json(data);
 }
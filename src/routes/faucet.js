@@ -1,33 +1,65 @@
 /**
- * Faucet route: mint Test USDC to a given address on Arbitrum Sepolia (for testing).
- * Requires FAUCET_PRIVATE_KEY (owner of TestUSDC), TEST_USDC_ADDRESS, ARBITRUM_SEPOLIA_RPC_URL.
+ * Faucet routes: mint the network's test token (e.g. TestUSDC) to a given address on a test network (for testing), within the per-address,
+ * per-IP and daily limits of faucet-limits.js, and report what is left of them.
+ * A network has a faucet when it has an RPC URL, a token address and a faucet key (owner of TestUSDC),
+ * e.g. NETWORK_421614_FAUCET_PRIVATE_KEY (or the legacy FAUCET_PRIVATE_KEY / TEST_USDC_ADDRESS).
  */
 import { ethers } from "ethers";
+import { getTxManager, txEvents } from "../tx-manager.js";
+import { resolveNetwork, explorerTxUrl, getProvider } from "../networks.js";
+import { getTokenMetadata } from "../token-metadata.js";
+import { formatTokenUnits } from "../money.js";
+import { getFaucetLimits, listRecentFaucetClaims, evaluateFaucetClaim, reserveFaucetClaim, updateFaucetClaim } from "../faucet-limits.js";
+import { faucetMintsTotal, faucetDripsTotal } from "../metrics.js";
+import { createLogger } from "../logger.js";
 
-const ARB_SEPOLIA_EXPLORER = "https://sepolia.arbiscan.io";
-const DEFAULT_AMOUNT = "10000"; // 10,000 USDC (6 decimals applied in code)
-const RATE_LIMIT_MS = 60 * 1000; // 1 request per address per minute
-const addressLastRequest = new Map();
+const DENIAL_RESULTS = { FAUCET_COOLDOWN: "rate_limited", FAUCET_ADDRESS_CAP: "cap_reached", FAUCET_IP_CAP: "cap_reached", FAUCET_BUDGET_EXHAUSTED: "budget_exhausted" };
 
-function getFaucetConfig() {
-  const rpc = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-  const tokenAddress = process.env.TEST_USDC_ADDRESS;
-  const privateKey = process.env.FAUCET_PRIVATE_KEY;
-  if (!rpc || !tokenAddress || !privateKey) return null;
-  return { rpc, tokenAddress, privateKey };
+const log = createLogger("faucet");
+
+function getFaucetConfig(network) {
+  if (!network.faucetEnabled) return null;
+  return { tokenAddress: network.tokenAddress, privateKey: network.faucetPrivateKey };
+}
+
+function notAvailableMessage(network) {
+  return `Faucet not available on ${network.name}. Set NETWORK_${network.chainId}_RPC_URL, NETWORK_${network.chainId}_TOKEN_ADDRESS, and NETWORK_${network.chainId}_FAUCET_PRIVATE_KEY.`;
 }
 
 const TEST_USDC_ABI = [
   "function mint(address to, uint256 amount) external",
 ];
 
+const testUsdcInterface = new ethers.Interface(TEST_USDC_ABI);
+
+/** Whether an address holds less native ETH than the drip (false when the drip is off or the balance can't be read). */
+async function wantsGas(network, address, ethDripWei) {
+  if (ethDripWei === 0n) return false;
+  try {
+    return (await getProvider(network).getBalance(address)) < ethDripWei;
+  } catch (e) {
+    log.warn("balance check failed:", e.message);
+    return false;
+  }
+}
+
+/**
+ * POST /faucet
+ * Body: { address, chainId? } — chainId defaults to the default network.
+ * Mints FAUCET_AMOUNT test tokens within the limits of faucet-limits.js, plus the optional ETH drip; answers 429
+ * with a code (FAUCET_COOLDOWN, FAUCET_ADDRESS_CAP, FAUCET_IP_CAP, FAUCET_BUDGET_EXHAUSTED) and nextEligibleAt
+ * when a limit is reached.
+ */
 export async function postFaucet(req, res) {
+  const { network, error: networkError, status } = resolveNetwork(req.body?.chainId);
+  if (networkError) {
+    res.status(status).json({ error: networkError, code: "UNKNOWN_NETWORK" });
+    return;
+  }
   try {
-    const config = getFaucetConfig();
+    const config = getFaucetConfig(network);
     if (!config) {
-      res.status(503).json({
-        error: "Faucet not configured. Set ARBITRUM_SEPOLIA_RPC_URL, TEST_USDC_ADDRESS, and FAUCET_PRIVATE_KEY.",
-      });
+      res.status(503).json({ error: notAvailableMessage(network) });
       return;
     }
 
@@ -42,35 +74,147 @@ export async function postFaucet(req, res) {
       return;
     }
 
-    const now = Date.now();
-    const last = addressLastRequest.get(to.toLowerCase());
-    if (last != null && now - last < RATE_LIMIT_MS) {
-      res.status(429).json({
-        error: "Rate limited. Please wait a minute before requesting again.",
-      });
+    const token = await getTokenMetadata(network, config.tokenAddress);
+    const limits = getFaucetLimits(token.decimals);
+    const reserved = await reserveFaucetClaim({
+      chainId: network.chainId,
+      address: to,
+      ip: req.ip ?? null,
+      limits,
+      wantsGas: await wantsGas(network, to, limits.ethDripWei),
+    });
+    if (reserved.denial) {
+      faucetMintsTotal.inc({ chain_id: network.chainId, result: DENIAL_RESULTS[reserved.denial.code] });
+      if (reserved.nextEligibleAt != null) res.setHeader("Retry-After", String(Math.max(1, Math.ceil((reserved.nextEligibleAt - Date.now()) / 1000))));
+      res.status(429).json({ error: reserved.denial.message, code: reserved.denial.code, nextEligibleAt: reserved.nextEligibleAt });
       return;
     }
-    addressLastRequest.set(to.toLowerCase(), now);
+    const { claim, ethRaw } = reserved;
+    const amount = formatTokenUnits(limits.amountRaw, token.decimals);
+    const manager = getTxManager(network, config.privateKey);
 
-    const amount = ethers.parseUnits(DEFAULT_AMOUNT, 6);
-    const provider = new ethers.JsonRpcProvider(config.rpc);
-    const wallet = new ethers.Wallet(config.privateKey, provider);
-    const contract = new ethers.Contract(config.tokenAddress, TEST_USDC_ABI, wallet);
+    let tx;
+    try {
+      tx = await manager.submit({
+        kind: "faucet",
+        to: config.tokenAddress,
+        data: testUsdcInterface.encodeFunctionData("mint", [to, limits.amountRaw]),
+        meta: { to: to.toLowerCase(), amount, claimId: String(claim.id) },
+      });
+    } catch (e) {
+      await updateFaucetClaim(claim.id, { status: "failed" });
+      throw e;
+    }
+    await updateFaucetClaim(claim.id, { status: "submitted", txId: tx.id });
+    faucetMintsTotal.inc({ chain_id: network.chainId, result: "submitted" });
 
-    const tx = await contract.mint(to, amount);
-    const receipt = await tx.wait();
-    const txHash = receipt.hash;
-    const explorerUrl = `${ARB_SEPOLIA_EXPLORER}/tx/${txHash}`;
+    let drip = null;
+    if (ethRaw > 0n) {
+      const ethAmount = ethers.formatEther(ethRaw);
+      try {
+        const dripTx = await manager.submit({ kind: "faucet_drip", to, data: "0x", value: ethRaw, meta: { to: to.toLowerCase(), amount: ethAmount, claimId: String(claim.id) } });
+        await updateFaucetClaim(claim.id, { ethTxId: dripTx.id });
+        faucetDripsTotal.inc({ chain_id: network.chainId, result: "submitted" });
+        drip = { txId: dripTx.id, txHash: dripTx.hash, amount: ethAmount, statusUrl: `/tx/${dripTx.id}` };
+      } catch (e) {
+        // The mint is on its way; the address may ask again for gas after the window.
+        await updateFaucetClaim(claim.id, { ethRaw: 0n });
+        faucetDripsTotal.inc({ chain_id: network.chainId, result: "error" });
+        log.warn("gas drip failed:", e.shortMessage ?? e.message);
+      }
+    }
 
-    res.json({
-      txHash,
-      explorerUrl,
-      amount: DEFAULT_AMOUNT,
-      message: `Minted ${DEFAULT_AMOUNT} test USDC to ${to} on Arbitrum Sepolia.`,
+    res.status(202).json({
+      txId: tx.id,
+      txHash: tx.hash,
+      chainId: network.chainId,
+      explorerUrl: explorerTxUrl(network, tx.hash),
+      statusUrl: `/tx/${tx.id}`,
+      amount,
+      symbol: token.symbol,
+      ethDrip: drip,
+      message: `Minting ${amount} ${token.symbol ?? "test tokens"}${drip ? ` and sending ${drip.amount} ETH` : ""} to ${to} on ${network.name}. Track it at /tx/${tx.id}.`,
     });
   } catch (err) {
-    console.error("[faucet]", err);
+    faucetMintsTotal.inc({ chain_id: network.chainId, result: "error" });
+    log.error("mint error:", err);
     const message = err.reason ?? err.shortMessage ?? err.message ?? "Mint failed";
     res.status(500).json({ error: String(message) });
   }
 }
+
+/**
+ * GET /faucet/status?address=[&chainId=]
+ * The faucet's limits and what is left of them for this address and the caller's IP over the last 24 hours.
+ * nextEligibleAt (ms) is when the address can claim again; null when it can claim now (eligible) or never will.
+ * Amounts are in whole units of the network's token; 503 when the network has no token to read them against.
+ */
+export async function getFaucetStatus(req, res) {
+  const { network, error: networkError, status } = resolveNetwork(req.query?.chainId);
+  if (networkError) {
+    res.status(status).json({ error: networkError, code: "UNKNOWN_NETWORK" });
+    return;
+  }
+  try {
+    const address = req.query?.address != null ? String(req.query.address).trim() : "";
+    if (!ethers.isAddress(address)) {
+      res.status(400).json({ error: "Missing or invalid address" });
+      return;
+    }
+    if (!network.tokenAddress && !network.settlementAddress) {
+      res.status(503).json({ error: notAvailableMessage(network) });
+      return;
+    }
+    const token = await getTokenMetadata(network, network.tokenAddress);
+    const limits = getFaucetLimits(token.decimals);
+    const enabled = getFaucetConfig(network) != null;
+    const claims = await listRecentFaucetClaims(network.chainId);
+    const verdict = evaluateFaucetClaim(claims, { address, ip: req.ip ?? null, limits });
+    const format = (raw) => (raw == null ? null : formatTokenUnits(raw, token.decimals));
+    const cap = (raw) => (raw > 0n ? format(raw) : null);
+    res.json({
+      chainId: network.chainId,
+      address: address.toLowerCase(),
+      enabled,
+      eligible: enabled && verdict.eligible,
+      reason: !enabled ? "FAUCET_UNAVAILABLE" : verdict.denial?.code ?? null,
+      nextEligibleAt: verdict.nextEligibleAt,
+      amount: format(limits.amountRaw),
+      symbol: token.symbol,
+      ethDrip: limits.ethDripWei > 0n ? ethers.formatEther(limits.ethDripWei) : null,
+      ethDripAvailable: verdict.ethDripAvailable,
+      cooldownMs: limits.cooldownMs,
+      limits: { address: cap(limits.addressCapRaw), ip: cap(limits.ipCapRaw), budget: cap(limits.dailyBudgetRaw) },
+      remaining: {
+        address: format(verdict.remaining.address),
+        ip: format(verdict.remaining.ip),
+        budget: format(verdict.remaining.budget),
+      },
+    });
+  } catch (err) {
+    log.error("status error:", err);
+    res.status(500).json({ error: err.message || "Failed to get faucet status" });
+  }
+}
+
+// A mint that reverted or was dropped gives the allowance back.
+for (const outcome of ["failed", "dropped"]) {
+  txEvents.on(outcome, (tx) => {
+    if (tx.kind === "faucet") {
+      if (outcome === "failed") faucetMintsTotal.inc({ chain_id: tx.chainId, result: "failed" });
+      if (tx.meta?.claimId) {
+        updateFaucetClaim(Number(tx.meta.claimId), { status: "failed" }).catch((e) => log.warn("could not update claim:", e.message));
+      }
+    }
+    if (tx.kind === "faucet_drip" && outcome === "failed") faucetDripsTotal.inc({ chain_id: tx.chainId, result: "failed" });
+  });
+}
+txEvents.on("confirmed", (tx) => {
+  if (tx.kind === "faucet") {
+    faucetMintsTotal.inc({ chain_id: tx.chainId, result: "confirmed" });
+    if (tx.meta?.claimId) {
+      updateFaucetClaim(Number(tx.meta.claimId), { status: "confirmed" }).catch((e) => log.warn("could not update claim:", e.message));
+    }
+  }
+  if (tx.kind === "faucet_drip") faucetDripsTotal.inc({ chain_id: tx.chainId, result: "confirmed" });
+});
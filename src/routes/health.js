@@ -1,39 +1,41 @@
 /**
  * Health checks for System Status: backend, iExec, blockchain.
  */
-import { ethers } from "ethers";
 import { getConfig } from "../config.js";
+import { listNetworks, getDefaultNetwork, getProvider } from "../networks.js";
+import { createLogger } from "../logger.js";
 
-function log(...args) {
-  console.log(`[${new Date().toISOString()}] [health]`, ...args);
-}
+const log = createLogger("health");
 
 /**
  * GET /health/checks
- * Returns { backend: true, iexec: boolean, chain: boolean, checkedAt: number }.
- * Green when each is up.
+ * Returns { backend: true, iexec: boolean, chain: boolean, networks: { [chainId]: boolean }, checkedAt: number }.
+ * chain is the default network's RPC; networks has every configured network. Green when each is up.
  */
 export async function getHealthChecks(req, res) {
   const checkedAt = Date.now();
-  const result = { backend: true, iexec: false, chain: false, checkedAt };
+  const result = { backend: true, iexec: false, chain: false, networks: {}, checkedAt };
 
   try {
     getConfig();
     result.iexec = true;
   } catch (e) {
-    log("iExec check:", e.message);
+    log.warn("iExec check:", e.message);
   }
 
-  const rpc = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-  if (rpc) {
-    try {
-      const provider = new ethers.JsonRpcProvider(rpc);
-      await provider.getBlockNumber();
-      result.chain = true;
-    } catch (e) {
-      log("Chain check:", e.message);
-    }
-  }
+  await Promise.all(
+    listNetworks().map(async (network) => {
+      try {
+        await getProvider(network).getBlockNumber();
+        result.networks[network.chainId] = true;
+      } catch (e) {
+        result.networks[network.chainId] = false;
+        log.warn(`Chain check (${network.chainId}):`, e.message);
+      }
+    })
+  );
+  const defaultNetwork = getDefaultNetwork();
+  result.chain = defaultNetwork ? result.networks[defaultNetwork.chainId] === true : false;
 
   res.json(result);
 }
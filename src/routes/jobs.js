@@ -1,16 +1,34 @@
 /**
  * Jobs API: persist settlement runs (taskId, dealId, result, etc.) in Postgres.
  * Requires DB to be configured; returns empty list / no-op when DB is not configured.
+ * All routes require a SIWE session (req.wallet) and only see jobs owned by that wallet.
  */
 import * as db from "../db.js";
+import { resolveNetwork } from "../networks.js";
+import { getConfig } from "../config.js";
+import { runSettlementTask } from "../iexec-client.js";
+import { fetchDatasetJson } from "../dataset-store.js";
+import { getDeliveryConfig, prepareDelivery, DatasetDeliveryError } from "../dataset-delivery.js";
+import { recordActivity } from "../activity.js";
+import { createLogger, setLogContext } from "../logger.js";
+import { jobRowToJson } from "../jobs.js";
 
-function log(...args) {
-  console.log(`[${new Date().toISOString()}] [jobs]`, ...args);
+const RETRYABLE_STATUSES = ["failed", "timeout"];
+const FINISHED_STATUSES = ["completed", "settling", "settled"];
+
+const log = createLogger("jobs");
+
+function isOwner(row, wallet) {
+  return row?.wallet_address != null && wallet != null && row.wallet_address.toLowerCase() === wallet.toLowerCase();
 }
 
 /**
  * POST /jobs
- * Body: { walletAddress?, taskId, dealId?, settlementName?, status?, result?, error?, datasetUrlOverride?, submittedAt? }
+ * Body: { walletAddress?, taskId, dealId?, settlementName?, status?, result?, error?, datasetUrlOverride?, submittedAt?, chainId? }
+ * The job is always owned by the signed-in wallet; walletAddress, if sent, must match it. Posting a job that was
+ * recorded without a wallet (before sign-in existed) claims it for the signed-in wallet.
+ * chainId records the network the job settles on; it must be a configured network. Without it the job
+ * settles on the default network (or the one given to POST /settlement/execute/:taskId).
  */
 export async function postJob(req, res) {
   try {
@@ -18,15 +36,27 @@ export async function postJob(req, res) {
       res.status(503).json({ error: "Database not configured. Set DATABASE_URL or PGHOST/PGDATABASE." });
       return;
     }
-    await db.initDb();
     const body = req.body || {};
-    const { walletAddress, taskId, dealId, settlementName, status, result, error, datasetUrlOverride, submittedAt } = body;
+    const { walletAddress, taskId, dealId, settlementName, status, result, error, datasetUrlOverride, submittedAt, chainId } = body;
     if (!taskId || typeof taskId !== "string") {
       res.status(400).json({ error: "Missing or invalid taskId" });
       return;
     }
+    if (walletAddress != null && String(walletAddress).trim().toLowerCase() !== req.wallet) {
+      res.status(403).json({ error: "walletAddress does not match the signed-in wallet" });
+      return;
+    }
+    let network = null;
+    if (chainId != null && chainId !== "") {
+      const resolved = resolveNetwork(chainId);
+      if (resolved.error) {
+        res.status(400).json({ error: resolved.error, code: "UNKNOWN_NETWORK" });
+        return;
+      }
+      network = resolved.network;
+    }
     const row = await db.createJob({
-      wallet_address: walletAddress,
+      wallet_address: req.wallet,
       task_id: taskId.trim(),
       deal_id: dealId,
       settlement_name: settlementName || "Settlement",
@@ -35,21 +65,30 @@ export async function postJob(req, res) {
       error: error ?? null,
       dataset_url_override: datasetUrlOverride ?? null,
       submitted_at: submittedAt ? new Date(submittedAt) : new Date(),
+      chain_id: network?.chainId ?? null,
     });
     if (!row) {
-      res.status(500).json({ error: "Failed to create job" });
+      // The upsert refused to touch someone else's job; look it up only to say why.
+      const existing = await db.getJobByTaskId(taskId.trim());
+      if (existing && existing.wallet_address != null && !isOwner(existing, req.wallet)) {
+        res.status(403).json({ error: "Job belongs to another wallet" });
+        return;
+      }
+      res.status(409).json({ error: `Job already targets network ${existing?.chain_id}`, code: "NETWORK_MISMATCH" });
       return;
     }
     res.status(201).json(jobRowToJson(row));
   } catch (err) {
-    log("postJob error:", err.message);
+    log.error("postJob error:", err);
     res.status(500).json({ error: err.message || "Failed to create job" });
   }
 }
 
 /**
- * GET /jobs?wallet=0x...
- * List jobs for the given wallet only. Wallet is required; returns [] when missing or DB not configured.
+ * GET /jobs[?wallet=0x...][&chainId=]
+ * List jobs for the signed-in wallet. ?wallet is optional and must match it; ?chainId keeps jobs recorded
+ * on that network. Every job carries `attempts`, the summary of all attempts of the same original job (itself
+ * included), oldest first. Returns [] when DB not configured.
  */
 export async function getJobs(req, res) {
   try {
@@ -58,15 +97,26 @@ export async function getJobs(req, res) {
       return;
     }
     const wallet = req.query?.wallet != null ? String(req.query.wallet).trim() : null;
-    if (!wallet || wallet === "") {
-      res.json([]);
+    if (wallet && wallet.toLowerCase() !== req.wallet) {
+      res.status(403).json({ error: "Cannot list jobs of another wallet" });
       return;
     }
-    await db.initDb();
-    const rows = await db.listJobs(wallet);
-    res.json(rows.map(jobRowToJson));
+    const chainId = req.query?.chainId != null && req.query.chainId !== "" ? String(req.query.chainId) : null;
+    if (chainId != null && !/^\d+$/.test(chainId)) {
+      res.status(400).json({ error: "Invalid chainId" });
+      return;
+    }
+    const rows = await db.listJobs(req.wallet, chainId != null ? Number(chainId) : null);
+    const attemptsByOriginal = new Map();
+    for (const row of rows) {
+      const key = row.original_job_id ?? row.id;
+      if (!attemptsByOriginal.has(key)) attemptsByOriginal.set(key, []);
+      attemptsByOriginal.get(key).push(attemptToJson(row));
+    }
+    for (const attempts of attemptsByOriginal.values()) attempts.sort((a, b) => a.attempt - b.attempt);
+    res.json(rows.map((row) => ({ ...jobRowToJson(row), attempts: attemptsByOriginal.get(row.original_job_id ?? row.id) })));
   } catch (err) {
-    log("getJobs error:", err.message);
+    log.error("getJobs error:", err);
     res.status(500).json({ error: err.message || "Failed to list jobs" });
   }
 }
@@ -74,6 +124,7 @@ export async function getJobs(req, res) {
 /**
  * PATCH /jobs/by-task/:taskId
  * Body: { status?, result?, error?, settledTxHash?, settledAt? }
+ * Only the wallet that owns the job may update it.
  */
 export async function patchJobByTaskId(req, res) {
   try {
@@ -97,6 +148,15 @@ export async function patchJobByTaskId(req, res) {
       res.status(400).json({ error: "No updates provided" });
       return;
     }
+    const existing = await db.getJobByTaskId(taskId.trim());
+    if (!existing) {
+      res.status(404).json({ error: "Job not found" });
+      return;
+    }
+    if (!isOwner(existing, req.wallet)) {
+      res.status(403).json({ error: "Job belongs to another wallet" });
+      return;
+    }
     const row = await db.updateJobByTaskId(taskId.trim(), updates);
     if (!row) {
       res.status(404).json({ error: "Job not found" });
@@ -104,25 +164,119 @@ export async function patchJobByTaskId(req, res) {
     }
     res.json(jobRowToJson(row));
   } catch (err) {
-    log("patchJobByTaskId error:", err.message);
+    log.error("patchJobByTaskId error:", err);
     res.status(500).json({ error: err.message || "Failed to update job" });
   }
 }
 
-function jobRowToJson(row) {
+/**
+ * Why a job can't be retried, or null. Failed and timed-out jobs can; so can a job that is still waiting for a
+ * result after TASK_OBSERVATION_TIMEOUT_MS, whose task is left to time out (and be claimed) on its own.
+ */
+function retryBlocker(job) {
+  const status = String(job.status ?? "").toLowerCase();
+  if (job.result != null || job.settled_tx_hash || FINISHED_STATUSES.includes(status)) return "Job already has a result";
+  if (RETRYABLE_STATUSES.includes(status)) return null;
+  const ageMs = Date.now() - new Date(job.submitted_at).getTime();
+  const { TASK_OBSERVATION_TIMEOUT_MS } = getConfig();
+  if (ageMs < TASK_OBSERVATION_TIMEOUT_MS) {
+    return `Job is still running; it can be retried once failed, timed out or ${Math.round(TASK_OBSERVATION_TIMEOUT_MS / 60000)} minutes after submission`;
+  }
+  return null;
+}
+
+/** Submit a dataset URL again the way POST /settlement/run does (same delivery mode). Returns { dealId, taskId }. */
+async function resubmit(url) {
+  let dataset;
+  if (getDeliveryConfig().mode === "encrypted") {
+    try {
+      dataset = await fetchDatasetJson(url);
+    } catch (e) {
+      throw new DatasetDeliveryError("DATASET_UNREACHABLE", `Could not load dataset: ${e.message}`, 422);
+    }
+  }
+  const { inputUrl, requesterSecret } = await prepareDelivery(url, dataset);
+  return runSettlementTask(inputUrl, { requesterSecret });
+}
+
+/**
+ * POST /jobs/by-task/:taskId/retry
+ * Resubmits the job's dataset URL (datasetUrlOverride) as a new iExec task and records it as a new job
+ * (attempt + 1, originalJobId, retryOfTaskId); the original gets retriedByTaskId. Only the owner may retry, and
+ * each attempt only once. Returns 201 with the new job.
+ */
+export async function postRetryJob(req, res) {
+  try {
+    if (!db.isDbConfigured()) {
+      res.status(503).json({ error: "Database not configured." });
+      return;
+    }
+    const taskId = req.params?.taskId?.trim();
+    const job = taskId ? await db.getJobByTaskId(taskId) : null;
+    if (!job) {
+      res.status(404).json({ error: "Job not found" });
+      return;
+    }
+    if (!isOwner(job, req.wallet)) {
+      res.status(403).json({ error: "Job belongs to another wallet" });
+      return;
+    }
+    setLogContext({ taskId: job.task_id });
+    if (job.retried_by_task_id) {
+      res.status(409).json({ error: `Job was already retried as task ${job.retried_by_task_id}`, code: "JOB_ALREADY_RETRIED" });
+      return;
+    }
+    const blocker = retryBlocker(job);
+    if (blocker) {
+      res.status(409).json({ error: blocker, code: "JOB_NOT_RETRYABLE" });
+      return;
+    }
+    if (!job.dataset_url_override) {
+      res.status(422).json({ error: "Job has no dataset URL to resubmit (datasetUrlOverride)", code: "JOB_NO_DATASET_URL" });
+      return;
+    }
+    if (!(await db.beginJobRetry(job.task_id))) {
+      res.status(409).json({ error: "This job is already being retried", code: "JOB_RETRY_IN_PROGRESS" });
+      return;
+    }
+    let submitted;
+    try {
+      submitted = await resubmit(job.dataset_url_override);
+    } catch (e) {
+      await db.releaseJobRetry(job.task_id);
+      if (e instanceof DatasetDeliveryError) {
+        log("retry rejected:", e.code);
+        res.status(e.status).json(e.toJSON());
+        return;
+      }
+      throw e;
+    }
+    const row = await db.createJobRetry(job, submitted);
+    log("retried", { newTaskId: row.task_id, dealId: row.deal_id, attempt: row.attempt });
+    recordActivity("job_retried", {
+      wallet: row.wallet_address,
+      taskId: row.task_id,
+      chainId: row.chain_id ?? null,
+      data: { settlementName: row.settlement_name, attempt: row.attempt, retryOfTaskId: job.task_id },
+      key: `job_retried:${row.task_id}`,
+    });
+    res.status(201).json(jobRowToJson(row));
+  } catch (err) {
+    log.error("postRetryJob error:", err);
+    res.status(500).json({ error: err.message || "Failed to retry job" });
+  }
+}
+
+/** Entry of a job's `attempts` list in GET /jobs. */
+function attemptToJson(row) {
   return {
-    id: row.id,
+    attempt: row.attempt ?? 1,
     taskId: row.task_id,
     dealId: row.deal_id,
-    settlementName: row.settlement_name,
     status: row.status,
-    result: row.result,
     error: row.error,
-    datasetUrlOverride: row.dataset_url_override,
     submittedAt: row.submitted_at ? new Date(row.submitted_at).getTime() : null,
-    settledTxHash: row.settled_tx_hash ?? null,
-    settledAt: row.settled_at ? new Date(row.settled_at).getTime() : null,
-    createdAt: row.created_at,
-    updatedAt: row.updated_at,
+    claimTxHash: row.claim_tx_hash ?? null,
+    claimRefundNrlc: row.claim_refund_nrlc ?? null,
   };
 }
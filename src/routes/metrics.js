@@ -0,0 +1,51 @@
+/**
+ * GET /metrics: Prometheus text format (see metrics.js). Treasury balance and job counts are read at scrape time.
+ */
+import * as db from "../db.js";
+import { Gauge, renderMetrics, METRICS_CONTENT_TYPE } from "../metrics.js";
+import { listNetworks } from "../networks.js";
+import { getTreasuryBalanceFormatted } from "./settlement.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("metrics");
+
+const treasuryBalance = new Gauge(
+  "shadowsettle_treasury_balance",
+  "Settlement contract token balance in whole token units, by network (stored value when Postgres is configured).",
+  ["chain_id"],
+  async () => {
+    const networks = listNetworks().filter((n) => n.settlementAddress);
+    const balances = await Promise.all(networks.map((n) => getTreasuryBalanceFormatted(n.chainId)));
+    treasuryBalance.reset();
+    networks.forEach((n, i) => {
+      if (balances[i] != null) treasuryBalance.set({ chain_id: n.chainId }, balances[i].numeric);
+    });
+  }
+);
+
+const jobsByStatus = new Gauge(
+  "shadowsettle_jobs",
+  "Jobs in Postgres by status.",
+  ["status"],
+  async () => {
+    if (!db.isDbConfigured()) return;
+    const rows = await db.countJobsByStatus();
+    jobsByStatus.reset();
+    for (const { status, count } of rows) jobsByStatus.set({ status: status ?? "" }, count);
+  }
+);
+
+/**
+ * GET /metrics
+ * Request counts and latencies per route, iExec task submissions/outcomes/durations, settleBatch outcomes
+ * by decoded revert reason, faucet mints, RPC latency, treasury balance and jobs by status.
+ */
+export async function getMetrics(req, res) {
+  try {
+    const body = await renderMetrics();
+    res.set("Content-Type", METRICS_CONTENT_TYPE).send(body);
+  } catch (err) {
+    log.error("getMetrics error:", err);
+    res.status(500).json({ error: err.message || "Failed to render metrics" });
+  }
+}
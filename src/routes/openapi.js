@@ -0,0 +1,93 @@
+/**
+ * API description: GET /openapi.json (the OpenAPI 3.1 document, see openapi.js) and GET /docs, a self-contained
+ * reference page rendered from it in the browser (no CDN assets, so it also works offline and behind strict CSP).
+ */
+import { getOpenApiDocument } from "../openapi.js";
+
+/** GET /openapi.json — feed it to a client generator, e.g. `npx openapi-typescript http://localhost:3001/openapi.json`. */
+export function getOpenApi(req, res) {
+  res.json(getOpenApiDocument());
+}
+
+/** GET /docs */
+export function getDocs(req, res) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(DOCS_PAGE);
+}
+
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>ShadowSettle API</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 1rem 1.5rem 4rem; color: #1b1f24; }
+  h1 { margin-bottom: 0; } h2 { margin-top: 2.5rem; border-bottom: 1px solid #d0d7de; text-transform: capitalize; }
+  details { border: 1px solid #d0d7de; border-radius: 6px; margin: .5rem 0; }
+  summary { cursor: pointer; padding: .5rem .75rem; }
+  summary code { font-weight: 600; }
+  .m { display: inline-block; min-width: 4.5em; font: 600 12px monospace; text-transform: uppercase; }
+  .get { color: #0969da; } .post { color: #1a7f37; } .patch { color: #9a6700; } .delete { color: #cf222e; }
+  .lock { color: #9a6700; font-size: 12px; }
+  .body { padding: 0 .75rem .75rem; }
+  table { border-collapse: collapse; width: 100%; } td, th { text-align: left; border-top: 1px solid #eaeef2; padding: .25rem .5rem; vertical-align: top; }
+  pre { background: #f6f8fa; padding: .5rem; overflow: auto; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>ShadowSettle API</h1>
+<p id="intro">Loading <a href="openapi.json">openapi.json</a>…</p>
+<div id="ops"></div>
+<script>
+(async () => {
+  const doc = await (await fetch("openapi.json")).json();
+  const esc = (s) => String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  const deref = (node) => {
+    while (node && node.$ref) node = node.$ref.slice(2).split("/").reduce((n, p) => n?.[p], doc);
+    return node;
+  };
+  const schemaText = (schema) => esc(JSON.stringify(schema, null, 2));
+  document.getElementById("intro").innerHTML =
+    esc(doc.info.description) + ' <a href="openapi.json">openapi.json</a> · version ' + esc(doc.info.version);
+  const byTag = new Map((doc.tags || []).map((t) => [t.name, []]));
+  for (const [path, item] of Object.entries(doc.paths)) {
+    for (const method of ["get", "post", "put", "patch", "delete"]) {
+      const op = item[method];
+      if (!op) continue;
+      const tag = (op.tags || ["other"])[0];
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push({ path, method, op });
+    }
+  }
+  let html = "";
+  for (const [tag, ops] of byTag) {
+    if (!ops.length) continue;
+    const info = (doc.tags || []).find((t) => t.name === tag);
+    html += "<h2>" + esc(tag) + "</h2>" + (info ? "<p>" + esc(info.description) + "</p>" : "");
+    for (const { path, method, op } of ops) {
+      const params = (op.parameters || []).map(deref);
+      const body = op.requestBody && op.requestBody.content["application/json"];
+      html += '<details id="' + esc(op.operationId) + '"><summary><span class="m ' + method + '">' + method + "</span> <code>" + esc(path) + "</code> " +
+        esc(op.summary) + (op.security ? ' <span class="lock">Bearer token</span>' : "") + '</summary><div class="body">' +
+        (op.description ? "<p>" + esc(op.description) + "</p>" : "") +
+        (params.length ? "<h4>Parameters</h4><table><tr><th>Name</th><th>In</th><th>Schema</th><th></th></tr>" +
+          params.map((p) => "<tr><td><code>" + esc(p.name) + "</code>" + (p.required ? " *" : "") + "</td><td>" + esc(p.in) +
+            "</td><td><code>" + esc(JSON.stringify(deref(p.schema))) + "</code></td><td>" + esc(p.description) + "</td></tr>").join("") + "</table>" : "") +
+        (body ? "<h4>Request body" + (op.requestBody.required ? "" : " (optional)") + "</h4><pre>" + schemaText(body.schema) + "</pre>" : "") +
+        "<h4>Responses</h4><table>" + Object.entries(op.responses).map(([status, r]) => {
+          const content = r.content && Object.entries(r.content)[0];
+          return "<tr><td>" + esc(status) + "</td><td>" + esc(r.description) + (content ? " <code>" + esc(content[0]) + "</code>" : "") +
+            (content && content[1].schema ? "<pre>" + schemaText(content[1].schema) + "</pre>" : "") + "</td></tr>";
+        }).join("") + "</table></div></details>";
+    }
+  }
+  html += "<h2>Schemas</h2>" + Object.entries(doc.components.schemas).map(([name, s]) =>
+    '<details id="schema-' + esc(name) + '"><summary><code>' + esc(name) + '</code></summary><div class="body"><pre>' + schemaText(s) + "</pre></div></details>").join("");
+  document.getElementById("ops").innerHTML = html;
+  if (location.hash) document.getElementById(location.hash.slice(1))?.setAttribute("open", "");
+})().catch((e) => { document.getElementById("intro").textContent = "Could not load openapi.json: " + e.message; });
+</script>
+</body>
+</html>
+`;
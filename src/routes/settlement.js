@@ -4,95 +4,156 @@
 import { ethers } from "ethers";
 import { runSettlementTask, waitForTask, fetchTaskResult, runSettlementAndWait } from "../iexec-client.js";
 import * as db from "../db.js";
+import { verifySettlement, AttestationError } from "../attestation.js";
+import { getTxManager, txEvents } from "../tx-manager.js";
+import { fetchDatasetJson } from "../dataset-store.js";
+import { getDeliveryConfig, prepareDelivery, DatasetDeliveryError } from "../dataset-delivery.js";
+import { validateDataset } from "../dataset-schema.js";
+import { listNetworks, getDefaultNetwork, resolveNetwork, getProvider, explorerTxUrl, networkToJson } from "../networks.js";
+import { getTaskWatcher, getTaskStreamConfig, writeSseEvent } from "../task-stream.js";
+import { settlementsTotal } from "../metrics.js";
+import { createLogger, setLogContext, redactUrl } from "../logger.js";
+import { emitWebhookEvent, getWebhookConfig } from "../webhooks.js";
+import { recordActivity } from "../activity.js";
+import { resolveTokenAddress, getTokenMetadata } from "../token-metadata.js";
+import { isSettlementOperator } from "../auth.js";
+import { getConfig as getIexecConfig } from "../config.js";
+import { settlementInterface } from "../settlement-abi.js";
+import { AmountError, parseTokenAmount, parseRawAmount, sumAmounts, formatTokenAmount, formatTokenUnits, tokenAmountToNumber } from "../money.js";
 
-const ARB_SEPOLIA_EXPLORER = "https://sepolia.arbiscan.io";
-const USDC_DECIMALS = 6;
+const BYTES32_PATTERN = /^0x[0-9a-f]{64}$/;
 
-function log(...args) {
-  console.log(`[${new Date().toISOString()}] [settlement]`, ...args);
-}
+const log = createLogger("settlement");
 
-function getExecuteConfig() {
-  const rpc = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-  const contractAddress = process.env.SETTLEMENT_CONTRACT_ADDRESS;
-  const privateKey = process.env.SETTLEMENT_EXECUTOR_PRIVATE_KEY || process.env.FAUCET_PRIVATE_KEY;
+/** Executor settings for a network, or null when it can't send settleBatch. */
+function getExecuteConfig(network) {
+  const { rpc, settlementAddress: contractAddress, executorPrivateKey: privateKey } = network;
   if (!rpc || !contractAddress || !privateKey) return null;
-  return { rpc, contractAddress, privateKey };
+  return { network, contractAddress, privateKey };
+}
+
+/**
+ * Whether `wallet` may act on a job (settle it, watch its task): the job's own wallet, or one of
+ * SETTLEMENT_OPERATOR_WALLETS (comma-separated), who may also act on tasks with no job on record.
+ */
+function mayActOnJob(job, wallet) {
+  if (!wallet) return false;
+  if (isSettlementOperator(wallet)) return true;
+  return job?.wallet_address != null && job.wallet_address.toLowerCase() === wallet.toLowerCase();
+}
+
+const EXECUTE_FORBIDDEN = { error: "Only the job's wallet or a settlement operator may execute it", code: "FORBIDDEN" };
+const STREAM_FORBIDDEN = { error: "Only the job's wallet or a settlement operator may watch this task", code: "FORBIDDEN" };
+
+function notConfiguredMessage(network) {
+  return `On-chain settlement not configured for ${network.name} (${network.chainId}). Set NETWORK_${network.chainId}_SETTLEMENT_ADDRESS and NETWORK_${network.chainId}_EXECUTOR_PRIVATE_KEY.`;
+}
+
+/**
+ * Network a request targets (chainId in the body or query; default network otherwise).
+ * Sends the error response and returns null when it can't be resolved.
+ */
+function requestNetwork(req, res) {
+  const { network, error, status } = resolveNetwork(req.body?.chainId ?? req.query?.chainId);
+  if (error) {
+    res.status(status).json({ error, code: "UNKNOWN_NETWORK" });
+    return null;
+  }
+  return network;
 }
 
-const SETTLEMENT_ABI = [
-  "function settleBatch(address[] calldata recipients, uint256[] calldata amounts, bytes calldata attestation) external",
-  "function token() external view returns (address)",
-  "function deposit(uint256 amount) external",
+/** User-facing messages per Settlement revert, keyed by error name. */
+const SETTLEMENT_ERROR_MESSAGES = {
+  InsufficientBalance: () => "Insufficient balance in settlement contract. Deposit tokens to the treasury first (Profile → Deposit).",
+  AttestationAlreadyUsed: () => "This settlement was already executed on-chain. Each attestation can only be used once. Open a different job or run a new confidential settlement.",
+  OnlyExecutor: (args, network) =>
+    `Only the configured executor can call settle. Check NETWORK_${network?.chainId ?? "<chainId>"}_EXECUTOR_PRIVATE_KEY matches the contract executor.`,
+  ERC20InsufficientBalance: (args) => `Token transfer failed: balance ${args.balance} is below the ${args.needed} needed.`,
+  ERC20InsufficientAllowance: (args) => `Token transfer failed: allowance ${args.allowance} is below the ${args.needed} needed.`,
+  ERC20InvalidReceiver: (args) => `Token transfer failed: invalid receiver ${args.receiver}.`,
+  SafeERC20FailedOperation: (args) => `Token operation failed on ${args.token}.`,
+  Error: (args) => `Reverted: ${args[0]}`,
+  Panic: (args) => `Contract panicked (code ${args[0]}).`,
+};
+
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
 ];
 
-const ERC20_ABI = ["function balanceOf(address account) view returns (uint256)"];
+/** Gas limit offered for deposit() while it can't be estimated yet (the approve it depends on isn't mined). */
+const DEPOSIT_GAS_FALLBACK = 120000n;
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
 
-function formatUsdc(raw) {
-  const d = 10 ** USDC_DECIMALS;
-  const whole = Number(raw / BigInt(d));
-  const frac = Number(raw % BigInt(d));
-  const fracStr = String(frac).padStart(USDC_DECIMALS, "0").slice(0, 2);
-  return `${whole.toLocaleString()}.${fracStr}`;
+/**
+ * A body's amount as base units: `raw` (integer base units) when given, else `amount` (whole units, at most the
+ * token's decimals). Throws AmountError, also when both or neither are given.
+ */
+function bodyAmount(amount, raw, decimals) {
+  if (amount !== undefined && raw !== undefined) throw new AmountError("Give an amount in whole units or in base units, not both");
+  if (raw !== undefined) return parseRawAmount(raw);
+  if (amount === undefined) throw new AmountError("Missing amount");
+  return parseTokenAmount(amount, decimals);
 }
 
-/** USDC raw amount to number (e.g. for frontend display without parsing locale string). */
-function usdcRawToNumber(raw) {
-  const d = 10 ** USDC_DECIMALS;
-  return Number(raw) / d;
+/** Like bodyAmount, for the `amounts` / `amountsRaw` arrays of a batch. undefined when neither is given. */
+function bodyAmounts(amounts, amountsRaw, decimals) {
+  if (amounts !== undefined && amountsRaw !== undefined) throw new AmountError("Give amounts in whole units or in base units, not both");
+  const values = amountsRaw ?? amounts;
+  if (values === undefined) return undefined;
+  if (!Array.isArray(values)) throw new AmountError(`${amountsRaw !== undefined ? "amountsRaw" : "amounts"} must be an array`);
+  return amountsRaw !== undefined ? values.map(parseRawAmount) : values.map((a) => parseTokenAmount(a, decimals));
 }
 
 /**
- * GET /settlement/config
- * Returns settlement and token addresses for the frontend (Arbitrum Sepolia).
+ * GET /settlement/config[?chainId=]
+ * Returns settlement and token addresses for the frontend on the requested (or default) network, the token's
+ * metadata (`token`: { address, decimals, symbol, name }, null when it can't be read), plus every configured
+ * network in `networks`.
  */
 export async function getConfig(req, res) {
   try {
-    const rpc = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-    const settlementAddress = process.env.SETTLEMENT_CONTRACT_ADDRESS;
-    let tokenAddress = process.env.TEST_USDC_ADDRESS;
-    if (!rpc || !settlementAddress) {
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    if (!network.settlementAddress) {
       res.status(503).json({
-        error: "Settlement not configured. Set ARBITRUM_SEPOLIA_RPC_URL and SETTLEMENT_CONTRACT_ADDRESS.",
+        error: `Settlement not configured for ${network.name}. Set NETWORK_${network.chainId}_SETTLEMENT_ADDRESS.`,
       });
       return;
     }
-    if (!tokenAddress) {
-      try {
-        const provider = new ethers.JsonRpcProvider(rpc);
-        const contract = new ethers.Contract(settlementAddress, SETTLEMENT_ABI, provider);
-        tokenAddress = await contract.token();
-      } catch (e) {
-        log("getConfig: could not read token from contract", e.message);
-      }
+    let token = null;
+    try {
+      token = await getTokenMetadata(network);
+    } catch (e) {
+      log("getConfig: could not read token from contract", e.message);
     }
     res.json({
-      settlementAddress,
-      tokenAddress: tokenAddress || null,
-      chainId: 421614,
-      explorerUrl: ARB_SEPOLIA_EXPLORER,
+      settlementAddress: network.settlementAddress,
+      tokenAddress: token?.address ?? network.tokenAddress,
+      token,
+      chainId: network.chainId,
+      networkName: network.name,
+      explorerUrl: network.explorerUrl,
+      networks: listNetworks().map(networkToJson),
     });
   } catch (err) {
-    log("getConfig error:", err.message);
+    log.error("getConfig error:", err);
     res.status(500).json({ error: err.message || "Failed to get config" });
   }
 }
 
 /**
- * GET /settlement/network-info
- * Returns current block height and gas price from the chain (Arbitrum Sepolia).
+ * GET /settlement/network-info[?chainId=]
+ * Returns current block height and gas price from the requested (or default) network.
  */
 export async function getNetworkInfoRoute(req, res) {
   try {
-    const rpc = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-    if (!rpc) {
-      log("getNetworkInfo: ARBITRUM_SEPOLIA_RPC_URL not set");
-      res.status(503).json({
-        error: "Settlement not configured. Set ARBITRUM_SEPOLIA_RPC_URL.",
-      });
-      return;
-    }
-    const provider = new ethers.JsonRpcProvider(rpc);
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    const provider = getProvider(network);
     const [blockNumber, feeData] = await Promise.all([
       provider.getBlockNumber(),
       provider.getFeeData(),
@@ -100,133 +161,599 @@ export async function getNetworkInfoRoute(req, res) {
     const gasPriceWei = feeData.gasPrice ?? 0n;
     const gasPriceGwei = Number(gasPriceWei) / 1e9;
     const payload = {
-      network: "Arbitrum Sepolia",
+      network: network.name,
+      chainId: network.chainId,
       blockHeight: blockNumber,
       gasPriceGwei: Math.round(gasPriceGwei * 100) / 100,
     };
     res.json(payload);
   } catch (err) {
-    log("getNetworkInfo error:", err.message);
+    log.error("getNetworkInfo error:", err);
     res.status(500).json({ error: err.message || "Failed to get network info" });
   }
 }
 
 /**
- * GET /settlement/treasury-balance
- * Returns settlement contract USDC balance. Uses Postgres when configured:
+ * GET /settlement/treasury-balance[?chainId=]
+ * Returns the settlement contract's token balance on the requested (or default) network. Uses Postgres when configured:
  * - ?refresh=1: always read from chain, update DB, return.
  * - else: return from DB if present; otherwise read from chain, update DB, return.
  * Without Postgres: always reads from chain and returns.
  */
 export async function getTreasuryBalanceRoute(req, res) {
   try {
-    const rpc = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-    const settlementAddress = process.env.SETTLEMENT_CONTRACT_ADDRESS;
-    let tokenAddress = process.env.TEST_USDC_ADDRESS;
-    if (!rpc || !settlementAddress) {
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    const { chainId, settlementAddress } = network;
+    if (!settlementAddress) {
       res.status(503).json({
-        error: "Settlement not configured. Set ARBITRUM_SEPOLIA_RPC_URL and SETTLEMENT_CONTRACT_ADDRESS.",
+        error: `Settlement not configured for ${network.name}. Set NETWORK_${chainId}_SETTLEMENT_ADDRESS.`,
       });
       return;
     }
-    if (!tokenAddress) {
-      try {
-        const provider = new ethers.JsonRpcProvider(rpc);
-        const contract = new ethers.Contract(settlementAddress, SETTLEMENT_ABI, provider);
-        tokenAddress = await contract.token();
-      } catch (e) {
-        log("getTreasuryBalance: could not read token from contract", e.message);
-        res.status(503).json({ error: "Could not resolve token address." });
-        return;
-      }
+    let token;
+    try {
+      token = await getTokenMetadata(network);
+    } catch (e) {
+      log("getTreasuryBalance: could not read token from contract", e.message);
+      res.status(503).json({ error: "Could not resolve token address." });
+      return;
     }
 
     const forceRefresh = req.query?.refresh === "1" || req.query?.refresh === "true";
     const useDb = db.isDbConfigured();
 
     if (useDb && !forceRefresh) {
-      await db.initDb();
-      const stored = await db.getTreasuryBalance(settlementAddress);
+      const stored = await db.getTreasuryBalance(chainId, settlementAddress);
       if (stored) {
         res.json({
           balanceFormatted: stored.balanceFormatted,
           balanceRaw: stored.balanceRaw,
           settlementAddress,
+          chainId,
           source: "database",
         });
         return;
       }
     }
 
-    const provider = new ethers.JsonRpcProvider(rpc);
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    const balanceRaw = await token.balanceOf(settlementAddress);
-    const balanceFormatted = formatUsdc(balanceRaw);
+    const balanceRaw = await new ethers.Contract(token.address, ERC20_ABI, getProvider(network)).balanceOf(settlementAddress);
+    const balanceFormatted = formatTokenAmount(balanceRaw, token.decimals);
 
     if (useDb) {
-      await db.initDb();
-      await db.setTreasuryBalance(settlementAddress, balanceRaw.toString(), balanceFormatted);
+      await db.setTreasuryBalance(chainId, settlementAddress, balanceRaw.toString(), balanceFormatted);
     }
 
     res.json({
       balanceFormatted,
       balanceRaw: balanceRaw.toString(),
       settlementAddress,
+      chainId,
       source: "chain",
     });
   } catch (err) {
-    log("getTreasuryBalance error:", err.message);
+    log.error("getTreasuryBalance error:", err);
     res.status(500).json({ error: err.message || "Failed to get treasury balance" });
   }
 }
 
 /**
- * Return current treasury balance for dashboard: { formatted, numeric }.
- * formatted: locale string e.g. "1,234.56"; numeric: number for safe display (avoids NaN when frontend uses Number()).
+ * GET /settlement/treasury/solvency[?chainId=&limit=&offset=]
+ * Compares the live treasury balance with what completed-but-unsettled jobs (dashboard activePools) will pay out.
+ * Jobs are listed oldest result first; each job's shortfallRaw is the part of its payout the balance no longer
+ * covers once every earlier job is paid. Returns { chainId, settlementAddress, tokenAddress, balanceRaw,
+ * balanceFormatted, liabilitiesRaw, liabilitiesFormatted, shortfallRaw, shortfallFormatted, solvent, jobCount,
+ * jobs: [...], limit, offset }.
  */
-export async function getTreasuryBalanceFormatted() {
-  const rpc = process.env.ARBITRUM_SEPOLIA_RPC_URL;
-  const settlementAddress = process.env.SETTLEMENT_CONTRACT_ADDRESS;
-  let tokenAddress = process.env.TEST_USDC_ADDRESS;
-  if (!rpc || !settlementAddress) return null;
-  if (db.isDbConfigured()) {
-    await db.initDb();
-    const stored = await db.getTreasuryBalance(settlementAddress);
-    if (stored) {
-      const num = typeof stored.balanceFormatted === "string"
-        ? parseFloat(stored.balanceFormatted.replace(/,/g, "")) || 0
-        : 0;
-      return { formatted: stored.balanceFormatted, numeric: num };
+export async function getTreasurySolvency(req, res) {
+  try {
+    if (!db.isDbConfigured()) {
+      res.status(503).json({ error: "Database not configured. Set DATABASE_URL or PGHOST/PGDATABASE." });
+      return;
+    }
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    const { chainId, settlementAddress } = network;
+    if (!settlementAddress) {
+      res.status(503).json({ error: `Settlement not configured for ${network.name}. Set NETWORK_${chainId}_SETTLEMENT_ADDRESS.` });
+      return;
+    }
+    const { limit, offset } = parsePagination(req.query);
+    const token = await getTokenMetadata(network);
+    const format = (raw) => formatTokenAmount(raw, token.decimals);
+    const [balanceRaw, unsettled] = await Promise.all([
+      readTreasuryBalance(network),
+      db.listUnsettledPayouts({
+        chainId,
+        isDefaultNetwork: getDefaultNetwork()?.chainId === chainId,
+        decimals: token.decimals,
+        limit,
+        offset,
+      }),
+    ]);
+    const balanceFormatted = format(balanceRaw);
+    await db.setTreasuryBalance(chainId, settlementAddress, balanceRaw.toString(), balanceFormatted);
+
+    const liabilitiesRaw = BigInt(unsettled.totalRaw);
+    const shortfallRaw = liabilitiesRaw > balanceRaw ? liabilitiesRaw - balanceRaw : 0n;
+    res.json({
+      chainId,
+      settlementAddress,
+      tokenAddress: token.address,
+      balanceRaw: balanceRaw.toString(),
+      balanceFormatted,
+      liabilitiesRaw: liabilitiesRaw.toString(),
+      liabilitiesFormatted: format(liabilitiesRaw),
+      shortfallRaw: shortfallRaw.toString(),
+      shortfallFormatted: format(shortfallRaw),
+      solvent: shortfallRaw === 0n,
+      jobCount: unsettled.total,
+      jobs: unsettled.rows.map((r) => {
+        const payoutRaw = BigInt(r.payout_raw);
+        const cumulativeRaw = BigInt(r.cumulative_raw);
+        const uncovered = cumulativeRaw > balanceRaw ? cumulativeRaw - balanceRaw : 0n;
+        const jobShortfall = uncovered < payoutRaw ? uncovered : payoutRaw;
+        return {
+          taskId: r.task_id,
+          walletAddress: r.wallet_address ?? null,
+          settlementName: r.settlement_name ?? null,
+          completedAt: r.completed_at ? new Date(r.completed_at).toISOString() : null,
+          settling: r.settle_pending_tx_hash != null,
+          payoutRaw: payoutRaw.toString(),
+          payoutFormatted: format(payoutRaw),
+          cumulativeRaw: cumulativeRaw.toString(),
+          shortfallRaw: jobShortfall.toString(),
+          covered: jobShortfall === 0n,
+        };
+      }),
+      limit,
+      offset,
+    });
+  } catch (err) {
+    log.error("getTreasurySolvency error:", err);
+    res.status(500).json({ error: err.shortMessage ?? err.message ?? "Failed to check treasury solvency" });
+  }
+}
+
+/**
+ * Return current treasury balance for dashboard: { raw, formatted, numeric, decimals, symbol }, or null when it can't
+ * be read. raw: base units (string); formatted: locale string e.g. "1,234.56"; numeric: number for safe display
+ * (avoids NaN when frontend uses Number()), derived from raw rather than parsed back from formatted.
+ * chainId selects the network (default network when omitted).
+ */
+export async function getTreasuryBalanceFormatted(chainId) {
+  const { network } = resolveNetwork(chainId);
+  if (!network?.settlementAddress) return null;
+  try {
+    const { decimals, symbol } = await getTokenMetadata(network);
+    const stored = db.isDbConfigured() ? await db.getTreasuryBalance(network.chainId, network.settlementAddress) : null;
+    const raw = stored ? BigInt(stored.balanceRaw) : await readTreasuryBalance(network);
+    return { raw: raw.toString(), formatted: formatTokenAmount(raw, decimals), numeric: tokenAmountToNumber(raw, decimals), decimals, symbol };
+  } catch (e) {
+    return null;
+  }
+}
+
+/** On-chain token balance of the network's Settlement contract (raw base units). */
+async function readTreasuryBalance(network) {
+  const tokenAddress = await resolveTokenAddress(network);
+  return new ethers.Contract(tokenAddress, ERC20_ABI, getProvider(network)).balanceOf(network.settlementAddress);
+}
+
+/** The treasury can't cover a batch on top of the settlements already in flight (409 TREASURY_INSUFFICIENT). */
+class TreasuryError extends Error {
+  constructor(code, message, details = undefined, status = 409) {
+    super(message);
+    this.name = "TreasuryError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, ...(this.details !== undefined && { details: this.details }) };
+  }
+}
+
+/**
+ * Total paid out by the settleBatch txs this executor has sent to settlementAddress that aren't mined yet. The
+ * treasury balance still includes them, so they are owed before any new batch.
+ */
+function pendingSettlementRaw(manager, settlementAddress) {
+  let total = 0n;
+  for (const tx of manager.pendingTxs()) {
+    if (tx.kind !== "settlement" || tx.to.toLowerCase() !== settlementAddress.toLowerCase()) continue;
+    try {
+      total += sumAmounts(settlementInterface.decodeFunctionData("settleBatch", tx.data).amounts);
+    } catch {
+      // not a settleBatch call: pays nothing out
+    }
+  }
+  return total;
+}
+
+/**
+ * Throws TreasuryError when the treasury's balance, less the executor's pending settlements, can't pay requiredRaw
+ * of token. Checked before sending settleBatch so callers get the numbers instead of an InsufficientBalance revert.
+ * Run it as the tx-manager's precheck so settlements from concurrent requests are counted.
+ */
+async function checkTreasury(network, token, requiredRaw, manager) {
+  const balanceRaw = await readTreasuryBalance(network);
+  const pendingRaw = pendingSettlementRaw(manager, network.settlementAddress);
+  const availableRaw = balanceRaw > pendingRaw ? balanceRaw - pendingRaw : 0n;
+  if (availableRaw >= requiredRaw) return;
+  const shortfallRaw = requiredRaw - availableRaw;
+  const units = (raw) => `${formatTokenUnits(raw, token.decimals)} ${token.symbol ?? "tokens"}`;
+  const held = pendingRaw > 0n
+    ? `Treasury holds ${units(balanceRaw)}, ${units(pendingRaw)} of it owed to settlements still pending,`
+    : `Treasury holds ${units(balanceRaw)}`;
+  throw new TreasuryError(
+    "TREASURY_INSUFFICIENT",
+    `${held} but this batch pays out ${units(requiredRaw)}. Deposit at least ${units(shortfallRaw)} to the treasury first.`,
+    {
+      balanceRaw: balanceRaw.toString(),
+      pendingRaw: pendingRaw.toString(),
+      requiredRaw: requiredRaw.toString(),
+      shortfallRaw: shortfallRaw.toString(),
+    }
+  );
+}
+
+function parsePagination(query) {
+  const limit = Math.min(Math.max(Number(query?.limit) || 50, 1), 200);
+  const offset = Math.max(Number(query?.offset) || 0, 0);
+  return { limit, offset };
+}
+
+function parseAddressFilter(query) {
+  const address = query?.address != null ? String(query.address).trim() : "";
+  if (address === "") return { address: null };
+  if (!ethers.isAddress(address)) return { error: "Invalid address filter" };
+  return { address: address.toLowerCase() };
+}
+
+/**
+ * GET /settlement/history
+ * Query: chainId?, address?, limit? (default 50, max 200), offset?
+ * On-chain settlement batches from the indexer (treasury outflows grouped by tx), newest first,
+ * with the linked job when its settled_tx_hash matches. address matches a recipient or the job's wallet.
+ * Returns { settlements: [...], total, limit, offset }.
+ */
+export async function getHistory(req, res) {
+  try {
+    if (!db.isDbConfigured()) {
+      res.status(503).json({ error: "Database not configured. Set DATABASE_URL or PGHOST/PGDATABASE." });
+      return;
+    }
+    const { address, error } = parseAddressFilter(req.query);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    const { limit, offset } = parsePagination(req.query);
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    const { chainId } = network;
+    const { rows, total } = await db.listSettlementHistory({ chainId, address, limit, offset });
+    const token = rows.length > 0 ? await getTokenMetadata(network) : null;
+    res.json({
+      settlements: rows.map((r) => ({
+        txHash: r.tx_hash,
+        explorerUrl: explorerTxUrl(network, r.tx_hash),
+        blockNumber: Number(r.block_number),
+        timestamp: r.block_time ? new Date(r.block_time).getTime() : null,
+        eventName: r.event_name ?? null,
+        recipientCount: Number(r.recipient_count),
+        totalRaw: String(r.total_raw),
+        totalFormatted: formatTokenAmount(BigInt(r.total_raw), token.decimals),
+        payouts: r.payouts,
+        taskId: r.task_id ?? null,
+        walletAddress: r.wallet_address ?? null,
+        settlementName: r.settlement_name ?? null,
+      })),
+      chainId,
+      total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    log.error("getHistory error:", err);
+    res.status(500).json({ error: err.message || "Failed to get settlement history" });
+  }
+}
+
+/**
+ * GET /settlement/deposits
+ * Query: chainId?, address? (depositor), limit? (default 50, max 200), offset?
+ * Token transfers into the treasury from the indexer, newest first. Returns { deposits: [...], total, limit, offset }.
+ */
+export async function getDeposits(req, res) {
+  try {
+    if (!db.isDbConfigured()) {
+      res.status(503).json({ error: "Database not configured. Set DATABASE_URL or PGHOST/PGDATABASE." });
+      return;
+    }
+    const { address, error } = parseAddressFilter(req.query);
+    if (error) {
+      res.status(400).json({ error });
+      return;
     }
+    const { limit, offset } = parsePagination(req.query);
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    const { chainId } = network;
+    const { rows, total } = await db.listDeposits({ chainId, address, limit, offset });
+    const token = rows.length > 0 ? await getTokenMetadata(network) : null;
+    res.json({
+      deposits: rows.map((r) => ({
+        txHash: r.tx_hash,
+        logIndex: r.log_index,
+        explorerUrl: explorerTxUrl(network, r.tx_hash),
+        blockNumber: Number(r.block_number),
+        timestamp: r.block_time ? new Date(r.block_time).getTime() : null,
+        eventName: r.event_name ?? null,
+        from: r.from_address,
+        tokenAddress: r.token_address,
+        amountRaw: r.amount_raw,
+        amountFormatted: formatTokenAmount(BigInt(r.amount_raw), token.decimals),
+      })),
+      chainId,
+      total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    log.error("getDeposits error:", err);
+    res.status(500).json({ error: err.message || "Failed to get deposits" });
   }
-  if (!tokenAddress) {
+}
+
+/**
+ * POST /settlement/deposit/prepare
+ * Body: { address (depositor), amount (whole token units) or amountRaw (base units), chainId? }
+ * Checks the depositor's token balance and allowance for the Settlement contract and returns the unsigned
+ * transactions to send in order: approve (only when the allowance is short) then deposit, each with a gas estimate.
+ * deposit can't be estimated before the approve is mined; it then carries a fixed limit with gasEstimated false.
+ * Returns { chainId, depositor, settlementAddress, tokenAddress, amountRaw, amountFormatted, balanceRaw, allowanceRaw,
+ *   needsApproval, transactions: [{ step, from, to, data, value, chainId, gasLimit, gasEstimated }],
+ *   fee: { gasPriceWei, maxFeePerGasWei, maxCostWei, maxCostEth }, ethBalanceWei, sufficientEth }.
+ * 422 INSUFFICIENT_TOKEN_BALANCE when the depositor holds less than amount.
+ */
+export async function postDepositPrepare(req, res) {
+  try {
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    if (!network.settlementAddress) {
+      res.status(503).json({ error: `Settlement not configured for ${network.name}. Set NETWORK_${network.chainId}_SETTLEMENT_ADDRESS.` });
+      return;
+    }
+    const { address, amount, amountRaw: rawAmount } = req.body || {};
+    if (!ethers.isAddress(address)) {
+      res.status(400).json({ error: "Invalid depositor address", code: "INVALID_REQUEST" });
+      return;
+    }
+    const token = await getTokenMetadata(network);
+    let amountRaw;
     try {
-      const provider = new ethers.JsonRpcProvider(rpc);
-      const contract = new ethers.Contract(settlementAddress, SETTLEMENT_ABI, provider);
-      tokenAddress = await contract.token();
+      amountRaw = bodyAmount(amount, rawAmount, token.decimals);
     } catch (e) {
-      return null;
+      if (!(e instanceof AmountError)) throw e;
+      res.status(e.status).json(e.toJSON());
+      return;
+    }
+    if (amountRaw === 0n) {
+      res.status(400).json({ error: "Amount must be greater than 0", code: "INVALID_REQUEST" });
+      return;
+    }
+
+    const depositor = ethers.getAddress(address);
+    const { settlementAddress, chainId } = network;
+    const provider = getProvider(network);
+    const tokenAddress = token.address;
+    const erc20 = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const [balanceRaw, allowanceRaw, ethBalance, feeData] = await Promise.all([
+      erc20.balanceOf(depositor),
+      erc20.allowance(depositor, settlementAddress),
+      provider.getBalance(depositor),
+      provider.getFeeData(),
+    ]);
+    if (balanceRaw < amountRaw) {
+      res.status(422).json({
+        error: `Insufficient token balance: ${formatTokenAmount(balanceRaw, token.decimals)} held, ${formatTokenAmount(amountRaw, token.decimals)} needed`,
+        code: "INSUFFICIENT_TOKEN_BALANCE",
+        details: { balanceRaw: balanceRaw.toString(), amountRaw: amountRaw.toString() },
+      });
+      return;
+    }
+
+    const needsApproval = allowanceRaw < amountRaw;
+    const steps = [];
+    if (needsApproval) {
+      steps.push({ step: "approve", to: tokenAddress, data: erc20Interface.encodeFunctionData("approve", [settlementAddress, amountRaw]) });
+    }
+    steps.push({ step: "deposit", to: settlementAddress, data: settlementInterface.encodeFunctionData("deposit", [amountRaw]) });
+
+    const transactions = [];
+    for (const { step, to, data } of steps) {
+      let gasLimit;
+      let gasEstimated = true;
+      if (step === "deposit" && needsApproval) {
+        gasLimit = DEPOSIT_GAS_FALLBACK;
+        gasEstimated = false;
+      } else {
+        try {
+          gasLimit = await provider.estimateGas({ from: depositor, to, data });
+        } catch (e) {
+          const reason = decodeSettlementRevert(e, network) ?? e.shortMessage ?? e.message;
+          res.status(422).json({ error: `${step} would revert: ${reason}`, code: "DEPOSIT_WOULD_REVERT" });
+          return;
+        }
+      }
+      transactions.push({ step, from: depositor, to, data, value: "0", chainId, gasLimit: gasLimit.toString(), gasEstimated });
     }
+
+    const gasPrice = feeData.gasPrice ?? 0n;
+    const maxFeePerGas = feeData.maxFeePerGas ?? gasPrice;
+    const maxCost = transactions.reduce((sum, t) => sum + BigInt(t.gasLimit), 0n) * maxFeePerGas;
+    log("deposit prepare:", depositor, "| amount (raw):", amountRaw.toString(), "| approve:", needsApproval);
+    res.json({
+      chainId,
+      depositor,
+      settlementAddress,
+      tokenAddress,
+      amountRaw: amountRaw.toString(),
+      amountFormatted: formatTokenAmount(amountRaw, token.decimals),
+      balanceRaw: balanceRaw.toString(),
+      allowanceRaw: allowanceRaw.toString(),
+      needsApproval,
+      transactions,
+      fee: {
+        gasPriceWei: gasPrice.toString(),
+        maxFeePerGasWei: maxFeePerGas.toString(),
+        maxCostWei: maxCost.toString(),
+        maxCostEth: ethers.formatEther(maxCost),
+      },
+      ethBalanceWei: ethBalance.toString(),
+      sufficientEth: ethBalance >= maxCost,
+    });
+  } catch (err) {
+    log.error("depositPrepare error:", err);
+    res.status(500).json({ error: err.shortMessage ?? err.message ?? "Failed to prepare deposit" });
   }
+}
+
+/**
+ * POST /settlement/deposit/confirm
+ * Body: { txHash, chainId? }
+ * Checks the tx's receipt: mined, successful, sent to the Settlement contract and moving tokens into the treasury.
+ * Then refreshes the cached treasury balance and records the deposit for the depositor (Postgres; idempotent per tx).
+ * Returns { txHash, chainId, explorerUrl, depositor, tokenAddress, amountRaw, amountFormatted, blockNumber, confirmations,
+ *   recorded, alreadyRecorded, treasury: { balanceRaw, balanceFormatted }, depositorTotals: { count, totalRaw,
+ *   totalFormatted } | null }.
+ * 404 TX_NOT_FOUND, 409 DEPOSIT_PENDING (not mined yet), 422 DEPOSIT_REVERTED or NOT_A_DEPOSIT.
+ */
+export async function postDepositConfirm(req, res) {
   try {
-    const provider = new ethers.JsonRpcProvider(rpc);
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    const balanceRaw = await token.balanceOf(settlementAddress);
-    return { formatted: formatUsdc(balanceRaw), numeric: usdcRawToNumber(balanceRaw) };
-  } catch (e) {
-    return null;
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    if (!network.settlementAddress) {
+      res.status(503).json({ error: `Settlement not configured for ${network.name}. Set NETWORK_${network.chainId}_SETTLEMENT_ADDRESS.` });
+      return;
+    }
+    const txHash = String(req.body?.txHash ?? "").trim().toLowerCase();
+    if (!BYTES32_PATTERN.test(txHash)) {
+      res.status(400).json({ error: "Invalid txHash", code: "INVALID_REQUEST" });
+      return;
+    }
+
+    const { settlementAddress, chainId } = network;
+    const provider = getProvider(network);
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      const tx = await provider.getTransaction(txHash);
+      if (!tx) {
+        res.status(404).json({ error: `Transaction ${txHash} not found on ${network.name}`, code: "TX_NOT_FOUND" });
+        return;
+      }
+      res.status(409).json({ error: "Transaction is not mined yet; confirm again once it is", code: "DEPOSIT_PENDING" });
+      return;
+    }
+    if (receipt.status !== 1) {
+      res.status(422).json({ error: `Transaction ${txHash} reverted`, code: "DEPOSIT_REVERTED" });
+      return;
+    }
+
+    const { address: tokenAddress, decimals } = await getTokenMetadata(network);
+    const treasury = settlementAddress.toLowerCase();
+    const transfers = receipt.to?.toLowerCase() !== treasury ? [] : receipt.logs
+      .filter((l) => l.address.toLowerCase() === tokenAddress.toLowerCase())
+      .map((l) => {
+        try {
+          return erc20Interface.parseLog(l);
+        } catch {
+          return null;
+        }
+      })
+      .filter((parsed) => parsed?.name === "Transfer" && parsed.args.to.toLowerCase() === treasury);
+    if (transfers.length === 0) {
+      res.status(422).json({ error: `Transaction ${txHash} is not a deposit into the ${network.name} treasury`, code: "NOT_A_DEPOSIT" });
+      return;
+    }
+    const depositor = ethers.getAddress(transfers[0].args.from);
+    const amountRaw = transfers.reduce((sum, t) => sum + t.args.value, 0n);
+
+    const [block, balanceRaw, currentBlock] = await Promise.all([
+      provider.getBlock(receipt.blockNumber),
+      readTreasuryBalance(network),
+      provider.getBlockNumber(),
+    ]);
+    const balanceFormatted = formatTokenAmount(balanceRaw, decimals);
+    let row = null;
+    let totals = null;
+    if (db.isDbConfigured()) {
+      await db.setTreasuryBalance(chainId, settlementAddress, balanceRaw.toString(), balanceFormatted);
+      row = await db.recordTreasuryDeposit({
+        chainId,
+        txHash,
+        depositor,
+        tokenAddress,
+        amountRaw,
+        blockNumber: receipt.blockNumber,
+        blockTime: block ? new Date(block.timestamp * 1000) : null,
+      });
+      totals = await db.getDepositorTotals(chainId, depositor);
+    }
+    if (row?.created) {
+      log("deposit confirmed:", depositor, "| amount (raw):", amountRaw.toString(), "| tx:", txHash);
+      recordActivity("treasury_deposit", {
+        wallet: depositor.toLowerCase(),
+        chainId,
+        txHash,
+        data: { amount: formatTokenAmount(amountRaw, decimals) },
+        key: `treasury_deposit:${chainId}:${txHash}`,
+        occurredAt: block ? new Date(block.timestamp * 1000) : null,
+      });
+    }
+    checkTreasuryLow(network).catch((e) => log.warn("treasury check failed:", e.message, { chainId }));
+
+    res.json({
+      txHash,
+      chainId,
+      explorerUrl: explorerTxUrl(network, txHash),
+      depositor,
+      tokenAddress,
+      amountRaw: amountRaw.toString(),
+      amountFormatted: formatTokenAmount(amountRaw, decimals),
+      blockNumber: receipt.blockNumber,
+      confirmations: Math.max(currentBlock - receipt.blockNumber + 1, 1),
+      recorded: row != null,
+      alreadyRecorded: row != null && !row.created,
+      treasury: { balanceRaw: balanceRaw.toString(), balanceFormatted },
+      depositorTotals: totals && {
+        count: totals.count,
+        totalRaw: totals.totalRaw,
+        totalFormatted: formatTokenAmount(BigInt(totals.totalRaw), decimals),
+      },
+    });
+  } catch (err) {
+    log.error("depositConfirm error:", err);
+    res.status(500).json({ error: err.shortMessage ?? err.message ?? "Failed to confirm deposit" });
   }
 }
 
 /**
  * POST /settlement/run
- * Body: { datasetUrl: string, wait?: boolean }
+ * Body: { datasetUrl: string, wait?: boolean, validateDataset?: boolean }
+ * - validateDataset (default DATASET_VALIDATE_ON_RUN): fetch the dataset and check it against the dataset schema
+ *   first; 400 { code: "DATASET_INVALID", errors } or 422 { code: "DATASET_UNREACHABLE" } without creating a deal.
+ * - In encrypted delivery mode (DATASET_DELIVERY=encrypted) the task gets an encrypted copy of the dataset and its key as a
+ *   requester secret (see dataset-delivery.js).
  * - If wait is false or omitted: returns { dealId, taskId } (fire-and-forget).
  * - If wait is true: waits for task completion and returns { dealId, taskId, result: { payouts, tee_attestation } }.
  */
 export async function postRun(req, res) {
   try {
-    const { datasetUrl, wait: waitForResult } = req.body || {};
+    const { datasetUrl, wait: waitForResult, validateDataset: validateBody } = req.body || {};
     if (!datasetUrl || typeof datasetUrl !== "string") {
       log("rejected: missing or invalid datasetUrl");
       res.status(400).json({ error: "Missing or invalid datasetUrl" });
@@ -239,26 +766,66 @@ export async function postRun(req, res) {
       return;
     }
 
-    log("datasetUrl:", url.slice(0, 60) + (url.length > 60 ? "..." : ""), "| wait:", !!waitForResult);
+    log("datasetUrl:", redactUrl(url), "| wait:", !!waitForResult);
+
+    const shouldValidate = validateBody ?? ["1", "true", "yes"].includes(String(process.env.DATASET_VALIDATE_ON_RUN ?? "").toLowerCase());
+    const { mode } = getDeliveryConfig();
+    let dataset;
+    if (shouldValidate || mode === "encrypted") {
+      try {
+        dataset = await fetchDatasetJson(url);
+      } catch (e) {
+        log("rejected: dataset not loadable:", e.message);
+        res.status(422).json({ error: `Could not load dataset: ${e.message}`, code: "DATASET_UNREACHABLE" });
+        return;
+      }
+    }
+    if (shouldValidate) {
+      const errors = validateDataset(dataset);
+      if (errors.length > 0) {
+        log.warn("rejected: invalid dataset,", errors.length, "error(s)");
+        res.status(400).json({ error: "Dataset does not match the ShadowSettle dataset schema", code: "DATASET_INVALID", errors });
+        return;
+      }
+      log("dataset valid, participants:", dataset.participants.length);
+    }
+
+    let delivery;
+    try {
+      delivery = await prepareDelivery(url, dataset);
+    } catch (e) {
+      if (e instanceof DatasetDeliveryError) {
+        log("rejected:", e.code);
+        res.status(e.status).json(e.toJSON());
+        return;
+      }
+      throw e;
+    }
+    const { inputUrl, requesterSecret } = delivery;
+    log("delivery:", delivery.mode, "| input url:", redactUrl(inputUrl));
 
     if (waitForResult) {
       log("calling runSettlementAndWait...");
-      const { dealId, taskId, result } = await runSettlementAndWait(url);
-      log("runSettlementAndWait done, taskId:", taskId?.slice(0, 18) + "...", "| payouts:", result?.payouts?.length ?? 0);
-      res.json({ dealId, taskId, result });
+      const { dealId, taskId, result } = await runSettlementAndWait(inputUrl, { requesterSecret });
+      setLogContext({ taskId });
+      log("runSettlementAndWait done, payouts:", result?.payouts?.length ?? 0);
+      res.json({ dealId, taskId, result, delivery: delivery.mode });
       return;
     }
 
     log("calling runSettlementTask (fire-and-forget)...");
-    const { dealId, taskId } = await runSettlementTask(url);
-    log("task submitted");
-    log("  dealId (full):", dealId);
-    log("  taskId (full):", taskId);
-    log("  check status: https://explorer.iex.ec/bellecour/task/" + taskId);
-    res.json({ dealId, taskId, message: "Task submitted. Use GET /settlement/result/:taskId to fetch the result." });
+    const { dealId, taskId } = await runSettlementTask(inputUrl, { requesterSecret });
+    setLogContext({ taskId });
+    log("task submitted", { dealId });
+    log(`check status: ${getIexecConfig().chain.iexecExplorerUrl}/task/${taskId}`);
+    res.json({
+      dealId,
+      taskId,
+      delivery: delivery.mode,
+      message: "Task submitted. Use GET /settlement/result/:taskId to fetch the result.",
+    });
   } catch (err) {
-    log("error:", err.message);
-    console.error("POST /settlement/run error:", err);
+    log.error("error:", err);
     res.status(500).json({ error: err.message || "Failed to run settlement" });
   }
 }
@@ -274,13 +841,13 @@ export async function getResult(req, res) {
       res.status(400).json({ error: "Missing taskId" });
       return;
     }
+    setLogContext({ taskId });
     const { status, result } = await fetchTaskResult(taskId);
     const isCompleted = status === "COMPLETED" || status === 3;
-    log("GET result | taskId:", taskId, "| status:", status, isCompleted ? "(COMPLETED)" : "", "| payouts:", result?.payouts?.length ?? 0);
+    log("GET result | status:", status, isCompleted ? "(COMPLETED)" : "", "| payouts:", result?.payouts?.length ?? 0);
     res.json({ taskId, status, result });
   } catch (err) {
-    log("error:", err.message);
-    console.error("GET /settlement/result error:", err);
+    log.error("error:", err);
     res.status(500).json({ error: err.message || "Failed to fetch result" });
   }
 }
@@ -298,94 +865,720 @@ export async function postWait(req, res) {
       res.status(400).json({ error: "Missing taskId or dealId" });
       return;
     }
-    log("POST wait taskId:", taskId?.slice(0, 18) + "...");
+    setLogContext({ taskId });
+    log("POST wait");
     await waitForTask(taskId, dealId);
     log("task finalized, fetching result...");
     const { status, result } = await fetchTaskResult(taskId);
     log("result status:", status);
     res.json({ taskId, status, result });
   } catch (err) {
-    log("error:", err.message);
-    console.error("POST /settlement/wait error:", err);
+    log.error("error:", err);
     res.status(500).json({ error: err.message || "Failed to wait for task" });
   }
 }
 
+/**
+ * GET /settlement/stream/:taskId[?dealId=]
+ * Server-Sent Events with the task's progress: deal_matched, active, revealing, then completed (followed by
+ * result), failed or timeout, and finally end. Comment heartbeats every SSE_HEARTBEAT_MS keep proxies from
+ * closing the connection. Reconnecting with Last-Event-ID replays only the missed events. dealId (or the
+ * job's stored deal_id) lets a task that is not initialized yet be watched. See task-stream.js.
+ * Requires a SIWE session (Bearer header or ?token=, since EventSource can't set headers) of the job's wallet
+ * or of a SETTLEMENT_OPERATOR_WALLETS wallet.
+ */
+export async function getStream(req, res) {
+  const taskId = req.params?.taskId?.trim().toLowerCase();
+  const dealId = req.query?.dealId != null ? String(req.query.dealId).trim().toLowerCase() : null;
+  if (!taskId || !BYTES32_PATTERN.test(taskId)) {
+    res.status(400).json({ error: "Missing or invalid taskId", code: "INVALID_REQUEST" });
+    return;
+  }
+  if (dealId && !BYTES32_PATTERN.test(dealId)) {
+    res.status(400).json({ error: "Invalid dealId", code: "INVALID_REQUEST" });
+    return;
+  }
+  let job;
+  try {
+    job = db.isDbConfigured() ? await db.getJobByTaskId(taskId) : null;
+  } catch (e) {
+    log.error("stream job lookup error:", e);
+    res.status(500).json({ error: e.message || "Failed to load job" });
+    return;
+  }
+  if (!mayActOnJob(job, req.wallet)) {
+    res.status(403).json(STREAM_FORBIDDEN);
+    return;
+  }
+  const knownDealId = dealId ?? job?.deal_id ?? null;
+  const lastEventId = Number(req.headers?.["last-event-id"] ?? req.query?.lastEventId) || 0;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), getTaskStreamConfig().heartbeatMs);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  req.on("close", close);
+  setLogContext({ taskId });
+  log("stream opened", lastEventId ? { resumeAfter: lastEventId } : {});
+  unsubscribe = getTaskWatcher(taskId, knownDealId).subscribe((entry) => {
+    if (closed) return;
+    writeSseEvent(res, entry);
+    if (entry.event === "end") close();
+  }, lastEventId);
+}
+
+/**
+ * Load the enclave's result for a task: the stored job result when present, else fetched from iExec.
+ * Returns null when the task has no result yet.
+ */
+async function loadTaskResult(taskId) {
+  if (db.isDbConfigured()) {
+    const job = await db.getJobByTaskId(taskId);
+    if (job?.result != null) return job.result;
+  }
+  const { result } = await fetchTaskResult(taskId);
+  return result ?? null;
+}
+
+/**
+ * POST /settlement/verify
+ * Body: { taskId: string, recipients?: string[], amounts?: (string | number)[] or amountsRaw?: string[], attestation?: string, chainId?: number }
+ * Checks the task's attestation against TEE_SIGNER_ADDRESSES and, when a batch is given, that it matches
+ * the task result exactly; amounts are read with the decimals of chainId's token (default network).
+ * Returns { valid: true, signer, digest, recipients, amounts } or a 4xx { error, code, details }.
+ */
+export async function postVerify(req, res) {
+  try {
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    const { taskId, recipients, amounts, amountsRaw, attestation } = req.body || {};
+    if (!taskId || typeof taskId !== "string") {
+      res.status(400).json({ error: "Missing or invalid taskId", code: "INVALID_REQUEST" });
+      return;
+    }
+    setLogContext({ taskId: taskId.trim() });
+    const result = await loadTaskResult(taskId.trim());
+    if (!result) {
+      res.status(409).json({ error: "Task has no result yet", code: "RESULT_NOT_READY" });
+      return;
+    }
+    if (!network.tokenAddress && !network.settlementAddress) {
+      res.status(503).json({ error: notConfiguredMessage(network) });
+      return;
+    }
+    const { decimals } = await getTokenMetadata(network);
+    const batchAmounts = bodyAmounts(amounts, amountsRaw, decimals);
+    const hasBatch = recipients !== undefined || batchAmounts !== undefined || attestation !== undefined;
+    const verified = verifySettlement({ result, decimals, ...(hasBatch && { recipients, amounts: batchAmounts, attestation }) });
+    res.json({
+      valid: true,
+      signer: verified.signer,
+      digest: verified.digest,
+      recipients: verified.recipients,
+      amounts: verified.amounts.map(String),
+    });
+  } catch (err) {
+    if (err instanceof AttestationError || err instanceof AmountError) {
+      log("verify rejected:", err.code, err.message);
+      res.status(err.status).json(err.toJSON());
+      return;
+    }
+    log.error("verify error:", err);
+    res.status(500).json({ error: err.message || "Failed to verify settlement" });
+  }
+}
+
+/**
+ * Validate a settleBatch body ({ taskId?, recipients, amounts | amountsRaw, attestation }), amounts in whole units
+ * of a token with `decimals` or amountsRaw in its base units. Returns { taskId, recipients (checksummed),
+ * amounts (raw bigint), attestation } or { error }.
+ */
+function parseBatchBody(body, decimals) {
+  const { taskId, recipients, amounts, amountsRaw, attestation } = body || {};
+  if (taskId != null && typeof taskId !== "string") return { error: "Invalid taskId" };
+  const values = amountsRaw ?? amounts;
+  if (!Array.isArray(recipients) || !Array.isArray(values) || recipients.length !== values.length) {
+    return { error: "Invalid body: need recipients and amounts (or amountsRaw) arrays of the same length" };
+  }
+  if (!attestation || typeof attestation !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(attestation)) {
+    return { error: "Invalid attestation: must be 0x-prefixed hex string" };
+  }
+  if (recipients.length === 0) return { error: "At least one recipient required" };
+
+  // Normalize addresses to EIP-55 checksum (frontend/TEE may send wrong casing)
+  const checksummed = [];
+  for (const addr of recipients) {
+    const s = String(addr).trim();
+    if (!/^0x[0-9a-fA-F]{40}$/.test(s)) return { error: `Invalid address: ${s}` };
+    checksummed.push(ethers.getAddress(s.toLowerCase()));
+  }
+  let raw;
+  try {
+    raw = bodyAmounts(amounts, amountsRaw, decimals);
+  } catch (e) {
+    return { error: e.message };
+  }
+  return { taskId: taskId?.trim() || null, recipients: checksummed, amounts: raw, attestation };
+}
+
+/** 409 body for settling a job that was retried: only the newest attempt may be paid out. */
+function retriedJobError(job) {
+  return {
+    error: `Job was retried as task ${job.retried_by_task_id}; settle that attempt instead`,
+    code: "JOB_RETRIED",
+    details: { retriedByTaskId: job.retried_by_task_id },
+  };
+}
+
 /**
  * POST /settlement/execute
- * Body: { recipients: string[], amounts: number[], attestation: string (0x-prefixed hex) }
- * Calls Settlement.settleBatch on Arbitrum Sepolia as executor; returns { txHash, explorerUrl }.
+ * Body: { taskId: string, recipients: string[], amounts: (string | number)[] or amountsRaw: string[] (base units), attestation: string (0x-prefixed hex), chainId?: number }
+ * Verifies the batch against the task's attested result (see postVerify), then sends Settlement.settleBatch
+ * on the chosen network (default network when chainId is omitted) as its executor through the tx-manager.
+ * Returns 202 { txId, txHash, chainId, explorerUrl, statusUrl } as soon as the tx is broadcast; poll GET /tx/:txId for confirmation.
+ * A job on record is claimed as in postExecuteTask: already-settled or in-flight jobs are refused with 409, and
+ * the outcome is recorded on the job.
+ * Requires a SIWE session (see routes/auth.js) of the job's wallet or of a SETTLEMENT_OPERATOR_WALLETS wallet.
  */
 export async function postExecute(req, res) {
+  const network = requestNetwork(req, res);
+  if (!network) return;
+  let taskId = null;
+  let claimed = false;
+  let sentTxHash = null;
   try {
-    const config = getExecuteConfig();
+    const config = getExecuteConfig(network);
     if (!config) {
-      res.status(503).json({
-        error: "On-chain settlement not configured. Set ARBITRUM_SEPOLIA_RPC_URL, SETTLEMENT_CONTRACT_ADDRESS, and SETTLEMENT_EXECUTOR_PRIVATE_KEY (or FAUCET_PRIVATE_KEY).",
+      res.status(503).json({ error: notConfiguredMessage(network) });
+      return;
+    }
+
+    const token = await getTokenMetadata(network);
+    const batch = parseBatchBody(req.body, token.decimals);
+    if (batch.error) {
+      res.status(400).json({ error: batch.error, code: "INVALID_REQUEST" });
+      return;
+    }
+    const { recipients: recipientsChecksummed, amounts: amountsWei, attestation } = batch;
+    taskId = batch.taskId;
+    if (!taskId) {
+      res.status(400).json({ error: "Missing or invalid taskId", code: "INVALID_REQUEST" });
+      return;
+    }
+
+    // Refuse anything the enclave did not attest to before spending gas.
+    setLogContext({ taskId });
+    let job = db.isDbConfigured() ? await db.getJobByTaskId(taskId) : null;
+    if (!mayActOnJob(job, req.wallet)) {
+      res.status(403).json(EXECUTE_FORBIDDEN);
+      return;
+    }
+    if (job?.retried_by_task_id) {
+      res.status(409).json(retriedJobError(job));
+      return;
+    }
+    if (job?.status === "settling" && job.settle_pending_tx_hash) {
+      job = (await reconcilePendingSettlement(job, getProvider(network))) ?? job;
+    }
+    if (job?.settled_tx_hash) {
+      res.status(409).json({
+        error: "Job already settled on-chain",
+        code: "ALREADY_SETTLED",
+        details: { txHash: job.settled_tx_hash, explorerUrl: explorerTxUrl(network, job.settled_tx_hash) },
       });
       return;
     }
+    const result = await loadTaskResult(taskId);
+    if (!result) {
+      res.status(409).json({ error: "Task has no result yet", code: "RESULT_NOT_READY" });
+      return;
+    }
+    const verified = verifySettlement({
+      result,
+      decimals: token.decimals,
+      recipients: recipientsChecksummed,
+      amounts: amountsWei,
+      attestation,
+    });
+    log("execute: attestation verified, signer:", verified.signer);
 
-    const { recipients, amounts, attestation } = req.body || {};
-    if (!Array.isArray(recipients) || !Array.isArray(amounts) || recipients.length !== amounts.length) {
-      res.status(400).json({ error: "Invalid body: need recipients and amounts arrays of the same length" });
+    const totalRaw = sumAmounts(amountsWei);
+    log("execute: recipients:", recipientsChecksummed.length, "| total amount (raw):", totalRaw.toString());
+    const manager = getTxManager(network, config.privateKey);
+    let claim = null;
+    if (job) {
+      // As in postExecuteTask: a short treasury is turned away before the claim uses up an attempt.
+      await checkTreasury(network, token, totalRaw, manager);
+      claim = await db.claimJobSettlement(taskId);
+      if (!claim) {
+        res.status(409).json({ error: "A settlement for this job is already in progress", code: "SETTLEMENT_IN_PROGRESS" });
+        return;
+      }
+      claimed = true;
+    }
+    const tx = await manager.submit({
+      kind: "settlement",
+      to: config.contractAddress,
+      data: settlementInterface.encodeFunctionData("settleBatch", [recipientsChecksummed, amountsWei, ethers.getBytes(attestation)]),
+      meta: { taskId, wallet: req.wallet },
+      precheck: () => checkTreasury(network, token, totalRaw, manager),
+    });
+    sentTxHash = tx.hash;
+    if (claimed) await db.updateJobByTaskId(taskId, { settlePendingTxHash: tx.hash });
+    log("execute: txHash", tx.hash);
+    recordActivity("settlement_submitted", {
+      wallet: req.wallet,
+      taskId,
+      chainId: network.chainId,
+      txHash: tx.hash,
+      data: { attempt: claim?.settle_attempts ?? null },
+    });
+    res.status(202).json({
+      txId: tx.id,
+      txHash: tx.hash,
+      chainId: network.chainId,
+      explorerUrl: explorerTxUrl(network, tx.hash),
+      statusUrl: `/tx/${tx.id}`,
+    });
+  } catch (err) {
+    const rejected = err instanceof AttestationError || err instanceof TreasuryError;
+    const message = rejected
+      ? err.message
+      : decodeSettlementRevert(err, network) ?? err.reason ?? err.shortMessage ?? err.message ?? "Settlement execute failed";
+    if (claimed) {
+      // Same bookkeeping as postExecuteTask: once broadcast the tx-manager events decide the outcome.
+      const updates = sentTxHash != null
+        ? { settlePendingTxHash: sentTxHash, settleError: String(message) }
+        : { status: "completed", settlePendingTxHash: null, settleError: String(message) };
+      await db.updateJobByTaskId(taskId, updates).catch((e) => log.error("execute: could not record failure", e));
+    }
+    if (rejected) {
+      log("execute rejected:", err.code, err.message);
+      res.status(err.status).json(err.toJSON());
       return;
     }
-    if (!attestation || typeof attestation !== "string" || !attestation.startsWith("0x")) {
-      res.status(400).json({ error: "Invalid attestation: must be 0x-prefixed hex string" });
+    recordSettlementRevert(network, err);
+    log.error("execute error:", err);
+    res.status(500).json({ error: String(message) });
+  }
+}
+
+/**
+ * POST /settlement/simulate
+ * Body: same as POST /settlement/execute ({ taskId?, recipients, amounts | amountsRaw, attestation, chainId? }).
+ * Dry-runs settleBatch as the executor (eth_call + estimateGas) without sending anything. Returns
+ * { ok, gasEstimate, fee: { gasPriceWei, maxFeePerGasWei, estimatedCostWei, maxCostWei, estimatedCostEth, maxCostEth },
+ *   revert: { selector, name, args, message } | null, treasury: { balanceRaw, requiredRaw, shortfallRaw, sufficient },
+ *   executor: { address, balanceWei, sufficient }, verification: { ok, code?, error?, signer? } | null, chainId }.
+ * Register a local anvil/hardhat node as a network (NETWORK_31337_*) to test against a fork or fresh deployment.
+ */
+export async function postSimulate(req, res) {
+  try {
+    const network = requestNetwork(req, res);
+    if (!network) return;
+    const config = getExecuteConfig(network);
+    if (!config) {
+      res.status(503).json({ error: notConfiguredMessage(network) });
       return;
     }
-    if (recipients.length === 0) {
-      res.status(400).json({ error: "At least one recipient required" });
+    const token = await getTokenMetadata(network);
+    const batch = parseBatchBody(req.body, token.decimals);
+    if (batch.error) {
+      res.status(400).json({ error: batch.error, code: "INVALID_REQUEST" });
       return;
     }
 
-    // Normalize addresses to EIP-55 checksum (frontend/TEE may send wrong casing)
-    const recipientsChecksummed = recipients.map((addr) => {
-      const s = String(addr).trim();
-      if (!/^0x[0-9a-fA-F]{40}$/.test(s)) throw new Error(`Invalid address: ${s}`);
-      return ethers.getAddress(s.toLowerCase());
+    const provider = getProvider(network);
+    const executor = new ethers.Wallet(config.privateKey).address;
+    const tx = {
+      from: executor,
+      to: config.contractAddress,
+      data: settlementInterface.encodeFunctionData("settleBatch", [batch.recipients, batch.amounts, ethers.getBytes(batch.attestation)]),
+    };
+
+    const [feeData, executorBalance, treasuryBalance] = await Promise.all([
+      provider.getFeeData(),
+      provider.getBalance(executor),
+      new ethers.Contract(token.address, ERC20_ABI, provider).balanceOf(config.contractAddress),
+    ]);
+    const required = sumAmounts(batch.amounts);
+
+    let revert = null;
+    let gasEstimate = null;
+    try {
+      await provider.call(tx);
+      gasEstimate = await provider.estimateGas(tx);
+    } catch (e) {
+      revert = decodeSettlementError(e, network) ?? { selector: null, name: null, args: [], message: e.shortMessage ?? e.message };
+    }
+
+    let verification = null;
+    if (batch.taskId) {
+      setLogContext({ taskId: batch.taskId });
+      try {
+        const result = await loadTaskResult(batch.taskId);
+        if (!result) {
+          verification = { ok: false, code: "RESULT_NOT_READY", error: "Task has no result yet" };
+        } else {
+          const verified = verifySettlement({ result, decimals: token.decimals, ...batch });
+          verification = { ok: true, signer: verified.signer };
+        }
+      } catch (e) {
+        if (!(e instanceof AttestationError)) throw e;
+        verification = { ok: false, code: e.code, error: e.message, ...(e.details !== undefined && { details: e.details }) };
+      }
+    }
+
+    const gasPrice = feeData.gasPrice ?? 0n;
+    const maxFeePerGas = feeData.maxFeePerGas ?? gasPrice;
+    const estimatedCost = gasEstimate != null ? gasEstimate * gasPrice : null;
+    const maxCost = gasEstimate != null ? gasEstimate * maxFeePerGas : null;
+    log("simulate: recipients:", batch.recipients.length, "| gas:", gasEstimate?.toString() ?? "-", "| revert:", revert?.name ?? revert?.message ?? "none");
+    res.json({
+      ok: revert == null && treasuryBalance >= required && (verification?.ok ?? true),
+      gasEstimate: gasEstimate?.toString() ?? null,
+      fee: {
+        gasPriceWei: gasPrice.toString(),
+        maxFeePerGasWei: maxFeePerGas.toString(),
+        estimatedCostWei: estimatedCost?.toString() ?? null,
+        maxCostWei: maxCost?.toString() ?? null,
+        estimatedCostEth: estimatedCost != null ? ethers.formatEther(estimatedCost) : null,
+        maxCostEth: maxCost != null ? ethers.formatEther(maxCost) : null,
+      },
+      revert,
+      treasury: {
+        tokenAddress: token.address,
+        balanceRaw: treasuryBalance.toString(),
+        balanceFormatted: formatTokenAmount(treasuryBalance, token.decimals),
+        requiredRaw: required.toString(),
+        requiredFormatted: formatTokenAmount(required, token.decimals),
+        shortfallRaw: (required > treasuryBalance ? required - treasuryBalance : 0n).toString(),
+        sufficient: treasuryBalance >= required,
+      },
+      executor: {
+        address: executor,
+        balanceWei: executorBalance.toString(),
+        sufficient: maxCost == null || executorBalance >= maxCost,
+      },
+      verification,
+      chainId: network.chainId,
     });
+  } catch (err) {
+    log.error("simulate error:", err);
+    res.status(500).json({ error: err.shortMessage ?? err.message ?? "Simulation failed" });
+  }
+}
+
+/**
+ * If a previous attempt sent a tx (settle_pending_tx_hash) but never recorded the outcome (e.g. crash),
+ * look up its receipt and record it now. Returns the updated job row, or null while still unknown/pending.
+ */
+async function reconcilePendingSettlement(job, provider) {
+  const receipt = await provider.getTransactionReceipt(job.settle_pending_tx_hash);
+  if (!receipt) return null;
+  if (receipt.status === 1) {
+    return db.updateJobByTaskId(job.task_id, {
+      status: "settled",
+      settledTxHash: receipt.hash,
+      settledAt: new Date(),
+      settlePendingTxHash: null,
+      settleError: null,
+    });
+  }
+  return db.updateJobByTaskId(job.task_id, {
+    status: "completed",
+    settlePendingTxHash: null,
+    settleError: `Transaction ${receipt.hash} reverted`,
+  });
+}
+
+/**
+ * POST /settlement/execute/:taskId
+ * Settles a job from its stored (or freshly fetched) TEE result: builds recipients, amounts and attestation
+ * server-side, verifies them, sends settleBatch through the tx-manager, and records the outcome on the job.
+ * - The tx hash is stored as settle_pending_tx_hash as soon as it is sent, so a crash before the receipt
+ *   cannot leave a paid job looking unsettled; the tx-manager events (or the next call) record it from the chain.
+ * - Already-settled or in-flight jobs are refused with 409 before any gas is spent.
+ * - Failures are recorded in settle_error with the decoded revert.
+ * - Settles on the job's network (jobs.chain_id); a job without one takes body.chainId or the default network,
+ *   which is then recorded on the job. A body.chainId that contradicts the job's network is refused with 409.
+ * Requires a SIWE session for the wallet that owns the job (or a SETTLEMENT_OPERATOR_WALLETS wallet).
+ * Returns 202 { taskId, txId, txHash, chainId, explorerUrl, statusUrl } once broadcast.
+ */
+export async function postExecuteTask(req, res) {
+  const taskId = req.params?.taskId?.trim();
+  let claimed = false;
+  let sentTxHash = null;
+  let network = null;
+  try {
+    if (!db.isDbConfigured()) {
+      res.status(503).json({ error: "Database not configured. Set DATABASE_URL or PGHOST/PGDATABASE." });
+      return;
+    }
+    if (!taskId) {
+      res.status(400).json({ error: "Missing taskId", code: "INVALID_REQUEST" });
+      return;
+    }
+    setLogContext({ taskId });
+    let job = await db.getJobByTaskId(taskId);
+    if (!job) {
+      res.status(404).json({ error: "Job not found", code: "JOB_NOT_FOUND" });
+      return;
+    }
+    if (!mayActOnJob(job, req.wallet)) {
+      res.status(403).json(EXECUTE_FORBIDDEN);
+      return;
+    }
+    const requested = req.body?.chainId;
+    if (job.chain_id != null && requested != null && requested !== "" && Number(requested) !== job.chain_id) {
+      res.status(409).json({
+        error: `Job targets network ${job.chain_id}, not ${requested}`,
+        code: "NETWORK_MISMATCH",
+      });
+      return;
+    }
+    const resolved = resolveNetwork(job.chain_id ?? requested);
+    if (resolved.error) {
+      res.status(resolved.status).json({ error: resolved.error, code: "UNKNOWN_NETWORK" });
+      return;
+    }
+    network = resolved.network;
+    const config = getExecuteConfig(network);
+    if (!config) {
+      res.status(503).json({ error: notConfiguredMessage(network) });
+      return;
+    }
+
+    const provider = getProvider(network);
+    if (job.status === "settling" && job.settle_pending_tx_hash) {
+      job = (await reconcilePendingSettlement(job, provider)) ?? job;
+    }
+    if (job.settled_tx_hash) {
+      res.status(409).json({
+        error: "Job already settled on-chain",
+        code: "ALREADY_SETTLED",
+        details: { txHash: job.settled_tx_hash, explorerUrl: explorerTxUrl(network, job.settled_tx_hash) },
+      });
+      return;
+    }
 
-    const provider = new ethers.JsonRpcProvider(config.rpc);
-    const wallet = new ethers.Wallet(config.privateKey, provider);
-    const contract = new ethers.Contract(config.contractAddress, SETTLEMENT_ABI, wallet);
+    let result = job.result;
+    if (result == null) {
+      ({ result } = await fetchTaskResult(taskId));
+      if (!result) {
+        res.status(409).json({ error: "Task has no result yet", code: "RESULT_NOT_READY" });
+        return;
+      }
+      await db.updateJobByTaskId(taskId, { status: "completed", result });
+    }
+    const token = await getTokenMetadata(network);
+    const batch = verifySettlement({ result, decimals: token.decimals });
+    const totalRaw = sumAmounts(batch.amounts);
+    const manager = getTxManager(network, config.privateKey);
+    // Checked again as the submission's precheck; this one turns a short treasury away without using up an attempt.
+    await checkTreasury(network, token, totalRaw, manager);
+
+    if (job.retried_by_task_id) {
+      res.status(409).json(retriedJobError(job));
+      return;
+    }
+    const claim = await db.claimJobSettlement(taskId);
+    if (!claim) {
+      res.status(409).json({ error: "A settlement for this job is already in progress", code: "SETTLEMENT_IN_PROGRESS" });
+      return;
+    }
+    claimed = true;
 
-    const amountsWei = amounts.map((a) => {
-      const n = Number(a);
-      if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid amount: ${a}`);
-      return ethers.parseUnits(String(n), USDC_DECIMALS);
+    log("executeTask: recipients:", batch.recipients.length, "| signer:", batch.signer);
+    const tx = await manager.submit({
+      kind: "settlement",
+      to: config.contractAddress,
+      data: settlementInterface.encodeFunctionData("settleBatch", [batch.recipients, batch.amounts, ethers.getBytes(batch.attestation)]),
+      meta: { taskId, wallet: req.wallet },
+      precheck: () => checkTreasury(network, token, totalRaw, manager),
+    });
+    sentTxHash = tx.hash;
+    await db.updateJobByTaskId(taskId, { settlePendingTxHash: tx.hash, chainId: network.chainId });
+    log("executeTask: txHash", tx.hash);
+    recordActivity("settlement_submitted", {
+      wallet: req.wallet,
+      taskId,
+      chainId: network.chainId,
+      txHash: tx.hash,
+      data: { attempt: claim.settle_attempts },
+    });
+    res.status(202).json({
+      taskId,
+      txId: tx.id,
+      txHash: tx.hash,
+      chainId: network.chainId,
+      explorerUrl: explorerTxUrl(network, tx.hash),
+      statusUrl: `/tx/${tx.id}`,
     });
-    const attestationBytes = ethers.getBytes(attestation);
-
-    log("execute: recipients:", recipientsChecksummed.length, "| total amount (human):", amounts.reduce((s, a) => s + Number(a), 0));
-    const tx = await contract.settleBatch(recipientsChecksummed, amountsWei, attestationBytes);
-    const receipt = await tx.wait();
-    const txHash = receipt.hash;
-    const explorerUrl = `${ARB_SEPOLIA_EXPLORER}/tx/${txHash}`;
-    log("execute: txHash", txHash);
-    res.json({ txHash, explorerUrl });
   } catch (err) {
-    log("execute error:", err.message);
-    console.error("POST /settlement/execute error:", err);
-    const message = decodeSettlementRevert(err) ?? err.reason ?? err.shortMessage ?? err.message ?? "Settlement execute failed";
-    res.status(500).json({ error: String(message) });
+    const rejected = err instanceof AttestationError || err instanceof TreasuryError;
+    const decoded = rejected ? null : decodeSettlementRevert(err, network);
+    const message = rejected
+      ? err.message
+      : decoded ?? err.reason ?? err.shortMessage ?? err.message ?? "Settlement execute failed";
+    if (claimed) {
+      // Once broadcast, the tx-manager events decide the outcome; the job stays 'settling'.
+      const updates = sentTxHash != null
+        ? { settlePendingTxHash: sentTxHash, settleError: String(message) }
+        : { status: "completed", settlePendingTxHash: null, settleError: String(message) };
+      await db.updateJobByTaskId(taskId, updates).catch((e) => log.error("executeTask: could not record failure", e));
+    }
+    if (rejected) {
+      log("executeTask rejected:", err.code, err.message);
+      res.status(err.status).json(err.toJSON());
+      return;
+    }
+    recordSettlementRevert(network, err);
+    log.error("executeTask error:", err);
+    res.status(500).json({ error: String(message), ...(decoded && { code: "SETTLEMENT_REVERTED" }) });
   }
 }
 
-/** Map Settlement contract custom error selector to a user-friendly message. */
-function decodeSettlementRevert(err) {
-  const data = err.data ?? err.info?.error?.data;
-  if (typeof data !== "string" || !data.startsWith("0x")) return null;
+/** Count a settleBatch that reverted before it was sent (gas estimation), by decoded Settlement error. */
+function recordSettlementRevert(network, err) {
+  const decoded = decodeSettlementError(err, network);
+  if (!decoded || !network) return;
+  settlementsTotal.inc({ chain_id: network.chainId, outcome: "reverted", reason: decoded.name ?? decoded.selector });
+}
+
+// Count settleBatch outcomes once the tx-manager sees them mined or dropped.
+txEvents.on("confirmed", (tx) => {
+  if (tx.kind === "settlement") settlementsTotal.inc({ chain_id: tx.chainId, outcome: "confirmed" });
+});
+txEvents.on("failed", (tx) => {
+  if (tx.kind !== "settlement") return;
+  const decoded = decodeSettlementError({ data: tx.revertData });
+  settlementsTotal.inc({ chain_id: tx.chainId, outcome: "reverted", reason: decoded?.name ?? decoded?.selector ?? "unknown" });
+});
+txEvents.on("dropped", (tx) => {
+  if (tx.kind === "settlement") settlementsTotal.inc({ chain_id: tx.chainId, outcome: "dropped" });
+});
+
+// Webhooks: settlement_executed for every confirmed settleBatch (with or without a job row), then
+// treasury_low when the payout took the treasury below WEBHOOK_TREASURY_LOW_THRESHOLD. The event goes to the
+// job owner's subscriptions, not the caller's (an operator may settle someone else's job); without a job row,
+// to whoever sent it.
+const treasuryLow = new Map(); // chainId -> whether the last check was below the threshold
+
+txEvents.on("confirmed", async (tx) => {
+  if (tx.kind !== "settlement") return;
+  const network = resolveNetwork(tx.chainId).network;
+  const job = tx.meta?.taskId && db.isDbConfigured() ? await db.getJobByTaskId(tx.meta.taskId).catch(() => null) : null;
+  emitWebhookEvent(
+    "settlement_executed",
+    {
+      taskId: tx.meta?.taskId ?? null,
+      txId: tx.id,
+      txHash: tx.hash,
+      chainId: tx.chainId,
+      blockNumber: tx.blockNumber,
+      explorerUrl: network ? explorerTxUrl(network, tx.hash) : null,
+    },
+    { wallet: job ? job.wallet_address : tx.meta?.wallet, key: `settlement_executed:${tx.chainId}:${tx.hash}` }
+  );
+  if (network) checkTreasuryLow(network).catch((e) => log.warn("treasury check failed:", e.message, { chainId: tx.chainId }));
+});
+
+async function checkTreasuryLow(network) {
+  const { treasuryLowThreshold } = getWebhookConfig();
+  if (treasuryLowThreshold == null || !network.settlementAddress) return;
+  const token = await getTokenMetadata(network);
+  const thresholdRaw = parseTokenAmount(treasuryLowThreshold, token.decimals);
+  const balanceRaw = await readTreasuryBalance(network);
+  const low = balanceRaw < thresholdRaw;
+  const wasLow = treasuryLow.get(network.chainId) ?? false;
+  treasuryLow.set(network.chainId, low);
+  if (!low || wasLow) return;
+  log.warn("treasury below threshold", { chainId: network.chainId, balanceRaw: balanceRaw.toString() });
+  emitWebhookEvent(
+    "treasury_low",
+    {
+      chainId: network.chainId,
+      settlementAddress: network.settlementAddress,
+      balanceRaw: balanceRaw.toString(),
+      balanceFormatted: formatTokenAmount(balanceRaw, token.decimals),
+      thresholdRaw: thresholdRaw.toString(),
+    },
+    { key: `treasury_low:${network.chainId}:${balanceRaw}` }
+  );
+}
+
+// Record settleBatch outcomes on the job once the tx-manager sees them mined, replaced or dropped.
+txEvents.on("confirmed", (tx) => {
+  if (tx.kind !== "settlement" || !tx.meta?.taskId) return;
+  db.updateJobByTaskId(tx.meta.taskId, {
+    status: "settled",
+    settledTxHash: tx.hash,
+    settledAt: new Date(tx.minedAt ?? Date.now()),
+    settlePendingTxHash: null,
+    settleError: null,
+  }).catch((e) => log.error("could not record settlement", e, { taskId: tx.meta.taskId }));
+});
+txEvents.on("failed", (tx) => {
+  if (tx.kind !== "settlement" || !tx.meta?.taskId) return;
+  const message = decodeSettlementRevert({ data: tx.revertData }, resolveNetwork(tx.chainId).network) ?? `Transaction ${tx.hash} reverted`;
+  db.updateJobByTaskId(tx.meta.taskId, { status: "completed", settlePendingTxHash: null, settleError: message })
+    .catch((e) => log.error("could not record settlement failure", e, { taskId: tx.meta.taskId }));
+});
+txEvents.on("dropped", (tx) => {
+  if (tx.kind !== "settlement" || !tx.meta?.taskId) return;
+  db.updateJobByTaskId(tx.meta.taskId, { status: "completed", settlePendingTxHash: null, settleError: tx.error })
+    .catch((e) => log.error("could not record dropped settlement", e, { taskId: tx.meta.taskId }));
+});
+txEvents.on("replaced", (tx) => {
+  if (tx.kind !== "settlement" || !tx.meta?.taskId) return;
+  db.updateJobByTaskId(tx.meta.taskId, { settlePendingTxHash: tx.hash })
+    .catch((e) => log.error("could not record replacement", e, { taskId: tx.meta.taskId }));
+});
+
+/**
+ * Decode a Settlement revert from an ethers error (or { data }) raised on `network` (used in the messages, optional).
+ * Returns { selector, name, args, message } (name null for unknown selectors), or null when there is no revert data.
+ */
+export function decodeSettlementError(err, network = null) {
+  const data = err?.data ?? err?.info?.error?.data ?? err?.error?.data;
+  if (typeof data !== "string" || !data.startsWith("0x") || data.length < 10) return null;
   const selector = data.slice(0, 10).toLowerCase();
-  if (selector === "0xf4d678b8") {
-    return "Insufficient balance in settlement contract. Deposit USDC to the treasury first (Profile → Deposit USDC).";
-  }
-  if (selector === "0x17ee279c") {
-    return "This settlement was already executed on-chain. Each attestation can only be used once. Open a different job or run a new confidential settlement.";
+  let parsed = null;
+  try {
+    parsed = settlementInterface.parseError(data);
+  } catch {
+    // selector known but arguments malformed: fall through as unknown
   }
-  if (selector === "0x7fb6be02") {
-    return "Only the configured executor can call settle. Check SETTLEMENT_EXECUTOR_PRIVATE_KEY matches the contract executor.";
+  if (!parsed) {
+    return { selector, name: null, args: [], message: `Settlement reverted with unknown error ${selector}.` };
   }
-  return null;
+  const args = parsed.args.toArray().map((a) => (typeof a === "bigint" ? a.toString() : a));
+  const named = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name || i, args[i]]));
+  const format = SETTLEMENT_ERROR_MESSAGES[parsed.name];
+  return {
+    selector,
+    name: parsed.name,
+    args,
+    message: format ? format({ ...args, ...named }, network) : `Settlement reverted with ${parsed.signature}.`,
+  };
+}
+
+/** Map Settlement contract revert to a user-friendly message, or null when the error has no revert data. */
+function decodeSettlementRevert(err, network = null) {
+  return decodeSettlementError(err, network)?.message ?? null;
 }
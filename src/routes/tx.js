@@ -0,0 +1,76 @@
+/**
+ * Transaction status: GET /tx/:id for transactions sent through the tx-manager (settlement, faucet).
+ */
+import * as db from "../db.js";
+import { getTrackedTx } from "../tx-manager.js";
+import { getNetwork, explorerTxUrl } from "../networks.js";
+import { isSettlementOperator } from "../auth.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("tx");
+
+/**
+ * Whether `wallet` may see a transaction: the wallet that had it sent (meta.wallet), the faucet recipient
+ * (meta.to), the owner of the job it settles (meta.taskId), or a settlement operator.
+ */
+async function maySeeTx(record, wallet) {
+  if (isSettlementOperator(wallet)) return true;
+  const meta = record.meta ?? {};
+  if (meta.wallet === wallet || meta.to === wallet) return true;
+  if (!meta.taskId || !db.isDbConfigured()) return false;
+  const job = await db.getJobByTaskId(meta.taskId);
+  return job?.wallet_address != null && job.wallet_address.toLowerCase() === wallet;
+}
+
+/**
+ * GET /tx/:id
+ * Returns { id, kind, status: pending|confirmed|failed|dropped, txHash, previousHashes, nonce, ... }.
+ * Requires a SIWE session of a wallet that may see the transaction (see maySeeTx).
+ */
+export async function getTx(req, res) {
+  try {
+    const id = req.params?.id;
+    if (!id || !/^[0-9a-f-]{36}$/i.test(id)) {
+      res.status(400).json({ error: "Invalid transaction id" });
+      return;
+    }
+    const record = await getTrackedTx(id);
+    if (!record) {
+      res.status(404).json({ error: "Transaction not found" });
+      return;
+    }
+    if (!(await maySeeTx(record, req.wallet))) {
+      res.status(403).json({ error: "Transaction belongs to another wallet" });
+      return;
+    }
+    res.json(txRecordToJson(record));
+  } catch (err) {
+    log.error("getTx error:", err);
+    res.status(500).json({ error: err.message || "Failed to get transaction" });
+  }
+}
+
+export function txRecordToJson(record) {
+  return {
+    id: record.id,
+    kind: record.kind,
+    status: record.status,
+    chainId: record.chainId,
+    from: record.from,
+    to: record.to,
+    nonce: record.nonce,
+    txHash: record.hash,
+    explorerUrl: record.chainId != null ? explorerTxUrl(getNetwork(record.chainId), record.hash) : null,
+    previousHashes: record.previousHashes ?? [],
+    replacements: record.replacements ?? 0,
+    maxFeePerGas: record.maxFeePerGas,
+    maxPriorityFeePerGas: record.maxPriorityFeePerGas,
+    blockNumber: record.blockNumber ?? null,
+    error: record.error ?? null,
+    meta: record.meta ?? null,
+    sentAt: record.sentAt ?? null,
+    minedAt: record.minedAt ?? null,
+    createdAt: record.createdAt ?? null,
+    updatedAt: record.updatedAt ?? null,
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * Webhook subscriptions API (see webhooks.js for events, signing and retries).
+ * All routes require a SIWE session and only see subscriptions owned by that wallet; they answer 503 without Postgres.
+ */
+import crypto from "crypto";
+import * as db from "../db.js";
+import { WEBHOOK_EVENTS, getWebhookConfig, generateWebhookSecret, replayWebhookDelivery, assertWebhookUrl } from "../webhooks.js";
+import { createLogger } from "../logger.js";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_SUBSCRIPTIONS_PER_WALLET = 20;
+
+const log = createLogger("webhooks");
+
+function dbNotConfigured(res) {
+  res.status(503).json({ error: "Database not configured. Set DATABASE_URL or PGHOST/PGDATABASE." });
+}
+
+/** Error message for an invalid receiver URL (scheme, or a host that isn't public), or null. */
+async function checkUrl(url) {
+  if (typeof url !== "string" || url.trim() === "") return "Missing url";
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return "Invalid url";
+  }
+  if (parsed.protocol !== "https:" && !(parsed.protocol === "http:" && getWebhookConfig().allowHttp)) {
+    return "url must use https (set WEBHOOK_ALLOW_HTTP=true to allow http)";
+  }
+  try {
+    await assertWebhookUrl(parsed.toString());
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/** Error message for an invalid events list, or null. */
+function checkEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) return "events must be a non-empty array";
+  const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) return `Unknown event(s): ${unknown.join(", ")}. Known: ${WEBHOOK_EVENTS.join(", ")}`;
+  return null;
+}
+
+function checkDescription(description) {
+  if (description == null) return null;
+  if (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH) {
+    return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+}
+
+/** The caller's subscription for req.params.id; sends 404 and returns null otherwise. */
+async function ownSubscription(req, res) {
+  const id = req.params?.id;
+  const row = UUID_PATTERN.test(id ?? "") ? await db.getWebhookSubscription(id) : null;
+  if (!row || row.wallet_address !== req.wallet) {
+    res.status(404).json({ error: "Webhook not found" });
+    return null;
+  }
+  return row;
+}
+
+/**
+ * GET /webhooks
+ * Returns the signed-in wallet's subscriptions (without secrets), newest first.
+ */
+export async function getWebhooks(req, res) {
+  try {
+    if (!db.isDbConfigured()) return dbNotConfigured(res);
+    const rows = await db.listWebhookSubscriptions(req.wallet);
+    res.json(rows.map((row) => subscriptionToJson(row)));
+  } catch (err) {
+    log.error("getWebhooks error:", err);
+    res.status(500).json({ error: err.message || "Failed to list webhooks" });
+  }
+}
+
+/**
+ * POST /webhooks
+ * Body: { url, events: [...], description?, scope?: "wallet" | "all" }
+ * scope "all" (every wallet's events, plus treasury_low) is limited to WEBHOOK_ADMIN_WALLETS.
+ * Returns 201 with the subscription and its signing `secret`, which is not shown again.
+ */
+export async function postWebhook(req, res) {
+  try {
+    if (!db.isDbConfigured()) return dbNotConfigured(res);
+    const { url, events, description = null, scope = "wallet" } = req.body || {};
+    const urlError = await checkUrl(url);
+    if (urlError) {
+      res.status(400).json({ error: urlError, code: "WEBHOOK_URL_INVALID" });
+      return;
+    }
+    const error = checkEvents(events) ?? checkDescription(description);
+    if (error) {
+      res.status(400).json({ error, code: "INVALID_REQUEST" });
+      return;
+    }
+    if (!["wallet", "all"].includes(scope)) {
+      res.status(400).json({ error: 'scope must be "wallet" or "all"', code: "INVALID_REQUEST" });
+      return;
+    }
+    if (scope === "all" && !getWebhookConfig().adminWallets.includes(req.wallet)) {
+      res.status(403).json({ error: 'Only WEBHOOK_ADMIN_WALLETS can subscribe with scope "all"' });
+      return;
+    }
+    if ((await db.listWebhookSubscriptions(req.wallet)).length >= MAX_SUBSCRIPTIONS_PER_WALLET) {
+      res.status(409).json({ error: `At most ${MAX_SUBSCRIPTIONS_PER_WALLET} webhooks per wallet`, code: "WEBHOOK_LIMIT" });
+      return;
+    }
+    const row = await db.createWebhookSubscription({
+      id: crypto.randomUUID(),
+      walletAddress: req.wallet,
+      url: url.trim(),
+      events: [...new Set(events)],
+      secret: generateWebhookSecret(),
+      scope,
+      description,
+    });
+    log("created", { webhookId: row.id, events: row.events, scope });
+    res.status(201).json(subscriptionToJson(row, { withSecret: true }));
+  } catch (err) {
+    log.error("postWebhook error:", err);
+    res.status(500).json({ error: err.message || "Failed to create webhook" });
+  }
+}
+
+/** GET /webhooks/:id */
+export async function getWebhook(req, res) {
+  try {
+    if (!db.isDbConfigured()) return dbNotConfigured(res);
+    const row = await ownSubscription(req, res);
+    if (!row) return;
+    res.json(subscriptionToJson(row));
+  } catch (err) {
+    log.error("getWebhook error:", err);
+    res.status(500).json({ error: err.message || "Failed to get webhook" });
+  }
+}
+
+/**
+ * PATCH /webhooks/:id
+ * Body: { url?, events?, description?, active?, rotateSecret? }
+ * rotateSecret: true issues a new secret, returned once in the response.
+ */
+export async function patchWebhook(req, res) {
+  try {
+    if (!db.isDbConfigured()) return dbNotConfigured(res);
+    const existing = await ownSubscription(req, res);
+    if (!existing) return;
+    const { url, events, description, active, rotateSecret } = req.body || {};
+    const urlError = url !== undefined ? await checkUrl(url) : null;
+    if (urlError) {
+      res.status(400).json({ error: urlError, code: "WEBHOOK_URL_INVALID" });
+      return;
+    }
+    const error =
+      (events !== undefined ? checkEvents(events) : null) ??
+      checkDescription(description) ??
+      (active !== undefined && typeof active !== "boolean" ? "active must be a boolean" : null);
+    if (error) {
+      res.status(400).json({ error, code: "INVALID_REQUEST" });
+      return;
+    }
+    const updates = {
+      url: url?.trim(),
+      events: events ? [...new Set(events)] : undefined,
+      description,
+      active,
+      secret: rotateSecret === true ? generateWebhookSecret() : undefined,
+    };
+    const row = await db.updateWebhookSubscription(existing.id, updates);
+    if (updates.secret) log("secret rotated", { webhookId: row.id });
+    res.json(subscriptionToJson(row, { withSecret: updates.secret != null }));
+  } catch (err) {
+    log.error("patchWebhook error:", err);
+    res.status(500).json({ error: err.message || "Failed to update webhook" });
+  }
+}
+
+/** DELETE /webhooks/:id — removes the subscription and its delivery log. */
+export async function deleteWebhook(req, res) {
+  try {
+    if (!db.isDbConfigured()) return dbNotConfigured(res);
+    const existing = await ownSubscription(req, res);
+    if (!existing) return;
+    await db.deleteWebhookSubscription(existing.id);
+    log("deleted", { webhookId: existing.id });
+    res.status(204).end();
+  } catch (err) {
+    log.error("deleteWebhook error:", err);
+    res.status(500).json({ error: err.message || "Failed to delete webhook" });
+  }
+}
+
+/**
+ * GET /webhooks/:id/deliveries
+ * Query: status? (pending | delivered | failed), limit? (default 50, max 200), offset?
+ * Returns { deliveries: [...], total, limit, offset }, newest first.
+ */
+export async function getWebhookDeliveries(req, res) {
+  try {
+    if (!db.isDbConfigured()) return dbNotConfigured(res);
+    const subscription = await ownSubscription(req, res);
+    if (!subscription) return;
+    const status = req.query?.status ? String(req.query.status) : null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(", ")}`, code: "INVALID_REQUEST" });
+      return;
+    }
+    const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query?.offset) || 0, 0);
+    const { rows, total } = await db.listWebhookDeliveries(subscription.id, { status, limit, offset });
+    res.json({ deliveries: rows.map(deliveryToJson), total, limit, offset });
+  } catch (err) {
+    log.error("getWebhookDeliveries error:", err);
+    res.status(500).json({ error: err.message || "Failed to list deliveries" });
+  }
+}
+
+/**
+ * POST /webhooks/:id/deliveries/:deliveryId/replay
+ * Queues the delivery's payload again (new delivery id, replayOf set) and returns 202 with the new delivery.
+ */
+export async function postReplayWebhookDelivery(req, res) {
+  try {
+    if (!db.isDbConfigured()) return dbNotConfigured(res);
+    const subscription = await ownSubscription(req, res);
+    if (!subscription) return;
+    const { deliveryId } = req.params;
+    const delivery = UUID_PATTERN.test(deliveryId ?? "") ? await db.getWebhookDelivery(deliveryId) : null;
+    if (!delivery || delivery.subscription_id !== subscription.id) {
+      res.status(404).json({ error: "Delivery not found" });
+      return;
+    }
+    if (!subscription.active) {
+      res.status(409).json({ error: "Webhook is disabled; enable it before replaying", code: "WEBHOOK_DISABLED" });
+      return;
+    }
+    const row = await replayWebhookDelivery(delivery);
+    log("replay queued", { webhookId: subscription.id, deliveryId: row.id, replayOf: delivery.id });
+    res.status(202).json(deliveryToJson(row));
+  } catch (err) {
+    log.error("postReplayWebhookDelivery error:", err);
+    res.status(500).json({ error: err.message || "Failed to replay delivery" });
+  }
+}
+
+function subscriptionToJson(row, { withSecret = false } = {}) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events,
+    scope: row.scope,
+    description: row.description ?? null,
+    active: row.active,
+    ...(withSecret && { secret: row.secret }),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function deliveryToJson(row) {
+  return {
+    id: row.id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === "pending" ? row.next_attempt_at : null,
+    lastStatusCode: row.last_status_code ?? null,
+    lastError: row.last_error ?? null,
+    replayOf: row.replay_of ?? null,
+    payload: row.payload,
+    deliveredAt: row.delivered_at ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
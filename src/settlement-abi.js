@@ -0,0 +1,59 @@
+/**
+ * ABI of the deployed Settlement contract, shared by the routes that call it and the indexer that decodes its logs.
+ * SETTLEMENT_ABI_PATH points at the contract's compiled ABI: a Hardhat/Foundry artifact ({ abi: [...] }) or a bare
+ * ABI array; the indexer then names exactly the events the deployed contract declares. Without it a built-in ABI is
+ * used: the functions the backend calls plus the event and error signatures it expects, which can't name events
+ * a different contract version emits. The file must have settleBatch, token and deposit; it is read once, at
+ * startup, and a missing or unusable file stops the process rather than mis-decoding the chain.
+ */
+import fs from "fs";
+import { ethers } from "ethers";
+
+const BUILT_IN_ABI = [
+  "function settleBatch(address[] calldata recipients, uint256[] calldata amounts, bytes calldata attestation) external",
+  "function token() external view returns (address)",
+  "function deposit(uint256 amount) external",
+  "event BatchSettled(bytes32 indexed attestationHash, uint256 recipientCount, uint256 totalAmount)",
+  "event Settled(address indexed recipient, uint256 amount)",
+  "event Deposited(address indexed from, uint256 amount)",
+  "event Deposit(address indexed from, uint256 amount)",
+  "error InsufficientBalance()",
+  "error AttestationAlreadyUsed()",
+  "error OnlyExecutor()",
+];
+
+/** Errors a settleBatch/deposit can bubble up from the token (OpenZeppelin ERC20/SafeERC20), decoded alongside the contract's own. */
+const TOKEN_ERRORS_ABI = [
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error SafeERC20FailedOperation(address token)",
+];
+
+const REQUIRED_FUNCTIONS = ["settleBatch", "token", "deposit"];
+
+function loadAbi(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`SETTLEMENT_ABI_PATH: cannot read ${file}: ${e.message}`);
+  }
+  const abi = Array.isArray(parsed) ? parsed : parsed?.abi;
+  if (!Array.isArray(abi)) throw new Error(`SETTLEMENT_ABI_PATH: ${file} has no ABI array (expected [...] or { abi: [...] })`);
+  return abi;
+}
+
+function buildInterface() {
+  const file = process.env.SETTLEMENT_ABI_PATH?.trim();
+  const contractAbi = file ? loadAbi(file) : BUILT_IN_ABI;
+  const contract = new ethers.Interface(contractAbi);
+  const missing = REQUIRED_FUNCTIONS.filter((name) => !contract.getFunction(name));
+  if (missing.length > 0) throw new Error(`SETTLEMENT_ABI_PATH: ${file} lacks ${missing.join(", ")}`);
+  // Token errors the contract ABI already declares are kept as declared.
+  const tokenErrors = TOKEN_ERRORS_ABI.filter((fragment) => !contract.getError(ethers.ErrorFragment.from(fragment).name));
+  return new ethers.Interface([...contract.fragments, ...tokenErrors]);
+}
+
+/** Settlement contract interface: its functions, events and errors, plus the token errors it can revert with. */
+export const settlementInterface = buildInterface();
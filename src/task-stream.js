@@ -0,0 +1,175 @@
+/**
+ * Live task progress for Server-Sent Events. One TaskWatcher per task observes iExec and fans its events out to
+ * every connected client, so N browsers watching a task cost one observer.
+ *
+ * Events (SSE `event:` name, JSON `data:`):
+ *   deal_matched (id 1), active (id 2), revealing (id 3)   { taskId, status, statusName }
+ *   completed | failed | timeout (id 4)                    { taskId, status, statusName }
+ *   result (id 5)                                          { taskId, result } once a completed task's result is parsed
+ *   error                                                  { taskId, error } when observing fails; the stream ends
+ *   end                                                    {} the task reached its final state; clients should close
+ * Ids follow the task's progress rather than a per-connection counter, so a client reconnecting with
+ * Last-Event-ID only gets the states it hasn't seen, even if the watcher was restarted in between.
+ *
+ * Env: SSE_HEARTBEAT_MS (default 15s), SSE_RETAIN_MS (default 5 min: finished watchers kept for replays).
+ */
+import { observeTask, fetchTaskResult } from "./iexec-client.js";
+import { createLogger } from "./logger.js";
+
+const DEFAULT_HEARTBEAT_MS = 15 * 1000;
+const DEFAULT_RETAIN_MS = 5 * 60 * 1000;
+
+const STATE_EVENTS = { 0: "deal_matched", 1: "active", 2: "revealing" };
+const FINAL_EVENTS = { TASK_COMPLETED: "completed", TASK_FAILED: "failed", TASK_TIMEDOUT: "timeout" };
+const EVENT_IDS = { deal_matched: 1, active: 2, revealing: 3, completed: 4, failed: 4, timeout: 4, result: 5 };
+
+const watchers = new Map(); // taskId -> TaskWatcher
+
+const log = createLogger("task-stream");
+
+export function getTaskStreamConfig() {
+  return {
+    heartbeatMs: Number(process.env.SSE_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS,
+    retainMs: Number(process.env.SSE_RETAIN_MS) || DEFAULT_RETAIN_MS,
+  };
+}
+
+/** Event name for an obsTask notification, or null for states we don't report. */
+function eventName({ message, task }) {
+  return FINAL_EVENTS[message] ?? STATE_EVENTS[task?.status] ?? null;
+}
+
+/** Shared observer of one task. Subscribers are functions called with each { id, event, data }. */
+export class TaskWatcher {
+  constructor(taskId, dealId) {
+    this.taskId = taskId;
+    this.dealId = dealId ?? null;
+    this.events = [];
+    this.subscribers = new Set();
+    this.finished = false;
+    this.stopped = false;
+    this.unsubscribe = null;
+    this.retainTimer = null;
+  }
+
+  emit(event, data) {
+    const entry = { id: EVENT_IDS[event] ?? null, event, data };
+    if (entry.id != null) {
+      // The observer re-reports the current state after a restart; keep one entry per id.
+      if (this.events.some((e) => e.id === entry.id)) return;
+      this.events.push(entry);
+    }
+    for (const fn of this.subscribers) fn(entry);
+  }
+
+  start() {
+    log("observing task", { taskId: this.taskId });
+    observeTask(this.taskId, this.dealId, {
+      next: (notification) => {
+        const event = eventName(notification);
+        if (!event) return;
+        const { status, statusName } = notification.task ?? {};
+        this.emit(event, { taskId: this.taskId, status, statusName: statusName ?? null });
+        if (event === "completed") this.emitResult();
+        else if (FINAL_EVENTS[notification.message]) this.finish();
+      },
+      error: (e) => {
+        log.warn("observer error:", e?.message ?? e, { taskId: this.taskId });
+        this.emit("error", { taskId: this.taskId, error: e?.message ?? String(e) });
+        this.finish({ keep: false });
+      },
+      complete: () => {},
+    })
+      .then((unsubscribe) => {
+        // stop() may have run while the observer was being set up; don't leave it running.
+        if (this.stopped) unsubscribe();
+        else this.unsubscribe = unsubscribe;
+      })
+      .catch((e) => {
+        this.emit("error", { taskId: this.taskId, error: e?.message ?? String(e) });
+        this.finish({ keep: false });
+      });
+  }
+
+  async emitResult() {
+    try {
+      const { result } = await fetchTaskResult(this.taskId);
+      this.emit("result", { taskId: this.taskId, result });
+    } catch (e) {
+      this.emit("error", { taskId: this.taskId, error: `Could not fetch result: ${e.message}` });
+    }
+    this.finish();
+  }
+
+  /** Tell subscribers the stream is over and stop observing. keep: retain the events for Last-Event-ID replays. */
+  finish({ keep = true } = {}) {
+    if (this.finished) return;
+    this.finished = true;
+    this.emit("end", {});
+    this.subscribers.clear();
+    this.stop();
+    if (keep) {
+      this.retainTimer = setTimeout(() => this.drop(), getTaskStreamConfig().retainMs).unref();
+    } else {
+      this.drop();
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  drop() {
+    if (this.retainTimer) clearTimeout(this.retainTimer);
+    if (watchers.get(this.taskId) === this) watchers.delete(this.taskId);
+  }
+
+  /**
+   * Replay events after lastEventId, then deliver new ones to fn until the task ends or the returned
+   * unsubscribe function is called. The last subscriber leaving a running task stops its observer.
+   */
+  subscribe(fn, lastEventId = 0) {
+    for (const entry of this.events) {
+      if (entry.id > lastEventId) fn(entry);
+    }
+    if (this.finished) {
+      fn({ id: null, event: "end", data: {} });
+      return () => {};
+    }
+    this.subscribers.add(fn);
+    return () => {
+      this.subscribers.delete(fn);
+      if (this.subscribers.size === 0 && !this.finished) {
+        log("no more clients, stopping", { taskId: this.taskId });
+        this.stop();
+        this.drop();
+      }
+    };
+  }
+}
+
+/** Watcher for a task, shared by all clients; started on first use. dealId is only needed before the task is initialized. */
+export function getTaskWatcher(taskId, dealId) {
+  let watcher = watchers.get(taskId);
+  if (!watcher) {
+    watcher = new TaskWatcher(taskId, dealId);
+    watchers.set(taskId, watcher);
+    watcher.start();
+  }
+  return watcher;
+}
+
+/** Number of tasks currently observed (finished ones kept for replay included). */
+export function watchedTaskCount() {
+  return watchers.size;
+}
+
+/** Write one event in SSE wire format. */
+export function writeSseEvent(res, { id, event, data }) {
+  let frame = "";
+  if (id != null) frame += `id: ${id}\n`;
+  frame += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  res.write(frame);
+}
@@ -0,0 +1,51 @@
+/**
+ * The token each network settles in: its address (NETWORK_<chainId>_TOKEN_ADDRESS / TEST_USDC_ADDRESS when set,
+ * else the Settlement contract's token()) and its ERC-20 decimals(), symbol() and name(). Both are read from the
+ * chain once and cached per network, so amounts are parsed and formatted (money.js) with the token's own decimals
+ * instead of assuming 6-decimal USDC. A failed read is not cached; the next call tries again.
+ */
+import { ethers } from "ethers";
+import { getProvider } from "./networks.js";
+import { settlementInterface } from "./settlement-abi.js";
+
+const TOKEN_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function name() view returns (string)",
+];
+
+const tokenAddresses = new Map(); // "chainId:settlementAddress" -> Promise<address>
+const metadata = new Map(); // "chainId:tokenAddress" -> Promise<{ address, decimals, symbol, name }>
+
+function cached(map, key, load) {
+  let entry = map.get(key);
+  if (!entry) {
+    entry = load();
+    map.set(key, entry);
+    entry.catch(() => map.delete(key));
+  }
+  return entry;
+}
+
+/** Token the network's Settlement contract pays out: the configured address, else read from the contract. */
+export async function resolveTokenAddress(network) {
+  if (network.tokenAddress) return network.tokenAddress;
+  if (!network.settlementAddress) throw new Error(`No token or Settlement contract configured for ${network.name}`);
+  return cached(tokenAddresses, `${network.chainId}:${network.settlementAddress.toLowerCase()}`, () =>
+    new ethers.Contract(network.settlementAddress, settlementInterface, getProvider(network)).token()
+  );
+}
+
+/**
+ * { address, decimals, symbol, name } of the network's token, or of tokenAddress on that network when given.
+ * symbol and name are null for tokens that don't implement them (both are optional in ERC-20).
+ */
+export async function getTokenMetadata(network, tokenAddress = null) {
+  const address = ethers.getAddress(tokenAddress ?? (await resolveTokenAddress(network)));
+  return cached(metadata, `${network.chainId}:${address.toLowerCase()}`, async () => {
+    const token = new ethers.Contract(address, TOKEN_ABI, getProvider(network));
+    const optional = (read) => read().catch(() => null);
+    const [decimals, symbol, name] = await Promise.all([token.decimals(), optional(token.symbol), optional(token.name)]);
+    return { address, decimals: Number(decimals), symbol, name };
+  });
+}
@@ -0,0 +1,332 @@
+/**
+ * Transaction manager for the backend's hot keys (settlement executor, faucet).
+ * - One manager per (network, address): submissions are serialised and nonces assigned locally,
+ *   so concurrent requests using the same key never collide. It talks to the network's provider
+ *   (networks.js getProvider), so every RPC URL configured for the network is used, with fallback.
+ * - EIP-1559 fees capped by TX_MAX_FEE_GWEI / TX_MAX_PRIORITY_FEE_GWEI.
+ * - Every tx is signed first and recorded as pending with its nonce and hash (memory, plus Postgres when
+ *   configured) before it is broadcast, so a crash right after sending can't lose track of it.
+ *   It is returned with an id right away.
+ * - A monitor loop confirms pending txs and re-sends the same nonce with bumped fees once a tx has
+ *   been pending longer than TX_STUCK_AFTER_MS.
+ * Outcomes are emitted on txEvents ("confirmed", "failed", "replaced", "dropped") with the record.
+ */
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import * as db from "./db.js";
+import { getProvider } from "./networks.js";
+import { createLogger } from "./logger.js";
+
+const DEFAULT_STUCK_AFTER_MS = 3 * 60 * 1000;
+const DEFAULT_MONITOR_INTERVAL_MS = 15 * 1000;
+const DEFAULT_FEE_BUMP_PERCENT = 20; // nodes require >= 10% to accept a replacement
+const GAS_LIMIT_MARGIN_PERCENT = 20;
+const MAX_RECORDS_IN_MEMORY = 1000;
+
+export const txEvents = new EventEmitter();
+
+const managers = new Map(); // `${chainId}|${address}` -> TxManager
+const records = new Map(); // id -> record (in-process view; Postgres is the durable copy)
+let monitorTimer = null;
+
+const log = createLogger("tx");
+
+function gweiEnv(name) {
+  const v = process.env[name];
+  if (v == null || String(v).trim() === "") return null;
+  return ethers.parseUnits(String(v).trim(), "gwei");
+}
+
+export function getTxConfig() {
+  return {
+    maxFeePerGasCap: gweiEnv("TX_MAX_FEE_GWEI"),
+    maxPriorityFeePerGasCap: gweiEnv("TX_MAX_PRIORITY_FEE_GWEI"),
+    stuckAfterMs: Number(process.env.TX_STUCK_AFTER_MS) || DEFAULT_STUCK_AFTER_MS,
+    monitorIntervalMs: Number(process.env.TX_MONITOR_INTERVAL_MS) || DEFAULT_MONITOR_INTERVAL_MS,
+    feeBumpPercent: Number(process.env.TX_FEE_BUMP_PERCENT) || DEFAULT_FEE_BUMP_PERCENT,
+  };
+}
+
+function minBigInt(a, b) {
+  if (b == null) return a;
+  return a < b ? a : b;
+}
+
+function bump(value, percent) {
+  return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+/** Keep a record in memory, evicting the oldest finished ones beyond MAX_RECORDS_IN_MEMORY. */
+function rememberRecord(record) {
+  records.set(record.id, record);
+  if (records.size <= MAX_RECORDS_IN_MEMORY) return;
+  for (const [id, r] of records) {
+    if (r.status !== "pending") records.delete(id);
+    if (records.size <= MAX_RECORDS_IN_MEMORY) break;
+  }
+}
+
+async function saveRecord(record, updates) {
+  Object.assign(record, updates, { updatedAt: Date.now() });
+  if (db.isDbConfigured()) {
+    await db.updateTx(record.id, updates).catch((e) => log("could not persist tx", record.id, e.message));
+  }
+}
+
+class TxManager {
+  constructor(network, privateKey) {
+    this.provider = getProvider(network);
+    this.wallet = new ethers.Wallet(privateKey, this.provider);
+    this.address = this.wallet.address;
+    this.chainId = network.chainId;
+    this.nextNonce = null;
+    this.queue = Promise.resolve();
+    this.pending = new Map(); // id -> record
+  }
+
+  /** Run fn after every earlier submission from this key has been sent. */
+  serialise(fn) {
+    const run = this.queue.then(fn, fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async getChainId() {
+    return this.chainId;
+  }
+
+  async fees() {
+    const { maxFeePerGasCap, maxPriorityFeePerGasCap } = getTxConfig();
+    const feeData = await this.provider.getFeeData();
+    const maxFee = minBigInt(feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n, maxFeePerGasCap);
+    const priority = minBigInt(minBigInt(feeData.maxPriorityFeePerGas ?? 0n, maxPriorityFeePerGasCap), maxFee);
+    return { maxFeePerGas: maxFee, maxPriorityFeePerGas: priority };
+  }
+
+  /** Sign the record's tx with the given fees. Returns { signed, hash } without sending anything. */
+  async sign(record, fees) {
+    const signed = await this.wallet.signTransaction({
+      type: 2,
+      chainId: record.chainId,
+      nonce: record.nonce,
+      to: record.to,
+      data: record.data,
+      value: BigInt(record.value),
+      gasLimit: BigInt(record.gasLimit),
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+    });
+    return { signed, hash: ethers.keccak256(signed) };
+  }
+
+  async broadcast(signed) {
+    await this.provider.broadcastTransaction(signed);
+  }
+
+  /**
+   * Estimate, sign, record and broadcast a transaction. Resolves once it is in the mempool with the stored record
+   * ({ id, hash, nonce, status: "pending", ... }). Reverts detected by estimateGas reject here, before any send;
+   * so does a failure to store the record. A rejected broadcast marks the record failed.
+   * precheck, when given, runs first inside the serialised section, so every earlier submission from this key is
+   * already in pendingTxs(); throwing from it cancels the submission.
+   */
+  submit({ kind, to, data, value = 0n, meta = null, precheck = null }) {
+    return this.serialise(async () => {
+      if (precheck) await precheck();
+      const chainId = await this.getChainId();
+      const estimate = await this.provider.estimateGas({ from: this.address, to, data, value });
+      const gasLimit = (estimate * BigInt(100 + GAS_LIMIT_MARGIN_PERCENT)) / 100n;
+      const fees = await this.fees();
+      const chainNonce = await this.provider.getTransactionCount(this.address, "pending");
+      const nonce = Math.max(this.nextNonce ?? 0, chainNonce);
+
+      const record = {
+        id: crypto.randomUUID(),
+        kind,
+        chainId,
+        from: this.address.toLowerCase(),
+        to: ethers.getAddress(to),
+        nonce,
+        data,
+        value: BigInt(value).toString(),
+        gasLimit: gasLimit.toString(),
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        hash: null,
+        previousHashes: [],
+        replacements: 0,
+        status: "pending",
+        meta,
+        error: null,
+        revertData: null,
+        blockNumber: null,
+        sentAt: Date.now(),
+        minedAt: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+      const { signed, hash } = await this.sign(record, fees);
+      record.hash = hash;
+      if (db.isDbConfigured()) await db.insertTx(record);
+      rememberRecord(record);
+      try {
+        await this.broadcast(signed);
+      } catch (e) {
+        // The node may have taken it anyway (e.g. only the response was lost); then it is pending like any other.
+        if (!(await this.provider.getTransaction(hash).catch(() => null))) {
+          // Our view of the nonce may be stale (e.g. key used elsewhere): re-read it next time.
+          this.nextNonce = null;
+          await saveRecord(record, { status: "failed", error: `Broadcast failed: ${e.shortMessage ?? e.message}` });
+          throw e;
+        }
+        log.warn(kind, "broadcast reported an error but the node has the tx | id:", record.id, "| hash:", hash);
+      }
+      this.nextNonce = nonce + 1;
+      this.pending.set(record.id, record);
+      log(kind, "sent | id:", record.id, "| nonce:", nonce, "| hash:", record.hash);
+      return record;
+    });
+  }
+
+  /** Re-send a stuck tx with the same nonce and fees bumped by TX_FEE_BUMP_PERCENT (within the caps). */
+  async replace(record) {
+    const { feeBumpPercent, maxFeePerGasCap, maxPriorityFeePerGasCap } = getTxConfig();
+    const current = await this.fees();
+    const bumpedMax = bump(BigInt(record.maxFeePerGas), feeBumpPercent);
+    const bumpedPriority = bump(BigInt(record.maxPriorityFeePerGas), feeBumpPercent);
+    const maxFeePerGas = minBigInt(current.maxFeePerGas > bumpedMax ? current.maxFeePerGas : bumpedMax, maxFeePerGasCap);
+    const maxPriorityFeePerGas = minBigInt(minBigInt(bumpedPriority, maxPriorityFeePerGasCap), maxFeePerGas);
+    if (maxFeePerGas < bumpedMax || maxPriorityFeePerGas < bumpedPriority) {
+      if (record.error !== "Stuck: fee cap reached, cannot replace") {
+        await saveRecord(record, { error: "Stuck: fee cap reached, cannot replace" });
+        log(record.kind, "stuck at fee cap | id:", record.id, "| nonce:", record.nonce);
+      }
+      return;
+    }
+    const { signed, hash } = await this.sign(record, { maxFeePerGas, maxPriorityFeePerGas });
+    // Record the replacement before sending it; the old hashes stay in previousHashes in case it never lands.
+    const previousHashes = [...record.previousHashes, record.hash];
+    await saveRecord(record, {
+      hash,
+      previousHashes,
+      replacements: record.replacements + 1,
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+      sentAt: Date.now(),
+      error: null,
+    });
+    await this.serialise(() => this.broadcast(signed));
+    log(record.kind, "replaced | id:", record.id, "| nonce:", record.nonce, "| hash:", hash);
+    txEvents.emit("replaced", record);
+  }
+
+  async finish(record, receipt) {
+    const ok = receipt.status === 1;
+    let revertData = null;
+    if (!ok) {
+      // Replay the call to capture the revert data for decoding by the caller.
+      try {
+        await this.provider.call({ from: record.from, to: record.to, data: record.data, value: BigInt(record.value), blockTag: receipt.blockNumber });
+      } catch (e) {
+        revertData = e.data ?? e.info?.error?.data ?? null;
+      }
+    }
+    await saveRecord(record, {
+      status: ok ? "confirmed" : "failed",
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      minedAt: Date.now(),
+      revertData,
+      error: ok ? null : "Transaction reverted",
+    });
+    this.pending.delete(record.id);
+    log(record.kind, ok ? "confirmed" : "reverted", "| id:", record.id, "| hash:", receipt.hash);
+    txEvents.emit(ok ? "confirmed" : "failed", record);
+  }
+
+  /** This key's txs sent and not yet mined, failed or dropped. */
+  pendingTxs() {
+    return [...this.pending.values()];
+  }
+
+  /** Check each pending tx once: record mined ones, replace stuck ones, drop ones whose nonce was used elsewhere. */
+  async checkPending() {
+    if (this.pending.size === 0) return;
+    const { stuckAfterMs } = getTxConfig();
+    const latestNonce = await this.provider.getTransactionCount(this.address, "latest");
+    for (const record of [...this.pending.values()]) {
+      try {
+        let receipt = null;
+        for (const hash of [record.hash, ...record.previousHashes]) {
+          receipt = await this.provider.getTransactionReceipt(hash);
+          if (receipt) break;
+        }
+        if (receipt) {
+          await this.finish(record, receipt);
+        } else if (latestNonce > record.nonce) {
+          await saveRecord(record, { status: "dropped", error: "Nonce used by another transaction" });
+          this.pending.delete(record.id);
+          log(record.kind, "dropped | id:", record.id, "| nonce:", record.nonce);
+          txEvents.emit("dropped", record);
+        } else if (Date.now() - record.sentAt > stuckAfterMs) {
+          await this.replace(record);
+        }
+      } catch (e) {
+        log.warn("check failed | id:", record.id, e.shortMessage ?? e.message);
+      }
+    }
+  }
+
+  /** Load this key's pending txs from Postgres (after a restart). */
+  async resume() {
+    if (!db.isDbConfigured()) return;
+    const chainId = await this.getChainId();
+    for (const record of await db.listPendingTxs(this.address, chainId)) {
+      if (!this.pending.has(record.id)) {
+        rememberRecord(record);
+        this.pending.set(record.id, record);
+      }
+    }
+  }
+}
+
+/** Shared manager for a key on a network. Keys are deduplicated by address, so executor and faucet share nonces when equal. */
+export function getTxManager(network, privateKey) {
+  const address = new ethers.Wallet(privateKey).address.toLowerCase();
+  const key = `${network.chainId}|${address}`;
+  if (!managers.has(key)) managers.set(key, new TxManager(network, privateKey));
+  return managers.get(key);
+}
+
+/** Look up a tracked transaction by id (memory first, then Postgres). */
+export async function getTrackedTx(id) {
+  if (records.has(id)) return records.get(id);
+  if (!db.isDbConfigured()) return null;
+  return db.getTx(id);
+}
+
+/**
+ * Start the monitor loop for the given signers ([{ network, privateKey }]), resuming their pending txs from Postgres.
+ */
+export async function startTxMonitor(signers) {
+  if (monitorTimer) return;
+  const { monitorIntervalMs } = getTxConfig();
+  for (const { network, privateKey } of signers) {
+    if (!network.rpc || !privateKey) continue;
+    await getTxManager(network, privateKey).resume().catch((e) => log.warn("resume failed:", e));
+  }
+  const tick = async () => {
+    for (const manager of managers.values()) {
+      await manager.checkPending().catch((e) => log.error("monitor error:", e));
+    }
+    if (monitorTimer) monitorTimer = setTimeout(tick, monitorIntervalMs).unref();
+  };
+  monitorTimer = setTimeout(tick, monitorIntervalMs).unref();
+  log("monitor started, interval:", monitorIntervalMs, "ms");
+}
+
+export function stopTxMonitor() {
+  if (monitorTimer) clearTimeout(monitorTimer);
+  monitorTimer = null;
+}
@@ -0,0 +1,260 @@
+/**
+ * Outbound webhooks: subscriptions (webhook_subscriptions) get a signed POST for each event they asked for,
+ * queued in webhook_deliveries and retried with exponential backoff until the receiver answers 2xx.
+ *
+ * Events:
+ *   job_submitted        { walletAddress, job }  a new job row (createJob); job as returned by GET /jobs
+ *   job_completed        { walletAddress, job }  the job's result was recorded
+ *   job_failed           { walletAddress, job }  the job moved to failed or timeout
+ *   settlement_executed  { taskId, txId, txHash, chainId, blockNumber, explorerUrl }  a settleBatch was mined
+ *   treasury_low         { chainId, settlementAddress, balanceRaw, balanceFormatted, thresholdRaw }
+ *                        the treasury dropped below WEBHOOK_TREASURY_LOW_THRESHOLD (scope "all" only)
+ * A subscription with scope "wallet" only gets events about its own wallet's jobs and settlements (a job's
+ * settlement_executed goes to the job's wallet, also when an operator executed it); scope "all"
+ * (WEBHOOK_ADMIN_WALLETS only) gets every event.
+ *
+ * Request: POST url, body { id, event, createdAt, data }, headers X-ShadowSettle-Event, X-ShadowSettle-Delivery,
+ * X-ShadowSettle-Timestamp (unix seconds) and X-ShadowSettle-Signature: sha256=<hex HMAC-SHA256 of
+ * "<timestamp>.<raw body>" keyed with the subscription secret>.
+ *
+ * Env: WEBHOOK_TIMEOUT_MS (default 10s), WEBHOOK_MAX_ATTEMPTS (default 8), WEBHOOK_RETRY_BASE_MS (default 30s,
+ * doubled per attempt up to 1h), WEBHOOK_DISPATCH_INTERVAL_MS (default 5s), WEBHOOK_ALLOW_HTTP (default false),
+ * WEBHOOK_ADMIN_WALLETS, WEBHOOK_TREASURY_LOW_THRESHOLD (token units, unset = no treasury_low).
+ */
+import crypto from "crypto";
+import * as db from "./db.js";
+import { webhookDeliveriesTotal } from "./metrics.js";
+import { jobRowToJson } from "./jobs.js";
+import { assertPublicUrl } from "./outbound-url.js";
+import { createLogger } from "./logger.js";
+
+export const WEBHOOK_EVENTS = ["job_submitted", "job_completed", "job_failed", "settlement_executed", "treasury_low"];
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_DISPATCH_INTERVAL_MS = 5 * 1000;
+const DISPATCH_BATCH = 20;
+const MAX_ERROR_LENGTH = 500;
+
+const FAILED_JOB_STATUSES = ["failed", "timeout"];
+
+let timer = null;
+let running = false;
+let kicked = false;
+
+const log = createLogger("webhooks");
+
+export function getWebhookConfig() {
+  const threshold = String(process.env.WEBHOOK_TREASURY_LOW_THRESHOLD ?? "").trim();
+  return {
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxAttempts: Math.max(1, Math.floor(Number(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS)),
+    retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS,
+    dispatchIntervalMs: Number(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || DEFAULT_DISPATCH_INTERVAL_MS,
+    allowHttp: ["1", "true", "yes"].includes(String(process.env.WEBHOOK_ALLOW_HTTP ?? "").toLowerCase()),
+    adminWallets: String(process.env.WEBHOOK_ADMIN_WALLETS ?? "")
+      .split(",")
+      .map((a) => a.trim().toLowerCase())
+      .filter(Boolean),
+    treasuryLowThreshold: /^\d+(\.\d+)?$/.test(threshold) ? threshold : null,
+  };
+}
+
+/** Secret for signing a subscription's deliveries; shown to its owner once. */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/** Value of the X-ShadowSettle-Signature header for a body sent at timestamp (unix seconds). */
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/** Delay before retry number `attempts` (1-based): base * 2^(attempts-1), capped at 1h, +/-20% jitter. */
+export function retryDelayMs(attempts, baseMs = getWebhookConfig().retryBaseMs) {
+  const delay = Math.min(baseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queue an event for every active subscription that wants it. wallet limits scope "wallet" subscriptions to
+ * that wallet's own; key makes the event idempotent per subscription (the same key is never delivered twice).
+ * Never throws: failures are logged, the caller's own work is not affected.
+ */
+export function emitWebhookEvent(event, data, { wallet = null, key = null } = {}) {
+  if (!db.isDbConfigured()) return Promise.resolve([]);
+  return queueEvent(event, data, { wallet, key }).catch((e) => {
+    log.error(`could not queue ${event}`, e);
+    return [];
+  });
+}
+
+async function queueEvent(event, data, { wallet, key }) {
+  const subscribers = await db.listWebhookSubscribers(event, event === "treasury_low" ? null : wallet);
+  if (subscribers.length === 0) return [];
+  const createdAt = new Date().toISOString();
+  const inserted = await db.insertWebhookDeliveries(
+    subscribers.map((s) => {
+      const id = crypto.randomUUID();
+      return { id, subscriptionId: s.id, event, eventKey: key, payload: { id, event, createdAt, data } };
+    })
+  );
+  if (inserted.length > 0) {
+    log(`queued ${event}`, { deliveries: inserted.length });
+    kickDispatcher();
+  }
+  return inserted;
+}
+
+/** Queue a copy of a past delivery (same payload, new delivery id) for its subscription. */
+export async function replayWebhookDelivery(delivery) {
+  const id = crypto.randomUUID();
+  const payload = { ...delivery.payload, id };
+  const [row] = await db.insertWebhookDeliveries([
+    { id, subscriptionId: delivery.subscription_id, event: delivery.event, eventKey: null, payload, replayOf: delivery.id },
+  ]);
+  kickDispatcher();
+  return row;
+}
+
+/**
+ * Check a receiver URL: https (or http with WEBHOOK_ALLOW_HTTP) and a host that resolves to public addresses only.
+ * Run at registration and again before every delivery, since DNS can change in between. Throws OutboundUrlError.
+ */
+export function assertWebhookUrl(url) {
+  return assertPublicUrl(url, { protocols: getWebhookConfig().allowHttp ? ["https:", "http:"] : ["https:"] });
+}
+
+/** POST one delivery. Returns { ok, statusCode, error }. */
+async function send(delivery, timeoutMs) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    await assertWebhookUrl(delivery.url);
+    const res = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "ShadowSettle-Webhooks/1",
+        "X-ShadowSettle-Event": delivery.event,
+        "X-ShadowSettle-Delivery": delivery.id,
+        "X-ShadowSettle-Timestamp": String(timestamp),
+        "X-ShadowSettle-Signature": signWebhookPayload(delivery.secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    await res.body?.cancel().catch(() => {});
+    if (res.status >= 200 && res.status < 300) return { ok: true, statusCode: res.status, error: null };
+    return { ok: false, statusCode: res.status, error: `Receiver answered ${res.status}` };
+  } catch (e) {
+    const error = e?.name === "TimeoutError" ? `No response within ${timeoutMs} ms` : e?.cause?.message ?? e?.message ?? String(e);
+    return { ok: false, statusCode: null, error };
+  }
+}
+
+/** Attempt one claimed delivery and record the outcome (delivered, pending with a retry time, or failed). */
+async function attempt(delivery, config) {
+  const attempts = delivery.attempts + 1;
+  if (!delivery.active) {
+    await db.recordWebhookAttempt(delivery.id, { status: "failed", attempts: delivery.attempts, lastError: "Subscription is disabled" });
+    return;
+  }
+  const { ok, statusCode, error } = await send(delivery, config.timeoutMs);
+  const lastError = error ? String(error).slice(0, MAX_ERROR_LENGTH) : null;
+  if (ok) {
+    await db.recordWebhookAttempt(delivery.id, { status: "delivered", attempts, lastStatusCode: statusCode, deliveredAt: new Date() });
+    webhookDeliveriesTotal.inc({ event: delivery.event, outcome: "delivered" });
+    return;
+  }
+  if (attempts >= config.maxAttempts) {
+    await db.recordWebhookAttempt(delivery.id, { status: "failed", attempts, lastStatusCode: statusCode, lastError });
+    webhookDeliveriesTotal.inc({ event: delivery.event, outcome: "failed" });
+    log.warn(`delivery failed after ${attempts} attempts:`, lastError, { deliveryId: delivery.id, subscriptionId: delivery.subscription_id });
+    return;
+  }
+  const nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts, config.retryBaseMs));
+  await db.recordWebhookAttempt(delivery.id, { status: "pending", attempts, nextAttemptAt, lastStatusCode: statusCode, lastError });
+  webhookDeliveriesTotal.inc({ event: delivery.event, outcome: "retry" });
+  log(`delivery attempt ${attempts} failed, retrying`, { deliveryId: delivery.id, error: lastError, nextAttemptAt: nextAttemptAt.toISOString() });
+}
+
+/**
+ * Send every delivery that is due, DISPATCH_BATCH at a time. Claimed deliveries are leased for the send
+ * timeout plus a margin, so a crashed pass is retried rather than lost.
+ */
+export async function dispatchWebhooks() {
+  if (!db.isDbConfigured()) return { sent: 0 };
+  const config = getWebhookConfig();
+  let sent = 0;
+  for (;;) {
+    const due = await db.claimDueWebhookDeliveries(DISPATCH_BATCH, config.timeoutMs + 60 * 1000);
+    if (due.length === 0) break;
+    await Promise.all(due.map((d) => attempt(d, config).catch((e) => log.error("delivery error", e, { deliveryId: d.id }))));
+    sent += due.length;
+  }
+  return { sent };
+}
+
+/** Run a dispatch pass now instead of waiting for the next interval. */
+function kickDispatcher() {
+  if (!timer) return;
+  if (running) {
+    kicked = true;
+    return;
+  }
+  clearTimeout(timer);
+  timer = setTimeout(tick, 0).unref();
+}
+
+async function tick() {
+  running = true;
+  try {
+    do {
+      kicked = false;
+      const { sent } = await dispatchWebhooks();
+      if (sent > 0) log("dispatch pass done, attempted:", sent);
+    } while (kicked);
+  } catch (e) {
+    log.error("dispatch error:", e);
+  } finally {
+    running = false;
+    if (timer) timer = setTimeout(tick, getWebhookConfig().dispatchIntervalMs).unref();
+  }
+}
+
+/** Start the delivery loop. Each pass is scheduled after the previous one finishes. */
+export function startWebhookDispatcher() {
+  if (timer || !db.isDbConfigured()) return false;
+  const { dispatchIntervalMs } = getWebhookConfig();
+  timer = setTimeout(tick, dispatchIntervalMs).unref();
+  log("dispatcher started, interval:", dispatchIntervalMs, "ms");
+  return true;
+}
+
+export function stopWebhookDispatcher() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+// Job lifecycle events, whichever code path (routes, job watcher, tx-manager) changed the row.
+function jobPayload(row) {
+  return { walletAddress: row.wallet_address ?? null, job: jobRowToJson(row) };
+}
+
+db.jobEvents.on("created", (row) => {
+  emitWebhookEvent("job_submitted", jobPayload(row), { wallet: row.wallet_address, key: `job_submitted:${row.task_id}` });
+});
+db.jobEvents.on("updated", (row, previous) => {
+  const wallet = row.wallet_address;
+  if (row.result != null && !previous.hasResult) {
+    emitWebhookEvent("job_completed", jobPayload(row), { wallet, key: `job_completed:${row.task_id}` });
+  }
+  const status = String(row.status ?? "").toLowerCase();
+  if (FAILED_JOB_STATUSES.includes(status) && String(previous.status ?? "").toLowerCase() !== status) {
+    emitWebhookEvent("job_failed", jobPayload(row), { wallet, key: `job_failed:${row.task_id}:${status}` });
+  }
+});
@@ -0,0 +1,80 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { verifySettlement, settlementDigest, AttestationError } from "../src/attestation.js";
+
+const enclave = ethers.Wallet.createRandom();
+const alice = ethers.Wallet.createRandom().address;
+const bob = ethers.Wallet.createRandom().address;
+
+beforeEach(() => {
+  process.env.TEE_SIGNER_ADDRESSES = `0x${"1".repeat(40)},${enclave.address}`;
+});
+
+/** A task result as the enclave returns it: payouts in whole units (6 decimals), signed over base units. */
+async function signedResult(signer = enclave) {
+  const digest = settlementDigest([alice, bob], [1_500_000n, 2_000_000n]);
+  return {
+    payouts: [
+      { address: alice, amount: "1.5" },
+      { address: bob, amount: "2" },
+    ],
+    tee_attestation: await signer.signMessage(ethers.getBytes(digest)),
+  };
+}
+
+/** Assert that `fn` throws an AttestationError with `code`. */
+function throwsCode(fn, code) {
+  assert.throws(fn, (err) => err instanceof AttestationError && err.code === code);
+}
+
+test("accepts a batch signed by an allowlisted enclave key", async () => {
+  const result = await signedResult();
+  const verified = verifySettlement({ result, decimals: 6 });
+  assert.equal(verified.signer, enclave.address);
+  assert.deepEqual(verified.recipients, [alice, bob]);
+  assert.deepEqual(verified.amounts, [1_500_000n, 2_000_000n]);
+
+  const batch = { recipients: [alice.toLowerCase(), bob], amounts: ["1500000", 2_000_000n], attestation: result.tee_attestation };
+  assert.equal(verifySettlement({ result, decimals: 6, ...batch }).signer, enclave.address);
+});
+
+test("rejects a signer that is not on the allowlist", async () => {
+  const result = await signedResult(ethers.Wallet.createRandom());
+  throwsCode(() => verifySettlement({ result, decimals: 6 }), "SIGNER_NOT_ALLOWED");
+
+  process.env.TEE_SIGNER_ADDRESSES = "";
+  assert.throws(() => verifySettlement({ result, decimals: 6 }), (err) => err.code === "SIGNERS_NOT_CONFIGURED" && err.status === 503);
+});
+
+test("rejects a result whose payouts were changed after signing", async () => {
+  const result = await signedResult();
+  result.payouts[1].amount = "20";
+  throwsCode(() => verifySettlement({ result, decimals: 6 }), "SIGNER_NOT_ALLOWED");
+});
+
+test("rejects a batch with a tampered amount or recipient", async () => {
+  const result = await signedResult();
+  const attestation = result.tee_attestation;
+  const mallory = ethers.Wallet.createRandom().address;
+
+  assert.throws(
+    () => verifySettlement({ result, decimals: 6, recipients: [alice, bob], amounts: [1_500_000n, 2_000_001n], attestation }),
+    (err) => err.code === "PAYOUT_MISMATCH" && err.details.mismatches[0].field === "amount" && err.details.mismatches[0].index === 1
+  );
+  assert.throws(
+    () => verifySettlement({ result, decimals: 6, recipients: [mallory, bob], amounts: [1_500_000n, 2_000_000n], attestation }),
+    (err) => err.code === "PAYOUT_MISMATCH" && err.details.mismatches[0].field === "recipient"
+  );
+  throwsCode(() => verifySettlement({ result, decimals: 6, recipients: [alice], amounts: [1_500_000n], attestation }), "PAYOUT_COUNT_MISMATCH");
+  throwsCode(() => verifySettlement({ result, decimals: 6, recipients: [alice, bob], amounts: [1_500_000n, 2_000_000n], attestation: "0x00" }), "ATTESTATION_MISMATCH");
+});
+
+test("rejects a malformed attestation or result", async () => {
+  const result = await signedResult();
+  throwsCode(() => verifySettlement({ result: { ...result, tee_attestation: "0x1234" }, decimals: 6 }), "ATTESTATION_MALFORMED");
+  throwsCode(() => verifySettlement({ result: { ...result, tee_attestation: undefined }, decimals: 6 }), "RESULT_MALFORMED");
+  throwsCode(() => verifySettlement({ result: { payouts: [], tee_attestation: result.tee_attestation }, decimals: 6 }), "RESULT_MALFORMED");
+  throwsCode(() => verifySettlement({ result: { ...result, payouts: [{ address: "0x1234", amount: "1" }] }, decimals: 6 }), "RESULT_MALFORMED");
+  throwsCode(() => verifySettlement({ result: { ...result, payouts: [{ address: alice, amount: "1.0000001" }] }, decimals: 6 }), "RESULT_MALFORMED");
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+
+process.env.SIWE_DOMAIN = "app.example.com";
+process.env.SIWE_CHAIN_IDS = "421614";
+process.env.AUTH_SECRET = "test-secret";
+process.env.LOG_LEVEL = "warn";
+const { createNonce, parseSiweMessage, verifySiwe, verifyToken, issueToken, AuthError } = await import("../src/auth.js");
+
+const wallet = ethers.Wallet.createRandom();
+
+function siweMessage({ domain = "app.example.com", address = wallet.address, nonce = createNonce(), issuedAt = new Date(), expirationTime } = {}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to ShadowSettle",
+    "",
+    `URI: https://${domain}`,
+    "Version: 1",
+    "Chain ID: 421614",
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    ...(expirationTime ? [`Expiration Time: ${expirationTime.toISOString()}`] : []),
+  ].join("\n");
+}
+
+async function signIn(fields, signer = wallet) {
+  const message = siweMessage(fields);
+  return verifySiwe(message, await signer.signMessage(message));
+}
+
+/** Assert that `fn` rejects with an AuthError whose message matches `pattern`. */
+async function rejects(fn, pattern, status = 401) {
+  await assert.rejects(fn, (err) => err instanceof AuthError && pattern.test(err.message) && err.status === status);
+}
+
+test("parses the fields of an EIP-4361 message", () => {
+  const fields = parseSiweMessage(siweMessage({ nonce: "abc123" }));
+  assert.equal(fields.domain, "app.example.com");
+  assert.equal(fields.address, wallet.address);
+  assert.equal(fields.statement, "Sign in to ShadowSettle");
+  assert.equal(fields.uri, "https://app.example.com");
+  assert.equal(fields.chainId, 421614);
+  assert.equal(fields.nonce, "abc123");
+  assert.equal(fields.expirationTime, null);
+});
+
+test("rejects messages that are not SIWE", async () => {
+  await rejects(async () => parseSiweMessage("hello"), /bad header/, 400);
+  await rejects(async () => parseSiweMessage(siweMessage().replace(/\nNonce: .*/, "")), /missing Nonce/, 400);
+  await rejects(async () => parseSiweMessage(siweMessage().replace("Version: 1", "Version: 2")), /Unsupported SIWE version/, 400);
+});
+
+test("a correctly signed message yields the wallet and a token for it", async () => {
+  assert.equal(await signIn(), wallet.address);
+  assert.equal(verifyToken(issueToken(wallet.address).token), wallet.address.toLowerCase());
+});
+
+test("rejects a message for another domain", async () => {
+  await rejects(() => signIn({ domain: "evil.example.com" }), /domain not allowed/);
+});
+
+test("rejects an expired message", async () => {
+  await rejects(() => signIn({ expirationTime: new Date(Date.now() - 1000) }), /expired/);
+  await rejects(() => signIn({ issuedAt: new Date(Date.now() - 60 * 60 * 1000) }), /issued-at is out of range/);
+});
+
+test("a nonce signs in once only", async () => {
+  const nonce = createNonce();
+  await signIn({ nonce });
+  await rejects(() => signIn({ nonce }), /Unknown or expired nonce/);
+  await rejects(() => signIn({ nonce: "not-issued" }), /Unknown or expired nonce/);
+});
+
+test("rejects a bad signature without burning the nonce", async () => {
+  const nonce = createNonce();
+  const message = siweMessage({ nonce });
+  await rejects(async () => verifySiwe(message, await ethers.Wallet.createRandom().signMessage(message)), /does not match/);
+  await rejects(async () => verifySiwe(message, "0x1234"), /Invalid signature/);
+  await rejects(async () => verifySiwe(message, undefined), /invalid signature/, 400);
+  assert.equal(verifySiwe(message, await wallet.signMessage(message)), wallet.address);
+});
+
+test("beyond AUTH_NONCE_MAX the oldest nonces are dropped", async () => {
+  process.env.AUTH_NONCE_MAX = "3";
+  try {
+    const [first, ...rest] = Array.from({ length: 4 }, () => createNonce());
+    await rejects(() => signIn({ nonce: first }), /Unknown or expired nonce/);
+    for (const nonce of rest) assert.equal(await signIn({ nonce }), wallet.address);
+  } finally {
+    delete process.env.AUTH_NONCE_MAX;
+  }
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  packageDataset,
+  unpackDataset,
+  encryptPayload,
+  decryptPayload,
+  generateDatasetKey,
+  isEncryptedEnvelope,
+} from "../src/dataset-crypto.js";
+
+const dataset = {
+  version: 1,
+  name: "March payroll",
+  decimals: 6,
+  participants: [
+    { address: "0x1111111111111111111111111111111111111111", amount: "1250.5", label: "alice" },
+    { address: "0x2222222222222222222222222222222222222222", amount: "0.000001" },
+  ],
+  rules: { mode: "fixed", total: "1250.500001" },
+};
+
+test("packageDataset round-trips through unpackDataset", () => {
+  const { key, envelope, secretName } = packageDataset(dataset);
+  assert.ok(isEncryptedEnvelope(envelope));
+  assert.match(secretName, /^shadowsettle-dataset-[0-9a-f]{24}$/);
+  assert.equal(Buffer.from(key, "base64").length, 32);
+  assert.ok(!JSON.stringify(envelope).includes("alice"));
+  assert.deepEqual(unpackDataset(envelope, key), dataset);
+});
+
+test("each package gets its own key, iv and secret name", () => {
+  const a = packageDataset(dataset);
+  const b = packageDataset(dataset);
+  assert.notEqual(a.key, b.key);
+  assert.notEqual(a.envelope.iv, b.envelope.iv);
+  assert.notEqual(a.secretName, b.secretName);
+});
+
+test("decryptPayload rejects a wrong key", () => {
+  const { envelope } = packageDataset(dataset);
+  assert.throws(() => unpackDataset(envelope, generateDatasetKey()));
+});
+
+test("decryptPayload rejects a tampered ciphertext", () => {
+  const key = generateDatasetKey();
+  const envelope = encryptPayload("payload", key);
+  const bytes = Buffer.from(envelope.ciphertext, "base64");
+  bytes[0] ^= 1;
+  assert.throws(() => decryptPayload({ ...envelope, ciphertext: bytes.toString("base64") }, key));
+  assert.equal(decryptPayload(envelope, key), "payload");
+});
+
+test("decryptPayload rejects keys of the wrong length and non-envelopes", () => {
+  const envelope = encryptPayload("payload", generateDatasetKey());
+  assert.throws(() => decryptPayload(envelope, Buffer.alloc(16).toString("base64")), /32 bytes/);
+  assert.throws(() => decryptPayload({ ...envelope, v: 2 }, generateDatasetKey()), /Not an encrypted dataset envelope/);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateFaucetClaim, FAUCET_WINDOW_MS } from "../src/faucet-limits.js";
+
+const NOW = Date.parse("2026-01-01T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+const ALICE = "0x1111111111111111111111111111111111111111";
+const BOB = "0x2222222222222222222222222222222222222222";
+
+const limits = {
+  amountRaw: 10n,
+  cooldownMs: 60 * 1000,
+  addressCapRaw: 30n,
+  ipCapRaw: 50n,
+  dailyBudgetRaw: 100n,
+  ethDripWei: 0n,
+};
+
+/** A counted claim `ago` ms before NOW. */
+function claim(address, ago, { ip = "10.0.0.1", amount = 10n, eth = 0n } = {}) {
+  return { address, ip, amount_raw: String(amount), eth_raw: String(eth), created_at: new Date(NOW - ago) };
+}
+
+function evaluate(claims, overrides = {}) {
+  return evaluateFaucetClaim(claims, { address: ALICE, ip: "10.0.0.1", limits, now: NOW, ...overrides });
+}
+
+test("a first claim is eligible and reports what is left", () => {
+  const verdict = evaluate([]);
+  assert.equal(verdict.eligible, true);
+  assert.equal(verdict.denial, null);
+  assert.equal(verdict.nextEligibleAt, null);
+  assert.deepEqual(verdict.remaining, { address: 30n, ip: 50n, budget: 100n });
+  assert.equal(evaluate([], { ip: null }).remaining.ip, null);
+});
+
+test("an address waits out the cooldown between claims", () => {
+  const verdict = evaluate([claim(ALICE, 10 * 1000)]);
+  assert.equal(verdict.eligible, false);
+  assert.equal(verdict.denial.code, "FAUCET_COOLDOWN");
+  assert.equal(verdict.nextEligibleAt, NOW + 50 * 1000);
+  assert.equal(evaluate([claim(ALICE, 60 * 1000)]).eligible, true);
+});
+
+test("the address cap frees up as its oldest claim leaves the 24-hour window", () => {
+  const claims = [claim(ALICE, 20 * HOUR), claim(ALICE, 10 * HOUR), claim(ALICE, 1 * HOUR)];
+  const verdict = evaluate(claims);
+  assert.equal(verdict.denial.code, "FAUCET_ADDRESS_CAP");
+  assert.equal(verdict.nextEligibleAt, NOW - 20 * HOUR + FAUCET_WINDOW_MS);
+  assert.equal(verdict.remaining.address, 0n);
+  assert.equal(evaluate(claims, { address: BOB, ip: "10.0.0.2" }).eligible, true);
+});
+
+test("the IP cap counts claims of every address from that IP", () => {
+  const claims = [5, 4, 3, 2, 1].map((h) => claim(`0x${String(h).repeat(40)}`, h * HOUR));
+  const verdict = evaluate(claims);
+  assert.equal(verdict.denial.code, "FAUCET_IP_CAP");
+  assert.equal(verdict.nextEligibleAt, NOW - 5 * HOUR + FAUCET_WINDOW_MS);
+  assert.equal(evaluate(claims, { ip: "10.0.0.2" }).eligible, true);
+});
+
+test("the daily budget counts every claim", () => {
+  const claims = Array.from({ length: 10 }, (_, i) => claim(`0x${String(i).repeat(40)}`, (10 - i) * HOUR, { ip: `10.0.1.${i}` }));
+  const verdict = evaluate(claims);
+  assert.equal(verdict.denial.code, "FAUCET_BUDGET_EXHAUSTED");
+  assert.equal(verdict.remaining.budget, 0n);
+});
+
+test("the latest of several denials decides when to come back", () => {
+  const claims = [claim(ALICE, 23 * HOUR), claim(ALICE, 2 * HOUR), claim(ALICE, 30 * 1000)];
+  const verdict = evaluate(claims);
+  assert.equal(verdict.denial.code, "FAUCET_ADDRESS_CAP");
+  assert.equal(verdict.nextEligibleAt, NOW + 1 * HOUR);
+});
+
+test("a claim larger than a cap is never eligible; a cap of 0 is no cap", () => {
+  const verdict = evaluate([], { limits: { ...limits, addressCapRaw: 5n } });
+  assert.equal(verdict.eligible, false);
+  assert.equal(verdict.denial.code, "FAUCET_ADDRESS_CAP");
+  assert.equal(verdict.nextEligibleAt, null);
+
+  const claims = [claim(ALICE, 3 * HOUR), claim(ALICE, 2 * HOUR), claim(ALICE, 1 * HOUR)];
+  const uncapped = evaluate(claims, { limits: { ...limits, addressCapRaw: 0n } });
+  assert.equal(uncapped.eligible, true);
+  assert.equal(uncapped.remaining.address, null);
+});
+
+test("the ETH drip is offered once per address per window", () => {
+  const dripping = { ...limits, ethDripWei: 1000n };
+  assert.equal(evaluate([], { limits: dripping }).ethDripAvailable, true);
+  assert.equal(evaluate([claim(ALICE, HOUR)], { limits: dripping }).ethDripAvailable, true);
+  assert.equal(evaluate([claim(ALICE, HOUR, { eth: 1000n })], { limits: dripping }).ethDripAvailable, false);
+  assert.equal(evaluate([]).ethDripAvailable, false);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nextJobState, isPending, TERMINAL_STATUSES } from "../src/job-watcher.js";
+
+test("a task with a result completes its job", () => {
+  const result = { payouts: [{ address: "0x1111111111111111111111111111111111111111", amount: "1" }] };
+  assert.deepEqual(nextJobState({ status: 3, statusName: "COMPLETED", result }), { status: "completed", result, error: null });
+});
+
+test("a failed task fails its job", () => {
+  assert.deepEqual(nextJobState({ status: 4, statusName: "FAILED", result: null }), { status: "failed", error: "iExec task failed (FAILED)" });
+  assert.equal(nextJobState({ status: 4, statusName: null, result: null }).status, "failed");
+});
+
+test("a task past its deadline times its job out", () => {
+  assert.deepEqual(nextJobState({ status: 1, statusName: "TIMEOUT", result: null }), {
+    status: "timeout",
+    error: "iExec task exceeded its deadline (TIMEOUT)",
+  });
+});
+
+test("a running task leaves its job alone", () => {
+  for (const [status, statusName] of [
+    [0, "UNSET"],
+    [1, "ACTIVE"],
+    [2, "REVEALING"],
+    [3, "COMPLETED"],
+  ]) {
+    assert.equal(nextJobState({ status, statusName, result: null }), null, statusName);
+  }
+});
+
+test("only unfinished, unretried jobs are pending", () => {
+  assert.equal(isPending({ status: "submitted", result: null, error: null }), true);
+  assert.equal(isPending({ status: "running", result: null, error: null }), true);
+  assert.equal(isPending({ status: "submitted", result: {}, error: null }), false);
+  assert.equal(isPending({ status: "submitted", result: null, error: "boom" }), false);
+  assert.equal(isPending({ status: "submitted", result: null, error: null, retried_by_task_id: "0x01" }), false);
+  for (const status of TERMINAL_STATUSES) {
+    assert.equal(isPending({ status: status.toUpperCase(), result: null, error: null }), false, status);
+  }
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AmountError, parseTokenAmount, parseRawAmount, formatTokenAmount, formatTokenUnits } from "../src/money.js";
+
+/** Assert that parsing `amount` throws an AmountError whose message matches `pattern`. */
+function rejects(amount, decimals, pattern = /Invalid amount/) {
+  assert.throws(() => parseTokenAmount(amount, decimals), (err) => err instanceof AmountError && pattern.test(err.message));
+}
+
+test("parses whole units into base units", () => {
+  assert.equal(parseTokenAmount("12.5", 6), 12_500_000n);
+  assert.equal(parseTokenAmount(" 12.5 ", 6), 12_500_000n);
+  assert.equal(parseTokenAmount(12.5, 6), 12_500_000n);
+  assert.equal(parseTokenAmount("0.000001", 6), 1n);
+  assert.equal(parseTokenAmount("3.000", 0), 3n);
+});
+
+test("rejects more fraction digits than the token has", () => {
+  rejects("0.0000001", 6, /more than 6 decimals/);
+  rejects(0.1234567, 6, /more than 6 decimals/);
+  rejects("1.5", 0, /more than 0 decimals/);
+  assert.equal(parseTokenAmount("1.500000000", 6), 1_500_000n);
+});
+
+test("accepts exponents, rejects negative and non-numeric input", () => {
+  assert.equal(parseTokenAmount("1e3", 6), 1_000_000_000n);
+  assert.equal(parseTokenAmount("25e-1", 6), 2_500_000n);
+  assert.equal(parseTokenAmount(1e-6, 6), 1n);
+  assert.equal(parseTokenAmount(1e21, 0), 10n ** 21n);
+  rejects("1e-7", 6, /more than 6 decimals/);
+  rejects("1e81", 6, /out of range/);
+  for (const amount of ["-1", -1, "-0.5", "", "abc", "1,000", "0x10", ".5", Infinity, NaN, null, undefined, 10n]) rejects(amount, 6);
+});
+
+test("handles 0 and 18 decimals", () => {
+  assert.equal(parseTokenAmount("0", 6), 0n);
+  assert.equal(parseTokenAmount("42", 0), 42n);
+  assert.equal(formatTokenAmount(42n, 0), "42");
+  assert.equal(formatTokenUnits(42n, 0), "42");
+  assert.equal(parseTokenAmount("1.000000000000000001", 18), 10n ** 18n + 1n);
+  rejects("1.0000000000000000001", 18, /more than 18 decimals/);
+  assert.equal(formatTokenAmount(10n ** 18n + 1n, 18), "1.00");
+  assert.equal(formatTokenUnits(10n ** 18n + 1n, 18), "1.000000000000000001");
+});
+
+test("formats for display rounded down to cents, with thousands separators", () => {
+  assert.equal(formatTokenAmount(1_234_567_899n, 6), "1,234.56");
+  assert.equal(formatTokenAmount("0", 6), "0.00");
+  assert.equal(formatTokenAmount(5n, 1), "0.50");
+  assert.equal(formatTokenUnits(10_000_000_000n, 6), "10000");
+  assert.equal(formatTokenUnits(12_500_000n, 6), "12.5");
+});
+
+test("round-trips values beyond Number precision exactly", () => {
+  for (const [raw, decimals] of [
+    [2n ** 256n - 1n, 18],
+    [123_456_789_012_345_678_901_234_567_890n, 6],
+    [9_007_199_254_740_993n, 0],
+  ]) {
+    const units = formatTokenUnits(raw, decimals);
+    assert.equal(parseTokenAmount(units, decimals), raw);
+    assert.equal(parseRawAmount(raw.toString()), raw);
+  }
+  assert.equal(formatTokenAmount(10n ** 30n, 6), "1,000,000,000,000,000,000,000,000.00");
+});
+
+test("raw amounts must be non-negative integers", () => {
+  assert.equal(parseRawAmount(" 12 "), 12n);
+  assert.equal(parseRawAmount(12), 12n);
+  for (const amount of ["1.5", "-1", -1n, 1.5, 2 ** 53, "1e3", null]) {
+    assert.throws(() => parseRawAmount(amount), AmountError);
+  }
+});
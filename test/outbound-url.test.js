@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isPublicAddress, assertPublicUrl, OutboundUrlError } from "../src/outbound-url.js";
+
+test("public IPv4 and IPv6 addresses are allowed", () => {
+  for (const ip of ["8.8.8.8", "1.1.1.1", "100.63.255.255", "172.32.0.1", "2606:4700:4700::1111", "2001:4860:4860::8888"]) {
+    assert.equal(isPublicAddress(ip), true, ip);
+  }
+});
+
+test("loopback, private, link-local and reserved IPv4 ranges are blocked", () => {
+  const ips = [
+    "127.0.0.1",
+    "0.0.0.0",
+    "10.1.2.3",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.1.1",
+    "169.254.169.254", // cloud metadata
+    "100.64.0.1", // CGNAT
+    "192.0.2.1",
+    "198.18.0.1",
+    "224.0.0.1",
+    "255.255.255.255",
+  ];
+  for (const ip of ips) assert.equal(isPublicAddress(ip), false, ip);
+});
+
+test("loopback, unique-local, link-local and multicast IPv6 ranges are blocked", () => {
+  for (const ip of ["::1", "::", "fc00::1", "fd12:3456::1", "fe80::1", "ff02::1", "2001:db8::1"]) {
+    assert.equal(isPublicAddress(ip), false, ip);
+  }
+});
+
+test("IPv4 addresses embedded in IPv6 are checked as IPv4", () => {
+  assert.equal(isPublicAddress("::ffff:127.0.0.1"), false);
+  assert.equal(isPublicAddress("::ffff:7f00:1"), false);
+  assert.equal(isPublicAddress("::FFFF:A9FE:A9FE"), false); // 169.254.169.254
+  assert.equal(isPublicAddress("64:ff9b::10.0.0.1"), false);
+  assert.equal(isPublicAddress("::ffff:8.8.8.8"), true);
+  assert.equal(isPublicAddress("64:ff9b::808:808"), true);
+});
+
+test("anything that is not an IP literal is not public", () => {
+  for (const value of ["localhost", "example.com", "", "1.2.3", "999.1.1.1", undefined]) {
+    assert.equal(isPublicAddress(value), false, String(value));
+  }
+});
+
+test("URLs with an IP literal host are checked without a DNS lookup", async () => {
+  assert.equal((await assertPublicUrl("https://8.8.8.8/data.json")).hostname, "8.8.8.8");
+  for (const url of ["http://127.0.0.1:8080/", "http://[::1]/", "http://169.254.169.254/latest/meta-data/", "http://[::ffff:10.0.0.1]/"]) {
+    await assert.rejects(assertPublicUrl(url), OutboundUrlError, url);
+  }
+  await assert.rejects(assertPublicUrl("ftp://8.8.8.8/"), OutboundUrlError);
+  await assert.rejects(assertPublicUrl("not a url"), OutboundUrlError);
+});
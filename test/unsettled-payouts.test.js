@@ -0,0 +1,62 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PGlite } from "@electric-sql/pglite";
+import { PGLiteSocketServer } from "@electric-sql/pglite-socket";
+
+// An in-process Postgres (PGlite) behind the wire protocol, so db.js talks to it through pg like to a real server.
+let pglite;
+let server;
+let db;
+
+const CHAIN_ID = 421614;
+const payouts = (amount) => JSON.stringify({ payouts: [{ address: "0x1111111111111111111111111111111111111111", amount }] });
+
+before(async () => {
+  pglite = await PGlite.create();
+  server = new PGLiteSocketServer({ db: pglite, port: 0, maxConnections: 10 });
+  await server.start();
+  process.env.DATABASE_URL = `postgres://postgres@127.0.0.1:${server.server.address().port}/postgres`;
+  process.env.LOG_LEVEL = "warn";
+  db = await import("../src/db.js");
+  await (await import("../src/migrate.js")).migrate();
+
+  const jobs = [
+    // [task_id, result, settled_tx_hash, retried_by_task_id]
+    ["0x01", payouts("5"), null, null], // owed
+    ["0x02", payouts("3"), null, "0x03"], // retried after its result came in: only 0x03 can be settled
+    ["0x03", payouts("7"), null, null], // owed: the retry
+    ["0x04", payouts("11"), "0xaa", null], // paid
+    ["0x05", null, null, "0x06"], // retried while running
+    ["0x06", null, null, null], // running
+  ];
+  for (const [taskId, result, settledTxHash, retriedBy] of jobs) {
+    await db.getPool().query(
+      "INSERT INTO jobs (task_id, result, settled_tx_hash, retried_by_task_id, chain_id) VALUES ($1, $2, $3, $4, $5)",
+      [taskId, result, settledTxHash, retriedBy, CHAIN_ID]
+    );
+  }
+});
+
+after(async () => {
+  await db?.getPool()?.end();
+  await server?.stop();
+  await pglite?.close();
+});
+
+test("a retried job is neither an active pool nor a treasury liability", async () => {
+  const stats = await db.getJobStats({ chainId: CHAIN_ID, isDefaultNetwork: true, decimals: 6 });
+  const liabilities = await db.listUnsettledPayouts({ chainId: CHAIN_ID, isDefaultNetwork: true, decimals: 6 });
+
+  assert.deepEqual(liabilities.rows.map((r) => r.task_id).sort(), ["0x01", "0x03"]);
+  assert.equal(liabilities.total, 2);
+  assert.equal(liabilities.totalRaw, "12000000");
+  assert.equal(stats.active_pools, liabilities.total);
+});
+
+test("retried jobs are not counted as running or completed", async () => {
+  const stats = await db.getJobStats();
+  assert.equal(stats.jobs_total, 6);
+  assert.equal(stats.jobs_running, 1);
+  assert.equal(stats.settlements_completed, 3);
+  assert.equal(stats.settlements_settled, 1);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { signWebhookPayload, retryDelayMs } from "../src/webhooks.js";
+
+const SECRET = "whsec_test";
+const BODY = JSON.stringify({ event: "settlement_executed", data: { taskId: "0x01" } });
+
+test("signs the timestamp and body with the subscription secret", () => {
+  const expected = crypto.createHmac("sha256", SECRET).update(`1700000000.${BODY}`).digest("hex");
+  assert.equal(signWebhookPayload(SECRET, 1700000000, BODY), `sha256=${expected}`);
+});
+
+test("a signature doesn't carry over to another secret, timestamp or body", () => {
+  const signature = signWebhookPayload(SECRET, 1700000000, BODY);
+  assert.notEqual(signWebhookPayload("whsec_other", 1700000000, BODY), signature);
+  assert.notEqual(signWebhookPayload(SECRET, 1700000001, BODY), signature);
+  assert.notEqual(signWebhookPayload(SECRET, 1700000000, BODY.replace("0x01", "0x02")), signature);
+});
+
+test("retry delays double per attempt up to an hour", (t) => {
+  t.mock.method(Math, "random", () => 0.5); // no jitter
+  assert.deepEqual([1, 2, 3, 4].map((n) => retryDelayMs(n, 30_000)), [30_000, 60_000, 120_000, 240_000]);
+  assert.equal(retryDelayMs(8, 30_000), 60 * 60 * 1000);
+  assert.equal(retryDelayMs(50, 30_000), 60 * 60 * 1000);
+});
+
+test("retry delays are jittered by up to 20% either way", (t) => {
+  const random = t.mock.method(Math, "random", () => 0);
+  assert.equal(retryDelayMs(1, 10_000), 8_000);
+  random.mock.mockImplementation(() => 0.999999);
+  assert.equal(retryDelayMs(1, 10_000), 12_000);
+  assert.ok(retryDelayMs(20, 10_000) <= 1.2 * 60 * 60 * 1000);
+});
+
+test("retry delays default to WEBHOOK_RETRY_BASE_MS", (t) => {
+  t.mock.method(Math, "random", () => 0.5);
+  process.env.WEBHOOK_RETRY_BASE_MS = "1000";
+  try {
+    assert.equal(retryDelayMs(3), 4_000);
+  } finally {
+    delete process.env.WEBHOOK_RETRY_BASE_MS;
+  }
+  assert.equal(retryDelayMs(1), 30_000);
+});